@@ -0,0 +1,254 @@
+/**
+ * API Router
+ * Declarative routing for server.js: path params, a middleware pipeline,
+ * per-route body parsing with size limits, auth guards and JSON errors.
+ */
+
+const DEFAULT_BODY_LIMIT = 1024 * 1024; // 1 MB
+
+/**
+ * Error with an HTTP status. Thrown from handlers, guards and body parsers
+ * and turned into a JSON error response by the router.
+ */
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  if (res.headersSent) {
+    try { res.end(); } catch (_) { }
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Accepts a byte count or a string such as '512kb' or '10mb'.
+ */
+function parseLimit(limit) {
+  if (typeof limit === 'number') return limit;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/i.exec(String(limit || '').trim());
+  if (!match) throw new Error(`Invalid body limit: ${limit}`);
+  const units = { b: 1, kb: 1024, mb: 1024 * 1024 };
+  return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Turns '/api/clients/:file' into a matcher. The signature replaces every
+ * param name with ':' so '/a/:id' and '/a/:name' are detected as collisions.
+ */
+function compilePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Route pattern must start with '/': ${pattern}`);
+  }
+  const keys = [];
+  const segments = pattern.split('/').slice(1);
+  const source = segments.map(segment => {
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return {
+    keys,
+    isStatic: keys.length === 0,
+    regex: new RegExp(`^/${source}/?$`),
+    signature: '/' + segments.map(s => (s.startsWith(':') ? ':' : s)).join('/')
+  };
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (!Number.isNaN(declared) && declared > limit) {
+      reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let failed = false;
+    req.on('data', chunk => {
+      if (failed) return;
+      received += chunk.length;
+      if (received > limit) {
+        failed = true;
+        reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => { if (!failed) resolve(Buffer.concat(chunks)); });
+    req.on('error', error => { if (!failed) { failed = true; reject(error); } });
+  });
+}
+
+/**
+ * Route-level middleware that reads the request body into req.body.
+ * type: 'json' (empty body becomes {}), 'text' or 'raw' (Buffer).
+ */
+function bodyParser(type, limit) {
+  return async (req, res, next) => {
+    const buffer = await readBody(req, limit);
+    if (type === 'raw') {
+      req.body = buffer;
+    } else if (type === 'text') {
+      req.body = buffer.toString('utf8');
+    } else {
+      const text = buffer.toString('utf8');
+      if (!text.trim()) {
+        req.body = {};
+      } else {
+        try {
+          req.body = JSON.parse(text);
+        } catch (error) {
+          throw new HttpError(400, 'Invalid JSON body: ' + error.message);
+        }
+      }
+    }
+    await next();
+  };
+}
+
+class ApiRouter {
+  constructor(options = {}) {
+    this.routes = [];
+    this.middleware = [];
+    this.defaultBodyLimit = parseLimit(options.bodyLimit || DEFAULT_BODY_LIMIT);
+  }
+
+  /**
+   * Add middleware run for every matched route, before guards and body parsing.
+   * Signature: async (req, res, next) => {}
+   */
+  use(fn) {
+    this.middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Register a route. Options:
+   *   body:  'json' | 'text' | 'raw' - read the body into req.body
+   *   limit: max body size in bytes or '10mb' style string
+   *   auth:  guard or array of guards, async (req, res) => {}; throw HttpError to reject
+   * Throws when the method and pattern collide with an existing route.
+   */
+  add(method, pattern, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Route ${method} ${pattern} has no handler`);
+    }
+
+    const compiled = compilePattern(pattern);
+    const methods = (Array.isArray(method) ? method : [method]).map(m => m.toUpperCase());
+    for (const m of methods) {
+      const clash = this.routes.find(r => r.method === m && r.signature === compiled.signature);
+      if (clash) {
+        throw new Error(`Route collision: ${m} ${pattern} is already registered as ${clash.method} ${clash.pattern}`);
+      }
+      this.routes.push({ method: m, pattern, options, handler, ...compiled });
+    }
+    return this;
+  }
+
+  get(pattern, options, handler) { return this.add('GET', pattern, options, handler); }
+  post(pattern, options, handler) { return this.add('POST', pattern, options, handler); }
+  put(pattern, options, handler) { return this.add('PUT', pattern, options, handler); }
+  delete(pattern, options, handler) { return this.add('DELETE', pattern, options, handler); }
+
+  /**
+   * Find the route for a method and path. Static routes win over param routes.
+   * Returns { route, params }, { allowed } when only the method differs, or null.
+   */
+  match(method, pathname) {
+    const candidates = [
+      ...this.routes.filter(r => r.isStatic),
+      ...this.routes.filter(r => !r.isStatic)
+    ];
+    const allowed = new Set();
+    for (const route of candidates) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+      if (route.method !== method) {
+        allowed.add(route.method);
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, i) => {
+        try {
+          params[key] = decodeURIComponent(found[i + 1]);
+        } catch (_) {
+          params[key] = found[i + 1];
+        }
+      });
+      return { route, params };
+    }
+    return allowed.size ? { allowed: Array.from(allowed) } : null;
+  }
+
+  /**
+   * Dispatch a request. Resolves true when a route handled it, false when
+   * nothing matched so the caller can fall through (e.g. to static files).
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const result = this.match(req.method, url.pathname);
+    if (!result) return false;
+
+    if (!result.route) {
+      sendJson(res, 405, { success: false, error: `Method ${req.method} not allowed` }, { Allow: result.allowed.join(', ') });
+      return true;
+    }
+
+    const { route, params } = result;
+    req.route = { method: route.method, pattern: route.pattern };
+    req.params = params;
+    req.query = url.searchParams;
+    req.pathname = url.pathname;
+
+    const guards = route.options.auth ? [].concat(route.options.auth) : [];
+    const stack = [
+      ...this.middleware,
+      ...guards.map(guard => async (rq, rs, next) => { await guard(rq, rs); await next(); }),
+      ...(route.options.body ? [bodyParser(route.options.body, parseLimit(route.options.limit || this.defaultBodyLimit))] : []),
+      async (rq, rs) => {
+        const payload = await route.handler(rq, rs);
+        if (payload !== undefined && !rs.headersSent) sendJson(rs, 200, payload);
+      }
+    ];
+
+    try {
+      await runPipeline(stack, req, res);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const body = { success: false, error: error.message || 'Internal server error' };
+      if (error.details !== undefined) body.details = error.details;
+      sendJson(res, status, body, (error && error.headers) || {});
+    }
+    return true;
+  }
+}
+
+async function runPipeline(stack, req, res) {
+  let index = -1;
+  const dispatch = async (i) => {
+    if (i <= index) throw new Error('next() called multiple times');
+    index = i;
+    if (i >= stack.length || res.writableEnded) return;
+    await stack[i](req, res, () => dispatch(i + 1));
+  };
+  await dispatch(0);
+}
+
+module.exports = { ApiRouter, HttpError, sendJson };
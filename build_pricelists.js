@@ -0,0 +1,200 @@
+/**
+ * Price List Publishing
+ * Generates a finished price list for every supplier (data/suppliers) x ratio
+ * template (data/clients) pair, using the template's margin, wastage, wefting and
+ * currency settings and the same math as the ratio mixer (js/pricing-engine.js).
+ * Lists are written to data/pricelists through JsonRecordStore, so every publish
+ * that changes a list is a new revision. A change report flags finished lengths
+ * whose price moved by more than the threshold and is written to
+ * data/pricelist-changes.json.
+ *
+ * Runs after build_suppliers.js and build_clients.js in `npm run deploy`.
+ *
+ * Non-INR lists are converted with the latest exchange rate snapshot
+ * (exchange-rate-store.js) and record it in exchangeRateSnapshot; a template's
+ * own exchangeRate is only used when the snapshot lacks its currency.
+ *
+ * Usage: node build_pricelists.js [--threshold 5] [--rates <snapshotId>] [--dry-run]
+ *   --threshold  percent change that gets flagged (default 5, or PRICE_CHANGE_THRESHOLD)
+ *   --rates      price with this exchange rate snapshot instead of the latest
+ *   --dry-run    print the report without writing price lists
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JsonRecordStore } = require('./json-record-store');
+const INHPricing = require('./js/pricing-engine');
+const INHRecordSchemas = require('./js/record-schemas');
+const { ExchangeRateStore, snapshotReference } = require('./exchange-rate-store');
+
+const dataDir = path.join(__dirname, 'data');
+const reportFile = path.join(dataDir, 'pricelist-changes.json');
+
+// Recorded as savedBy on every revision this job writes
+const PUBLISHER = { uid: 'build_pricelists', email: null, role: null };
+
+function parseArgs(argv) {
+  const options = {
+    threshold: parseFloat(process.env.PRICE_CHANGE_THRESHOLD || '5'),
+    dryRun: false,
+    rates: null
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--threshold') options.threshold = parseFloat(argv[++i]);
+    else if (argv[i] === '--rates') options.rates = argv[++i];
+  }
+  if (!Number.isFinite(options.threshold) || options.threshold < 0) {
+    throw new Error('--threshold must be a non-negative number');
+  }
+  return options;
+}
+
+// Same sanitisation as safeRecordName() in server.js
+function recordFilename(name) {
+  return `${String(name).replace(/[^a-z0-9_\-\. ]/gi, '_')}.json`;
+}
+
+/**
+ * Build the price list document for one template + supplier. It has the shape
+ * the ratio mixer saves (so it can be loaded there) plus the computed
+ * finishedPrices ({ finishedLength: price }) and where it came from.
+ */
+function buildPriceList(template, supplier, snapshot) {
+  const currency = template.currency || 'INR';
+  const snapshotRate = currency === 'INR' ? 1 : snapshot.rates[currency];
+  const doc = {
+    name: `${template.name} (${supplier.name})`,
+    matrix: template.matrix,
+    supplierId: supplier.id,
+    prices: supplier.prices,
+    marginPercent: template.marginPercent || 0,
+    wastagePercent: template.wastagePercent || 0,
+    machineCharge: template.machineCharge !== undefined ? template.machineCharge : INHPricing.DEFAULT_MACHINE_CHARGE,
+    weftingWastagePercent: template.weftingWastagePercent || 0,
+    weftingCharge: template.weftingCharge || 0,
+    currency,
+    exchangeRate: snapshotRate || template.exchangeRate || 1,
+    exchangeRateSnapshot: snapshotRate ? snapshotReference(snapshot, currency) : null,
+    customPricesEnabled: false,
+    customPrices: {}
+  };
+
+  const finishedPrices = {};
+  INHPricing.computeRatioMatrix(doc).forEach(line => {
+    if (line.valid) finishedPrices[line.length] = line.finalPrice;
+  });
+
+  return {
+    ...doc,
+    finishedPrices,
+    generatedBy: 'build_pricelists',
+    source: { ratioTemplate: template.name, supplierId: supplier.id, supplierName: supplier.name }
+  };
+}
+
+/**
+ * Finished lengths whose price changed by more than `threshold` percent,
+ * plus lengths that appeared or disappeared.
+ */
+function priceChanges(previous, next, threshold) {
+  const before = (previous && previous.finishedPrices) || {};
+  const after = next.finishedPrices;
+  const changes = [];
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(length => {
+    const from = before[length];
+    const to = after[length];
+    if (from === undefined || to === undefined) {
+      changes.push({ length: Number(length), from: from === undefined ? null : from, to: to === undefined ? null : to, changePercent: null });
+      return;
+    }
+    const changePercent = from === 0 ? (to === 0 ? 0 : 100) : ((to - from) / from) * 100;
+    if (Math.abs(changePercent) > threshold) {
+      changes.push({ length: Number(length), from, to, changePercent: Math.round(changePercent * 100) / 100 });
+    }
+  });
+  return changes.sort((a, b) => a.length - b.length);
+}
+
+function publish(options) {
+  const suppliers = new JsonRecordStore(path.join(dataDir, 'suppliers'), { label: 'Supplier' }).readAll();
+  const templates = new JsonRecordStore(path.join(dataDir, 'clients'), { label: 'Client' }).readAll();
+  const priceLists = new JsonRecordStore(path.join(dataDir, 'pricelists'), { label: 'Price list' });
+  const exchangeRates = new ExchangeRateStore(dataDir);
+  const snapshot = options.rates ? exchangeRates.get(options.rates) : exchangeRates.latest();
+  if (!snapshot) throw new Error(`Exchange rate snapshot ${options.rates} not found`);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    threshold: options.threshold,
+    dryRun: options.dryRun,
+    exchangeRateSnapshot: snapshot.id,
+    published: [],
+    unchanged: [],
+    skipped: []
+  };
+
+  for (const template of templates) {
+    for (const supplier of suppliers) {
+      const doc = buildPriceList(template, supplier, snapshot);
+      const filename = recordFilename(doc.name);
+
+      const { valid, errors } = INHRecordSchemas.validateRecord('priceList', doc);
+      if (!valid) {
+        report.skipped.push({ filename, reason: INHRecordSchemas.formatErrors(errors) });
+        continue;
+      }
+
+      const previous = priceLists.read(filename);
+      if (previous && previous.generatedBy !== 'build_pricelists') {
+        // Never overwrite a list someone saved by hand under the same name
+        report.skipped.push({ filename, reason: 'A manually saved price list has this name' });
+        continue;
+      }
+
+      // A newer snapshot with the same rate is not a price change
+      const content = ({ savedAt, exchangeRateSnapshot, ...rest }) => JSON.stringify(rest);
+      if (previous && content(previous) === content(doc)) {
+        report.unchanged.push({ filename, revision: priceLists.currentRevision(filename) });
+        continue;
+      }
+
+      const entry = {
+        filename,
+        created: !previous,
+        changes: previous ? priceChanges(previous, doc, options.threshold) : [],
+        revision: null
+      };
+      if (!options.dryRun) {
+        entry.revision = priceLists.save(filename, { ...doc, savedAt: report.generatedAt }, PUBLISHER).revision;
+      }
+      report.published.push(entry);
+    }
+  }
+
+  return report;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const report = publish(options);
+
+  report.published.forEach(p => {
+    const action = `${options.dryRun ? 'Would publish' : 'Published'}${p.created ? ' new' : ''}`;
+    console.log(`${action} ${p.filename}${p.revision ? ` (revision ${p.revision})` : ''}`);
+    p.changes.forEach(c => {
+      const move = c.changePercent === null ? `${c.from === null ? 'added' : 'removed'}` : `${c.changePercent > 0 ? '+' : ''}${c.changePercent}%`;
+      console.log(`  ! ${c.length}": ${c.from === null ? '-' : c.from} -> ${c.to === null ? '-' : c.to} (${move})`);
+    });
+  });
+  report.skipped.forEach(s => console.warn(`Skipped ${s.filename}: ${s.reason}`));
+
+  if (!options.dryRun) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  }
+  const flagged = report.published.reduce((n, p) => n + p.changes.length, 0);
+  console.log(`Price lists: ${report.published.length} published, ${report.unchanged.length} unchanged, ${report.skipped.length} skipped; ${flagged} price moves over ${options.threshold}% flagged`);
+} catch (error) {
+  console.error('Error publishing price lists:', error);
+  process.exit(1);
+}
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { HttpError } = require('./api-router');
+
+/**
+ * Exchange Rate Store
+ * Dated snapshots of INR-based exchange rates ({ INR: 1, USD: 0.012, ... }, units
+ * per INR, the shape js/pricing-engine.js converts with). Each refresh from the
+ * rate provider or manual override change writes a new snapshot to
+ * data/exchange-rates/<id>.json; snapshots are never modified, so a price list or
+ * quote that records a snapshot id can be re-priced with its original rates.
+ * The latest snapshot is mirrored to data/exchange-rates.json for offline use and
+ * static hosting; manual overrides live in data/exchange-rate-overrides.json.
+ * Both are runtime state and are not committed.
+ */
+
+const PROVIDER_URL = 'https://api.exchangerate-api.com/v4/latest/INR';
+
+// Used only until the first snapshot exists (the rates the quote maker shipped with)
+const FALLBACK_RATES = {
+  INR: 1,
+  USD: 0.012,
+  EUR: 0.011,
+  GBP: 0.0095,
+  AUD: 0.018,
+  AED: 0.044,
+  NGN: 19.5,
+  CAD: 0.016,
+  JPY: 1.8
+};
+
+// The creation time, with -<n> after it for a second snapshot in the same millisecond
+const SNAPSHOT_ID = /^\d{4}-\d{2}-\d{2}T[\d-]+Z(-\d+)?$/;
+
+// Minimum gap between background refresh attempts, so an offline server does not retry on every request
+const REFRESH_RETRY_INTERVAL = 15 * 60 * 1000;
+
+const PROVIDER_TIMEOUT = 15 * 1000;
+
+/**
+ * GET a JSON document over https (no global fetch before Node 18).
+ * Resolves to { status, data }; data is null when the body is not JSON.
+ */
+function getJson(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers: { Accept: 'application/json' } }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try { data = JSON.parse(body); } catch (e) { /* not JSON */ }
+        resolve({ status: res.statusCode, data });
+      });
+    });
+    req.setTimeout(PROVIDER_TIMEOUT, () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+  });
+}
+
+class ExchangeRateStore {
+  constructor(dataDir, options = {}) {
+    this.dir = path.join(dataDir, 'exchange-rates');
+    this.offlineFile = path.join(dataDir, 'exchange-rates.json');
+    this.overridesFile = path.join(dataDir, 'exchange-rate-overrides.json');
+    this.providerUrl = options.providerUrl || PROVIDER_URL;
+    this.refreshing = null;
+    this.lastRefreshAttempt = 0;
+  }
+
+  /**
+   * Snapshot metadata, newest first (without the rate tables).
+   */
+  list() {
+    return this.snapshotIds().reverse().map(id => {
+      const { rates, providerRates, ...meta } = this.get(id);
+      return meta;
+    });
+  }
+
+  get(id) {
+    if (!SNAPSHOT_ID.test(String(id || ''))) {
+      throw new HttpError(400, `Invalid snapshot id: ${id}`);
+    }
+    const file = path.join(this.dir, `${id}.json`);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Newest snapshot; falls back to the offline file, then to FALLBACK_RATES.
+   */
+  latest() {
+    const ids = this.snapshotIds();
+    if (ids.length) return this.get(ids[ids.length - 1]);
+    if (fs.existsSync(this.offlineFile)) {
+      return JSON.parse(fs.readFileSync(this.offlineFile, 'utf8'));
+    }
+    return {
+      id: null,
+      base: 'INR',
+      source: 'fallback',
+      fetchedAt: null,
+      createdAt: null,
+      createdBy: null,
+      providerRates: { ...FALLBACK_RATES },
+      overrides: {},
+      rates: { ...FALLBACK_RATES }
+    };
+  }
+
+  overrides() {
+    if (!fs.existsSync(this.overridesFile)) return {};
+    return JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+  }
+
+  /**
+   * Fetch live rates from the provider and store them as a new snapshot.
+   */
+  async refresh(user) {
+    let response;
+    try {
+      response = await getJson(this.providerUrl);
+    } catch (error) {
+      throw new HttpError(502, `Exchange rate provider unreachable: ${error.message}`);
+    }
+    if (response.status < 200 || response.status >= 300) {
+      throw new HttpError(502, `Exchange rate provider returned ${response.status}`);
+    }
+    const data = response.data;
+    if (!data || !data.rates || (data.base && data.base !== 'INR')) {
+      throw new HttpError(502, 'Exchange rate provider returned no INR rates');
+    }
+    const fetchedAt = data.time_last_updated ? new Date(data.time_last_updated * 1000).toISOString() : new Date().toISOString();
+    return this.createSnapshot('exchangerate-api', { ...data.rates, INR: 1 }, fetchedAt, user);
+  }
+
+  /**
+   * Refresh in the background when the latest snapshot is older than maxAgeMs.
+   * Failures are logged only, so offline servers keep using the last snapshot.
+   */
+  refreshIfStale(maxAgeMs) {
+    const latest = this.latest();
+    const age = latest.createdAt ? Date.now() - new Date(latest.createdAt).getTime() : Infinity;
+    if (age < maxAgeMs || this.refreshing || Date.now() - this.lastRefreshAttempt < REFRESH_RETRY_INTERVAL) return;
+    this.lastRefreshAttempt = Date.now();
+    this.refreshing = this.refresh(null)
+      .catch(error => console.warn('Exchange rate refresh failed:', error.message))
+      .finally(() => { this.refreshing = null; });
+  }
+
+  /**
+   * Pin a currency to a manual rate (or clear the pin with rate null) and
+   * record the result as a new snapshot based on the latest provider rates.
+   */
+  setOverride(currency, rate, user) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code) || code === 'INR') {
+      throw new HttpError(400, `Invalid currency: ${currency}`);
+    }
+    const overrides = this.overrides();
+    if (rate === null || rate === undefined) {
+      delete overrides[code];
+    } else {
+      const value = Number(rate);
+      if (!Number.isFinite(value) || value <= 0) {
+        throw new HttpError(400, 'rate must be a positive number');
+      }
+      overrides[code] = {
+        rate: value,
+        setAt: new Date().toISOString(),
+        setBy: user ? user.email || user.uid || null : null
+      };
+    }
+    fs.writeFileSync(this.overridesFile, JSON.stringify(overrides, null, 2), 'utf8');
+
+    const latest = this.latest();
+    return this.createSnapshot('manual', latest.providerRates || latest.rates, latest.fetchedAt, user);
+  }
+
+  /**
+   * Rate for a currency in a snapshot; throws when the snapshot lacks it.
+   */
+  rateFor(snapshot, currency) {
+    const rate = snapshot && snapshot.rates ? snapshot.rates[currency] : undefined;
+    if (!rate) {
+      throw new HttpError(400, `No ${currency} rate in exchange rate snapshot ${snapshot && snapshot.id}`);
+    }
+    return rate;
+  }
+
+  // --- internals ---
+
+  snapshotIds() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => f.replace(/\.json$/, ''))
+      .filter(id => SNAPSHOT_ID.test(id))
+      .sort();
+  }
+
+  createSnapshot(source, providerRates, fetchedAt, user) {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+
+    const overrides = this.overrides();
+    const rates = { ...providerRates };
+    Object.keys(overrides).forEach(code => { rates[code] = overrides[code].rate; });
+
+    const createdAt = new Date().toISOString();
+    const baseId = createdAt.replace(/[:.]/g, '-');
+    const snapshot = {
+      id: baseId,
+      base: 'INR',
+      source,
+      fetchedAt: fetchedAt || null,
+      createdAt,
+      createdBy: user ? { uid: user.uid || null, email: user.email || null } : null,
+      providerRates,
+      overrides,
+      rates
+    };
+    // 'wx' so a snapshot can never be rewritten once recorded
+    for (let n = 1; ; n++) {
+      try {
+        fs.writeFileSync(path.join(this.dir, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2), { encoding: 'utf8', flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        snapshot.id = `${baseId}-${n}`;
+      }
+    }
+    fs.writeFileSync(this.offlineFile, JSON.stringify(snapshot, null, 2), 'utf8');
+    return snapshot;
+  }
+}
+
+/**
+ * What a price list or quote stores about the rates it was priced with. Quotes
+ * keep the full rate table so they can be re-rendered without the server.
+ */
+function snapshotReference(snapshot, currency) {
+  return {
+    id: snapshot.id,
+    source: snapshot.source,
+    fetchedAt: snapshot.fetchedAt,
+    currency,
+    rate: currency ? snapshot.rates[currency] || null : null
+  };
+}
+
+module.exports = { ExchangeRateStore, FALLBACK_RATES, snapshotReference };
@@ -0,0 +1,202 @@
+/**
+ * Price List Export
+ * PDF, XLSX and CSV downloads for the ratio mixer, alongside the html2canvas
+ * image export. Takes price lists as { name, currency, exchangeRate, lines }
+ * where lines come from INHPricing.computeRatioMatrix, and lays several lists
+ * out side by side by finished length.
+ *
+ * Needs jsPDF + jspdf-autotable (PDF) and SheetJS (XLSX) from the CDN.
+ */
+
+(function () {
+    const BRAND_NAME = 'Indian Natural Hair';
+    const LOGO_URL = '../images/logo.png';
+    const BREAKDOWN_SHEET = 'Cost Breakdown';
+
+    function listPrice(line) {
+        return line && line.finalPrice > 0 ? line.finalPrice : null;
+    }
+
+    /**
+     * { headers, rows } with one price column per list. Finished lengths that
+     * have no price in any list are left out.
+     */
+    function buildComparisonTable(lists) {
+        const headers = ['Finished Length', ...lists.map(l => `${l.name} (${l.currency || 'INR'})`)];
+        const rows = [];
+        INHPricing.FINISHED_LENGTHS.forEach((length, idx) => {
+            const prices = lists.map(l => listPrice(l.lines[idx]));
+            if (prices.every(p => p === null)) return;
+            rows.push([`${length}"`, ...prices]);
+        });
+        return { headers, rows };
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(table) {
+        return [table.headers, ...table.rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+    }
+
+    function safeFilename(name) {
+        return String(name || 'PriceList').trim().replace(/[^a-z0-9_\-]+/gi, '_') || 'PriceList';
+    }
+
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    function exportCSV(lists, baseName) {
+        // BOM so Excel opens the file as UTF-8
+        const blob = new Blob(['\uFEFF' + toCSV(buildComparisonTable(lists))], { type: 'text/csv;charset=utf-8' });
+        downloadBlob(blob, `${safeFilename(baseName)}.csv`);
+    }
+
+    // Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook
+    function sheetName(name, used) {
+        const base = String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Sheet';
+        let candidate = base;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    function breakdownRows(lists) {
+        const header = [
+            'Price List', 'Finished Length', 'Total %', 'Weighted Raw Cost', 'BulkToMR Wastage',
+            'MR + Washing', 'Wefting Wastage', 'Wefting Charge', 'Margin', 'Price (INR)',
+            'Rounded (INR)', 'Exchange Rate', 'Currency', 'Converted', 'Final Price'
+        ];
+        const rows = [header];
+        lists.forEach(list => {
+            list.lines.forEach(line => {
+                if (!line.totalPercent && !listPrice(line)) return;
+                rows.push([
+                    list.name, line.length, line.totalPercent, line.weightedRawCost, line.wastageCost,
+                    line.machineCharge, line.weftingWastageCost, line.weftingCharge, line.marginValue,
+                    line.price, line.roundedPrice, list.exchangeRate || 1, list.currency || 'INR',
+                    line.convertedPrice, listPrice(line)
+                ]);
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * One sheet per price list, a side-by-side comparison sheet first when there
+     * are several, and the cost breakdown on a hidden sheet.
+     */
+    function exportXLSX(lists, baseName) {
+        if (typeof XLSX === 'undefined') throw new Error('Excel library not loaded. Please check your internet connection.');
+
+        const wb = XLSX.utils.book_new();
+        const used = new Set();
+        const toSheet = table => XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]);
+
+        if (lists.length > 1) {
+            XLSX.utils.book_append_sheet(wb, toSheet(buildComparisonTable(lists)), sheetName('Comparison', used));
+        }
+        lists.forEach(list => {
+            XLSX.utils.book_append_sheet(wb, toSheet(buildComparisonTable([list])), sheetName(list.name, used));
+        });
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(breakdownRows(lists)), sheetName(BREAKDOWN_SHEET, used));
+
+        wb.Workbook = { Sheets: wb.SheetNames.map(name => ({ Hidden: name === BREAKDOWN_SHEET ? 1 : 0 })) };
+        XLSX.writeFile(wb, `${safeFilename(baseName)}.xlsx`);
+    }
+
+    async function loadLogo() {
+        try {
+            const res = await fetch(LOGO_URL);
+            if (!res.ok) return null;
+            const blob = await res.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = reject;
+                reader.readAsDataURL(blob);
+            });
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * A4 PDF with the logo and title on every page and "Page x of y" footers;
+     * jspdf-autotable breaks long tables across pages.
+     */
+    async function exportPDF(lists, baseName, title) {
+        if (!window.jspdf || !window.jspdf.jsPDF) throw new Error('PDF library not loaded. Please check your internet connection.');
+
+        const table = buildComparisonTable(lists);
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF({ orientation: lists.length > 3 ? 'landscape' : 'portrait', unit: 'mm', format: 'a4' });
+        if (typeof pdf.autoTable !== 'function') throw new Error('PDF table plugin not loaded.');
+
+        const logo = await loadLogo();
+        const pageWidth = pdf.internal.pageSize.getWidth();
+        const pageHeight = pdf.internal.pageSize.getHeight();
+        const margin = 14;
+        const generated = `Generated on ${new Date().toLocaleDateString()}`;
+
+        const drawHeader = () => {
+            if (logo) pdf.addImage(logo, 'PNG', margin, 8, 18, 18);
+            const textX = logo ? margin + 22 : margin;
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(14);
+            pdf.setTextColor(15, 23, 42);
+            pdf.text(BRAND_NAME, textX, 15);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(11);
+            pdf.text(title || 'Price List', textX, 22);
+            pdf.setFontSize(9);
+            pdf.setTextColor(100, 116, 139);
+            pdf.text('Prices per kg', pageWidth - margin, 15, { align: 'right' });
+            pdf.text(generated, pageWidth - margin, 22, { align: 'right' });
+        };
+
+        pdf.autoTable({
+            head: [table.headers],
+            body: table.rows.map(row => row.map(v => (v === null ? '-' : typeof v === 'number' ? v.toFixed(2) : v))),
+            startY: 32,
+            margin: { top: 32, left: margin, right: margin, bottom: 18 },
+            theme: 'grid',
+            headStyles: { fillColor: [15, 23, 42], textColor: 255, halign: 'center' },
+            bodyStyles: { halign: 'right' },
+            columnStyles: { 0: { halign: 'left', fontStyle: 'bold' } },
+            didDrawPage: drawHeader
+        });
+
+        const pages = pdf.internal.getNumberOfPages();
+        for (let i = 1; i <= pages; i++) {
+            pdf.setPage(i);
+            pdf.setFontSize(8);
+            pdf.setTextColor(100, 116, 139);
+            pdf.text(`Page ${i} of ${pages}`, pageWidth / 2, pageHeight - 8, { align: 'center' });
+        }
+
+        pdf.save(`${safeFilename(baseName)}.pdf`);
+    }
+
+    window.PriceListExport = {
+        buildComparisonTable,
+        toCSV,
+        exportCSV,
+        exportXLSX,
+        exportPDF
+    };
+})();
@@ -24,6 +24,7 @@ document.addEventListener('DOMContentLoaded', () => {
         weftingCharge: 0,        // New
         currency: 'INR',
         exchangeRate: 1,
+        exchangeRateSnapshot: null, // { id, source, fetchedAt, currency, rate } when the rate came from the server
         customPricesEnabled: false,
         customPrices: {}
     };
@@ -35,6 +36,13 @@ document.addEventListener('DOMContentLoaded', () => {
         priceLists: []  // Array of price list objects
     };
 
+    // Records as last loaded from / saved to the server API, keyed by supplier id
+    // and ratio name: { revision, base }. The revision is sent as If-Match on save.
+    let serverRecords = {
+        suppliers: {},
+        clients: {}
+    };
+
     // --- DOM Elements ---
     // Tabs
     const tabButtons = document.querySelectorAll('button.nav-tab');
@@ -70,6 +78,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const multiExportModal = document.getElementById('multiExportModal');
     const closeMultiExportBtn = document.getElementById('closeMultiExportBtn');
     const generateMultiExportBtn = document.getElementById('generateMultiExportBtn');
+    const multiExportFormat = document.getElementById('multiExportFormat');
+    const exportPdfBtn = document.getElementById('exportPdfBtn');
+    const exportXlsxBtn = document.getElementById('exportXlsxBtn');
+    const exportCsvBtn = document.getElementById('exportCsvBtn');
     const multiExportList = document.getElementById('multiExportList');
 
     // Matrix Table
@@ -241,6 +253,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Fetch rate
         if (newCurrency === 'INR') {
             appState.exchangeRate = 1;
+            appState.exchangeRateSnapshot = null;
             exchangeRateInput.value = 1;
         } else {
             await fetchExchangeRate(newCurrency);
@@ -253,12 +266,17 @@ document.addEventListener('DOMContentLoaded', () => {
     exchangeRateInput.addEventListener('input', (e) => {
         const val = parseFloat(e.target.value);
         appState.exchangeRate = val > 0 ? val : 1;
+        // A typed rate is not from any snapshot
+        appState.exchangeRateSnapshot = null;
         calculateAll();
         saveAppState();
     });
 
     // Download
     downloadBtn.addEventListener('click', downloadPriceList);
+    exportPdfBtn.addEventListener('click', () => exportCurrentPriceList('pdf'));
+    exportXlsxBtn.addEventListener('click', () => exportCurrentPriceList('xlsx'));
+    exportCsvBtn.addEventListener('click', () => exportCurrentPriceList('csv'));
 
     // Multi-Export
     multiExportBtn.addEventListener('click', openMultiExportModal);
@@ -761,59 +779,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function calculateColumn(colIdx) {
-        const colData = appState.matrix[colIdx] || {};
-        let totalPercent = 0;
-        let weightedRawCost = 0;
-
-        RAW_LENGTHS.forEach(rawLen => {
-            const percent = colData[rawLen] || 0;
-            const price = appState.prices[rawLen] || 0;
-
-            totalPercent += percent;
-            weightedRawCost += (percent / 100) * price;
+        // Shared with the configurator, quote maker and /api/price/compute (js/pricing-engine.js)
+        const {
+            totalPercent, valid: isValid, wastageCost, machineCharge, weftingWastageCost,
+            weftingCharge, marginValue, price: finalPrice, roundedPrice, convertedPrice
+        } = INHPricing.computeRatioColumn({
+            column: appState.matrix[colIdx],
+            prices: appState.prices,
+            wastagePercent: appState.wastagePercent,
+            machineCharge: appState.machineCharge || 0,
+            weftingWastagePercent: appState.weftingWastagePercent,
+            weftingCharge: appState.weftingCharge,
+            marginPercent: appState.marginPercent,
+            exchangeRate: appState.exchangeRate
         });
 
-        // Validation - Strict 100% Check
-        const isValid = Math.abs(totalPercent - 100) < 0.1 && totalPercent !== 0;
-
-        let wastageCost = 0;
-        let machineCharge = 0;
-        let weftingWastageCost = 0;
-        let weftingCharge = 0;
-        let marginValue = 0;
-        let finalPrice = 0;
-
-        if (isValid) {
-            // 1. Base Cost (Weighted Raw) + BulkToMR Wastage
-            wastageCost = weightedRawCost * (appState.wastagePercent / 100);
-            let currentCost = weightedRawCost + wastageCost;
-
-            // 2. Add MR + Washing Charge
-            machineCharge = appState.machineCharge || 0;
-            currentCost += machineCharge;
-
-            // 3. Add Wefting Logic (Conditional)
-            if (appState.weftingWastagePercent > 0) {
-                // Wefting Wastage is on TOP of current cost
-                weftingWastageCost = currentCost * (appState.weftingWastagePercent / 100);
-                currentCost += weftingWastageCost;
-
-                // Wefting Charge
-                weftingCharge = appState.weftingCharge || 0;
-                currentCost += weftingCharge;
-            }
-
-            // 4. Margin
-            marginValue = currentCost * (appState.marginPercent / 100);
-            finalPrice = currentCost + marginValue;
-        }
-
-        const roundedPrice = Math.round(finalPrice / 50) * 50;
-
-        // Converted Price
-        const rate = appState.exchangeRate || 1;
-        const convertedPrice = Math.round(roundedPrice * rate);
-
         // UI Updates
         const ids = ['total', 'wastage', 'machine', 'wefting-wastage', 'wefting-charge', 'margin', 'price', 'rounded-price', 'converted-price'];
         const values = [
@@ -971,6 +951,64 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- PDF / XLSX / CSV Export (price-list-export.js) ---
+
+    function currentPriceListForExport() {
+        return {
+            name: appState.currentClientName,
+            currency: appState.currency || 'INR',
+            exchangeRate: appState.exchangeRate || 1,
+            lines: INHPricing.computeRatioMatrix({
+                matrix: appState.matrix,
+                prices: appState.prices,
+                wastagePercent: appState.wastagePercent,
+                machineCharge: appState.machineCharge || 0,
+                weftingWastagePercent: appState.weftingWastagePercent,
+                weftingCharge: appState.weftingCharge,
+                marginPercent: appState.marginPercent,
+                exchangeRate: appState.exchangeRate,
+                customPricesEnabled: appState.customPricesEnabled,
+                customPrices: appState.customPrices
+            })
+        };
+    }
+
+    function savedPriceListForExport(pl) {
+        // Priced with the supplier's current rates, like the image comparison
+        const supplier = db.suppliers.find(s => s.id === pl.supplierId);
+        return {
+            name: pl.name,
+            currency: pl.currency || 'INR',
+            exchangeRate: pl.exchangeRate || 1,
+            lines: INHPricing.computeRatioMatrix({ ...pl, prices: supplier ? supplier.prices : (pl.prices || {}) })
+        };
+    }
+
+    async function exportPriceLists(format, lists, baseName, title) {
+        try {
+            if (format === 'pdf') {
+                await PriceListExport.exportPDF(lists, baseName, title);
+            } else if (format === 'xlsx') {
+                PriceListExport.exportXLSX(lists, baseName);
+            } else {
+                PriceListExport.exportCSV(lists, baseName);
+            }
+        } catch (e) {
+            console.error(e);
+            alert(`Export failed: ${e.message}`);
+        }
+    }
+
+    function exportCurrentPriceList(format) {
+        if (!appState.currentClientName) {
+            alert('Please enter a Price List Name before downloading.');
+            document.getElementById('clientName').focus();
+            return;
+        }
+        const name = appState.currentClientName;
+        exportPriceLists(format, [currentPriceListForExport()], `${name}_PriceList`, name);
+    }
+
     // --- Supplier Management ---
 
     function initSupplierGrid() {
@@ -1044,42 +1082,23 @@ document.addEventListener('DOMContentLoaded', () => {
         const colData = client.matrix[lenIdx]; // This is the column for this length
         if (!colData) return 0;
 
-        // Calculate Weighted Raw Cost
-        let totalCost = 0;
-        let totalPct = 0;
-        Object.keys(colData).forEach(rawLenKey => {
-            // We need price for this raw length from supplier
-            const pct = colData[rawLenKey];
-            if (pct > 0 && supplier) {
-                const p = supplier.prices[rawLenKey] || 0;
-                totalCost += (p * (pct / 100));
-                totalPct += pct;
-            }
+        if (!supplier) return 0;
+
+        const { valid, roundedPrice } = INHPricing.computeRatioColumn({
+            column: colData,
+            prices: supplier.prices,
+            wastagePercent: client.wastagePercent,
+            machineCharge: client.machineCharge !== undefined ? client.machineCharge : INHPricing.DEFAULT_MACHINE_CHARGE,
+            weftingWastagePercent: client.weftingWastagePercent,
+            weftingCharge: client.weftingCharge,
+            marginPercent: client.marginPercent,
+            roundedPercent: true
         });
+        if (!valid) return 0; // Skip invalid columns
 
-        if (Math.round(totalPct) !== 100) return 0; // Skip invalid columns
-
-        // 1. Base Cost + Wastage
-        const wastageCost = totalCost * ((client.wastagePercent || 0) / 100);
-        let currentCost = totalCost + wastageCost;
-
-        // 2. Machine
-        currentCost += (client.machineCharge !== undefined ? client.machineCharge : 2500);
-
-        // 3. Wefting
-        if ((client.weftingWastagePercent || 0) > 0) {
-            currentCost += currentCost * (client.weftingWastagePercent / 100);
-            currentCost += (client.weftingCharge || 0);
-        }
-
-        // 4. Margin
-        const marginValue = currentCost * ((client.marginPercent || 0) / 100);
-        const finalPrice = currentCost + marginValue;
-
-        // 5. Rounding & Currency
-        const roundedInr = Math.round(finalPrice / 50) * 50;
+        // Rounding & Currency
         const rate = client.exchangeRate || 1;
-        const converted = parseFloat((roundedInr * rate)).toFixed(2);
+        const converted = parseFloat((roundedPrice * rate)).toFixed(2);
 
         // If customPrices are enabled in this saved client config, override
         if(client.customPricesEnabled && client.customPrices && client.customPrices[lenIdx] > 0) {
@@ -1092,6 +1111,17 @@ document.addEventListener('DOMContentLoaded', () => {
     async function generateMultiExport() {
         console.log("Generate Multi-Export Clicked");
 
+        const format = multiExportFormat ? multiExportFormat.value : 'image';
+        if (format !== 'image') {
+            const selectedNames = Array.from(multiExportList.querySelectorAll('input[type="checkbox"]:checked')).map(c => c.value);
+            if (selectedNames.length === 0) return alert("Select at least one price list.");
+
+            const lists = (db.priceLists || []).filter(pl => selectedNames.includes(pl.name)).map(savedPriceListForExport);
+            await exportPriceLists(format, lists, 'PriceList_Comparison', 'Price List Comparison');
+            multiExportModal.classList.add('hidden');
+            return;
+        }
+
         if (typeof html2canvas === 'undefined') {
             alert("Error: html2canvas library not loaded. Please check your internet connection.");
             return;
@@ -1218,23 +1248,28 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!isNaN(val)) prices[inp.dataset.len] = val;
         });
 
-        let supplierData = {};
+        const id = editingSupplierId || 'sup_' + Date.now();
+        const idx = db.suppliers.findIndex(s => s.id === id);
+        const record = { ...(idx !== -1 ? db.suppliers[idx] : {}), id, name, prices };
+        if (!checkRecord('supplier', record, `supplier "${name}"`)) return;
 
-        if (editingSupplierId) {
-            // Update local state first for responsiveness
-            const idx = db.suppliers.findIndex(s => s.id === editingSupplierId);
-            if (idx !== -1) {
-                db.suppliers[idx].name = name;
-                db.suppliers[idx].prices = prices;
-                supplierData = db.suppliers[idx];
-            }
+        let supplierData;
+        try {
+            supplierData = await saveRecordToServer('suppliers', id, '/api/save-supplier', record, name);
+        } catch (e) {
+            console.error(e);
+            return alert("Supplier not saved: " + e.message);
+        }
+        if (!supplierData) return alert("Supplier not saved.");
+
+        if (idx !== -1) {
+            db.suppliers[idx] = supplierData;
         } else {
-            // Create
-            const id = 'sup_' + Date.now();
-            supplierData = { id, name, prices };
             db.suppliers.push(supplierData);
-            editingSupplierId = id;
         }
+        editingSupplierId = id;
+        // Show the merged prices when the save was merged with someone else's changes
+        loadSupplierForEditing(id);
 
         // Save locally
         try {
@@ -1343,18 +1378,28 @@ document.addEventListener('DOMContentLoaded', () => {
             name,
             matrix: appState.matrix,
             currency: appState.currency || 'INR',
+            exchangeRateSnapshot: appState.exchangeRateSnapshot || null,
             marginPercent: appState.marginPercent || 0,
             supplierId: appState.currentSupplierId || null,
             created: new Date().toISOString()
         };
+        if (!checkRecord('ratio', ratioData, `ratio "${name}"`)) return;
 
         try {
+            const saved = await saveRecordToServer('clients', name, '/api/save-client', ratioData, name);
+            if (!saved) return alert(`Ratio "${name}" not saved.`);
+            if (saved !== ratioData) {
+                appState.matrix = JSON.parse(JSON.stringify(saved.matrix || {}));
+                refreshTableInputs();
+                calculateAll();
+            }
+
             if (!db.clients) db.clients = [];
             const existingIdx = db.clients.findIndex(c => c.name === name);
             if (existingIdx >= 0) {
-                db.clients[existingIdx] = ratioData;
+                db.clients[existingIdx] = saved;
             } else {
-                db.clients.push(ratioData);
+                db.clients.push(saved);
             }
 
             saveDB();
@@ -1423,6 +1468,152 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- Server Persistence ---
+    // Saves carry the revision the record was loaded at as If-Match, and new
+    // records If-None-Match: *. A 409 means someone else saved in the meantime
+    // (or already has a record by that name); the user then merges or overwrites.
+
+    /**
+     * POST a record to the server. Resolves to the record as stored (a merged copy
+     * when the user chose to merge) or null when the user cancelled the save.
+     * Throws when the server cannot be reached or refuses the save.
+     */
+    async function saveRecordToServer(kind, key, url, record, label) {
+        let known = serverRecords[kind][key];
+        let payload = record;
+
+        while (true) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (known) headers['If-Match'] = `"${known.revision}"`;
+            else headers['If-None-Match'] = '*';
+
+            let res, result;
+            try {
+                res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) });
+                result = await res.json().catch(() => ({}));
+            } catch (e) {
+                throw new Error(`Could not reach the server to save "${label}": ${e.message}`);
+            }
+
+            if (res.ok && result.success) {
+                rememberServerRecord(kind, key, result.revision, payload);
+                return payload;
+            }
+            if (res.status === 400 && result.details && result.details.errors) {
+                alert(`Server rejected "${label}":\n\n${INHRecordSchemas.formatErrors(result.details.errors)}`);
+                return null;
+            }
+            if (res.status !== 409 || !result.details) {
+                throw new Error(`Server did not save "${label}": ${result.error || `HTTP ${res.status}`}`);
+            }
+
+            const current = result.details.current;
+            const choice = askConflictResolution(label, !known);
+            if (!choice) return null;
+            if (choice === 'merge' && current) {
+                payload = mergeRecord(known ? known.base : undefined, payload, current);
+            }
+            known = { revision: result.details.revision, base: current };
+        }
+    }
+
+    /**
+     * Validate against the schemas the server enforces (js/record-schemas.js) and
+     * list the field errors. Returns false when the record must not be saved.
+     */
+    function checkRecord(type, data, label) {
+        const { valid, errors } = INHRecordSchemas.validateRecord(type, data);
+        if (!valid) alert(`Cannot save ${label}:\n\n${INHRecordSchemas.formatErrors(errors)}`);
+        return valid;
+    }
+
+    function askConflictResolution(label, isNew) {
+        const message = isNew
+            ? `"${label}" already exists on the server.`
+            : `"${label}" was changed by someone else since you loaded it.`;
+        if (confirm(`${message}\n\nOK: merge your changes into their version.\nCancel: choose whether to overwrite instead.`)) {
+            return 'merge';
+        }
+        if (confirm(`Overwrite their changes to "${label}" with yours?\n\nCancel: do not save.`)) {
+            return 'overwrite';
+        }
+        return null;
+    }
+
+    /**
+     * Three-way merge of a record. Values the user did not change take the server
+     * copy, values both sides changed keep the user's. Objects (prices, matrix)
+     * are merged key by key.
+     */
+    function mergeRecord(base, local, server) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+        if (same(local, base)) return server;
+        if (same(server, base)) return local;
+        if (!isObject(local) || !isObject(server)) return local;
+
+        const baseObj = isObject(base) ? base : {};
+        const merged = {};
+        new Set([...Object.keys(server), ...Object.keys(local)]).forEach(k => {
+            const value = mergeRecord(baseObj[k], local[k], server[k]);
+            if (value !== undefined) merged[k] = value;
+        });
+        return merged;
+    }
+
+    function rememberServerRecord(kind, key, revision, data) {
+        serverRecords[kind][key] = { revision, base: JSON.parse(JSON.stringify(data)) };
+    }
+
+    function revisionFromETag(etag) {
+        const match = /(\d+)/.exec(etag || '');
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    /**
+     * Load suppliers and ratios from the server API together with their revisions.
+     * Server copies replace local ones, as with the static bundles.
+     */
+    async function loadServerRecords() {
+        try {
+            const res = await fetch('/api/suppliers');
+            if (res.ok) {
+                const result = await res.json();
+                const revisions = result.revisions || {};
+                const deletedGlobal = JSON.parse(localStorage.getItem('deleted_suppliers') || '[]');
+                (result.suppliers || []).forEach(s => {
+                    if (!s || !s.id || deletedGlobal.includes(s.id)) return;
+                    rememberServerRecord('suppliers', s.id, revisions[s.id] || 0, s);
+                    const idx = db.suppliers.findIndex(ls => ls.id === s.id);
+                    if (idx !== -1) db.suppliers[idx] = s;
+                    else db.suppliers.push(s);
+                });
+            }
+        } catch (e) {
+            console.warn("Server suppliers unavailable:", e);
+        }
+
+        try {
+            const res = await fetch('/api/clients');
+            if (res.ok) {
+                const result = await res.json();
+                await Promise.all((result.files || []).map(async file => {
+                    const fileRes = await fetch(`/api/clients/${encodeURIComponent(file)}`);
+                    if (!fileRes.ok) return;
+                    const c = await fileRes.json();
+                    if (!c || !c.name) return;
+                    rememberServerRecord('clients', c.name, revisionFromETag(fileRes.headers.get('ETag')), c);
+                    const idx = db.clients.findIndex(lc => lc.name === c.name);
+                    if (idx !== -1) db.clients[idx] = c;
+                    else db.clients.push(c);
+                }));
+            }
+        } catch (e) {
+            console.warn("Server ratios unavailable:", e);
+        }
+    }
+
     // --- Price List Management (Full Config) ---
 
     async function savePriceListConfig() {
@@ -1441,10 +1632,12 @@ document.addEventListener('DOMContentLoaded', () => {
             weftingCharge: appState.weftingCharge,
             currency: appState.currency,
             exchangeRate: appState.exchangeRate,
+            exchangeRateSnapshot: appState.exchangeRateSnapshot || null,
             customPricesEnabled: appState.customPricesEnabled,
             customPrices: appState.customPrices,
             savedAt: new Date().toISOString()
         };
+        if (!checkRecord('priceList', fullConfig, `price list "${name}"`)) return;
 
         try {
             if (!db.priceLists) db.priceLists = [];
@@ -1488,6 +1681,8 @@ document.addEventListener('DOMContentLoaded', () => {
             appState.weftingCharge = data.weftingCharge || 0;
             appState.currency = data.currency || 'INR';
             appState.exchangeRate = data.exchangeRate || 1;
+            // Keep the saved rate; re-select the currency to price with today's rates
+            appState.exchangeRateSnapshot = data.exchangeRateSnapshot || null;
             appState.customPricesEnabled = data.customPricesEnabled || false;
             appState.customPrices = JSON.parse(JSON.stringify(data.customPrices || {}));
 
@@ -1595,16 +1790,38 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    /**
+     * Latest exchange rate snapshot: the server's, or the data/exchange-rates.json
+     * copy when the API is unavailable (static hosting, offline).
+     */
+    async function loadExchangeRateSnapshot() {
+        try {
+            const res = await fetch('/api/exchange-rates');
+            if (res.ok) return (await res.json()).snapshot;
+        } catch (e) {
+            console.warn("Exchange rate API unavailable:", e);
+        }
+        const res = await fetch('/data/exchange-rates.json');
+        if (!res.ok) throw new Error(`No exchange rates available (${res.status})`);
+        return res.json();
+    }
+
     async function fetchExchangeRate(targetCurrency) {
         if (targetCurrency === 'INR') return 1;
 
         try {
-            const res = await fetch(`https://api.exchangerate-api.com/v4/latest/INR`);
-            const data = await res.json();
-            const rate = data.rates[targetCurrency];
+            const snapshot = await loadExchangeRateSnapshot();
+            const rate = snapshot.rates[targetCurrency];
 
             if (rate) {
                 appState.exchangeRate = rate;
+                appState.exchangeRateSnapshot = {
+                    id: snapshot.id,
+                    source: snapshot.source,
+                    fetchedAt: snapshot.fetchedAt,
+                    currency: targetCurrency,
+                    rate
+                };
                 exchangeRateInput.value = rate;
             } else {
                 alert(`Could not fetch rate for ${targetCurrency}`);
@@ -1766,6 +1983,8 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error("Failed to fetch static clients:", e);
         }
 
+        await loadServerRecords();
+
         refreshSupplierDropdowns();
         renderSupplierList();
 
@@ -1793,12 +2012,13 @@ document.addEventListener('DOMContentLoaded', () => {
         let count = 0;
         for (const s of suppliers) {
             try {
-                await fetch('/api/save-supplier', {
+                // Create only: a supplier already on the server is left as it is
+                const res = await fetch('/api/save-supplier', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'If-None-Match': '*' },
                     body: JSON.stringify(s)
                 });
-                count++;
+                if (res.ok) count++;
             } catch (e) { console.error(e); }
         }
         alert(`Migrated ${count} suppliers.`);
@@ -1830,6 +2050,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!confirm(`Found ${db.clients.length} price lists in local storage. Migrate them to server files?`)) return;
 
         let successCount = 0;
+        let existingCount = 0;
         let failCount = 0;
 
         migrateLegacyBtn.disabled = true;
@@ -1840,13 +2061,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 // Ensure client has name
                 if (!client.name) continue;
 
+                // Create only: a ratio already on the server is not overwritten
                 const res = await fetch('/api/save-client', {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    headers: { 'Content-Type': 'application/json', 'If-None-Match': '*' },
                     body: JSON.stringify(client)
                 });
                 const result = await res.json();
                 if (result.success) successCount++;
+                else if (res.status === 409) existingCount++;
                 else failCount++;
             } catch (e) {
                 console.error("Migration error for " + client.name, e);
@@ -1854,7 +2077,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        alert(`Migration Complete.\nSaved: ${successCount}\nFailed: ${failCount}`);
+        alert(`Migration Complete.\nSaved: ${successCount}\nAlready on the server: ${existingCount}\nFailed: ${failCount}`);
 
         // Refresh dropdown to show new server files
         refreshRatioDropdown();
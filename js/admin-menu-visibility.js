@@ -1,11 +1,10 @@
 // Admin menu visibility controller
-// Hides admin links unless the current user is the configured admin.
+// Hides admin links unless the current user has the admin role (see js/roles.js).
 (function(){
-  const ADMIN_EMAIL = 'info@indiannaturalhair.com';
   const INIT_WAIT_MS = 12000;
 
-  function isAdminEmail(email){
-    try { return String(email || '').trim().toLowerCase() === ADMIN_EMAIL; } catch(_) { return false; }
+  function isAdminRole(role){
+    try { return !!(window.INHRoles && window.INHRoles.isAdminRole(role)); } catch(_) { return false; }
   }
 
   function getAdminLinkElements(){
@@ -65,24 +64,25 @@
     try {
       if (!window.firebase || !firebase.auth) return false;
       // Listen for auth state changes and update visibility
-      firebase.auth().onAuthStateChanged(u => {
-        try { applyVisibility(isAdminEmail(u?.email)); } catch(_) {}
+      firebase.auth().onAuthStateChanged(async u => {
+        try { applyVisibility(isAdminRole(await window.INHRoles.roleForFirebaseUser(u))); } catch(_) {}
       });
       // Also apply immediately if current user is available
       try {
         const u = firebase.auth().currentUser;
-        if (u && u.email) applyVisibility(isAdminEmail(u.email));
+        if (u) window.INHRoles.roleForFirebaseUser(u).then(role => applyVisibility(isAdminRole(role))).catch(() => {});
       } catch(_) {}
       return true;
     } catch(_) { return false; }
   }
 
-  async function resolveCurrentUserEmail(){
-    // Prefer Firebase auth if present
+  async function resolveCurrentUserRole(){
+    // Prefer the role claim on the Firebase ID token
     try {
-      if (window.firebase && firebase.auth) {
+      if (window.firebase && firebase.auth && window.INHRoles) {
         const user = firebase.auth().currentUser;
-        if (user && user.email) return user.email;
+        const role = await window.INHRoles.roleForFirebaseUser(user);
+        if (role) return role;
       }
     } catch(_) {}
 
@@ -90,7 +90,7 @@
     try {
       if (window.sessionHelper && typeof window.sessionHelper.check === 'function') {
         const me = await window.sessionHelper.check({ force: true });
-        if (me && me.email) return me.email;
+        if (me && me.role) return me.role;
       }
     } catch(_) {}
 
@@ -112,8 +112,8 @@
 
     // Apply visibility based on current info
     try {
-      const email = await resolveCurrentUserEmail();
-      applyVisibility(isAdminEmail(email));
+      const role = await resolveCurrentUserRole();
+      applyVisibility(isAdminRole(role));
     } catch(_) {}
 
     // As a final fallback, retry listener attachment shortly
@@ -121,8 +121,8 @@
       setTimeout(async () => {
         try {
           const ok = attachAuthListener();
-          const email2 = await resolveCurrentUserEmail();
-          applyVisibility(isAdminEmail(email2));
+          const role2 = await resolveCurrentUserRole();
+          applyVisibility(isAdminRole(role2));
         } catch(_) {}
       }, 1000);
     }
@@ -15,7 +15,7 @@ class APIClient {
         // Collection endpoints mapping
         this.endpoints = {
             products: '/api/products',
-            clients: '/api/clients', 
+            clients: '/api/firestore/clients',
             salespeople: '/api/salespeople',
             colors: '/api/colors',
             styles: '/api/styles',
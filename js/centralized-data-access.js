@@ -263,7 +263,7 @@ class CentralizedDataAccess {
             
             // Map collection names to server endpoints
             const endpointMap = {
-                'clients': '/api/clients',
+                'clients': '/api/firestore/clients',
                 'products': '/api/products', 
                 'salespeople': '/api/salespeople',
                 'colors': '/api/colors',
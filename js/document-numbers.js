@@ -0,0 +1,91 @@
+/**
+ * Document Numbers
+ * Browser side of the server numbering service (numbering-service.js): asks
+ * POST /api/numbers/:series for the next quote, proforma, order or MO number.
+ * Numbers are gap-free only if they are reserved when the document is saved,
+ * so call reserve() from save handlers, not when a form opens.
+ *
+ * Offline, a number is the page's own format made device-unique (see
+ * deviceUnique). Orders saved that way are flagged provisionalNumber and the
+ * server renumbers them when they sync. Quotes and MOs are not renumbered:
+ * they keep the device number, which is unique as long as no two devices draw
+ * the same four-character tag, and is outside the numbering service's sequence.
+ */
+
+(function () {
+    const DEVICE_KEY = 'inhDeviceTag';
+    const SEQUENCE_KEY = 'inhOfflineNumberSeq';
+
+    /**
+     * Short random tag of this browser, kept in localStorage, so numbers made
+     * on different devices while offline cannot clash.
+     */
+    function deviceTag() {
+        let tag = localStorage.getItem(DEVICE_KEY);
+        if (!tag) {
+            tag = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+            localStorage.setItem(DEVICE_KEY, tag);
+        }
+        return tag;
+    }
+
+    // Per-device counter, so two numbers made on one device in the same minute differ
+    function nextSequence() {
+        const seq = (parseInt(localStorage.getItem(SEQUENCE_KEY), 10) || 0) + 1;
+        localStorage.setItem(SEQUENCE_KEY, String(seq));
+        return seq;
+    }
+
+    /**
+     * A number that is unique without the server: `base` with this device's tag
+     * and sequence appended (INH-20261019-1200-K7Q3-5).
+     */
+    function deviceUnique(base) {
+        return `${base}-${deviceTag()}-${nextSequence()}`;
+    }
+
+    // True for a number deviceUnique() made on this device
+    function isDeviceNumber(number) {
+        return new RegExp(`-${deviceTag()}-\\d+$`).test(String(number || ''));
+    }
+
+    /**
+     * Next number of `series`. Only when the numbering service cannot be
+     * reached at all (no network, or static hosting without /api, where the
+     * path is a 404 or the hosting's HTML page) is the page's generator
+     * `fallback()` used, made device-unique. Anything the server refuses
+     * (signed out, no permission, server error) throws.
+     */
+    async function reserve(series, fallback) {
+        let response;
+        try {
+            response = await fetch(`/api/numbers/${encodeURIComponent(series)}`, {
+                method: 'POST',
+                credentials: 'same-origin'
+            });
+        } catch (error) {
+            console.warn(`[INHNumbers] Numbering service unreachable for ${series}:`, error.message);
+        }
+
+        // Firebase Hosting rewrites every path to a page, so a non-JSON answer is not the service
+        const fromService = response && /\bjson\b/i.test(response.headers.get('content-type') || '');
+        if (response && !fromService) {
+            console.warn(`[INHNumbers] No numbering service behind /api/numbers (HTTP ${response.status}, ${response.headers.get('content-type') || 'no content type'})`);
+        }
+
+        if (fromService && response.status !== 404 && response.status !== 405) {
+            const data = await response.json().catch(() => null);
+            if (response.ok && data && data.success && data.number) return data.number;
+            if (response.status === 401) throw new Error(`Sign in again to get a ${series} number`);
+            if (response.status === 403) throw new Error(`You do not have permission to issue ${series} numbers`);
+            throw new Error(`Could not get a ${series} number: ${(data && data.error) || `HTTP ${response.status}`}`);
+        }
+
+        if (typeof fallback !== 'function') throw new Error(`Could not get a ${series} number`);
+        const number = deviceUnique(fallback());
+        console.warn(`[INHNumbers] Numbering service unavailable; using ${number} for ${series}`);
+        return number;
+    }
+
+    window.INHNumbers = { reserve, deviceTag, deviceUnique, isDeviceNumber };
+})();
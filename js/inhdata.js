@@ -1,14 +1,16 @@
 /* INHDATA: Local-first data layer with bidirectional Firestore sync
  * - IndexedDB-backed local storage for fast, low-latency reads
  * - Two-way synchronization with Firestore
+ * - Outbox (syncQueue) of local writes, replayed in order once Firestore is reachable;
+ *   a write whose document changed in the cloud meanwhile is held as a conflict
  * - Single source of truth for dropdowns, pricing, and catalog data
  * - Validation, conflict resolution, referential integrity, and metrics
  */
 
 (function(global){
   const DB_NAME = 'INHDATA';
-  const DB_VERSION = 3;
-  const STORES = ['meta','products','salesmen','colors','styles','company','quotes','clients','syncQueue'];
+  const DB_VERSION = 4;
+  const STORES = ['meta','products','salesmen','colors','styles','company','quotes','clients','orders','syncQueue'];
 
   // Utility: simple event bus per collection
   const listeners = new Map();
@@ -148,6 +150,18 @@
     });
   }
 
+  async function idbGet(db, store, id){
+    return new Promise((resolve, reject) => {
+      try {
+        const tx = db.transaction(store, 'readonly');
+        const os = tx.objectStore(store);
+        const req = os.get(id);
+        req.onsuccess = () => { metrics.localReads++; resolve(req.result || null); };
+        req.onerror = () => reject(req.error);
+      } catch (e) { reject(e); }
+    });
+  }
+
   async function idbDelete(db, store, id){
     return new Promise((resolve, reject) => {
       try {
@@ -168,6 +182,71 @@
     return ru >= lu ? { ...localDoc, ...remoteDoc } : localDoc;
   }
 
+  // Outbox helpers. A document's version is its remote updatedAt in ms (0 when it has none);
+  // local copies keep the version they were last synced with in _remoteVersion (null: never synced).
+  function versionOf(updatedAt){
+    if (!updatedAt) return 0;
+    if (typeof updatedAt.toMillis === 'function') return updatedAt.toMillis();
+    const ms = typeof updatedAt === 'number' ? updatedAt : Date.parse(updatedAt);
+    return Number.isFinite(ms) ? ms : 0;
+  }
+
+  // Queue keys sort in the order writes were made, across page loads
+  let outboxSeq = 0;
+  const OUTBOX_KEY = /^\d{15}-\d{6}$/;
+  function outboxKey(){
+    outboxSeq = (outboxSeq + 1) % 1000000;
+    return `${String(Date.now()).padStart(15, '0')}-${String(outboxSeq).padStart(6, '0')}`;
+  }
+
+  // Older versions keyed queue entries collection:docId, which sorts after every
+  // time-ordered key, so those writes would replay after newer ones to the same
+  // document. They are re-keyed by the time they were queued, oldest first, in one
+  // transaction when the database is opened (a no-op once none are left).
+  function migrateOutboxKeys(db){
+    return new Promise((resolve) => {
+      try {
+        if (!db.objectStoreNames.contains('syncQueue')) return resolve(db);
+        const tx = db.transaction('syncQueue', 'readwrite');
+        const store = tx.objectStore('syncQueue');
+        const req = store.getAll();
+        req.onsuccess = () => {
+          const legacy = (req.result || [])
+            .filter(item => !OUTBOX_KEY.test(String(item.id)))
+            .sort((a, b) => (a.queuedAt || a.updatedAt || 0) - (b.queuedAt || b.updatedAt || 0));
+          legacy.forEach((item, idx) => {
+            const queuedAt = item.queuedAt || item.updatedAt || 0;
+            store.delete(item.id);
+            // No baseVersion: written as they are, like entries queued before versions were kept
+            store.put({
+              ...item,
+              id: `${String(queuedAt).padStart(15, '0')}-${String(idx).padStart(6, '0')}`,
+              docId: item.docId || (item.payload && item.payload.id),
+              queuedAt,
+              attempts: item.attempts || 0,
+              lastError: item.lastError || null,
+              conflict: item.conflict || null
+            });
+          });
+        };
+        tx.oncomplete = () => resolve(db);
+        tx.onerror = () => {
+          console.warn('[INHDATA] Outbox key migration failed:', tx.error && tx.error.message);
+          resolve(db);
+        };
+      } catch (e) {
+        console.warn('[INHDATA] Outbox key migration failed:', e.message);
+        resolve(db);
+      }
+    });
+  }
+
+  // Local bookkeeping fields are not written to Firestore
+  function remotePayload(doc){
+    const { _origin, _remoteVersion, ...data } = doc;
+    return data;
+  }
+
   // Validation
   function ensureValidDoc(collection, doc){
     if (!doc || typeof doc !== 'object') throw new Error(`Invalid ${collection} document`);
@@ -210,43 +289,59 @@
     initialized: false,
     remoteEnabled: true,
     syncIntervalId: null,
+    _flushing: false,
+    _connecting: false,
 
   async initialize(){
       if (this.initialized) return;
-      this.db = await openDB();
-      // Disable remote sync entirely when user is not authenticated to avoid permission errors
+      this.db = await migrateOutboxKeys(await openDB());
+      const connected = await this._connectRemote();
+      if (!connected) {
+        // Emit existing local caches so UI can render without remote
+        try {
+          emit('products', await idbGetAll(this.db, 'products'));
+          emit('salesmen', await idbGetAll(this.db, 'salesmen'));
+          emit('colors', await idbGetAll(this.db, 'colors'));
+          emit('styles', await idbGetAll(this.db, 'styles'));
+          emit('company', await idbGetAll(this.db, 'company'));
+          emit('quotes', await idbGetAll(this.db, 'quotes'));
+          emit('clients', await idbGetAll(this.db, 'clients'));
+          emit('orders', await idbGetAll(this.db, 'orders'));
+        } catch (_) {}
+      }
+      // Runs whether or not Firestore is reachable yet: it connects once the user is signed in
+      this._startSyncLoop();
+      this.initialized = true;
+    },
+
+    // Connect to Firestore, prime the local stores and subscribe. Remote sync stays off while
+    // the user is not signed in (to avoid permission errors) or Firestore cannot be started;
+    // the sync loop calls this again until it succeeds. True once connected.
+    async _connectRemote(){
+      if (this.fs) return this.remoteEnabled;
+      if (this._connecting || metrics.permissionDenied) return false;
+      const authed = !!(global.firebase && global.firebase.auth && global.firebase.auth().currentUser);
+      if (!authed) {
+        this.remoteEnabled = false;
+        metrics.remoteEnabled = false;
+        return false;
+      }
+      this._connecting = true;
       try {
-        const authed = !!(global.firebase && global.firebase.auth && global.firebase.auth().currentUser);
-        if (!authed) {
+        try {
+          this.fs = getFirestore();
+        } catch (e) {
           this.fs = null;
           this.remoteEnabled = false;
-          metrics.permissionDenied = false;
           metrics.remoteEnabled = false;
-          // Emit existing local caches so UI can render without remote
-          try {
-            emit('products', await idbGetAll(this.db, 'products'));
-            emit('salesmen', await idbGetAll(this.db, 'salesmen'));
-            emit('colors', await idbGetAll(this.db, 'colors'));
-            emit('styles', await idbGetAll(this.db, 'styles'));
-            emit('company', await idbGetAll(this.db, 'company'));
-            emit('quotes', await idbGetAll(this.db, 'quotes'));
-            emit('clients', await idbGetAll(this.db, 'clients'));
-          } catch (_) {}
-          return;
+          if (metrics.lastSyncError !== e.message) console.warn('[INHDATA] Firestore init failed, suspending remote:', e.message);
+          metrics.lastSyncError = e.message;
+          return false;
         }
-      } catch (_) {}
-      // Try to initialize Firestore; if it fails or permissions are missing, disable remote
-      try {
-        this.fs = getFirestore();
-      } catch (e) {
-        this.fs = null;
-        this.remoteEnabled = false;
-        metrics.lastSyncError = e.message;
-        console.warn('[INHDATA] Firestore init failed, suspending remote:', e.message);
-      }
-      // Initial remote-to-local sync for key collections
-      if (this.fs && this.remoteEnabled) {
-        await this._primeFromRemote(['products','salesmen','colors','styles','company','quotes','clients']);
+        this.remoteEnabled = true;
+        metrics.remoteEnabled = true;
+        // Initial remote-to-local sync for key collections
+        await this._primeFromRemote(['products','salesmen','colors','styles','company','quotes','clients','orders']);
         // Start realtime subscriptions
         await this._subscribeRemote('products');
         await this._subscribeRemote('salesmen');
@@ -255,23 +350,13 @@
         await this._subscribeRemote('company');
         await this._subscribeRemote('quotes');
         await this._subscribeRemote('clients');
+        await this._subscribeRemote('orders');
         // Ensure derived salesmen names are available after initial prime
         try { await this._updateSalesmenNamesMeta(); } catch (_) {}
-        // Start outbound sync loop
-        this._startSyncLoop();
-      } else {
-        // Emit existing local caches so UI can render without remote
-        try {
-          emit('products', await idbGetAll(this.db, 'products'));
-          emit('salesmen', await idbGetAll(this.db, 'salesmen'));
-          emit('colors', await idbGetAll(this.db, 'colors'));
-          emit('styles', await idbGetAll(this.db, 'styles'));
-          emit('company', await idbGetAll(this.db, 'company'));
-          emit('quotes', await idbGetAll(this.db, 'quotes'));
-          emit('clients', await idbGetAll(this.db, 'clients'));
-        } catch (_) {}
+        return this.remoteEnabled;
+      } finally {
+        this._connecting = false;
       }
-      this.initialized = true;
     },
 
     // Map local store names to canonical Firestore collection names
@@ -294,7 +379,7 @@
           let docs = snap.docs.map(d => {
             const data = d.data() || {};
             const id = d.id;
-            return ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote' });
+            return ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote', _remoteVersion: versionOf(data.updatedAt) });
           });
           // Fallback to legacy non-prefixed collections when primary is empty for colors/styles
           if ((docs.length === 0) && (col === 'colors' || col === 'styles')) {
@@ -304,7 +389,7 @@
               docs = legacySnap.docs.map(d => {
                 const data = d.data() || {};
                 const id = d.id;
-                return ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote' });
+                return ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote', _remoteVersion: versionOf(data.updatedAt) });
               });
               if (docs.length > 0) {
                 console.info(`[INHDATA] Using legacy '${col}' collection as fallback`);
@@ -338,7 +423,7 @@
             const changes = snapshot.docChanges();
             for (const change of changes) {
               const d = change.doc; const data = d.data() || {}; const id = d.id;
-              const incoming = ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote' });
+              const incoming = ensureValidDoc(col, { id, ...data, updatedAt: data.updatedAt || Date.now(), _origin: 'remote', _remoteVersion: versionOf(data.updatedAt) });
               // Merge with local if exists
               const existingArr = await idbGetAll(this.db, col);
               const existing = existingArr.find(x => x.id === id);
@@ -382,67 +467,192 @@
 
     async upsert(collection, doc){
       try { this.db = await ensureStore(this.db, collection); } catch (_) {}
-      const valid = ensureValidDoc(collection, { ...doc, _origin: 'local' });
+      const existing = doc && doc.id ? await idbGet(this.db, collection, doc.id) : null;
+      // The write builds on the version the local copy was last synced with
+      const baseVersion = existing && existing._remoteVersion !== undefined ? existing._remoteVersion : null;
+      const valid = ensureValidDoc(collection, { ...doc, _origin: 'local', _remoteVersion: baseVersion });
       await ensureReferentialIntegrity(this.db, collection, valid);
       await idbPut(this.db, collection, valid);
-      await this._enqueueSync(collection, valid);
+      await this._enqueueSync(collection, valid, baseVersion);
       emit(collection, await idbGetAll(this.db, collection));
       return valid;
     },
 
     async remove(collection, id){
       try { this.db = await ensureStore(this.db, collection); } catch (_) {}
+      const existing = await idbGet(this.db, collection, id);
       await idbDelete(this.db, collection, id);
       emit(collection, await idbGetAll(this.db, collection));
-      await this._enqueueSync(collection, { id, _delete: true, updatedAt: Date.now() });
+      const baseVersion = existing && existing._remoteVersion !== undefined ? existing._remoteVersion : null;
+      await this._enqueueSync(collection, { id, _delete: true, updatedAt: Date.now() }, baseVersion);
+    },
+
+    // Queue a new document for a collection kept only in Firestore;
+    // it gets a client-generated id when it has none
+    async enqueue(collection, doc){
+      const valid = ensureValidDoc(collection, { ...doc });
+      await this._enqueueSync(collection, valid, null);
+      return valid;
+    },
+
+    // Queued writes, oldest first: { id, collection, docId, payload, baseVersion, queuedAt,
+    // attempts, lastError, conflict: { remote, remoteVersion, detectedAt } | null }
+    async outbox(){
+      try { this.db = await ensureStore(this.db, 'syncQueue'); } catch (_) {}
+      return idbGetAll(this.db, 'syncQueue');
+    },
+
+    // Settle a held write: keep 'local' replays it over the cloud version, keep 'remote'
+    // drops it and takes the cloud version (or the deletion) into the local store
+    async resolveOutboxEntry(entryId, keep){
+      const item = await idbGet(this.db, 'syncQueue', entryId);
+      if (!item) return;
+      const conflict = item.conflict;
+      const hasStore = STORES.includes(item.collection);
+
+      if (keep === 'local') {
+        item.conflict = null;
+        item.lastError = null;
+        if (conflict) item.baseVersion = conflict.remoteVersion;
+        await idbPut(this.db, 'syncQueue', item);
+        if (hasStore && !item.payload._delete) {
+          await idbPut(this.db, item.collection, { ...item.payload, _remoteVersion: item.baseVersion });
+        }
+      } else {
+        await idbDelete(this.db, 'syncQueue', item.id);
+        if (hasStore && conflict) {
+          if (conflict.remote) {
+            await idbPut(this.db, item.collection, ensureValidDoc(item.collection, { ...conflict.remote, _origin: 'remote', _remoteVersion: conflict.remoteVersion }));
+          } else {
+            await idbDelete(this.db, item.collection, item.docId);
+          }
+        }
+      }
+      if (hasStore) emit(item.collection, await idbGetAll(this.db, item.collection));
+      emit('syncQueue', await idbGetAll(this.db, 'syncQueue'));
+      this._flushOutbox();
     },
 
-    async _enqueueSync(collection, doc){
+    async _enqueueSync(collection, doc, baseVersion){
       try {
         try { this.db = await ensureStore(this.db, 'syncQueue'); } catch (_) {}
-        const item = { id: `${collection}:${doc.id}`, collection, payload: doc, updatedAt: Date.now() };
+        const item = {
+          id: outboxKey(),
+          collection,
+          docId: doc.id,
+          payload: doc,
+          baseVersion: baseVersion === undefined ? null : baseVersion,
+          queuedAt: Date.now(),
+          attempts: 0,
+          lastError: null,
+          conflict: null
+        };
         await idbPut(this.db, 'syncQueue', item);
+        emit('syncQueue', await idbGetAll(this.db, 'syncQueue'));
       } catch (e) {
         console.error('[INHDATA] Enqueue sync failed:', e.message);
       }
     },
 
-    _startSyncLoop(){
-      const run = async () => {
-        try {
-          const queueItems = await idbGetAll(this.db, 'syncQueue');
-          for (const item of queueItems) {
-            const { collection, payload } = item;
-            try {
-              if (payload && payload._delete) {
-                const remoteCol = this._getRemoteCollectionName(collection);
-                await this.fs.collection(remoteCol).doc(payload.id).delete();
-              } else {
-                const remoteCol = this._getRemoteCollectionName(collection);
-                await this.fs.collection(remoteCol).doc(payload.id).set(payload, { merge: true });
+    // Replay the outbox in queue order. Before each write the cloud version is compared with
+    // the one the write was based on; on a mismatch the entry is held as a conflict and later
+    // writes to that document wait. Any other failure stops the run so order is kept.
+    async _flushOutbox(){
+      if (this._flushing || !this.fs || !this.remoteEnabled) return;
+      if (global.navigator && global.navigator.onLine === false) return;
+      this._flushing = true;
+      let changed = false;
+      let conflicts = 0;
+      try {
+        const queue = await idbGetAll(this.db, 'syncQueue');
+        const held = new Set();
+        for (let i = 0; i < queue.length; i++) {
+          const item = queue[i];
+          const { collection, payload } = item;
+          const docId = item.docId || (payload && payload.id);
+          const key = `${collection}/${docId}`;
+          if (held.has(key)) continue;
+          if (item.conflict) { held.add(key); continue; }
+          try {
+            const ref = this.fs.collection(this._getRemoteCollectionName(collection)).doc(docId);
+            // Entries queued before the outbox kept versions are written as they are; the others
+            // compare versions and write in one transaction, so no cloud write can land in between
+            if (item.baseVersion === undefined) {
+              await (payload && payload._delete ? ref.delete() : ref.set(remotePayload(payload), { merge: true }));
+            } else {
+              const conflict = await this.fs.runTransaction(async (tx) => {
+                const snap = await tx.get(ref);
+                const remoteVersion = snap.exists ? versionOf((snap.data() || {}).updatedAt) : null;
+                const clash = snap.exists
+                  ? (item.baseVersion === null || remoteVersion !== item.baseVersion)
+                  : item.baseVersion !== null;
+                if (clash) return { remote: snap.exists ? { id: docId, ...snap.data() } : null, remoteVersion, detectedAt: Date.now() };
+                if (payload && payload._delete) tx.delete(ref);
+                else tx.set(ref, remotePayload(payload), { merge: true });
+                return null;
+              });
+              if (conflict) {
+                item.conflict = conflict;
+                await idbPut(this.db, 'syncQueue', item);
+                held.add(key);
+                conflicts++;
+                changed = true;
+                continue;
               }
-              metrics.remoteWrites++;
-              // remove from queue
-              await idbDelete(this.db, 'syncQueue', item.id);
-            } catch (e) {
-              metrics.lastSyncError = e.message;
-              // leave in queue; will retry next tick
-              console.warn(`[INHDATA] Sync failed for ${collection}/${payload && payload.id}:`, e.message);
-              if (isPermissionDenied(e)) {
-                this._handlePermissionDenied('sync', collection, e);
-                return; // exit run early when disabled
+            }
+            metrics.remoteWrites++;
+            await idbDelete(this.db, 'syncQueue', item.id);
+            changed = true;
+
+            // Later writes to the document, including any queued during this run, build on this one
+            const version = payload && payload._delete ? null : versionOf(payload.updatedAt);
+            for (const later of await idbGetAll(this.db, 'syncQueue')) {
+              if (later.collection === collection && (later.docId || (later.payload && later.payload.id)) === docId && !later.conflict) {
+                later.baseVersion = version;
+                await idbPut(this.db, 'syncQueue', later);
+                const queued = queue.find(q => q.id === later.id);
+                if (queued) queued.baseVersion = version;
               }
             }
+            if (STORES.includes(collection) && !(payload && payload._delete)) {
+              const local = await idbGet(this.db, collection, docId);
+              if (local) await idbPut(this.db, collection, { ...local, _remoteVersion: version });
+            }
+          } catch (e) {
+            metrics.lastSyncError = e.message;
+            item.attempts = (item.attempts || 0) + 1;
+            item.lastError = e.message;
+            try { await idbPut(this.db, 'syncQueue', item); } catch (_) {}
+            changed = true;
+            // leave in queue; will retry next tick
+            console.warn(`[INHDATA] Sync failed for ${collection}/${docId}:`, e.message);
+            if (isPermissionDenied(e)) {
+              this._handlePermissionDenied('sync', collection, e);
+            }
+            break;
           }
-        } catch (e) {
-          metrics.lastSyncError = e.message;
-          console.warn('[INHDATA] Sync loop error:', e.message);
         }
+      } catch (e) {
+        metrics.lastSyncError = e.message;
+        console.warn('[INHDATA] Sync loop error:', e.message);
+      } finally {
+        this._flushing = false;
+      }
+      if (changed) emit('syncQueue', await idbGetAll(this.db, 'syncQueue'));
+      if (conflicts) emit('outboxConflict', { count: conflicts });
+    },
+
+    _startSyncLoop(){
+      // low-latency periodic sync, and straight away when the connection comes back;
+      // each tick first connects to Firestore if that has not happened yet
+      if (this.syncIntervalId) return;
+      const tick = async () => {
+        if (!this.fs) await this._connectRemote();
+        this._flushOutbox();
       };
-      // low-latency periodic sync
-      if (!this.fs || !this.remoteEnabled) return;
-      run();
-      this.syncIntervalId = global.setInterval(run, 3000);
+      tick();
+      this.syncIntervalId = global.setInterval(tick, 3000);
+      global.addEventListener('online', tick);
     },
 
     async _handlePermissionDenied(context, col, err){
@@ -476,6 +686,7 @@
           emit('company', await idbGetAll(this.db, 'company'));
           emit('quotes', await idbGetAll(this.db, 'quotes'));
           emit('clients', await idbGetAll(this.db, 'clients'));
+          emit('orders', await idbGetAll(this.db, 'orders'));
         } catch (_) {}
       } catch (_) {}
     },
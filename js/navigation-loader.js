@@ -22,6 +22,7 @@
             { name: 'Orders', icon: 'fa-list', href: '/orders.html' },
             { name: 'Order List', icon: 'fa-table-list', href: '/order-list.html' },
             { name: 'Order Entry', icon: 'fa-file-signature', href: '/order-entry.html' },
+            { name: 'Quote Analytics', icon: 'fa-chart-line', href: '/quote-analytics.html' },
             { name: 'Product Configurator', icon: 'fa-cogs', href: '/product-configurator.html' },
             { name: 'Ratio Mixer', icon: 'fa-balance-scale', href: '/inh-ratio-mix/index.html' },
             { name: 'Manufacturing Order', icon: 'fa-industry', href: '/raw-manufacturing-order.html' },
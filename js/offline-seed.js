@@ -84,7 +84,7 @@
       try {
         const clientsLocal = await INHDATA.getAll('clients');
         if (!Array.isArray(clientsLocal) || clientsLocal.length === 0) {
-          const clientsRemote = await safeFetchJson('http://localhost:3000/api/clients');
+          const clientsRemote = await safeFetchJson('http://localhost:3000/api/firestore/clients');
           if (clientsRemote.length > 0) {
             for (const cl of clientsRemote) {
               const name =
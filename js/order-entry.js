@@ -1,14 +1,25 @@
 document.addEventListener('DOMContentLoaded', () => {
     
-    // DB Keys
-    const DB_KEY = 'inhOrderListDB';
+    // DB Keys (orders themselves are in the INHDATA orders store, shared with the order list)
     const RATIO_MIXER_DB_KEY = 'hairRatioDB';
     const CLIENTS_DB_KEY = 'inhClientsDB';
     const PRODUCTS_DB_KEY = 'inhProductListsDB';
 
+    // Columns an order from this form fills, in the order list's terms
+    const ORDER_COLUMNS = [
+        "Order Date", "Order Status", "Delivered Date", "Order Number",
+        "Client Name", "Contact", "Country", "State", "Price List", "Length",
+        "Product", "Product Type", "Style", "Color", "Weight", "Comment",
+        "Quantity", "Currency", "Rate", "Amount", "Exchange Rate",
+        "Base Amount", "Assigned To", "Sales Person", "HSN", "Tax Rate", "Tax Amount"
+    ];
+
     let currentClientPricelist = "";
     let clientsDb = [];
     let productsDb = [];
+    let orders = [];
+    // GST settings (js/tax-engine.js); defaults until data/ has loaded
+    let taxSettings = { config: null, seller: {} };
     
     // Datalists Setup
     const datalistFields = [
@@ -24,6 +35,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const addItemBtn = document.getElementById('addItemBtn');
     const orderForm = document.getElementById('orderForm');
     const totalAmountDisplay = document.getElementById('totalAmountDisplay');
+    const grandTotalDisplay = document.getElementById('grandTotalDisplay');
+    const taxBreakdownDisplay = document.getElementById('taxBreakdownDisplay');
+    const taxNoteDisplay = document.getElementById('taxNoteDisplay');
     const resetBtn = document.getElementById('resetBtn');
 
     // Modals
@@ -75,16 +89,11 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Initialize Datalists from Order DB
+    // Initialize Datalists from the orders store
     function populateDatalists() {
         datalistContainer.innerHTML = '';
 
-        let savedData = null;
-        try {
-            savedData = JSON.parse(localStorage.getItem(DB_KEY));
-        } catch(e) {}
-
-        const dbRows = savedData && savedData.rows ? savedData.rows : [];
+        const dbRows = orders.flatMap(order => INHOrderRows.rowsFromOrder(order, ORDER_COLUMNS));
 
         // Simple mapping from safe name to actual Column Name
         const mapToCol = {
@@ -102,6 +111,9 @@ document.addEventListener('DOMContentLoaded', () => {
             datalist.id = 'list-' + field;
             
             const uniqueVals = new Set();
+            if (field === "OrderStatus") {
+                INHOrderLifecycle.STATES.forEach(state => uniqueVals.add(INHOrderLifecycle.LABELS[state]));
+            }
             dbRows.forEach(r => {
                 if (r[actualColName] && typeof r[actualColName] === 'string' && r[actualColName].trim() !== '') {
                     uniqueVals.add(r[actualColName].trim());
@@ -324,21 +336,52 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    const formatAmount = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    // GST on the item rows: the row's Type picks the HSN code, the header's country,
+    // state/GSTIN and LUT box pick CGST + SGST, IGST or a zero-rated export
+    function computeOrderTax() {
+        const rows = [...document.querySelectorAll('.item-row')];
+        return INHTax.computeTax({
+            lines: rows.map(tr => ({
+                category: tr.querySelector('.i-type').value.trim(),
+                amount: parseFloat(tr.querySelector('.i-amount').value) || 0
+            })),
+            seller: taxSettings.seller,
+            buyer: {
+                state: document.getElementById('h-state').value,
+                gstin: document.getElementById('h-state').value,
+                country: document.getElementById('h-country').value
+            },
+            date: document.getElementById('h-order-date').value,
+            exportUnderLut: document.getElementById('h-lut').checked,
+            config: taxSettings.config
+        });
+    }
+
     function calculateTotal() {
         let total = 0;
         document.querySelectorAll('.i-amount').forEach(inp => {
             const val = parseFloat(inp.value) || 0;
             total += val;
         });
-        totalAmountDisplay.textContent = total.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const tax = computeOrderTax();
+        totalAmountDisplay.textContent = formatAmount(total);
+        taxBreakdownDisplay.innerHTML = tax.breakdown.map(t => `<div>${t.label} ${t.rate}%: ${formatAmount(t.amount)}</div>`).join('');
+        taxNoteDisplay.textContent = total > 0 ? tax.note : '';
+        grandTotalDisplay.textContent = formatAmount(total + tax.taxAmount);
     }
 
     // Submit Logic
-    orderForm.addEventListener('submit', (e) => {
+    orderForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const orderNum = document.getElementById('h-order-num').value.trim();
         if (!orderNum) return alert('Order Number is required.');
+        const statusText = document.getElementById('h-status').value.trim();
+        if (statusText && !INHOrderLifecycle.parseStatus(statusText)) {
+            return alert(`"${statusText}" is not an order status. Use one of: ${INHOrderLifecycle.STATES.map(s => INHOrderLifecycle.LABELS[s]).join(', ')}.`);
+        }
 
         // Gather Header Data
         const headerData = {
@@ -348,6 +391,7 @@ document.addEventListener('DOMContentLoaded', () => {
             "Order Status": document.getElementById('h-status').value,
             "Contact": document.getElementById('h-contact').value,
             "Country": document.getElementById('h-country').value,
+            "State": document.getElementById('h-state').value,
             "Currency": document.getElementById('h-currency').value,
             "Exchange Rate": document.getElementById('h-ex-rate').value || "1",
             "Assigned To": document.getElementById('h-assigned').value,
@@ -356,10 +400,11 @@ document.addEventListener('DOMContentLoaded', () => {
         };
 
         const exRate = parseFloat(headerData["Exchange Rate"]) || 1;
+        const tax = computeOrderTax();
 
         // Gather Items Data
         const items = [];
-        document.querySelectorAll('.item-row').forEach(tr => {
+        document.querySelectorAll('.item-row').forEach((tr, rowIndex) => {
             const qty = tr.querySelector('.i-qty').value;
             const rate = tr.querySelector('.i-rate').value;
             const amt = parseFloat(tr.querySelector('.i-amount').value) || (parseFloat(qty||0) * parseFloat(rate||0)) || undefined;
@@ -381,9 +426,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 "Base Amount": baseAmt,
                 "Comment": tr.querySelector('.i-comment').value
             };
+            const taxLine = tax.lines[rowIndex];
 
             // Only add item if it has at least some actual content mapped
             const hasData = Object.values(itemData).some(v => v.trim() !== '');
+            if (hasData && amt) {
+                itemData["HSN"] = taxLine.hsn;
+                itemData["Tax Rate"] = String(taxLine.rate);
+                itemData["Tax Amount"] = (taxLine.taxable * taxLine.rate / 100).toFixed(2);
+            }
+
             if (hasData) {
                 items.push(itemData);
             }
@@ -401,32 +453,24 @@ document.addEventListener('DOMContentLoaded', () => {
             });
         }
 
-        // Save to Database
+        // Save to the orders store; an existing Order Number gets these lines added
         try {
-            let dbData = JSON.parse(localStorage.getItem(DB_KEY));
-            if (!dbData || !dbData.rows) {
-                // Initialize if doesn't exist
-                const defaultCols = [
-                    "Order Date", "Order Status", "Delivered Date", "Order Number", 
-                    "Client Name", "Contact", "Country", "Price List", "Length", 
-                    "Product", "Product Type", "Style", "Color", "Weight", "Comment", 
-                    "Quantity", "Currency", "Rate", "Amount", "Exchange Rate", 
-                    "Base Amount", "Assigned To", "Sales Person"
-                ];
-                dbData = { columns: [...defaultCols], rows: [] };
-            }
-
-            // We push the new rows to the END of the spreadsheet
-            dbData.rows = [...dbData.rows, ...finalRowsToInject];
+            const existing = orders.find(o => o.orderId === orderNum) || null;
+            const rows = existing ? [...INHOrderRows.rowsFromOrder(existing, ORDER_COLUMNS), ...finalRowsToInject] : finalRowsToInject;
+            const user = window.sessionHelper ? await window.sessionHelper.check().catch(() => null) : null;
+            const order = INHOrderLifecycle.start(INHOrderRows.orderFromRows(rows, ORDER_COLUMNS, existing), { user });
+            await INHDATA.upsert('orders', {
+                ...order,
+                createdAt: order.createdAt || new Date().toISOString(),
+                updatedAt: Date.now()
+            });
 
-            localStorage.setItem(DB_KEY, JSON.stringify(dbData));
-            
             // Show Success UI
             showSuccessModal();
 
         } catch (err) {
             console.error(err);
-            alert("Failed to save order to spreadsheet database.");
+            alert("Failed to save the order: " + err.message);
         }
     });
 
@@ -482,6 +526,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('c-country').value = existing.country || "";
                 document.getElementById('c-currency').value = existing.currency || "";
                 document.getElementById('c-pricelist').value = existing.pricelist || "";
+                document.getElementById('c-state').value = existing.state || "";
+                document.getElementById('c-gstin').value = existing.gstin || "";
             }
         }
         clientModal.classList.remove('hidden');
@@ -513,6 +559,8 @@ document.addEventListener('DOMContentLoaded', () => {
             country: document.getElementById('c-country').value.trim(),
             currency: document.getElementById('c-currency').value.trim(),
             pricelist: document.getElementById('c-pricelist').value.trim(),
+            state: document.getElementById('c-state').value.trim(),
+            gstin: document.getElementById('c-gstin').value.trim(),
         };
 
         if (!clientData.name) return;
@@ -545,6 +593,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (client) {
             if (client.contact) document.getElementById('h-contact').value = client.contact;
             if (client.country) document.getElementById('h-country').value = client.country;
+            if (client.gstin || client.state) document.getElementById('h-state').value = client.gstin || client.state;
             if (client.currency) document.getElementById('h-currency').value = client.currency;
             if (client.pricelist) {
                 currentClientPricelist = client.pricelist;
@@ -553,9 +602,18 @@ document.addEventListener('DOMContentLoaded', () => {
                     if(!el.value) el.value = currentClientPricelist;
                 });
             }
+            calculateTotal();
         }
     });
 
+    // Recalculate GST when the row type or the buyer's location changes
+    itemsBody.addEventListener('input', (e) => {
+        if (e.target.classList.contains('i-type')) calculateTotal();
+    });
+    ['h-country', 'h-state', 'h-lut', 'h-order-date'].forEach(id => {
+        document.getElementById(id).addEventListener('change', calculateTotal);
+    });
+
     // Init Page setup
     addItemBtn.addEventListener('click', renderItemRow);
     populateDatalists();
@@ -566,4 +624,27 @@ document.addEventListener('DOMContentLoaded', () => {
     renderItemRow();
     renderItemRow();
 
+    // Orders for the datalists, kept current as they sync
+    (async () => {
+        try {
+            try { if (typeof initializeFirebaseApp === 'function') await initializeFirebaseApp(); } catch (_) {}
+            await INHDATA.initialize();
+            INHDATA.subscribe('orders', (docs) => {
+                orders = Array.isArray(docs) ? docs : [];
+                populateDatalists();
+            });
+            orders = await INHDATA.getAll('orders');
+            populateDatalists();
+        } catch (e) {
+            console.error("Could not open the orders store", e);
+        }
+    })();
+
+    // LUT box starts ticked while the company's LUT is valid
+    INHTax.loadSettings().then(settings => {
+        taxSettings = settings;
+        document.getElementById('h-lut').checked = INHTax.lutValid(settings.seller.lut, document.getElementById('h-order-date').value);
+        calculateTotal();
+    });
+
 });
@@ -0,0 +1,379 @@
+/**
+ * Order Import
+ * Reads historical orders from CSV / XLSX exports into order list rows: source
+ * columns are mapped onto the sheet's columns, then every row is checked before
+ * anything is saved. Clients must be in the client list (inhClientsDB) and price
+ * lists in the ratio mixer's priceLists; rows that share an Order Number become
+ * one order, as in the sheet. Used by the order list's import wizard.
+ *
+ * Imported orders carry importId and importFile, which is how a whole import is
+ * found and undone on any device.
+ */
+
+(function () {
+    // Cells are compared and stored trimmed
+    const { trimmed: text } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    function orderRows() {
+        return typeof INHOrderRows !== 'undefined' ? INHOrderRows : require('./order-rows.js');
+    }
+
+    function lifecycle() {
+        return typeof INHOrderLifecycle !== 'undefined' ? INHOrderLifecycle : require('./order-lifecycle.js');
+    }
+
+    // Source headers seen in older spreadsheets, by normalised name
+    const HEADER_ALIASES = {
+        order: 'Order Number',
+        order_no: 'Order Number',
+        order_id: 'Order Number',
+        order_number: 'Order Number',
+        date: 'Order Date',
+        status: 'Order Status',
+        delivered: 'Delivered Date',
+        delivery_date: 'Delivered Date',
+        client: 'Client Name',
+        customer: 'Client Name',
+        customer_name: 'Client Name',
+        phone: 'Contact',
+        email: 'Contact',
+        pricelist: 'Price List',
+        product_name: 'Product',
+        item: 'Product',
+        category: 'Product Type',
+        colour: 'Color',
+        shade: 'Color',
+        weight_grams: 'Weight',
+        specifications: 'Comment',
+        notes: 'Comment',
+        remarks: 'Comment',
+        qty: 'Quantity',
+        price: 'Rate',
+        unit_price: 'Rate',
+        total: 'Amount',
+        line_total: 'Amount',
+        fx_rate: 'Exchange Rate',
+        salesman: 'Sales Person',
+        salesperson: 'Sales Person'
+    };
+
+    const DATE_COLUMNS = ['Order Date', 'Delivered Date'];
+    const NUMBER_COLUMNS = ['Quantity', 'Rate', 'Amount', 'Exchange Rate', 'Tax Rate', 'Tax Amount'];
+
+    // Filled in from the client record when the file leaves them empty
+    const CLIENT_COLUMNS = { 'Contact': 'contact', 'Country': 'country', 'State': 'state', 'Currency': 'currency', 'Price List': 'pricelist' };
+
+    // Days from 1899-12-30 (Excel's day 0) to 1970-01-01
+    const EXCEL_EPOCH_DAYS = 25569;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function normalise(header) {
+        return text(header).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    /**
+     * Rows of a CSV or TSV file as arrays of cell text. Quoted cells may hold the
+     * delimiter, doubled quotes and line breaks; the delimiter is a tab when the
+     * first line has more tabs than commas.
+     */
+    function parseCsv(source) {
+        const input = String(source || '').replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+            if (quoted) {
+                if (ch === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(c => text(c) !== ''));
+    }
+
+    /**
+     * { headers, records } from the rows of a file, the first row being the headers.
+     * Headers that are blank or repeated get a column letter or a number added.
+     */
+    function tableFromRows(rows) {
+        const [head = [], ...records] = rows || [];
+        const seen = {};
+        const headers = head.map((h, idx) => {
+            let name = text(h) || `Column ${String.fromCharCode(65 + (idx % 26))}`;
+            if (seen[name]) name = `${name} (${++seen[name]})`;
+            else seen[name] = 1;
+            return name;
+        });
+        return { headers, records: records.map(r => headers.map((_, idx) => (r[idx] === undefined || r[idx] === null ? '' : r[idx]))) };
+    }
+
+    /**
+     * Best guess of the sheet column for each source header: { header: column | '' }.
+     * Same name first, then a known alias; a sheet column is used once.
+     */
+    function guessMapping(headers, columns) {
+        const byName = new Map(columns.map(column => [normalise(column), column]));
+        const used = new Set();
+        const mapping = {};
+        headers.forEach(header => {
+            const key = normalise(header);
+            const column = byName.get(key) || HEADER_ALIASES[key] || '';
+            mapping[header] = column && columns.includes(column) && !used.has(column) ? column : '';
+            if (mapping[header]) used.add(mapping[header]);
+        });
+        return mapping;
+    }
+
+    /**
+     * YYYY-MM-DD for a date cell: ISO dates, DD/MM/YYYY or DD-MM-YYYY (the way the
+     * sheets are kept in India), Excel day numbers and Date objects; null when unreadable.
+     */
+    function normaliseDate(value) {
+        // Spreadsheet dates are local midnight, so the local calendar day is the one meant
+        if (value instanceof Date) {
+            if (isNaN(value)) return null;
+            return [value.getFullYear(), value.getMonth() + 1, value.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+        }
+        const t = text(value);
+        if (!t) return '';
+        let match = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        let y, m, d;
+        if (match) {
+            [, y, m, d] = match.map(Number);
+        } else if ((match = t.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+            [, d, m, y] = match.map(Number);
+        } else if (/^\d{5}(\.\d+)?$/.test(t)) {
+            return new Date((Math.floor(Number(t)) - EXCEL_EPOCH_DAYS) * DAY_MS).toISOString().slice(0, 10);
+        } else {
+            return null;
+        }
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    // '1,250.50', '₹ 1250.5', '$12' -> number; null when it is not one
+    function normaliseNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        const t = text(value).replace(/[,\s]/g, '').replace(/^[^\d.+-]+/, '');
+        if (!t) return '';
+        const n = Number(t);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    /**
+     * Sheet rows from the source records. mapping is { header: column }; defaults
+     * ({ column: value }) fill columns the file leaves empty, e.g. one Order
+     * Number for a file that is a single order. Each row keeps _source, its line
+     * in the file.
+     */
+    function mapRows(table, mapping, defaults = {}) {
+        return table.records.map((record, idx) => {
+            const row = { _source: idx + 2 };
+            table.headers.forEach((header, col) => {
+                const column = mapping[header];
+                const value = record[col];
+                if (column && text(value) !== '' && row[column] === undefined) row[column] = value instanceof Date ? value : text(value);
+            });
+            Object.keys(defaults).forEach(column => {
+                if (text(defaults[column]) && (row[column] === undefined || text(row[column]) === '')) row[column] = text(defaults[column]);
+            });
+            return row;
+        });
+    }
+
+    function findClient(clients, name) {
+        const key = text(name).toLowerCase();
+        return (clients || []).find(c => text(c.name || c.clientName).toLowerCase() === key) || null;
+    }
+
+    /**
+     * Checks the mapped rows and tidies their values (dates to YYYY-MM-DD, plain
+     * numbers, statuses by label, client details filled in). Returns one result
+     * per row, in file order: { row, line, errors, warnings }.
+     * context: { clients (inhClientsDB), priceLists (names), orderIds (Order Numbers
+     * already in the store) }
+     */
+    function validateRows(rows, context = {}) {
+        const priceLists = new Map((context.priceLists || []).map(name => [text(name).toLowerCase(), name]));
+        const taken = new Set((context.orderIds || []).map(id => text(id)));
+        const firstOfOrder = new Map();
+
+        return rows.map(source => {
+            const row = { ...source };
+            const errors = [];
+            const warnings = [];
+            const number = text(row['Order Number']);
+
+            if (!number) errors.push('No Order Number');
+            else if (taken.has(number)) errors.push(`Order ${number} is already in the order list`);
+
+            const clientName = text(row['Client Name']);
+            const client = clientName ? findClient(context.clients, clientName) : null;
+            if (!clientName) errors.push('No Client Name');
+            else if (!client) errors.push(`Unknown client "${clientName}": add them in order entry or the client list first`);
+            else {
+                row['Client Name'] = client.name || client.clientName;
+                Object.keys(CLIENT_COLUMNS).forEach(column => {
+                    if (!text(row[column]) && text(client[CLIENT_COLUMNS[column]])) row[column] = text(client[CLIENT_COLUMNS[column]]);
+                });
+            }
+
+            const priceList = text(row['Price List']);
+            if (priceList) {
+                if (priceLists.has(priceList.toLowerCase())) row['Price List'] = priceLists.get(priceList.toLowerCase());
+                else errors.push(`Unknown price list "${priceList}"`);
+            }
+
+            DATE_COLUMNS.forEach(column => {
+                if (row[column] === undefined) return;
+                const date = normaliseDate(row[column]);
+                if (date === null) errors.push(`${column} "${text(row[column])}" is not a date`);
+                else row[column] = date;
+            });
+            NUMBER_COLUMNS.forEach(column => {
+                if (row[column] === undefined) return;
+                const n = normaliseNumber(row[column]);
+                if (n === null || n < 0) errors.push(`${column} "${text(row[column])}" is not a number`);
+                else row[column] = String(n);
+            });
+
+            if (text(row['Order Status'])) {
+                const status = lifecycle().parseStatus(row['Order Status']);
+                if (status) row['Order Status'] = lifecycle().LABELS[status];
+                else errors.push(`"${text(row['Order Status'])}" is not an order status`);
+            }
+
+            const currency = text(row['Currency']).toUpperCase();
+            if (currency && !/^[A-Z]{3}$/.test(currency)) errors.push(`Invalid currency "${text(row['Currency'])}"`);
+            if (currency) row['Currency'] = currency;
+            if (currency && currency !== 'INR' && !text(row['Exchange Rate'])) warnings.push(`No exchange rate for ${currency}: Base Amount will be left out`);
+            if (!text(row['Product'])) warnings.push('No Product');
+
+            // Order fields come from an order's first row, as in the sheet
+            if (number && !firstOfOrder.has(number)) firstOfOrder.set(number, row);
+            const first = number && firstOfOrder.get(number);
+            if (first && first !== row) {
+                const differs = Object.keys(orderRows().ORDER_FIELDS)
+                    .filter(column => text(row[column]) && text(first[column]) && text(row[column]) !== text(first[column]));
+                if (differs.length) warnings.push(`${differs.join(', ')} differ from line ${first._source}; the first line's are used`);
+            }
+
+            return { row, line: source._source, errors, warnings };
+        });
+    }
+
+    /**
+     * Orders to save from validated rows, one per Order Number; an order with any
+     * row in error is left out and listed in skipped. Each order starts its
+     * lifecycle with a note naming the file, and records the import
+     * (importId, importFile) it came from.
+     * options: { columns, importId, fileName, user, now }
+     * Returns { orders, skipped: [Order Number] }.
+     */
+    function buildOrders(results, options) {
+        const grouped = new Map();
+        results.forEach(result => {
+            const number = text(result.row['Order Number']);
+            if (!number) return;
+            if (!grouped.has(number)) grouped.set(number, []);
+            grouped.get(number).push(result);
+        });
+
+        const orders = [];
+        const skipped = [];
+        const at = (options.now || new Date()).toISOString();
+        grouped.forEach((group, number) => {
+            if (group.some(result => result.errors.length)) {
+                skipped.push(number);
+                return;
+            }
+            const rows = group.map(result => {
+                const { _source, ...cells } = result.row;
+                return cells;
+            });
+            const order = orderRows().orderFromRows(rows, options.columns, null);
+            orders.push({
+                ...lifecycle().start(order, { user: options.user, now: options.now, note: `Imported from ${options.fileName || 'a file'}` }),
+                importId: options.importId,
+                importFile: options.fileName || '',
+                createdAt: at
+            });
+        });
+        return { orders, skipped };
+    }
+
+    /**
+     * The latest import still present in `orders`, from the importId the
+     * imported orders carry: { id, fileName, at, orders }, or null when none of
+     * the orders was imported.
+     */
+    function lastImport(orders) {
+        const imports = new Map();
+        (orders || []).forEach(order => {
+            if (!order || !order.importId) return;
+            if (!imports.has(order.importId)) {
+                imports.set(order.importId, {
+                    id: order.importId,
+                    fileName: order.importFile || 'a file',
+                    at: order.createdAt || null,
+                    orders: []
+                });
+            }
+            imports.get(order.importId).orders.push(order);
+        });
+        let last = null;
+        imports.forEach(entry => {
+            if (!last || text(entry.at) > text(last.at)) last = entry;
+        });
+        return last;
+    }
+
+    const INHOrderImport = {
+        HEADER_ALIASES,
+        parseCsv,
+        tableFromRows,
+        guessMapping,
+        normaliseDate,
+        normaliseNumber,
+        mapRows,
+        validateRows,
+        buildOrders,
+        lastImport
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHOrderImport = INHOrderImport;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHOrderImport;
+    }
+})();
@@ -0,0 +1,180 @@
+/**
+ * Order Lifecycle
+ * States an order moves through and the rules between them. Used by the order
+ * list, order entry, the quote maker, orders.html and server.js:
+ *
+ *   pending -> confirmed -> in_production -> qc -> packed -> shipped -> delivered
+ *   qc -> in_production   (failed QC goes back for rework)
+ *   any state before shipped -> cancelled
+ *
+ * Moving to shipped records the shipment: courier (one of the shipping
+ * calculator's providers), AWB number and package weight. Delivered sets
+ * deliveredDate. Every change is appended to order.statusHistory with when and
+ * who; callers stamp updatedAt when they save.
+ */
+
+(function () {
+    const STATES = ['pending', 'confirmed', 'in_production', 'qc', 'packed', 'shipped', 'delivered', 'cancelled'];
+
+    const TRANSITIONS = {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['in_production', 'cancelled'],
+        in_production: ['qc', 'cancelled'],
+        qc: ['packed', 'in_production', 'cancelled'],
+        packed: ['shipped', 'cancelled'],
+        shipped: ['delivered'],
+        delivered: [],
+        cancelled: []
+    };
+
+    const LABELS = {
+        pending: 'Pending',
+        confirmed: 'Confirmed',
+        in_production: 'In production',
+        qc: 'QC',
+        packed: 'Packed',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled'
+    };
+
+    // Free-text statuses typed into the order sheet before the lifecycle existed
+    const ALIASES = {
+        new: 'pending',
+        open: 'pending',
+        production: 'in_production',
+        in_progress: 'in_production',
+        processing: 'in_production',
+        quality_check: 'qc',
+        packing: 'packed',
+        dispatched: 'shipped',
+        completed: 'delivered',
+        complete: 'delivered',
+        canceled: 'cancelled'
+    };
+
+    function today(now) {
+        return (now || new Date()).toISOString().split('T')[0];
+    }
+
+    /**
+     * The state for a status or its label ('In production', 'in-production',
+     * 'QC', 'Dispatched'); null when it is none of them.
+     */
+    function parseStatus(value) {
+        const key = String(value === undefined || value === null ? '' : value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (STATES.includes(key)) return key;
+        return ALIASES[key] || null;
+    }
+
+    /**
+     * The state of an order. Orders with no status, or one that is not a state,
+     * count as pending.
+     */
+    function statusOf(order) {
+        return parseStatus(order && order.status) || 'pending';
+    }
+
+    function actor(user) {
+        return user ? user.email || user.uid || null : null;
+    }
+
+    function historyEntry(from, to, user, now, note) {
+        const entry = { from, to, at: (now || new Date()).toISOString(), by: actor(user) };
+        if (note) entry.note = note;
+        return entry;
+    }
+
+    function canTransition(order, to) {
+        return (TRANSITIONS[statusOf(order)] || []).includes(to);
+    }
+
+    /**
+     * Shipment details for a move to shipped, checked: { courier, awb, weightKg }.
+     * `couriers`, when given, is the list the courier must be on.
+     */
+    function validateShipment(shipment, couriers) {
+        const courier = String((shipment && shipment.courier) || '').trim();
+        const awb = String((shipment && shipment.awb) || '').trim();
+        const weightKg = parseFloat(shipment && shipment.weightKg);
+        if (!courier) throw new Error('Choose the courier the order was shipped with');
+        if (couriers && couriers.length && !couriers.includes(courier)) {
+            throw new Error(`Unknown courier: ${courier}`);
+        }
+        if (!awb) throw new Error('The AWB number is required');
+        if (!Number.isFinite(weightKg) || weightKg <= 0) throw new Error('The package weight must be more than 0 kg');
+        return { courier, awb, weightKg: Math.round(weightKg * 1000) / 1000 };
+    }
+
+    /**
+     * A new order with its status as a state and the first history entry.
+     * Orders that already have a history are returned as they are.
+     */
+    function start(order, options = {}) {
+        if (order.statusHistory && order.statusHistory.length) return order;
+        const status = statusOf(order);
+        return { ...order, status, statusHistory: [historyEntry(null, status, options.user, options.now, options.note)] };
+    }
+
+    /**
+     * Move an order to `to`. Returns the updated copy; throws when the move is
+     * not allowed. options: { user, now, note, shipment, couriers }
+     */
+    function transition(order, to, options = {}) {
+        const from = statusOf(order);
+        if (!STATES.includes(to)) throw new Error(`Unknown order status: ${to}`);
+        if (!canTransition(order, to)) {
+            throw new Error(`A ${LABELS[from].toLowerCase()} order cannot be marked ${LABELS[to].toLowerCase()}`);
+        }
+
+        const at = (options.now || new Date()).toISOString();
+        const entry = historyEntry(from, to, options.user, options.now, options.note);
+        const updated = { ...order, status: to };
+
+        if (to === 'shipped') {
+            const shipment = validateShipment(options.shipment, options.couriers);
+            updated.shipment = { ...shipment, shippedAt: at };
+            entry.shipment = shipment;
+        }
+        if (to === 'delivered') {
+            if (!updated.deliveredDate) updated.deliveredDate = today(options.now);
+            if (updated.shipment) updated.shipment = { ...updated.shipment, deliveredAt: at };
+        }
+
+        updated.statusHistory = [...(order.statusHistory || []), entry];
+        return updated;
+    }
+
+    /**
+     * History to show, oldest first: [{ from, to, label, at, by, note, shipment }].
+     * An order saved before the lifecycle existed gets one entry for its current
+     * status at the order date.
+     */
+    function timeline(order) {
+        const history = order && order.statusHistory && order.statusHistory.length
+            ? order.statusHistory
+            : [{ from: null, to: statusOf(order), at: (order && (order.orderDate || order.createdAt)) || null, by: null }];
+        return history.map(entry => ({ ...entry, label: LABELS[entry.to] || entry.to }));
+    }
+
+    const INHOrderLifecycle = {
+        STATES,
+        TRANSITIONS,
+        LABELS,
+        parseStatus,
+        statusOf,
+        canTransition,
+        validateShipment,
+        start,
+        transition,
+        timeline
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHOrderLifecycle = INHOrderLifecycle;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHOrderLifecycle;
+    }
+})();
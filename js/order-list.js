@@ -9,15 +9,28 @@ document.addEventListener('DOMContentLoaded', () => {
         "Base Amount", "Assigned To", "Sales Person"
     ];
 
-    // LocalStorage keys
-    const DB_KEY = 'inhOrderListDB';
+    // LocalStorage keys. Orders themselves live in the INHDATA orders store (synced with
+    // Firestore); the sheet only keeps its columns and rows not yet given an Order Number.
+    const LEGACY_DB_KEY = 'inhOrderListDB';
+    const SHEET_KEY = 'inhOrderListSheet';
     const RATIO_MIXER_DB_KEY = 'hairRatioDB';
+    const CLIENTS_DB_KEY = 'inhClientsDB';
+    const MIN_ROWS = 50;
 
     // State
     let db = {
         columns: [...defaultColumns],
-        rows: Array(50).fill({})
+        rows: blankRows(MIN_ROWS)
     };
+    let orders = [];          // INHDATA orders
+    let outbox = [];          // INHDATA syncQueue entries
+    let shownOrderIds = new Set();
+    let drafts = [];
+    let duplicateNumbers = new Set();
+
+    function blankRows(count) {
+        return Array.from({ length: Math.max(count, 0) }, () => ({}));
+    }
 
     // Load Price Lists from Ratio Mixer DB
     let availablePriceLists = [];
@@ -33,28 +46,22 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error("Failed to load Ratio Mixer price lists", e);
     }
 
-    // Load from local storage
+    // Load sheet layout from local storage
     try {
-        const savedData = localStorage.getItem(DB_KEY);
-        if (savedData) {
-            const parsed = JSON.parse(savedData);
-            if (parsed.columns) db.columns = parsed.columns;
-            if (parsed.rows && parsed.rows.length > 0) {
-                // Pad minimum 50 rows
-                db.rows = parsed.rows;
-                if (db.rows.length < 50) {
-                    db.rows = [...db.rows, ...Array(50 - db.rows.length).fill({})];
-                }
-            }
+        const savedSheet = JSON.parse(localStorage.getItem(SHEET_KEY) || 'null');
+        if (savedSheet) {
+            if (savedSheet.columns) db.columns = savedSheet.columns;
+            if (Array.isArray(savedSheet.drafts)) drafts = savedSheet.drafts;
         }
     } catch (e) {
-        console.warn("Could not load from DB, starting fresh", e);
+        console.warn("Could not load the sheet layout, starting fresh", e);
     }
 
     const tableHeaderRow = document.getElementById('table-header-row');
     const tableBody = document.getElementById('table-body');
     const datalistContainer = document.getElementById('datalist-container');
     const statusText = document.getElementById('status-text');
+    const syncSummary = document.getElementById('sync-summary');
 
     // DOM Builders
     function renderTable() {
@@ -80,7 +87,8 @@ document.addEventListener('DOMContentLoaded', () => {
             // Row Number Col
             const tdNum = document.createElement('td');
             tdNum.className = 'row-number';
-            tdNum.textContent = rIdx + 1;
+            tdNum.dataset.row = rIdx;
+            tdNum.innerHTML = `<div>${rIdx + 1}</div><div class="sync-state"></div>`;
             tr.appendChild(tdNum);
 
             // Data Cols
@@ -112,6 +120,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     const val = e.target.value;
                     if (!db.rows[rIdx]) db.rows[rIdx] = {};
                     db.rows[rIdx][col] = val;
+                    unsavedRows.add(db.rows[rIdx]);
                     
                     // Auto calculate amount if Rate/Quantity
                     if (['Rate', 'Quantity'].includes(col)) {
@@ -144,6 +153,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 // the browser's native dropdown popup while the user is typing!
                 inp.addEventListener('change', () => {
                     updateDataLists();
+                    // A status is applied once it has been typed out
+                    if (col === 'Order Status') saveDB();
                 });
 
                 // Double clicking should ideally pop open the native datalist
@@ -173,6 +184,7 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         updateDataLists();
+        renderSyncStates();
     }
 
     function updateDataLists() {
@@ -186,9 +198,11 @@ document.addEventListener('DOMContentLoaded', () => {
             const datalist = document.createElement('datalist');
             datalist.id = 'list-' + safeCol;
             
-            // Gather unique values
+            // Gather unique values; statuses are the order lifecycle's
             const uniqueVals = new Set();
-            db.rows.forEach(r => {
+            if (col === 'Order Status') {
+                INHOrderLifecycle.STATES.forEach(state => uniqueVals.add(INHOrderLifecycle.LABELS[state]));
+            } else db.rows.forEach(r => {
                 if (r[col] && typeof r[col] === 'string' && r[col].trim() !== '') {
                     uniqueVals.add(r[col].trim());
                 }
@@ -215,9 +229,315 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- ORDERS STORE ---
+
+    // Rows edited since the last save, and a save waiting for typing to pause
+    const unsavedRows = new Set();
+    let saveTimeout;
+    let saving = false;
+    let saveAgain = false;
+
     function saveDB() {
-        localStorage.setItem(DB_KEY, JSON.stringify(db));
-        showStatus('Saved.', 'text-green-600');
+        clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(saveOrders, 800);
+        renderSyncStates();
+    }
+
+    function sortOrders(list) {
+        return [...list].sort((a, b) =>
+            String(a.orderDate || '').localeCompare(String(b.orderDate || '')) ||
+            String(a.orderId || '').localeCompare(String(b.orderId || '')));
+    }
+
+    // Rows from the orders store, then drafts, then blank rows up to MIN_ROWS
+    function rebuildRows() {
+        const rows = [];
+        shownOrderIds = new Set();
+        sortOrders(orders).forEach(order => {
+            shownOrderIds.add(order.id);
+            rows.push(...INHOrderRows.rowsFromOrder(order, db.columns));
+        });
+        rows.push(...drafts.map(row => ({ ...row })));
+        db.rows = [...rows, ...blankRows(MIN_ROWS - rows.length)];
+        renderTable();
+    }
+
+    // Incoming changes wait while a cell is being edited or a save is due
+    function refreshFromStore() {
+        const editing = tableBody.contains(document.activeElement) || isDraggingFill || isSelectingCells;
+        if (editing || unsavedRows.size || saving) {
+            renderSyncStates();
+            return;
+        }
+        rebuildRows();
+    }
+
+    tableBody.addEventListener('focusout', () => {
+        setTimeout(() => {
+            if (!tableBody.contains(document.activeElement)) refreshFromStore();
+        }, 0);
+    });
+
+    // Couriers offered when an order is shipped (shipping-calculator/data.js)
+    const couriers = typeof shippingData !== 'undefined' ? INHShipping.providers(shippingData) : [];
+
+    async function sessionUser() {
+        try {
+            return window.sessionHelper ? await window.sessionHelper.check() : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    // Courier, AWB number and weight for an order being marked shipped; null when cancelled
+    function askShipment(order) {
+        const planned = order.shippingOption || {};
+        const list = couriers.map((name, idx) => `${idx + 1}. ${name}`).join('\n');
+        const pick = prompt(`Order ${order.orderId} is being shipped. Courier:\n${list}\n\nEnter its number or name:`, planned.provider || '');
+        if (pick === null) return null;
+        const courier = couriers[parseInt(pick, 10) - 1] || pick.trim();
+        const awb = prompt(`AWB number for order ${order.orderId} (${courier}):`);
+        if (awb === null) return null;
+        const weightKg = prompt('Package weight (kg):', planned.weightKg || '');
+        if (weightKg === null) return null;
+        return { courier, awb, weightKg };
+    }
+
+    function statusCellFocused(rows) {
+        const active = document.activeElement;
+        return !!active && active.dataset && active.dataset.col === 'Order Status' && rows.includes(db.rows[active.dataset.row]);
+    }
+
+    // The order with its status change recorded by the lifecycle. A change it does not
+    // allow is reported and the order keeps its status; one still being typed waits.
+    async function applyStatus(order, existing, rows, errors) {
+        const to = INHOrderLifecycle.parseStatus(order.status || 'pending');
+        if (!existing) {
+            if (!to) errors.push(`Order ${order.orderId}: "${order.status}" is not an order status, saved as Pending`);
+            return INHOrderLifecycle.start({ ...order, status: to || 'pending' }, { user: await sessionUser() });
+        }
+        if (to === INHOrderLifecycle.statusOf(existing)) return order;
+        if (statusCellFocused(rows)) {
+            rows.forEach(row => unsavedRows.add(row));
+            return { ...order, status: existing.status };
+        }
+        try {
+            if (!to) throw new Error(`"${order.status}" is not an order status`);
+            const shipment = to === 'shipped' ? askShipment({ ...existing, ...order }) : undefined;
+            if (shipment === null) throw new Error('not shipped, the shipment details were not entered');
+            return INHOrderLifecycle.transition({ ...order, status: existing.status }, to, { user: await sessionUser(), shipment, couriers });
+        } catch (e) {
+            errors.push(`Order ${existing.orderId}: ${e.message}`);
+            const label = INHOrderRows.ORDER_FIELDS['Order Status'].get(existing);
+            rows.forEach(row => {
+                row['Order Status'] = label;
+                const input = tableBody.querySelector(`input[data-row="${db.rows.indexOf(row)}"][data-col="Order Status"]`);
+                if (input) input.value = label;
+            });
+            return { ...order, status: existing.status };
+        }
+    }
+
+    // Each group of rows becomes one order in the store: rows read from an order save
+    // back to it, new rows join the order shown with their Order Number or start one
+    // (INHOrderRows.groupRows). An Order Number two orders share is reported and those
+    // orders wait until one is renumbered. Orders are only removed with Delete Order,
+    // never because their rows were cleared.
+    async function saveOrders() {
+        if (saving) {
+            saveAgain = true;
+            return;
+        }
+        saving = true;
+        unsavedRows.clear();
+        try {
+            const grouped = INHOrderRows.groupRows(db.rows);
+            duplicateNumbers = new Set(grouped.duplicates);
+            // New rows that cannot be saved yet stay on this device with the drafts
+            const waiting = grouped.orders.filter(group => !group.orderId && duplicateNumbers.has(group.number));
+            drafts = [...grouped.drafts, ...waiting.flatMap(group => group.rows)].map(row => {
+                const { _orderId, _line, ...cells } = row;
+                return cells;
+            });
+            localStorage.setItem(SHEET_KEY, JSON.stringify({ columns: db.columns, drafts }));
+
+            const byId = new Map(orders.map(o => [o.id, o]));
+            const claimed = new Set();
+            let written = 0;
+            const errors = grouped.duplicates.map(number =>
+                `Order Number ${number} is used by more than one order: give each its own number to save them.`);
+            for (const group of grouped.orders) {
+                const { rows } = group;
+                if (group.orderId) claimed.add(group.orderId);
+                if (duplicateNumbers.has(group.number)) continue;
+                const existing = (group.orderId && byId.get(group.orderId)) || null;
+                if (!group.number) {
+                    errors.push(`Rows of ${existing ? `order ${existing.orderId || existing.orderNumber}` : 'an order'} have no Order Number; they were not saved.`);
+                    continue;
+                }
+                if (existing && INHOrderRows.rowsMatchOrder(rows, existing, db.columns)) continue;
+                const order = await applyStatus(INHOrderRows.orderFromRows(rows, db.columns, existing), existing, rows, errors);
+                const saved = await INHDATA.upsert('orders', {
+                    ...order,
+                    createdAt: order.createdAt || new Date().toISOString(),
+                    updatedAt: Date.now()
+                });
+                // Later saves find the order through its rows, even before the sheet is rebuilt
+                let line = 0;
+                rows.forEach(row => {
+                    row._orderId = saved.id;
+                    row._line = INHOrderRows.hasLineContent(row, db.columns) ? line++ : null;
+                });
+                claimed.add(saved.id);
+                shownOrderIds.add(saved.id);
+                written++;
+            }
+
+            // Orders whose rows were all cleared come back when the sheet is rebuilt
+            const cleared = [...shownOrderIds].filter(id => !claimed.has(id) && byId.has(id));
+            if (cleared.length) {
+                const numbers = cleared.map(id => byId.get(id).orderId || byId.get(id).orderNumber || id).join(', ');
+                errors.push(`Clearing the rows of order ${numbers} does not delete it: click one of its rows and use Delete Order.`);
+            }
+
+            if (errors.length) showStatus(errors.join(' '), 'text-red-600');
+            else showStatus(written ? `Saved ${written} order${written === 1 ? '' : 's'}.` : 'Saved.', 'text-green-600');
+        } catch (e) {
+            console.error('Saving orders failed', e);
+            showStatus(`Could not save: ${e.message}`, 'text-red-600');
+        } finally {
+            saving = false;
+        }
+        if (saveAgain) {
+            saveAgain = false;
+            saveOrders();
+            return;
+        }
+        refreshFromStore();
+    }
+
+    // Sync state of a row: blank, draft, unsaved, pending, error, conflict or synced
+    function rowSyncState(row) {
+        if (INHOrderRows.isEmptyRow(row)) return { state: 'blank' };
+        if (!String(row['Order Number'] || '').trim()) {
+            return { state: 'draft', title: 'Kept on this device only: add an Order Number to save it as an order' };
+        }
+        if (duplicateNumbers.has(String(row['Order Number']).trim())) {
+            return { state: 'error', title: 'Not saved: another order has this Order Number' };
+        }
+        if (unsavedRows.has(row) || !row._orderId) return { state: 'unsaved', title: 'Saving...' };
+        const entries = outbox.filter(entry => entry.collection === 'orders' && entry.docId === row._orderId);
+        const conflict = entries.find(entry => entry.conflict);
+        if (conflict) return { state: 'conflict', entry: conflict, title: 'Changed elsewhere while this device was offline: click to choose which version to keep' };
+        const failed = entries.find(entry => entry.lastError);
+        if (failed) return { state: 'error', title: `Upload failed, will retry: ${failed.lastError}` };
+        if (entries.length) return { state: 'pending', title: 'Saved on this device, waiting to upload' };
+        return { state: 'synced', title: 'Synced' };
+    }
+
+    const SYNC_ICONS = {
+        draft: 'fa-pen text-slate-400',
+        unsaved: 'fa-circle text-slate-300',
+        pending: 'fa-clock text-amber-500',
+        error: 'fa-triangle-exclamation text-orange-500',
+        conflict: 'fa-circle-exclamation text-red-600',
+        synced: 'fa-check text-green-600'
+    };
+
+    function renderSyncStates() {
+        let waiting = 0;
+        let conflicts = 0;
+        tableBody.querySelectorAll('td.row-number').forEach(td => {
+            const { state, title } = rowSyncState(db.rows[td.dataset.row]);
+            const cell = td.querySelector('.sync-state');
+            if (state === 'pending' || state === 'error') waiting++;
+            if (state === 'conflict') conflicts++;
+            cell.innerHTML = SYNC_ICONS[state] ? `<i class="fas ${SYNC_ICONS[state]} text-[10px]"></i>` : '';
+            td.title = title || '';
+            td.style.cursor = state === 'conflict' ? 'pointer' : '';
+        });
+        syncSummary.textContent = conflicts
+            ? `${conflicts} row${conflicts === 1 ? '' : 's'} in conflict: click the red mark to resolve.`
+            : (waiting ? `${waiting} row${waiting === 1 ? '' : 's'} waiting to upload.` : '');
+        syncSummary.className = conflicts ? 'text-red-600' : 'text-amber-600';
+    }
+
+    tableBody.addEventListener('click', async (e) => {
+        const td = e.target.closest('td.row-number');
+        if (!td) return;
+        const row = db.rows[td.dataset.row];
+        const { state, entry } = rowSyncState(row);
+        if (state !== 'conflict') return;
+        const remote = entry.conflict.remote;
+        const keepMine = confirm(remote
+            ? `Order ${row['Order Number']} was also changed in the cloud. Keep your version?\n\nOK keeps yours, Cancel takes the cloud version.`
+            : `Order ${row['Order Number']} was deleted in the cloud. Keep your version?\n\nOK puts it back, Cancel deletes it here too.`);
+        await INHDATA.resolveOutboxEntry(entry.id, keepMine ? 'local' : 'remote');
+    });
+
+    // One-off move of the rows the sheet used to keep in localStorage into the orders store
+    async function migrateLegacySheet() {
+        let legacy = null;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_DB_KEY) || 'null');
+        } catch (e) {
+            console.warn('Could not read the old order list', e);
+        }
+        if (!legacy) return;
+
+        if (Array.isArray(legacy.columns) && !localStorage.getItem(SHEET_KEY)) {
+            db.columns = legacy.columns;
+            defaultColumns.forEach(col => { if (!db.columns.includes(col)) db.columns.push(col); });
+        }
+        const grouped = INHOrderRows.groupRows(legacy.rows || []);
+        const user = await sessionUser();
+        let moved = 0;
+        for (const { number, rows } of grouped.orders) {
+            // An order already in the store (e.g. converted from a quote) is not duplicated
+            if (orders.some(o => (o.orderId || o.orderNumber) === number)) continue;
+            const order = INHOrderRows.orderFromRows(rows, db.columns, null);
+            const typed = String(order.status || '').trim();
+            await INHDATA.upsert('orders', {
+                ...INHOrderLifecycle.start(order, {
+                    user,
+                    note: typed && !INHOrderLifecycle.parseStatus(typed) ? `Status in the old sheet: ${typed}` : undefined
+                }),
+                createdAt: new Date().toISOString(),
+                updatedAt: Date.now()
+            });
+            moved++;
+        }
+        drafts = [...drafts, ...grouped.drafts];
+        localStorage.setItem(SHEET_KEY, JSON.stringify({ columns: db.columns, drafts }));
+        localStorage.setItem(`${LEGACY_DB_KEY}.backup`, JSON.stringify(legacy));
+        localStorage.removeItem(LEGACY_DB_KEY);
+        if (moved) showStatus(`Moved ${moved} order${moved === 1 ? '' : 's'} from this browser into the shared order list.`, 'text-green-600');
+    }
+
+    async function startSync() {
+        showStatus('Loading orders...');
+        try {
+            try { if (typeof initializeFirebaseApp === 'function') await initializeFirebaseApp(); } catch (_) {}
+            await INHDATA.initialize();
+            orders = await INHDATA.getAll('orders');
+            outbox = await INHDATA.outbox();
+            await migrateLegacySheet();
+            orders = await INHDATA.getAll('orders');
+        } catch (e) {
+            console.error('Could not open the orders store', e);
+            showStatus(`Could not load orders: ${e.message}`, 'text-red-600');
+        }
+        INHDATA.subscribe('orders', (docs) => {
+            orders = Array.isArray(docs) ? docs : [];
+            refreshFromStore();
+            renderUndoImport();
+        });
+        INHDATA.subscribe('syncQueue', (entries) => {
+            outbox = Array.isArray(entries) ? entries : [];
+            renderSyncStates();
+        });
+        rebuildRows();
+        renderUndoImport();
     }
 
     let statusTimeout;
@@ -234,14 +554,52 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('addColBtn').addEventListener('click', () => {
         const newCol = prompt("Enter new column name:");
         if (newCol && newCol.trim()) {
-            db.columns.push(newCol.trim());
+            const col = newCol.trim();
+            db.columns.push(col);
+            // Fill the new column from the orders, so saving does not read it as cleared
+            db.rows.forEach(row => {
+                const order = row._orderId && orders.find(o => o.id === row._orderId);
+                const value = order ? INHOrderRows.cellValue(order, row._line, col) : '';
+                if (value !== '') row[col] = value;
+            });
             saveDB();
             renderTable();
         }
     });
 
+    // The row last clicked or typed in, for Delete Order
+    let focusedRow = null;
+    tableBody.addEventListener('focusin', (e) => {
+        if (e.target.dataset && e.target.dataset.row !== undefined) focusedRow = parseInt(e.target.dataset.row, 10);
+    });
+
+    // Removing an order from the store (and every device) is always this explicit step
+    document.getElementById('deleteOrderBtn').addEventListener('click', async () => {
+        const rowIdxs = selectionStart && selectionEnd
+            ? Array.from({ length: Math.abs(selectionEnd.row - selectionStart.row) + 1 }, (_, i) => Math.min(selectionStart.row, selectionEnd.row) + i)
+            : (focusedRow === null ? [] : [focusedRow]);
+        const ids = [...new Set(rowIdxs.map(idx => db.rows[idx] && db.rows[idx]._orderId).filter(Boolean))];
+        const targets = orders.filter(o => ids.includes(o.id));
+        if (!targets.length) {
+            showStatus('Click a row of the order to delete first.', 'text-red-600');
+            return;
+        }
+        const numbers = targets.map(o => o.orderId || o.orderNumber || o.id).join(', ');
+        if (!confirm(`Delete order${targets.length === 1 ? '' : 's'} ${numbers}? ${targets.length === 1 ? 'It' : 'They'} will be removed from every device.`)) return;
+        try {
+            for (const order of targets) await INHDATA.remove('orders', order.id);
+            orders = orders.filter(o => !ids.includes(o.id));
+            focusedRow = null;
+            rebuildRows();
+            showStatus(`Deleted order${targets.length === 1 ? '' : 's'} ${numbers}.`, 'text-green-600');
+        } catch (e) {
+            console.error('Deleting orders failed', e);
+            showStatus(`Could not delete: ${e.message}`, 'text-red-600');
+        }
+    });
+
     document.getElementById('addRowBtn').addEventListener('click', () => {
-        db.rows.push(...Array(10).fill({}));
+        db.rows.push(...blankRows(10));
         saveDB();
         renderTable();
         setTimeout(() => {
@@ -277,8 +635,258 @@ document.addEventListener('DOMContentLoaded', () => {
         document.body.removeChild(link);
     });
 
-    // Initial render
+    // --- IMPORT ---
+
+    // The file being imported: { name, workbook (XLSX only), table, mapping, newColumns, results }
+    let importing = null;
+    const importModal = document.getElementById('importModal');
+    const importError = document.getElementById('importError');
+    const importCommitBtn = document.getElementById('importCommitBtn');
+    const NEW_COLUMN = '__new__';
+    // Order-level columns a file often leaves out, e.g. a file that is one order
+    const DEFAULT_COLUMNS = ['Order Number', 'Order Date', 'Client Name', 'Order Status', 'Price List', 'Currency', 'Exchange Rate', 'Sales Person'];
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function loadClients() {
+        try {
+            const clients = JSON.parse(localStorage.getItem(CLIENTS_DB_KEY) || '[]');
+            return Array.isArray(clients) ? clients : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    // Undo is offered for the latest import while any of its orders are still in the store
+    function renderUndoImport() {
+        const last = INHOrderImport.lastImport(orders);
+        const count = last ? last.orders.length : 0;
+        const btn = document.getElementById('undoImportBtn');
+        btn.classList.toggle('hidden', !count);
+        if (count) {
+            btn.title = `Remove the ${count} order${count === 1 ? '' : 's'} imported from ${last.fileName}` +
+                (last.at ? ` on ${new Date(last.at).toLocaleString()}` : '');
+        }
+    }
+
+    function openImport() {
+        importing = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importFileInfo').textContent = '';
+        document.getElementById('importSheetLabel').classList.add('hidden');
+        document.getElementById('importMappingStep').classList.add('hidden');
+        document.getElementById('importPreviewStep').classList.add('hidden');
+        document.getElementById('importDefaults').innerHTML = '';
+        importError.textContent = '';
+        importCommitBtn.disabled = true;
+        importCommitBtn.textContent = 'Import';
+        importModal.classList.remove('hidden');
+        importModal.classList.add('flex');
+    }
+
+    function closeImport() {
+        importModal.classList.add('hidden');
+        importModal.classList.remove('flex');
+        importing = null;
+    }
+
+    function readSheet(name) {
+        const rows = XLSX.utils.sheet_to_json(importing.workbook.Sheets[name], { header: 1, raw: true, defval: '' });
+        useTable(INHOrderImport.tableFromRows(rows));
+    }
+
+    function useTable(table) {
+        importing.table = table;
+        importing.mapping = INHOrderImport.guessMapping(table.headers, db.columns);
+        importing.newColumns = {};
+        document.getElementById('importFileInfo').textContent = `${table.records.length} row${table.records.length === 1 ? '' : 's'}, ${table.headers.length} columns`;
+        renderMapping();
+        previewImport();
+    }
+
+    async function readImportFile(file) {
+        importError.textContent = '';
+        importing = { name: file.name };
+        try {
+            if (/\.xlsx?$/i.test(file.name)) {
+                if (typeof XLSX === 'undefined') throw new Error('Excel library not loaded. Please check your internet connection.');
+                importing.workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+                const names = importing.workbook.SheetNames;
+                const sheetSelect = document.getElementById('importSheet');
+                sheetSelect.innerHTML = names.map(name => `<option>${escapeHtml(name)}</option>`).join('');
+                document.getElementById('importSheetLabel').classList.toggle('hidden', names.length < 2);
+                readSheet(names[0]);
+            } else {
+                useTable(INHOrderImport.tableFromRows(INHOrderImport.parseCsv(await file.text())));
+            }
+        } catch (e) {
+            console.error('Could not read the import file', e);
+            importError.textContent = `Could not read ${file.name}: ${e.message}`;
+        }
+    }
+
+    function renderMapping() {
+        const { table, mapping } = importing;
+        const options = (header) => ['<option value="">— skip —</option>']
+            .concat(db.columns.map(col => `<option value="${escapeHtml(col)}"${mapping[header] === col ? ' selected' : ''}>${escapeHtml(col)}</option>`))
+            .concat(db.columns.includes(header) ? [] : [`<option value="${NEW_COLUMN}"${importing.newColumns[header] ? ' selected' : ''}>+ New column "${escapeHtml(header)}"</option>`])
+            .join('');
+        const sample = (idx) => (table.records.find(r => String(r[idx]).trim() !== '') || [])[idx];
+        document.getElementById('importMappingRows').innerHTML = table.headers.map((header, idx) => `
+            <tr class="border-b border-slate-100">
+                <td class="py-1 px-3 font-medium">${escapeHtml(header)}</td>
+                <td class="py-1 px-3 text-slate-500 truncate max-w-[16rem]">${escapeHtml(sample(idx) instanceof Date ? sample(idx).toLocaleDateString() : sample(idx))}</td>
+                <td class="py-1 px-3">
+                    <select data-header="${escapeHtml(header)}" class="import-map border border-slate-300 rounded px-2 py-1 text-sm w-full">${options(header)}</select>
+                </td>
+            </tr>`).join('');
+
+        const defaults = document.getElementById('importDefaults');
+        if (!defaults.children.length) {
+            defaults.innerHTML = DEFAULT_COLUMNS.filter(col => db.columns.includes(col)).map(col => `
+                <label class="text-xs text-slate-500">${escapeHtml(col)}
+                    <input type="${col.includes('Date') ? 'date' : 'text'}" data-col="${escapeHtml(col)}" ${col === 'Price List' ? 'list="list-PriceList"' : ''}
+                        class="import-default block w-full border border-slate-300 rounded px-2 py-1 text-sm">
+                </label>`).join('');
+        }
+        document.getElementById('importMappingStep').classList.remove('hidden');
+    }
+
+    function importDefaults() {
+        const defaults = {};
+        document.querySelectorAll('.import-default').forEach(inp => {
+            if (inp.value.trim()) defaults[inp.dataset.col] = inp.value.trim();
+        });
+        return defaults;
+    }
+
+    // Columns the import writes: the sheet's and any new ones picked in the mapping
+    function importColumns() {
+        return [...db.columns, ...Object.keys(importing.newColumns).filter(col => !db.columns.includes(col))];
+    }
+
+    function previewImport() {
+        if (!importing || !importing.table) return;
+        const mapping = { ...importing.mapping };
+        Object.keys(importing.newColumns).forEach(header => { mapping[header] = header; });
+        const rows = INHOrderImport.mapRows(importing.table, mapping, importDefaults());
+        importing.results = INHOrderImport.validateRows(rows, {
+            clients: loadClients(),
+            priceLists: availablePriceLists,
+            orderIds: orders.map(o => o.orderId || o.orderNumber)
+        });
+
+        const { orders: ready, skipped } = INHOrderImport.buildOrders(importing.results, { columns: importColumns() });
+        const errorRows = importing.results.filter(r => r.errors.length).length;
+        document.getElementById('importSummary').textContent =
+            `${ready.length} order${ready.length === 1 ? '' : 's'} ready` +
+            (skipped.length ? `, ${skipped.length} with problems will be skipped` : '') +
+            (errorRows ? ` (${errorRows} row${errorRows === 1 ? '' : 's'} in error)` : '');
+        document.getElementById('importPreviewRows').innerHTML = importing.results.map(({ row, line, errors, warnings }) => `
+            <tr class="border-b border-slate-100 ${errors.length ? 'bg-red-50' : (warnings.length ? 'bg-amber-50' : '')}">
+                <td class="py-1 px-3 text-slate-500">${line}</td>
+                <td class="py-1 px-3 font-mono">${escapeHtml(row['Order Number'])}</td>
+                <td class="py-1 px-3">${escapeHtml(row['Client Name'])}</td>
+                <td class="py-1 px-3">${escapeHtml(row['Product'])}</td>
+                <td class="py-1 px-3 text-right">${escapeHtml(row['Quantity'])}</td>
+                <td class="py-1 px-3 text-right">${escapeHtml(row['Amount'])}</td>
+                <td class="py-1 px-3 text-xs">
+                    ${errors.map(msg => `<div class="text-red-700"><i class="fas fa-circle-xmark"></i> ${escapeHtml(msg)}</div>`).join('')}
+                    ${warnings.map(msg => `<div class="text-amber-700"><i class="fas fa-triangle-exclamation"></i> ${escapeHtml(msg)}</div>`).join('')}
+                </td>
+            </tr>`).join('');
+        document.getElementById('importPreviewStep').classList.remove('hidden');
+        importCommitBtn.disabled = !ready.length;
+        importCommitBtn.textContent = ready.length ? `Import ${ready.length} order${ready.length === 1 ? '' : 's'}` : 'Import';
+    }
+
+    // All orders are saved, or none: a failure part way removes the ones already written
+    async function commitImport() {
+        const columns = importColumns();
+        const importId = `imp_${Date.now().toString(36)}`;
+        const { orders: ready, skipped } = INHOrderImport.buildOrders(importing.results, {
+            columns,
+            importId,
+            fileName: importing.name,
+            user: await sessionUser()
+        });
+        if (!ready.length) return;
+
+        importCommitBtn.disabled = true;
+        const written = [];
+        try {
+            for (const order of ready) {
+                written.push(await INHDATA.upsert('orders', { ...order, updatedAt: Date.now() }));
+            }
+        } catch (e) {
+            console.error('Import failed', e);
+            for (const saved of written) await INHDATA.remove('orders', saved.id).catch(() => {});
+            importError.textContent = `Nothing was imported: ${e.message}`;
+            importCommitBtn.disabled = false;
+            return;
+        }
+
+        if (columns.length !== db.columns.length) {
+            db.columns = columns;
+            localStorage.setItem(SHEET_KEY, JSON.stringify({ columns: db.columns, drafts }));
+        }
+        closeImport();
+        orders = await INHDATA.getAll('orders');
+        rebuildRows();
+        renderUndoImport();
+        showStatus(`Imported ${written.length} order${written.length === 1 ? '' : 's'}` +
+            (skipped.length ? `; skipped ${skipped.join(', ')}.` : '.'), 'text-green-600');
+    }
+
+    async function undoImport() {
+        const last = INHOrderImport.lastImport(orders);
+        if (!last) return;
+        const imported = last.orders;
+        const changed = imported.filter(o => (o.statusHistory || []).length > 1 || (o.payments || []).length);
+        const message = `Remove the ${imported.length} order${imported.length === 1 ? '' : 's'} imported from ${last.fileName}?` +
+            (changed.length ? `\n\n${changed.length} of them ha${changed.length === 1 ? 's' : 've'} been worked on since (status changes or payments): ${changed.map(o => o.orderId).join(', ')}` : '');
+        if (!confirm(message)) return;
+        for (const order of imported) await INHDATA.remove('orders', order.id);
+        orders = await INHDATA.getAll('orders');
+        rebuildRows();
+        renderUndoImport();
+        showStatus(`Removed ${imported.length} imported order${imported.length === 1 ? '' : 's'}.`, 'text-green-600');
+    }
+
+    document.getElementById('importBtn').addEventListener('click', openImport);
+    document.getElementById('undoImportBtn').addEventListener('click', undoImport);
+    document.getElementById('importCloseBtn').addEventListener('click', closeImport);
+    document.getElementById('importCancelBtn').addEventListener('click', closeImport);
+    importCommitBtn.addEventListener('click', commitImport);
+    document.getElementById('importFile').addEventListener('change', (e) => {
+        if (e.target.files[0]) readImportFile(e.target.files[0]);
+    });
+    document.getElementById('importSheet').addEventListener('change', (e) => readSheet(e.target.value));
+    document.getElementById('importMappingRows').addEventListener('change', (e) => {
+        const select = e.target.closest('select.import-map');
+        if (!select) return;
+        const header = select.dataset.header;
+        delete importing.newColumns[header];
+        importing.mapping[header] = '';
+        if (select.value === NEW_COLUMN) importing.newColumns[header] = true;
+        else if (select.value) {
+            // A sheet column takes one file column
+            Object.keys(importing.mapping).forEach(other => {
+                if (importing.mapping[other] === select.value) importing.mapping[other] = '';
+            });
+            importing.mapping[header] = select.value;
+        }
+        renderMapping();
+        previewImport();
+    });
+    document.getElementById('importDefaults').addEventListener('change', previewImport);
+
+    // Initial render, then the orders once the store is open
     renderTable();
+    startSync();
 
     // --- CELL TRACKING STATE ---
     let isSelectingCells = false;
@@ -0,0 +1,289 @@
+/**
+ * Order Rows
+ * Maps order documents (the orders collection, kept on the device by INHDATA) to
+ * rows of the order list spreadsheet and back. An order is one row per line with
+ * the order fields repeated on each, the way order entry fills the sheet; rows
+ * that share an Order Number make up one order. Columns with no order field of
+ * their own (added with "Add Column") are kept per line in item.gridFields.
+ *
+ * Orders converted from quotes keep everything the sheet does not show: a line
+ * edited in the sheet is merged over the item it came from.
+ */
+
+(function () {
+    const { num, round2, text } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    // Row keys that are not columns: the order document and line a row came from
+    const ROW_META = ['_orderId', '_line'];
+
+    function lifecycle() {
+        return typeof INHOrderLifecycle !== 'undefined' ? INHOrderLifecycle : require('./order-lifecycle.js');
+    }
+
+    // '' stays '', anything else becomes a number
+    function numberOrEmpty(value) {
+        const t = text(value).trim();
+        if (!t) return '';
+        const n = parseFloat(t);
+        return Number.isFinite(n) ? n : t;
+    }
+
+    function exchangeRateOf(order) {
+        if (order.exchangeRate) return order.exchangeRate;
+        const snapshot = order.exchangeRateSnapshot;
+        const rate = snapshot && snapshot.rates && snapshot.rates[order.currency];
+        return rate || '';
+    }
+
+    function discountFactor(order) {
+        return 1 - num(order.discount) / 100;
+    }
+
+    // Order-level columns: get(order) -> cell text, set(order, cellText)
+    const ORDER_FIELDS = {
+        // Orders saved before orderId existed carry only orderNumber
+        'Order Number': { get: o => text(o.orderId || o.orderNumber), set: (o, v) => { o.orderId = v; } },
+        'Order Date': { get: o => text(o.orderDate).slice(0, 10), set: (o, v) => { o.orderDate = v; } },
+        // Shown by label; text that is no state is kept as typed for the caller to reject
+        'Order Status': {
+            get: o => {
+                const status = lifecycle().parseStatus(o.status);
+                return status ? lifecycle().LABELS[status] : text(o.status);
+            },
+            set: (o, v) => { o.status = lifecycle().parseStatus(v) || v; }
+        },
+        'Delivered Date': { get: o => text(o.deliveredDate).slice(0, 10), set: (o, v) => { o.deliveredDate = v; } },
+        'Client Name': { get: o => text((o.client || {}).clientName), set: (o, v) => { o.client = { ...(o.client || {}), clientName: v }; } },
+        'Contact': {
+            get: o => text((o.client || {}).contact || (o.client || {}).phone || (o.client || {}).email),
+            set: (o, v) => { o.client = { ...(o.client || {}), contact: v }; }
+        },
+        'Country': { get: o => text((o.client || {}).country), set: (o, v) => { o.client = { ...(o.client || {}), country: v }; } },
+        'State': { get: o => text((o.client || {}).state), set: (o, v) => { o.client = { ...(o.client || {}), state: v }; } },
+        'Currency': { get: o => text(o.currency), set: (o, v) => { o.currency = v.toUpperCase(); } },
+        'Exchange Rate': { get: o => text(exchangeRateOf(o)), set: (o, v) => { o.exchangeRate = numberOrEmpty(v); } },
+        'Assigned To': { get: o => text(o.assignedTo), set: (o, v) => { o.assignedTo = v; } },
+        'Sales Person': { get: o => text(o.salesmanName), set: (o, v) => { o.salesmanName = v; } }
+    };
+
+    // Line columns: get(item, order) -> cell text, set(item, cellText)
+    const LINE_FIELDS = {
+        'Price List': { get: i => text(i.priceList), set: (i, v) => { i.priceList = v; } },
+        'Length': { get: i => text(i.length), set: (i, v) => { i.length = v; } },
+        'Product': { get: i => text(i.product), set: (i, v) => { i.product = v; } },
+        'Product Type': { get: i => text(i.category), set: (i, v) => { i.category = v; } },
+        'Style': { get: i => (i.style === 'N/A' ? '' : text(i.style)), set: (i, v) => { i.style = v; } },
+        'Color': { get: i => (i.color === 'N/A' ? '' : text(i.color)), set: (i, v) => { i.color = v; } },
+        'Weight': { get: i => text(i.weight), set: (i, v) => { i.weight = v; } },
+        'Comment': { get: i => text(i.notes), set: (i, v) => { i.notes = v; } },
+        'Quantity': { get: i => text(i.quantity), set: (i, v) => { i.quantity = numberOrEmpty(v); } },
+        'Rate': { get: i => text(i.unitPrice), set: (i, v) => { i.unitPrice = numberOrEmpty(v); } },
+        'Amount': { get: i => text(i.totalPrice), set: (i, v) => { i.totalPrice = numberOrEmpty(v); } },
+        'Base Amount': {
+            get: (i, o) => {
+                const rate = num(exchangeRateOf(o));
+                return i.totalPrice === undefined || i.totalPrice === '' ? '' : (num(i.totalPrice) / (rate || 1)).toFixed(2);
+            },
+            set: () => {}
+        },
+        'HSN': { get: i => text(i.hsn), set: (i, v) => { i.hsn = v; } },
+        'Tax Rate': { get: i => text(i.taxRate), set: (i, v) => { i.taxRate = numberOrEmpty(v); } },
+        'Tax Amount': {
+            get: (i, o) => {
+                if (i.taxAmount !== undefined && i.taxAmount !== '') return text(i.taxAmount);
+                if (i.taxRate === undefined || i.taxRate === '' || i.totalPrice === undefined) return '';
+                return (num(i.totalPrice) * discountFactor(o) * num(i.taxRate) / 100).toFixed(2);
+            },
+            set: (i, v) => { i.taxAmount = numberOrEmpty(v); }
+        }
+    };
+
+    function columnValue(column, order, item) {
+        if (ORDER_FIELDS[column]) return ORDER_FIELDS[column].get(order);
+        if (!item) return '';
+        if (LINE_FIELDS[column]) return LINE_FIELDS[column].get(item, order);
+        return text((item.gridFields || {})[column]);
+    }
+
+    /**
+     * True when a row has no cell with content.
+     */
+    function isEmptyRow(row) {
+        return !row || Object.keys(row).every(key => ROW_META.includes(key) || text(row[key]).trim() === '');
+    }
+
+    /**
+     * True when a row has something in a line column (anything but the order fields).
+     */
+    function hasLineContent(row, columns) {
+        return columns.some(column => !ORDER_FIELDS[column] && text(row[column]).trim() !== '');
+    }
+
+    /**
+     * Cell text of `column` for line `line` of an order (null: the order's row without a line).
+     */
+    function cellValue(order, line, column) {
+        const item = line === null || line === undefined ? null : (order.items || [])[line];
+        return columnValue(column, order, item || null);
+    }
+
+    /**
+     * Sheet rows for an order, one per line (a single row when it has none), with
+     * a value for each of `columns` and the _orderId / _line the row came from.
+     */
+    function rowsFromOrder(order, columns) {
+        const items = Array.isArray(order.items) && order.items.length ? order.items : [null];
+        return items.map((item, line) => {
+            const row = { _orderId: order.id, _line: item ? line : null };
+            columns.forEach(column => {
+                const value = columnValue(column, order, item);
+                if (value !== '') row[column] = value;
+            });
+            return row;
+        });
+    }
+
+    /**
+     * Non-empty rows grouped into orders, in sheet order:
+     * { orders: [{ orderId, number, rows }], drafts, duplicates }.
+     *
+     * Rows read from an order (_orderId) stay with that order, whatever their
+     * Order Number says; the order's number is its first row's. A new row joins
+     * the order shown with its Order Number, or starts a new order (orderId null)
+     * when none is. Rows with neither are drafts. duplicates lists the numbers
+     * more than one order has: such orders must not be merged or saved until
+     * each has its own number.
+     */
+    function groupRows(rows) {
+        const byId = new Map();
+        const fresh = [];
+        const drafts = [];
+        (rows || []).forEach(row => {
+            if (isEmptyRow(row)) return;
+            if (row._orderId) {
+                if (!byId.has(row._orderId)) byId.set(row._orderId, []);
+                byId.get(row._orderId).push(row);
+            } else if (text(row['Order Number']).trim()) {
+                fresh.push(row);
+            } else {
+                drafts.push(row);
+            }
+        });
+
+        const orders = [...byId].map(([orderId, list]) => ({
+            orderId,
+            number: text(list[0]['Order Number']).trim(),
+            rows: list
+        }));
+        const shown = orders.slice();
+        const added = new Map();
+        fresh.forEach(row => {
+            const number = text(row['Order Number']).trim();
+            const matches = shown.filter(group => group.number === number);
+            if (matches.length === 1) {
+                matches[0].rows.push(row);
+                return;
+            }
+            if (!added.has(number)) {
+                added.set(number, { orderId: null, number, rows: [] });
+                orders.push(added.get(number));
+            }
+            added.get(number).rows.push(row);
+        });
+
+        const counts = new Map();
+        orders.forEach(group => {
+            if (group.number) counts.set(group.number, (counts.get(group.number) || 0) + 1);
+        });
+        const duplicates = [...counts].filter(([, count]) => count > 1).map(([number]) => number);
+        return { orders, drafts, duplicates };
+    }
+
+    /**
+     * True when `rows` show `order` as it is, so saving them would change nothing.
+     */
+    function rowsMatchOrder(rows, order, columns) {
+        const current = rowsFromOrder(order, columns);
+        if (current.length !== rows.length) return false;
+        return rows.every((row, idx) => columns.every(column => text(row[column]).trim() === text(current[idx][column]).trim()));
+    }
+
+    /**
+     * The order the rows of one Order Number describe. Order fields come from the
+     * first row; each row is a line, merged over the item it was read from when
+     * `existing` is the order it came from. Fields the sheet does not show are kept.
+     */
+    function orderFromRows(rows, columns, existing) {
+        const base = existing || {};
+        const order = { ...base, client: { ...(base.client || {}) } };
+        const first = rows[0] || {};
+
+        columns.forEach(column => {
+            const field = ORDER_FIELDS[column];
+            if (!field) return;
+            const value = text(first[column]).trim();
+            // An unchanged cell leaves the stored value (e.g. a full orderDate timestamp) alone
+            if (value !== field.get(base)) field.set(order, value);
+        });
+
+        const previousItems = Array.isArray(base.items) ? base.items : [];
+        order.items = rows
+            .filter(row => hasLineContent(row, columns))
+            .map(row => {
+                const from = existing && row._orderId === existing.id && row._line !== null && row._line !== undefined
+                    ? previousItems[row._line]
+                    : null;
+                const item = { ...(from || {}) };
+                const gridFields = { ...(item.gridFields || {}) };
+                columns.forEach(column => {
+                    if (ORDER_FIELDS[column]) return;
+                    const value = text(row[column]).trim();
+                    if (LINE_FIELDS[column]) {
+                        const before = from ? LINE_FIELDS[column].get(from, base) : '';
+                        if (value !== before) LINE_FIELDS[column].set(item, value);
+                    } else if (value) {
+                        gridFields[column] = value;
+                    } else {
+                        delete gridFields[column];
+                    }
+                });
+                if (Object.keys(gridFields).length) item.gridFields = gridFields;
+                else delete item.gridFields;
+                if (item.totalPrice === undefined || item.totalPrice === '') {
+                    const amount = num(item.quantity) * num(item.unitPrice);
+                    if (amount) item.totalPrice = round2(amount);
+                }
+                return item;
+            });
+
+        // Totals follow the lines; shipping and the discount % stay as they were
+        const subtotal = order.items.reduce((sum, item) => sum + num(item.totalPrice), 0);
+        order.subtotal = round2(subtotal);
+        order.discountAmount = round2(subtotal * (1 - discountFactor(order)));
+        order.taxAmount = round2(order.items.reduce((sum, item) => sum + num(LINE_FIELDS['Tax Amount'].get(item, order)), 0));
+        order.total = round2(order.subtotal - order.discountAmount + order.taxAmount + num(order.shipping));
+        if (!order.type) order.type = 'order';
+        return order;
+    }
+
+    const INHOrderRows = {
+        ROW_META,
+        ORDER_FIELDS,
+        LINE_FIELDS,
+        isEmptyRow,
+        hasLineContent,
+        cellValue,
+        rowsFromOrder,
+        groupRows,
+        rowsMatchOrder,
+        orderFromRows
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHOrderRows = INHOrderRows;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHOrderRows;
+    }
+})();
@@ -0,0 +1,341 @@
+/**
+ * Pricing Engine
+ * The one implementation of the price math used by the ratio mixer
+ * (inh-ratio-mix), the product configurator and the quote maker, and by
+ * POST /api/price/compute in server.js. Every function is pure and returns a
+ * cost breakdown, so screens only format the numbers.
+ *
+ *   ratio      - blended raw cost from a ratio matrix column + BulkToMR wastage,
+ *                MR/washing charge, wefting wastage/charge and margin, rounded to 50
+ *   standard   - configurator: base raw cost scaled to a product weight + specs,
+ *                wastage and margin, rounded to 100
+ *   combo      - configurator: sum of component product prices + specs, wastage
+ *                and margin, rounded to 100
+ *   quoteLine  - quote maker: unit price converted between currencies x quantity,
+ *                then pricing rules and a per-line discount
+ *
+ * Pricing rules (data/pricing-rules, edited in the admin panel) adjust the list
+ * price of matching quote lines: quantity breaks per product and length,
+ * client-group prices and promotions between two dates. A rule is
+ *   { id, name, active, priority, match: { priceList, category, product, length, clientGroup },
+ *     validFrom, validTo, adjustment: 'percentOff' | 'unitPrice', currency,
+ *     tiers: [{ minQuantity, value }] }
+ * Empty match fields match any line. Of the rules that match, the highest
+ * priority wins and equal priorities go to the lowest price.
+ */
+
+(function () {
+    const { num } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    const FINISHED_LENGTHS = [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34, 36, 38, 40];
+
+    // Default MR + washing charge for ratio configs saved without one; callers apply
+    // it, computeRatioColumn itself reads a missing charge as 0 like the mixer does
+    const DEFAULT_MACHINE_CHARGE = 2500;
+
+    // A ratio column is usable when its percentages add up to 100 within this tolerance
+    const PERCENT_TOLERANCE = 0.1;
+
+    function roundTo(value, step) {
+        return step > 0 ? Math.round(value / step) * step : value;
+    }
+
+    /**
+     * Convert an amount between currencies. `rates` are units per INR
+     * ({ INR: 1, USD: 0.012, ... }), the shape the quote maker keeps.
+     */
+    function convertCurrency(amount, fromCurrency, toCurrency, rates) {
+        if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) return amount;
+        const from = rates && rates[fromCurrency];
+        const to = rates && rates[toCurrency];
+        if (!from || !to) throw new Error(`No exchange rate for ${!from ? fromCurrency : toCurrency}`);
+        return (amount / from) * to;
+    }
+
+    /**
+     * Price of one finished length from a ratio matrix column.
+     * input: { column: { rawLen: percent }, prices: { rawLen: cost },
+     *          wastagePercent, machineCharge, weftingWastagePercent, weftingCharge,
+     *          marginPercent, exchangeRate, customPrice, roundedPercent }
+     * Invalid columns (not 100%) price at 0, as the mixer shows them. With
+     * roundedPercent a column is valid when its total rounds to 100, the looser
+     * check the mixer's saved-ratio prices have always used.
+     */
+    function computeRatioColumn(input) {
+        const column = input.column || {};
+        const prices = input.prices || {};
+
+        let totalPercent = 0;
+        let weightedRawCost = 0;
+        Object.keys(column).forEach(rawLen => {
+            const percent = num(column[rawLen]);
+            totalPercent += percent;
+            weightedRawCost += (percent / 100) * num(prices[rawLen]);
+        });
+
+        const valid = totalPercent !== 0 && (input.roundedPercent
+            ? Math.round(totalPercent) === 100
+            : Math.abs(totalPercent - 100) < PERCENT_TOLERANCE);
+        const result = {
+            totalPercent,
+            valid,
+            weightedRawCost: valid ? weightedRawCost : 0,
+            wastageCost: 0,
+            machineCharge: 0,
+            weftingWastageCost: 0,
+            weftingCharge: 0,
+            marginValue: 0,
+            price: 0,
+            roundedPrice: 0,
+            convertedPrice: 0,
+            finalPrice: 0
+        };
+
+        if (valid) {
+            // 1. Blended raw cost + BulkToMR wastage
+            result.wastageCost = weightedRawCost * (num(input.wastagePercent) / 100);
+            let currentCost = weightedRawCost + result.wastageCost;
+
+            // 2. MR + washing charge
+            result.machineCharge = num(input.machineCharge);
+            currentCost += result.machineCharge;
+
+            // 3. Wefting wastage (on top of the current cost) and wefting charge
+            const weftingWastagePercent = num(input.weftingWastagePercent);
+            if (weftingWastagePercent > 0) {
+                result.weftingWastageCost = currentCost * (weftingWastagePercent / 100);
+                currentCost += result.weftingWastageCost;
+                result.weftingCharge = num(input.weftingCharge);
+                currentCost += result.weftingCharge;
+            }
+
+            // 4. Margin
+            result.marginValue = currentCost * (num(input.marginPercent) / 100);
+            result.price = currentCost + result.marginValue;
+        }
+
+        // 5. Round in INR, then convert
+        result.roundedPrice = roundTo(result.price, 50);
+        result.convertedPrice = Math.round(result.roundedPrice * num(input.exchangeRate, 1));
+
+        const customPrice = num(input.customPrice);
+        result.finalPrice = customPrice > 0 ? customPrice : result.convertedPrice;
+        return result;
+    }
+
+    /**
+     * Every finished length of a ratio config or price list.
+     * input: { matrix, prices, customPricesEnabled, customPrices, ...pricing factors }
+     */
+    function computeRatioMatrix(input) {
+        const matrix = input.matrix || {};
+        const customPrices = input.customPricesEnabled ? (input.customPrices || {}) : {};
+        return FINISHED_LENGTHS.map((length, idx) => ({
+            length,
+            index: idx,
+            ...computeRatioColumn({ ...input, column: matrix[idx], customPrice: customPrices[idx] })
+        }));
+    }
+
+    /**
+     * Fixed specs add their value, percent specs a share of `base`.
+     */
+    function specificationCost(specifications, base) {
+        return (specifications || []).reduce((sum, spec) => {
+            if (spec.type === 'fixed') return sum + num(spec.value);
+            if (spec.type === 'percent') return sum + base * (num(spec.value) / 100);
+            return sum;
+        }, 0);
+    }
+
+    function applyWastageAndMargin(totalCost, input) {
+        const wastagePercent = num(input.wastagePercent);
+        const costWithWastage = totalCost + totalCost * (wastagePercent / 100);
+        const price = costWithWastage + costWithWastage * (num(input.marginPercent) / 100);
+        return { costWithWastage, price, finalPrice: roundTo(price, 100) };
+    }
+
+    /**
+     * Configurator standard product: one length at one product weight.
+     * input: { baseCost, baseWeight (g, default 1000), weight (g), specifications,
+     *          wastagePercent, marginPercent }
+     */
+    function computeStandard(input) {
+        const baseWeight = num(input.baseWeight) || 1000;
+        const scaledBaseCost = (num(input.baseCost) / baseWeight) * num(input.weight);
+        const specCost = specificationCost(input.specifications, scaledBaseCost);
+        const totalCost = scaledBaseCost + specCost;
+        return { scaledBaseCost, specCost, totalCost, ...applyWastageAndMargin(totalCost, input) };
+    }
+
+    /**
+     * Configurator combo product. Components are { name, cost, quantity };
+     * percent specs apply to the sum of components.
+     * input: { components, specifications, wastagePercent, marginPercent }
+     */
+    function computeCombo(input) {
+        const components = (input.components || []).map(c => ({
+            ...c,
+            total: num(c.cost) * num(c.quantity, 1)
+        }));
+        const componentCost = components.reduce((sum, c) => sum + c.total, 0);
+        const specCost = specificationCost(input.specifications, componentCost);
+        const totalCost = componentCost + specCost;
+        return { components, componentCost, specCost, totalCost, ...applyWastageAndMargin(totalCost, input) };
+    }
+
+    const RULE_MATCH_FIELDS = ['priceList', 'category', 'product', 'length', 'clientGroup'];
+
+    function sameText(a, b) {
+        return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    }
+
+    /**
+     * Whether a rule covers a line ({ priceList, category, product, length,
+     * clientGroup }) on `date` (YYYY-MM-DD). Ignores quantity; see ruleTier.
+     */
+    function ruleMatches(rule, line, date) {
+        if (!rule || rule.active === false) return false;
+        const match = rule.match || {};
+        const fieldsMatch = RULE_MATCH_FIELDS.every(field => {
+            const wanted = match[field];
+            if (wanted === undefined || wanted === null || String(wanted).trim() === '') return true;
+            const value = line && line[field];
+            return value !== undefined && value !== null && sameText(wanted, value);
+        });
+        if (!fieldsMatch) return false;
+        if (rule.validFrom && date < rule.validFrom) return false;
+        if (rule.validTo && date > rule.validTo) return false;
+        return true;
+    }
+
+    /**
+     * The highest quantity tier a quantity reaches, or null when it is below all of them.
+     */
+    function ruleTier(rule, quantity) {
+        return (rule.tiers || [])
+            .filter(tier => quantity >= num(tier.minQuantity))
+            .reduce((best, tier) => (!best || num(tier.minQuantity) > num(best.minQuantity) ? tier : best), null);
+    }
+
+    /**
+     * Unit price a rule tier gives in `currency`: a percentage off the list price,
+     * or a fixed unit price (in the rule's currency, converted).
+     */
+    function ruleUnitPrice(rule, tier, listPrice, currency, rates) {
+        if (rule.adjustment === 'unitPrice') {
+            return convertCurrency(num(tier.value), rule.currency || currency, currency, rates);
+        }
+        const percentOff = Math.min(Math.max(num(tier.value), 0), 100);
+        return listPrice * (1 - percentOff / 100);
+    }
+
+    /**
+     * The rule that prices a line: { rule, tier, unitPrice }, or null when none applies.
+     * options: { quantity, date, currency, rates }
+     */
+    function selectPricingRule(rules, line, listPrice, options) {
+        let selected = null;
+        (rules || []).forEach(rule => {
+            if (!ruleMatches(rule, line, options.date)) return;
+            const tier = ruleTier(rule, options.quantity);
+            if (!tier) return;
+            const unitPrice = ruleUnitPrice(rule, tier, listPrice, options.currency, options.rates);
+            const priority = num(rule.priority);
+            if (!selected || priority > selected.priority || (priority === selected.priority && unitPrice < selected.unitPrice)) {
+                selected = { rule, tier, unitPrice, priority };
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * Quote line: a catalog rate in its own currency, converted to the quote currency
+     * (the list price). An override price (already in the quote currency) replaces the
+     * list price and skips pricing rules; otherwise the best matching rule sets the
+     * price. A per-line discount percentage comes off last.
+     * input: { rate, fromCurrency, toCurrency, rates, quantity, overridePrice,
+     *          rules, match: { priceList, category, product, length, clientGroup },
+     *          date, lineDiscountPercent }
+     */
+    function computeQuoteLine(input) {
+        const quantity = num(input.quantity, 1);
+        const convertedRate = convertCurrency(num(input.rate), input.fromCurrency, input.toCurrency, input.rates);
+        const overridePrice = num(input.overridePrice);
+        const overridden = overridePrice > 0;
+        const listPrice = overridden ? overridePrice : convertedRate;
+
+        const applied = overridden ? null : selectPricingRule(input.rules, input.match, listPrice, {
+            quantity,
+            date: input.date || new Date().toISOString().split('T')[0],
+            currency: input.toCurrency,
+            rates: input.rates
+        });
+        const rulePrice = applied ? applied.unitPrice : listPrice;
+
+        const lineDiscountPercent = Math.min(Math.max(num(input.lineDiscountPercent), 0), 100);
+        const unitPrice = rulePrice * (1 - lineDiscountPercent / 100);
+        return {
+            rate: num(input.rate),
+            convertedRate,
+            overridden,
+            listPrice,
+            rule: applied ? {
+                id: applied.rule.id || null,
+                name: applied.rule.name,
+                adjustment: applied.rule.adjustment || 'percentOff',
+                minQuantity: num(applied.tier.minQuantity),
+                value: num(applied.tier.value)
+            } : null,
+            rulePrice,
+            lineDiscountPercent,
+            lineDiscountAmount: (rulePrice - unitPrice) * quantity,
+            unitPrice,
+            quantity,
+            totalPrice: unitPrice * quantity
+        };
+    }
+
+    const CALCULATORS = {
+        ratio: computeRatioMatrix,
+        standard: computeStandard,
+        combo: computeCombo,
+        quoteLine: computeQuoteLine
+    };
+
+    /**
+     * Entry point for POST /api/price/compute: { type, lines: [input, ...] }
+     * (or a single input object without lines). Returns { type, lines }.
+     */
+    function compute(request) {
+        const calculator = CALCULATORS[request && request.type];
+        if (!calculator) {
+            throw new Error(`Unknown pricing type: ${request && request.type} (expected ${Object.keys(CALCULATORS).join(', ')})`);
+        }
+        const inputs = Array.isArray(request.lines) ? request.lines : [request];
+        return { type: request.type, lines: inputs.map(input => calculator(input || {})) };
+    }
+
+    const INHPricing = {
+        FINISHED_LENGTHS,
+        DEFAULT_MACHINE_CHARGE,
+        TYPES: Object.keys(CALCULATORS),
+        convertCurrency,
+        computeRatioColumn,
+        computeRatioMatrix,
+        computeStandard,
+        computeCombo,
+        computeQuoteLine,
+        ruleMatches,
+        selectPricingRule,
+        compute
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHPricing = INHPricing;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHPricing;
+    }
+})();
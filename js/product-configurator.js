@@ -571,23 +571,15 @@ document.addEventListener('DOMContentLoaded', () => {
             validRows = true;
 
             targetWeights.forEach(tWeight => {
-                const scaledBaseCost = (bCostRaw / baseWeight) * tWeight;
-
-                let specCost = 0;
-                specifications.forEach(spec => {
-                    if (spec.type === 'fixed') {
-                        specCost += spec.value;
-                    } else if (spec.type === 'percent') {
-                        specCost += (scaledBaseCost * (spec.value / 100));
-                    }
+                const { scaledBaseCost, specCost, totalCost, costWithWastage, finalPrice: finalSalePrice } = INHPricing.computeStandard({
+                    baseCost: bCostRaw,
+                    baseWeight,
+                    weight: tWeight,
+                    specifications,
+                    wastagePercent: wastage,
+                    marginPercent: margin
                 });
 
-                const totalCost = scaledBaseCost + specCost;
-                const costWithWastage = totalCost + (totalCost * (wastage / 100));
-
-                let finalSalePrice = costWithWastage + (costWithWastage * (margin / 100));
-                finalSalePrice = Math.round(finalSalePrice / 100) * 100;
-
                 const dir = pcExtraLengthDir ? pcExtraLengthDir.value : '+';
                 const val = pcExtraLengthVal ? parseInt(pcExtraLengthVal.value) || 0 : 0;
                 const lengthOffset = dir === '+' ? val : -val;
@@ -663,13 +655,13 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             if (baseItemCost <= 0) return;
 
+            const components = [{ name: selectedComboBase.name, cost: baseItemCost, quantity: bQty }];
             const totalBaseCost = baseItemCost * bQty;
 
             let breakdownHTML = `<div class="text-xs text-slate-600 space-y-1">`;
             const offsetLabel = bOffset > 0 ? ` (Req Len: ${reqBaseLenStr}")` : '';
             breakdownHTML += `<div><strong>Base:</strong> ${selectedComboBase.name} (Len: ${lenStr}"${offsetLabel}, Qty: ${bQty}x${bUnit}g) = <strong>${totalBaseCost.toFixed(2)}</strong></div>`;
 
-            let extraComponentsCostTotal = 0;
             extraComponents.forEach(comp => {
                 if (!comp.product) return;
 
@@ -683,7 +675,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 if (compItemCost > 0) {
                     const compTotal = compItemCost * comp.quantity;
-                    extraComponentsCostTotal += compTotal;
+                    components.push({ name: comp.product.name, cost: compItemCost, quantity: comp.quantity });
                     breakdownHTML += `<div class="text-[10px]"><strong>+</strong> ${comp.product.name} (Len: ${reqLenStr}", Qty: ${comp.quantity}x${comp.unit}) = <strong>${compTotal.toFixed(2)}</strong></div>`;
                 } else {
                     breakdownHTML += `<div class="text-[10px] text-red-500"><strong>!</strong> ${comp.product.name} (Len: ${reqLenStr}" not found) = <strong>0</strong></div>`;
@@ -691,24 +683,14 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             breakdownHTML += `</div>`;
 
-            const sumOfComponents = totalBaseCost + extraComponentsCostTotal;
-
-            // In combo mode, percentage specs are applied to the sumOfComponents
-            let specCost = 0;
-            specifications.forEach(spec => {
-                if (spec.type === 'fixed') {
-                    specCost += spec.value;
-                } else if (spec.type === 'percent') {
-                    specCost += (sumOfComponents * (spec.value / 100));
-                }
+            // In combo mode, percentage specs are applied to the sum of components
+            const { componentCost: sumOfComponents, specCost, costWithWastage, finalPrice: finalSalePrice } = INHPricing.computeCombo({
+                components,
+                specifications,
+                wastagePercent: wastage,
+                marginPercent: margin
             });
 
-            const totalCost = sumOfComponents + specCost;
-            const costWithWastage = totalCost + (totalCost * (wastage / 100));
-
-            let finalSalePrice = costWithWastage + (costWithWastage * (margin / 100));
-            finalSalePrice = Math.round(finalSalePrice / 100) * 100;
-
             targetComboWeights.forEach(tWeight => {
                 const tr = document.createElement('tr');
                 tr.dataset.len = lenStr;
@@ -243,13 +243,22 @@
     return '';
   }
 
-  // Expose under a namespace and as simple globals for convenience
-  window.productImageMapping = {
+  const productImageMapping = {
     getProductImagePath,
     getCategoryImage,
     getCategoryFeatureImages
   };
-  window.getProductImagePath = window.getProductImagePath || getProductImagePath;
-  window.getCategoryImage = window.getCategoryImage || getCategoryImage;
-  window.getCategoryFeatureImages = window.getCategoryFeatureImages || getCategoryFeatureImages;
+
+  // Expose under a namespace and as simple globals for convenience
+  if (typeof window !== 'undefined') {
+    window.productImageMapping = productImageMapping;
+    window.getProductImagePath = window.getProductImagePath || getProductImagePath;
+    window.getCategoryImage = window.getCategoryImage || getCategoryImage;
+    window.getCategoryFeatureImages = window.getCategoryFeatureImages || getCategoryFeatureImages;
+  }
+
+  // Also used by the server-side quote PDF (quote-pdf.js)
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = productImageMapping;
+  }
 })();
\ No newline at end of file
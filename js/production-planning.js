@@ -0,0 +1,316 @@
+/**
+ * Production Planning
+ * Turns confirmed orders into raw material requirements and draft manufacturing
+ * orders (MOs). Used by orders.html ("Plan production"); the drafts are saved
+ * where raw-manufacturing-order.html keeps its MOs (savedMOs) and open there.
+ * That is this browser's localStorage: MOs are not synced, so the drafts are
+ * only on the device that made them; orders.html says so.
+ *
+ * A line's Price List gives its ratio template: the template a generated list
+ * names in source.ratioTemplate, else the ratio template with the same matrix,
+ * else the price list's own matrix. Target kilos per finished length come from
+ * the lines (quantity x weight in grams, or the quantity itself in kg when the
+ * line has no weight) and are turned into raw kilos per raw length with the
+ * template's matrix, as raw-manufacturing-order.js does, then grossed up by the
+ * price list's wastage and wefting wastage. Requirements are checked against
+ * the raw lots in the inventory ledger (localStorage rawLots).
+ */
+
+(function () {
+    const { num, round3, trimmed: text } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    // Finished lengths by matrix column, as in the ratio mixer and raw-manufacturing-order.js
+    const FINISHED_LENGTHS = [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34, 36, 38, 40];
+
+    // Order states that can be planned; later states are in production already
+    const PLANNABLE = ['confirmed'];
+
+    // The open-ended raw length row of the matrix: 34" and longer. The matrix also has
+    // plain 34, 36 and 38 rows, which take lots of exactly that length first.
+    const LONGEST_RAW = '34+';
+
+    function lifecycle() {
+        return typeof INHOrderLifecycle !== 'undefined' ? INHOrderLifecycle : require('./order-lifecycle.js');
+    }
+
+    function sortRawLengths(keys) {
+        return [...keys].sort((a, b) => {
+            if (a === LONGEST_RAW) return 1;
+            if (b === LONGEST_RAW) return -1;
+            return parseInt(a, 10) - parseInt(b, 10);
+        });
+    }
+
+    function sameMatrix(a, b) {
+        const columns = m => Object.keys(m || {}).filter(idx => Object.values(m[idx] || {}).some(v => num(v) > 0)).sort();
+        const ca = columns(a);
+        const cb = columns(b);
+        if (ca.join() !== cb.join()) return false;
+        return ca.every(idx => {
+            const keys = new Set([...Object.keys(a[idx]), ...Object.keys(b[idx])]);
+            return [...keys].every(raw => num(a[idx][raw]) === num(b[idx][raw]));
+        });
+    }
+
+    /**
+     * The ratio template for a price list name:
+     * { key, name, matrix, wastagePercent, weftingWastagePercent, fromPriceList },
+     * or null when the price list is not known or has no matrix.
+     * context: { priceLists, ratios } (hairRatioDB.priceLists and the ratio templates)
+     */
+    function resolveTemplate(priceListName, context) {
+        const name = text(priceListName).toLowerCase();
+        const priceList = (context.priceLists || []).find(pl => text(pl.name).toLowerCase() === name);
+        if (!priceList || !priceList.matrix) return null;
+
+        const ratios = context.ratios || [];
+        const named = priceList.source && priceList.source.ratioTemplate;
+        const ratio = (named && ratios.find(r => r.name === named)) || ratios.find(r => r.matrix && sameMatrix(r.matrix, priceList.matrix));
+        return {
+            key: ratio ? `ratio:${ratio.name}` : `priceList:${priceList.name}`,
+            name: ratio ? ratio.name : priceList.name,
+            matrix: ratio ? ratio.matrix : priceList.matrix,
+            wastagePercent: num(priceList.wastagePercent),
+            weftingWastagePercent: num(priceList.weftingWastagePercent),
+            fromPriceList: !ratio
+        };
+    }
+
+    /**
+     * Finished kilos of an order line: quantity x weight (grams) when it has a
+     * weight, else the quantity, read as kilos.
+     */
+    function lineKilos(item) {
+        const quantity = num(item.quantity);
+        const grams = num(item.weight);
+        return grams > 0 ? quantity * grams / 1000 : quantity;
+    }
+
+    /**
+     * Raw kilos available per raw length in the inventory ledger: { rawLength:
+     * { kilos, lots: [{ id, kilos }] } }. A lot's length breakdown is scaled to
+     * what is left of it; mixed / unsorted hair is not counted.
+     */
+    function rawStock(rawLots) {
+        const stock = {};
+        (rawLots || []).forEach(lot => {
+            if (!lot || lot.status !== 'AVAILABLE' || !(num(lot.availableWeightKg) > 0)) return;
+            const details = Array.isArray(lot.details) ? lot.details : [];
+            const gross = num(lot.grossWeightKg) || details.reduce((sum, d) => sum + num(d.weight), 0);
+            const left = gross > 0 ? num(lot.availableWeightKg) / gross : 0;
+            details.forEach(detail => {
+                const length = parseInt(detail.length, 10);
+                if (!Number.isFinite(length)) return;
+                const key = String(length);
+                const kilos = round3(num(detail.weight) * left);
+                if (!kilos) return;
+                if (!stock[key]) stock[key] = { kilos: 0, lots: [] };
+                stock[key].kilos = round3(stock[key].kilos + kilos);
+                stock[key].lots.push({ id: lot.id, kilos });
+            });
+        });
+        return stock;
+    }
+
+    /**
+     * Required raw kilos (with wastage) per raw length against the ledger:
+     * [{ rawLength, required, available, shortfall, lots }], shortest first.
+     * Exact lengths (34, 36, 38...) are served from lots of that length first;
+     * 34+ gets what is left of every length from 34 up, so no kilo counts twice.
+     */
+    function checkStock(requirements, rawLots) {
+        const stock = rawStock(rawLots);
+        const used = {};
+        const exact = rawLength => {
+            const available = stock[rawLength] || { kilos: 0, lots: [] };
+            used[rawLength] = Math.min(num(requirements[rawLength]), available.kilos);
+            return available;
+        };
+        const longest = () => {
+            const from = parseInt(LONGEST_RAW, 10);
+            return Object.keys(stock).filter(len => parseInt(len, 10) >= from).reduce((acc, len) => {
+                const left = round3(stock[len].kilos - num(used[len]));
+                if (!(left > 0)) return acc;
+                return { kilos: round3(acc.kilos + left), lots: acc.lots.concat(stock[len].lots) };
+            }, { kilos: 0, lots: [] });
+        };
+
+        // sortRawLengths puts 34+ last, after the exact lengths have taken their share
+        return sortRawLengths(Object.keys(requirements)).map(rawLength => {
+            const required = round3(requirements[rawLength]);
+            const available = rawLength === LONGEST_RAW ? longest() : exact(rawLength);
+            return {
+                rawLength,
+                required,
+                available: available.kilos,
+                shortfall: round3(Math.max(required - available.kilos, 0)),
+                lots: available.lots
+            };
+        });
+    }
+
+    /**
+     * Production plan for orders. Only confirmed orders not planned before are
+     * used; everything left out is listed in skipped with the reason. Lines are
+     * grouped by ratio template and wastage, so each group (and its MO) has the
+     * one wastage all its raw kilos were grossed up with.
+     * context: { priceLists, ratios, rawLots }
+     * Returns { groups: [{ key, template, wastagePercent, weftingWastagePercent,
+     * matrix (price list matrices only), activeOrders, rawRequirements, rawWithWastage,
+     * totalOutputKilos, totalRawKilos, fulfils }], stock, skipped }. activeOrders and
+     * rawRequirements have the shape raw-manufacturing-order.js saves.
+     */
+    function planProduction(orders, context = {}) {
+        const groups = new Map();
+        const skipped = [];
+
+        (orders || []).forEach(order => {
+            const orderNumber = order.orderId || order.id;
+            const status = lifecycle().statusOf(order);
+            if (!PLANNABLE.includes(status)) {
+                skipped.push({ orderNumber, reason: `${lifecycle().LABELS[status]}: only confirmed orders are planned` });
+                return;
+            }
+            if ((order.plannedMOs || []).length) {
+                skipped.push({ orderNumber, reason: `Already planned in ${order.plannedMOs.join(', ')}` });
+                return;
+            }
+
+            (order.items || []).forEach((item, line) => {
+                const label = [item.product, item.length && `${text(item.length).replace(/"$/, '')}"`].filter(Boolean).join(' ') || `Line ${line + 1}`;
+                const skip = reason => skipped.push({ orderNumber, line, item: label, reason });
+                const template = resolveTemplate(item.priceList, context);
+                if (!template) return skip(item.priceList ? `Price list "${item.priceList}" not found` : 'No price list');
+                const matrixIdx = FINISHED_LENGTHS.indexOf(parseInt(item.length, 10));
+                const column = matrixIdx >= 0 ? template.matrix[matrixIdx] : null;
+                if (!column || !Object.values(column).some(v => num(v) > 0)) {
+                    return skip(`${template.name} has no ratio for ${text(item.length) || 'this'}" hair`);
+                }
+                const kilos = lineKilos(item);
+                if (!(kilos > 0)) return skip('No quantity');
+
+                const key = `${template.key}|${template.wastagePercent}|${template.weftingWastagePercent}`;
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        key,
+                        template: template.name,
+                        wastagePercent: template.wastagePercent,
+                        weftingWastagePercent: template.weftingWastagePercent,
+                        matrix: template.fromPriceList ? template.matrix : undefined,
+                        targets: new Map(),
+                        rawRequirements: {},
+                        rawWithWastage: {},
+                        fulfils: new Map()
+                    });
+                }
+                const group = groups.get(key);
+                const gross = (1 + template.wastagePercent / 100) * (1 + template.weftingWastagePercent / 100);
+
+                group.targets.set(matrixIdx, num(group.targets.get(matrixIdx)) + kilos);
+                Object.keys(column).forEach(rawLength => {
+                    const percent = num(column[rawLength]);
+                    if (!(percent > 0)) return;
+                    const needed = (percent / 100) * kilos;
+                    group.rawRequirements[rawLength] = num(group.rawRequirements[rawLength]) + needed;
+                    group.rawWithWastage[rawLength] = num(group.rawWithWastage[rawLength]) + needed * gross;
+                });
+
+                if (!group.fulfils.has(order.id)) {
+                    group.fulfils.set(order.id, { id: order.id, orderNumber, client: (order.client || {}).clientName || '', lines: [] });
+                }
+                group.fulfils.get(order.id).lines.push({ line, item: label, quantity: num(item.quantity), kilos: round3(kilos) });
+            });
+        });
+
+        const roundAll = map => sortRawLengths(Object.keys(map)).reduce((acc, k) => ({ ...acc, [k]: round3(map[k]) }), {});
+        const planned = [...groups.values()].map(group => {
+            const activeOrders = [...group.targets.entries()]
+                .sort((a, b) => a[0] - b[0])
+                .map(([matrixIdx, targetKilos]) => ({ finishedLength: FINISHED_LENGTHS[matrixIdx], matrixIdx, targetKilos: round3(targetKilos) }));
+            const rawWithWastage = roundAll(group.rawWithWastage);
+            return {
+                key: group.key,
+                template: group.template,
+                wastagePercent: group.wastagePercent,
+                weftingWastagePercent: group.weftingWastagePercent,
+                matrix: group.matrix,
+                activeOrders,
+                rawRequirements: roundAll(group.rawRequirements),
+                rawWithWastage,
+                totalOutputKilos: round3(activeOrders.reduce((sum, o) => sum + o.targetKilos, 0)),
+                totalRawKilos: round3(Object.values(rawWithWastage).reduce((sum, kg) => sum + kg, 0)),
+                fulfils: [...group.fulfils.values()]
+            };
+        });
+
+        // The lots are one pool, so the check is on what all the groups need together
+        const required = {};
+        planned.forEach(group => Object.keys(group.rawWithWastage).forEach(rawLength => {
+            required[rawLength] = num(required[rawLength]) + group.rawWithWastage[rawLength];
+        }));
+
+        return { groups: planned, stock: checkStock(required, context.rawLots), skipped };
+    }
+
+    /**
+     * Draft MO for a plan group, in the shape raw-manufacturing-order.js saves
+     * (orderNumber being the MO's number) plus status 'draft', the orders it
+     * fulfils and the raw kilos with wastage. Throws when the group has nothing
+     * to make. options: { moNumber, user, now }; without moNumber the draft is
+     * numbered later with numberMO, once every draft of the plan is built.
+     */
+    function draftMO(group, options = {}) {
+        if (!group.activeOrders.length || !(group.totalRawKilos > 0)) {
+            throw new Error(`Nothing to make for ${group.template}`);
+        }
+        const now = options.now || new Date();
+        const user = options.user;
+        const mo = {
+            orderNumber: options.moNumber,
+            moNumber: options.moNumber,
+            status: 'draft',
+            orderDate: now.toISOString().slice(0, 10),
+            orderSupplier: 'N/A',
+            orderRef: group.fulfils.map(f => f.orderNumber).join(', '),
+            orderHairType: 'Normal',
+            clientName: group.template,
+            totalOutputKilos: group.totalOutputKilos,
+            totalRawRequiredKilos: group.totalRawKilos,
+            activeOrders: group.activeOrders,
+            rawRequirements: group.rawRequirements,
+            rawWithWastage: group.rawWithWastage,
+            wastagePercent: group.wastagePercent,
+            weftingWastagePercent: group.weftingWastagePercent,
+            fulfils: group.fulfils,
+            createdBy: user ? user.email || user.uid || null : null,
+            savedAt: now.toISOString()
+        };
+        if (group.matrix) mo.matrix = group.matrix;
+        return mo;
+    }
+
+    /** The draft MO with its number set, as draftMO would have with options.moNumber */
+    function numberMO(mo, moNumber) {
+        return { ...mo, orderNumber: moNumber, moNumber };
+    }
+
+    const INHProductionPlan = {
+        FINISHED_LENGTHS,
+        PLANNABLE,
+        resolveTemplate,
+        lineKilos,
+        rawStock,
+        checkStock,
+        planProduction,
+        draftMO,
+        numberMO
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHProductionPlan = INHProductionPlan;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHProductionPlan;
+    }
+})();
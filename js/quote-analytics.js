@@ -0,0 +1,251 @@
+/**
+ * Quote Analytics
+ * Conversion, win rate, revenue and estimated margin from saved quotes and the
+ * orders created from them, by salesperson, client, country and product line
+ * (item category). Backs GET /api/reports/quotes and quote-analytics.html.
+ *
+ * Amounts are in INR, converted with each document's exchangeRateSnapshot (the
+ * rates it was priced with), else options.rates. Revenue is order value after
+ * discount, before tax and shipping. Margin is estimated per line from the
+ * marginPercent of its price list: a list price p with margin m% cost
+ * p / (1 + m/100). Lines whose price list has no margin are left out of the
+ * margin figures; marginCoverage is the share of revenue they cover.
+ */
+
+(function () {
+    const { num, round2, toDate } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    const DIMENSIONS = ['salesperson', 'client', 'country', 'productLine'];
+
+    // Quotes the client said yes / no to (expired counts as lost)
+    const WON = ['accepted', 'partially_converted', 'converted'];
+    const LOST = ['rejected', 'expired'];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function lifecycle() {
+        return typeof INHQuoteLifecycle !== 'undefined' ? INHQuoteLifecycle : require('./quote-lifecycle.js');
+    }
+
+    function pricing() {
+        return typeof INHPricing !== 'undefined' ? INHPricing : require('./pricing-engine.js');
+    }
+
+    function isoDay(date) {
+        return date ? date.toISOString().slice(0, 10) : '';
+    }
+
+    function inRange(date, from, to) {
+        const day = isoDay(date);
+        return !!day && (!from || day >= from) && (!to || day <= to);
+    }
+
+    /**
+     * `amount` in INR with the document's rate snapshot, else `fallbackRates`;
+     * null when neither has a rate for the currency.
+     */
+    function toInr(amount, currency, snapshot, fallbackRates) {
+        const code = String(currency || 'INR').toUpperCase();
+        if (code === 'INR') return num(amount);
+        const rates = snapshot && snapshot.rates && snapshot.rates[code] ? snapshot.rates : fallbackRates;
+        try {
+            return pricing().convertCurrency(num(amount), code, 'INR', rates);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Group keys and labels of a document line for each dimension
+    function groupsFor(doc, item) {
+        const client = doc.client || {};
+        const salesperson = doc.salesmanName || doc.salesperson || doc.salesman || '';
+        return {
+            salesperson: { key: salesperson || '(unassigned)', label: salesperson || 'Unassigned' },
+            client: {
+                key: client.id || client.clientName || '(none)',
+                label: [client.clientName || client.name, client.companyName].filter(Boolean).join(', ') || 'No client'
+            },
+            country: { key: String(client.country || '').trim().toLowerCase() || '(unknown)', label: String(client.country || '').trim() || 'Unknown' },
+            productLine: { key: (item && item.category) || '(other)', label: (item && item.category) || 'Other' }
+        };
+    }
+
+    /**
+     * Line values of a quote or order in INR after the document discount:
+     * [{ item, net, margin, hasMargin }], or null when the currency cannot be converted.
+     * marginFor(priceList) returns the price list's margin % or null.
+     */
+    function lineValues(doc, marginFor, fallbackRates) {
+        const discountFactor = 1 - num(doc.discount) / 100;
+        const lines = [];
+        for (const item of doc.items || []) {
+            if (!item) continue;
+            const gross = num(item.totalPrice) || num(item.unitPrice) * num(item.quantity);
+            const net = toInr(gross * discountFactor, doc.currency, doc.exchangeRateSnapshot, fallbackRates);
+            if (net === null) return null;
+
+            const marginPercent = marginFor ? marginFor(item.priceList) : null;
+            let margin = 0;
+            if (marginPercent !== null && marginPercent !== undefined) {
+                const listPrice = num(item.listPrice) || num(item.unitPrice);
+                const unitCost = listPrice / (1 + num(marginPercent) / 100);
+                margin = net - toInr(unitCost * num(item.quantity), doc.currency, doc.exchangeRateSnapshot, fallbackRates);
+            }
+            lines.push({ item, net, margin, hasMargin: marginPercent !== null && marginPercent !== undefined });
+        }
+        return lines;
+    }
+
+    function emptyRow(key, label) {
+        return {
+            key,
+            label,
+            quoteIds: new Set(),
+            convertedIds: new Set(),
+            wonIds: new Set(),
+            lostIds: new Set(),
+            convertDays: new Map(),
+            orderIds: new Set(),
+            quotedValue: 0,
+            revenue: 0,
+            marginRevenue: 0,
+            margin: 0
+        };
+    }
+
+    function finishRow(row) {
+        const quotes = row.quoteIds.size;
+        const decided = row.wonIds.size + row.lostIds.size;
+        const days = [...row.convertDays.values()];
+        return {
+            key: row.key,
+            label: row.label,
+            quotes,
+            converted: row.convertedIds.size,
+            conversionRate: quotes ? round2(row.convertedIds.size / quotes * 100) : null,
+            won: row.wonIds.size,
+            lost: row.lostIds.size,
+            winRate: decided ? round2(row.wonIds.size / decided * 100) : null,
+            avgDaysToConvert: days.length ? round2(days.reduce((sum, d) => sum + d, 0) / days.length) : null,
+            quotedValue: round2(row.quotedValue),
+            orders: row.orderIds.size,
+            revenue: round2(row.revenue),
+            margin: round2(row.margin),
+            marginPercent: row.marginRevenue > 0 ? round2(row.margin / row.marginRevenue * 100) : null,
+            marginCoverage: row.revenue > 0 ? round2(row.marginRevenue / row.revenue * 100) : null
+        };
+    }
+
+    /**
+     * Report over quotes dated from..to (quote date, YYYY-MM-DD, inclusive) and
+     * orders placed in the same range. Superseded revisions are not counted.
+     * options: { from, to, rates (INR-based fallback rates), marginFor(priceList), now }
+     * Returns { from, to, currency: 'INR', totals, groups: { salesperson: [...], ... },
+     * skipped: { quotes, orders } } with rows sorted by revenue, then quoted value.
+     */
+    function buildQuoteReport(quotes, orders, options = {}) {
+        const { from, to, rates, marginFor, now } = options;
+        const totals = emptyRow('all', 'All');
+        const groups = {};
+        DIMENSIONS.forEach(dimension => { groups[dimension] = new Map(); });
+        const skipped = { quotes: 0, orders: 0 };
+
+        const rowsFor = (doc, item) => {
+            const keys = groupsFor(doc, item);
+            return [totals].concat(DIMENSIONS.map(dimension => {
+                const { key, label } = keys[dimension];
+                if (!groups[dimension].has(key)) groups[dimension].set(key, emptyRow(key, label));
+                return groups[dimension].get(key);
+            }));
+        };
+
+        (quotes || []).forEach(quote => {
+            if (!quote || quote.status === 'revised') return;
+            const issued = toDate(quote.date) || toDate(quote.createdAt);
+            if (!inRange(issued, from, to)) return;
+
+            const lines = lineValues(quote, null, rates);
+            if (!lines) {
+                skipped.quotes++;
+                return;
+            }
+
+            const id = quote.id || quote.number;
+            const status = lifecycle().effectiveStatus(quote, now);
+            const conversions = quote.conversions || [];
+            const firstOrder = conversions.length ? toDate(conversions[0].at) : null;
+            const created = toDate(quote.createdAt) || issued;
+            const days = firstOrder && created ? Math.max(0, (firstOrder - created) / DAY_MS) : null;
+
+            const touch = (row) => {
+                row.quoteIds.add(id);
+                if (conversions.length) row.convertedIds.add(id);
+                if (WON.includes(status)) row.wonIds.add(id);
+                if (LOST.includes(status)) row.lostIds.add(id);
+                if (days !== null) row.convertDays.set(id, days);
+            };
+
+            // A quote counts once per group; its value is split by product line
+            (lines.length ? lines : [{ item: null, net: 0 }]).forEach(line => {
+                rowsFor(quote, line.item).forEach(row => {
+                    touch(row);
+                    row.quotedValue += line.net;
+                });
+            });
+        });
+
+        (orders || []).forEach(order => {
+            if (!order) return;
+            const placed = toDate(order.orderDate) || toDate(order.createdAt);
+            if (!inRange(placed, from, to)) return;
+
+            const lines = lineValues(order, marginFor, rates);
+            if (!lines) {
+                skipped.orders++;
+                return;
+            }
+
+            const id = order.id || order.orderId;
+            lines.forEach(line => {
+                rowsFor(order, line.item).forEach(row => {
+                    row.orderIds.add(id);
+                    row.revenue += line.net;
+                    if (line.hasMargin) {
+                        row.marginRevenue += line.net;
+                        row.margin += line.margin;
+                    }
+                });
+            });
+        });
+
+        const sorted = {};
+        DIMENSIONS.forEach(dimension => {
+            sorted[dimension] = [...groups[dimension].values()]
+                .map(finishRow)
+                .sort((a, b) => (b.revenue - a.revenue) || (b.quotedValue - a.quotedValue));
+        });
+
+        return {
+            from: from || null,
+            to: to || null,
+            currency: 'INR',
+            totals: finishRow(totals),
+            groups: sorted,
+            skipped
+        };
+    }
+
+    const INHQuoteAnalytics = {
+        DIMENSIONS,
+        toInr,
+        buildQuoteReport
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHQuoteAnalytics = INHQuoteAnalytics;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHQuoteAnalytics;
+    }
+})();
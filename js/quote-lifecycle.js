@@ -0,0 +1,350 @@
+/**
+ * Quote Lifecycle
+ * States a saved quote moves through and the rules between them. Used by the
+ * quote maker and by server.js:
+ *
+ *   draft -> sent -> accepted -> partially_converted -> converted
+ *                 -> rejected
+ *                 -> expired   (validUntil has passed; also computed on read)
+ *   sent / rejected / expired -> revised  (a new numbered draft replaces it)
+ *
+ * Orders can take some lines or part of a line's quantity (recordConversion,
+ * buildOrder); the quote stays partially_converted until every line is fully
+ * ordered.
+ *
+ * Every change is appended to quote.statusHistory. A quote whose discount is
+ * above the salesperson's limit needs approval from someone with the
+ * quotes:approve permission (js/roles.js) before it can be sent; firestore.rules
+ * refuses any quote past draft whose discount is neither within the limit nor
+ * approved.
+ */
+
+(function () {
+    const STATES = ['draft', 'sent', 'revised', 'accepted', 'rejected', 'expired', 'partially_converted', 'converted'];
+
+    const TRANSITIONS = {
+        draft: ['sent'],
+        sent: ['accepted', 'rejected', 'expired'],
+        accepted: ['partially_converted', 'converted'],
+        partially_converted: ['converted'],
+        rejected: [],
+        expired: [],
+        revised: [],
+        converted: []
+    };
+
+    // States a quote can be revised from
+    const REVISABLE = ['sent', 'rejected', 'expired'];
+
+    // States more orders can be created from
+    const CONVERTIBLE = ['accepted', 'partially_converted'];
+
+    // States that lapse once validUntil has passed
+    const OPEN_STATES = ['draft', 'sent'];
+
+    const DEFAULT_VALIDITY_DAYS = 30;
+
+    // Discount (%) a salesperson may give without approval when their record sets no maxDiscountPercent
+    const DEFAULT_DISCOUNT_LIMIT = 10;
+
+    const LABELS = {
+        draft: 'Draft',
+        sent: 'Sent',
+        revised: 'Revised',
+        accepted: 'Accepted',
+        rejected: 'Rejected',
+        expired: 'Expired',
+        partially_converted: 'Partly converted',
+        converted: 'Converted'
+    };
+
+    function today(now) {
+        return (now || new Date()).toISOString().split('T')[0];
+    }
+
+    /**
+     * Quote validity date (YYYY-MM-DD) `days` after the quote date.
+     */
+    function validUntilFor(date, days) {
+        const start = date ? new Date(`${date}T00:00:00Z`) : new Date();
+        start.setUTCDate(start.getUTCDate() + (days === undefined ? DEFAULT_VALIDITY_DAYS : days));
+        return start.toISOString().split('T')[0];
+    }
+
+    /**
+     * The state to show and filter by: the stored status, or 'expired' for an
+     * open quote past its validity date. Quotes saved before the lifecycle
+     * existed have no status and count as drafts.
+     */
+    function effectiveStatus(quote, now) {
+        const status = STATES.includes(quote && quote.status) ? quote.status : 'draft';
+        if (OPEN_STATES.includes(status) && quote.validUntil && quote.validUntil < today(now)) {
+            return 'expired';
+        }
+        return status;
+    }
+
+    function discountLimit(salesperson) {
+        const limit = salesperson ? parseFloat(salesperson.maxDiscountPercent) : NaN;
+        return Number.isFinite(limit) ? limit : DEFAULT_DISCOUNT_LIMIT;
+    }
+
+    /**
+     * True when the discount is above the limit and no approval covers it.
+     * An approval covers any discount up to the one that was approved.
+     */
+    function needsApproval(quote, limitPercent) {
+        const discount = parseFloat(quote && quote.discount) || 0;
+        const limit = limitPercent === undefined ? DEFAULT_DISCOUNT_LIMIT : limitPercent;
+        if (discount <= limit) return false;
+        return !(quote.approval && quote.approval.discount >= discount);
+    }
+
+    function actor(user) {
+        return user ? user.email || user.uid || null : null;
+    }
+
+    function historyEntry(from, to, user, now, note) {
+        const entry = { from, to, at: (now || new Date()).toISOString(), by: actor(user) };
+        if (note) entry.note = note;
+        return entry;
+    }
+
+    function canTransition(quote, to, now) {
+        return (TRANSITIONS[effectiveStatus(quote, now)] || []).includes(to);
+    }
+
+    /**
+     * Move a quote to `to`. Returns the updated copy; throws when the move is
+     * not allowed. options: { user, now, note, discountLimit }
+     */
+    function transition(quote, to, options = {}) {
+        const from = effectiveStatus(quote, options.now);
+        if (!STATES.includes(to)) throw new Error(`Unknown quote status: ${to}`);
+        if (!canTransition(quote, to, options.now)) {
+            throw new Error(`A ${LABELS[from].toLowerCase()} quote cannot be marked ${LABELS[to].toLowerCase()}`);
+        }
+        if (to === 'sent' && needsApproval(quote, options.discountLimit)) {
+            throw new Error(`Discount of ${quote.discount}% needs manager approval before the quote can be sent`);
+        }
+
+        const at = (options.now || new Date()).toISOString();
+        const updated = {
+            ...quote,
+            status: to,
+            statusHistory: [...(quote.statusHistory || []), historyEntry(from, to, options.user, options.now, options.note)],
+            updatedAt: at
+        };
+        updated[`${to}At`] = at;
+        return updated;
+    }
+
+    /**
+     * Record a manager's approval of the quote's current discount.
+     */
+    function approve(quote, options = {}) {
+        const at = (options.now || new Date()).toISOString();
+        const status = effectiveStatus(quote, options.now);
+        return {
+            ...quote,
+            approval: { discount: parseFloat(quote.discount) || 0, approvedBy: actor(options.user), approvedAt: at },
+            statusHistory: [...(quote.statusHistory || []), historyEntry(status, status, options.user, options.now, `Discount of ${quote.discount}% approved`)],
+            updatedAt: at
+        };
+    }
+
+    /**
+     * Revise a sent, rejected or expired quote. Returns { previous, next }:
+     * previous is marked revised, next is a new draft numbered
+     * <original number>-R<revision> that points back at it.
+     */
+    function revise(quote, options = {}) {
+        const from = effectiveStatus(quote, options.now);
+        if (!REVISABLE.includes(from)) {
+            throw new Error(`A ${LABELS[from].toLowerCase()} quote cannot be revised`);
+        }
+
+        const at = (options.now || new Date()).toISOString();
+        const revision = (quote.revision || 1) + 1;
+        const rootNumber = quote.rootNumber || quote.number;
+        const number = `${rootNumber}-R${revision}`;
+
+        const previous = {
+            ...quote,
+            status: 'revised',
+            revisedAt: at,
+            revisedTo: number,
+            statusHistory: [...(quote.statusHistory || []), historyEntry(from, 'revised', options.user, options.now, `Replaced by ${number}`)],
+            updatedAt: at
+        };
+
+        // The draft starts clean: no approval, client answer, portal link, payments, proforma or orders
+        const {
+            id, quoteId, docId, approval, sentAt, acceptedAt, rejectedAt, expiredAt, revisedAt, revisedTo,
+            clientResponse, portalLink, paymentProofs, proformaNumber, conversions, orderIds, convertedAt,
+            ...content
+        } = quote;
+        const date = today(options.now);
+        const next = {
+            ...content,
+            number,
+            rootNumber,
+            revision,
+            previousQuoteId: id || quoteId || docId || quote.number,
+            previousNumber: quote.number,
+            status: 'draft',
+            date,
+            validUntil: validUntilFor(date, options.validityDays),
+            statusHistory: [historyEntry(null, 'draft', options.user, options.now, `Revision ${revision} of ${quote.number}`)],
+            createdAt: at,
+            updatedAt: at
+        };
+
+        return { previous, next };
+    }
+
+    /**
+     * Quantity of each quote line already on orders and still open:
+     * [{ index, quantity, ordered, open }], in item order.
+     */
+    function lineQuantities(quote) {
+        const ordered = {};
+        (quote.conversions || []).forEach(conversion => {
+            (conversion.lines || []).forEach(line => {
+                ordered[line.index] = (ordered[line.index] || 0) + (parseFloat(line.quantity) || 0);
+            });
+        });
+        return (quote.items || []).map((item, index) => {
+            const quantity = parseFloat(item.quantity) || 0;
+            const done = ordered[index] || 0;
+            return { index, quantity, ordered: done, open: Math.max(quantity - done, 0) };
+        });
+    }
+
+    /**
+     * Record that order `orderId` takes `lines` ([{ index, quantity }]) of the
+     * quote. Returns the updated copy, partially_converted while any quantity is
+     * still open and converted once every line is fully ordered. Throws when a
+     * quantity is more than what is left on its line.
+     */
+    function recordConversion(quote, orderId, lines, options = {}) {
+        const from = effectiveStatus(quote, options.now);
+        if (!CONVERTIBLE.includes(from)) {
+            throw new Error(`Only accepted quotes can be converted; this one is ${LABELS[from].toLowerCase()}`);
+        }
+
+        const quantities = lineQuantities(quote);
+        const taken = (lines || [])
+            .map(line => ({ index: line.index, quantity: parseFloat(line.quantity) || 0 }))
+            .filter(line => line.quantity > 0);
+        if (!taken.length) throw new Error('Choose at least one line and quantity to convert');
+        taken.forEach(line => {
+            const open = quantities[line.index];
+            if (!open) throw new Error(`The quote has no line ${line.index + 1}`);
+            if (line.quantity > open.open) throw new Error(`Line ${line.index + 1} has only ${open.open} left to order`);
+        });
+
+        const at = (options.now || new Date()).toISOString();
+        const updated = {
+            ...quote,
+            conversions: [...(quote.conversions || []), { orderId, at, by: actor(options.user), lines: taken }],
+            orderIds: [...(quote.orderIds || []), orderId],
+            updatedAt: at
+        };
+        const to = lineQuantities(updated).every(line => line.open <= 0) ? 'converted' : 'partially_converted';
+        updated.status = to;
+        updated.statusHistory = [...(quote.statusHistory || []), historyEntry(from, to, options.user, options.now, `Order ${orderId}`)];
+        if (to === 'converted') updated.convertedAt = at;
+        return updated;
+    }
+
+    /**
+     * Every line's open quantity as conversion lines: [{ index, quantity }].
+     */
+    function openLines(quote) {
+        return lineQuantities(quote)
+            .filter(line => line.open > 0)
+            .map(line => ({ index: line.index, quantity: line.open }));
+    }
+
+    /**
+     * Order document for some lines of a quote ([{ index, quantity }]). The
+     * discount uses the quote's percentage. options.tax(items, discountAmount)
+     * returns the order's tax fields ({ taxAmount, ... }) or null for the
+     * quote's flat rate. Shipping goes on the first order only.
+     */
+    function buildOrder(quote, lines, orderId, options = {}) {
+        const items = lines.map(line => {
+            const item = quote.items[line.index];
+            return {
+                ...item,
+                quoteLineIndex: line.index,
+                quantity: line.quantity,
+                totalPrice: (parseFloat(item.unitPrice) || 0) * line.quantity
+            };
+        });
+        const subtotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
+        const discountAmount = subtotal * ((parseFloat(quote.discount) || 0) / 100);
+        const tax = (options.tax && options.tax(items, discountAmount))
+            || { taxAmount: (subtotal - discountAmount) * ((parseFloat(quote.tax) || 0) / 100) };
+        const shipping = (quote.conversions || []).length ? 0 : (parseFloat(quote.shipping) || 0);
+
+        const { id, conversions, orderIds, statusHistory, approval, ...quoteContent } = quote;
+        return {
+            ...quoteContent,
+            orderId,
+            items,
+            quoteNumber: quote.number,
+            quoteLines: lines.map(line => ({ index: line.index, quantity: line.quantity })),
+            subtotal,
+            discountAmount,
+            ...tax,
+            shipping,
+            total: subtotal - discountAmount + tax.taxAmount + shipping,
+            status: 'pending',
+            orderDate: (options.now || new Date()).toISOString(),
+            type: 'order'
+        };
+    }
+
+    /**
+     * Actions the UI can offer for a quote: allowed transitions, plus
+     * 'revise' and 'approve' where they apply.
+     */
+    function availableActions(quote, options = {}) {
+        const status = effectiveStatus(quote, options.now);
+        const actions = [...(TRANSITIONS[status] || [])].filter(to => !['expired', 'partially_converted', 'converted'].includes(to));
+        if (REVISABLE.includes(status)) actions.push('revise');
+        if (status === 'draft' && needsApproval(quote, options.discountLimit) && options.canApprove) actions.push('approve');
+        return actions;
+    }
+
+    const INHQuoteLifecycle = {
+        STATES,
+        TRANSITIONS,
+        LABELS,
+        DEFAULT_VALIDITY_DAYS,
+        DEFAULT_DISCOUNT_LIMIT,
+        validUntilFor,
+        effectiveStatus,
+        discountLimit,
+        needsApproval,
+        canTransition,
+        transition,
+        lineQuantities,
+        openLines,
+        buildOrder,
+        recordConversion,
+        approve,
+        revise,
+        availableActions
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHQuoteLifecycle = INHQuoteLifecycle;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHQuoteLifecycle;
+    }
+})();
@@ -0,0 +1,122 @@
+/**
+ * Quote Templates
+ * Named baskets a client reorders regularly (data/quote-templates, saved through
+ * /api/save-quote-template). A template keeps what was ordered, not what it cost:
+ * price list, product, length, colour and quantity per line. The quote maker prices
+ * it again at current prices and shows the change per line against lastUsed, the
+ * unit prices of the last time it was used.
+ *
+ * The same diff serves "reorder last order", with the order's own prices as
+ * lastUsed.
+ */
+
+(function () {
+    const { num, round2 } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    // Quote item fields a basket line keeps
+    const ITEM_FIELDS = ['priceList', 'category', 'product', 'density', 'length', 'colorType', 'color', 'style', 'quantity'];
+
+    /**
+     * Basket lines from quote or order items; lines without a product are dropped.
+     */
+    function basketFrom(items) {
+        return (items || [])
+            .filter(item => item && item.product)
+            .map(item => {
+                const line = {};
+                ITEM_FIELDS.forEach(field => {
+                    line[field] = field === 'quantity' ? (num(item.quantity) || 1) : String(item[field] || '');
+                });
+                return line;
+            });
+    }
+
+    /**
+     * lastUsed for a use of a basket: { at, quoteNumber, currency, lines: [{ unitPrice }] },
+     * one entry per basket line (null for a line that could not be priced).
+     */
+    function usage(items, options = {}) {
+        return {
+            at: (options.now || new Date()).toISOString(),
+            quoteNumber: options.quoteNumber || null,
+            currency: options.currency || 'INR',
+            lines: (items || []).map(item => (item ? { unitPrice: round2(num(item.unitPrice)) } : null))
+        };
+    }
+
+    /**
+     * New template document for `client` from quote items.
+     */
+    function createTemplate({ id, name, client, currency, items }) {
+        return {
+            id,
+            name: String(name || '').trim(),
+            clientId: (client && client.id) || '',
+            clientName: (client && (client.clientName || client.name || client.companyName)) || '',
+            currency: currency || 'INR',
+            items: basketFrom(items),
+            lastUsed: null
+        };
+    }
+
+    /**
+     * Price change per basket line between `lastUsed` and `items`, the basket priced
+     * now (null where a line is no longer in its price list). Previous prices are
+     * converted into `currency` with `convert(amount, from, to)` when lastUsed was in
+     * another currency. Returns { lines: [{ index, previous, current, change,
+     * changePercent, unavailable }], previousTotal, currentTotal, change }; totals
+     * cover the lines priced both times.
+     */
+    function priceDiff(basket, lastUsed, items, currency, convert) {
+        const previousLines = (lastUsed && lastUsed.lines) || [];
+        const fromCurrency = (lastUsed && lastUsed.currency) || currency;
+        let previousTotal = 0;
+        let currentTotal = 0;
+
+        const lines = (basket || []).map((line, index) => {
+            const item = items[index];
+            const entry = previousLines[index];
+            const previous = entry && entry.unitPrice > 0
+                ? round2(fromCurrency === currency || !convert ? entry.unitPrice : convert(entry.unitPrice, fromCurrency, currency))
+                : null;
+            const current = item ? round2(num(item.unitPrice)) : null;
+            const change = previous !== null && current !== null ? round2(current - previous) : null;
+
+            if (change !== null) {
+                previousTotal += previous * num(line.quantity);
+                currentTotal += current * num(line.quantity);
+            }
+            return {
+                index,
+                previous,
+                current,
+                change,
+                changePercent: change !== null && previous > 0 ? round2(change / previous * 100) : null,
+                unavailable: !item
+            };
+        });
+
+        return {
+            lines,
+            previousTotal: round2(previousTotal),
+            currentTotal: round2(currentTotal),
+            change: round2(currentTotal - previousTotal)
+        };
+    }
+
+    const INHQuoteTemplates = {
+        ITEM_FIELDS,
+        basketFrom,
+        usage,
+        createTemplate,
+        priceDiff
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHQuoteTemplates = INHQuoteTemplates;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHQuoteTemplates;
+    }
+})();
@@ -91,6 +91,10 @@ document.addEventListener('DOMContentLoaded', async () => {
                     if (mo.orderSupplier && mo.orderSupplier !== 'N/A') {
                         moLabel += ` (${mo.orderSupplier})`;
                     }
+                    // Planned from confirmed orders and not yet saved here
+                    if (mo.status === 'draft') {
+                        moLabel += ' - draft';
+                    }
                     opt.textContent = `${mo.orderDate} - ${moLabel} [${mo.clientName}]`;
                     loadSavedMoSelect.appendChild(opt);
                 });
@@ -112,6 +116,15 @@ document.addEventListener('DOMContentLoaded', async () => {
                 let savedMOs = JSON.parse(localStorage.getItem('savedMOs') || '[]');
                 window.currentLoadedMoIndex = savedMOs.length - 1 - selectedIdx;
 
+                // MOs planned from a price list with no ratio template of its own carry its matrix
+                if (mo.matrix && !clientsDB.some(c => c.name === mo.clientName)) {
+                    clientsDB.push({ name: mo.clientName, matrix: mo.matrix });
+                    const opt = document.createElement('option');
+                    opt.value = mo.clientName;
+                    opt.textContent = mo.clientName;
+                    ratioSelect.appendChild(opt);
+                }
+
                 // Set Ratio and immediately trigger the build of input fields first
                 ratioSelect.value = mo.clientName;
                 ratioSelect.dispatchEvent(new Event('change'));
@@ -526,7 +539,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 } catch(e) {}
                 
                 if (window.currentLoadedMoIndex !== null && window.currentLoadedMoIndex >= 0 && window.currentLoadedMoIndex < savedMOs.length) {
-                    savedMOs[window.currentLoadedMoIndex] = moData; // Update existing
+                    // Update existing, keeping what planning recorded (orders fulfilled, wastage)
+                    const previous = savedMOs[window.currentLoadedMoIndex];
+                    savedMOs[window.currentLoadedMoIndex] = { ...previous, ...moData, ...(previous.status === 'draft' ? { status: 'open' } : {}) };
                 } else {
                     savedMOs.push(moData); // Create new
                     window.currentLoadedMoIndex = savedMOs.length - 1; // Now it is loaded
@@ -0,0 +1,287 @@
+/**
+ * Receivables
+ * Payments recorded against orders (order.payments) and what is still owed.
+ * Used by orders.html.
+ *
+ * Rates follow the order sheet: Base Amount = Amount / Exchange Rate, the base
+ * being INR. An order is booked at its own rate (exchangeRate, else its
+ * exchangeRateSnapshot). A payment may come in another currency at its own
+ * rate; `settles` is how much of the order, in the order's currency, it pays
+ * off. Realised FX gain or loss is the payment's base amount less the base
+ * amount booked for what it settles.
+ */
+
+(function () {
+    const { toNumber, firstNumber, round2, toDate } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    const PAYMENT_TYPES = ['advance', 'partial', 'final'];
+
+    const PAYMENT_LABELS = {
+        advance: 'Advance',
+        partial: 'Part payment',
+        final: 'Final payment'
+    };
+
+    // Ageing buckets by days since the order date
+    const BUCKETS = [
+        { key: 'current', label: '0-30 days', maxDays: 30 },
+        { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+        { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+        { key: 'over90', label: 'Over 90 days', maxDays: Infinity }
+    ];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Differences below this are rounding, not money owed
+    const TOLERANCE = 0.01;
+
+    function lifecycle() {
+        return typeof INHOrderLifecycle !== 'undefined' ? INHOrderLifecycle : require('./order-lifecycle.js');
+    }
+
+    /**
+     * The lines of an order, whichever field older documents keep them in.
+     */
+    function orderItems(order) {
+        return (order && (order.items || order.quoteItems || order.lines || order.products)) || [];
+    }
+
+    /**
+     * { quantity, unitPrice, total } of an order line; the total is quantity x
+     * unit price when the line has none of its own.
+     */
+    function lineAmounts(item) {
+        const quantity = toNumber(item?.qty ?? item?.quantity ?? 1) ?? 1;
+        const unitPrice = toNumber(item?.unitPrice ?? item?.price ?? item?.rate) ?? 0;
+        const total = toNumber(item?.total ?? item?.totalPrice) ?? (quantity * unitPrice);
+        return { quantity, unitPrice, total };
+    }
+
+    /**
+     * { subtotal, tax, shipping, total } of an order in its currency, from the
+     * stored totals where it has them, else from its lines.
+     */
+    function orderTotals(order) {
+        const items = orderItems(order);
+        const subtotalCandidates = [order?.subtotal, order?.subTotal, order?.itemsTotal, order?.netSubtotal];
+        const taxCandidates = [order?.tax, order?.taxAmount, order?.vat, order?.gst];
+        const shippingCandidates = [order?.shipping, order?.shippingCost, order?.deliveryCharge];
+        const totalCandidates = [order?.total, order?.grandTotal, order?.amount, order?.netTotal];
+
+        let subtotal = firstNumber(subtotalCandidates);
+        const tax = firstNumber(taxCandidates);
+        const shipping = firstNumber(shippingCandidates);
+        let total = firstNumber(totalCandidates);
+
+        if (subtotal === undefined && Array.isArray(items) && items.length) {
+            subtotal = items.reduce((acc, it) => acc + (lineAmounts(it).total || 0), 0);
+        }
+        if (total === undefined && subtotal !== undefined) {
+            const discount = firstNumber([order?.discountAmount]) || 0;
+            total = (subtotal || 0) - discount + (tax || 0) + (shipping || 0);
+        }
+        return { subtotal, tax, shipping, total };
+    }
+
+    function orderCurrency(order) {
+        return String((order && order.currency) || 'INR').toUpperCase();
+    }
+
+    /**
+     * The rate the order is booked at (order currency per base unit); 1 for INR
+     * orders and orders with no rate.
+     */
+    function orderRate(order) {
+        const currency = orderCurrency(order);
+        if (currency === 'INR') return 1;
+        const own = toNumber(order && order.exchangeRate);
+        if (own) return own;
+        const snapshot = order && order.exchangeRateSnapshot;
+        return toNumber(snapshot && snapshot.rates && snapshot.rates[currency]) || 1;
+    }
+
+    /**
+     * Totals and payments of an order in its currency, with the base (INR)
+     * figures: { currency, rate, total, paid, outstanding, baseTotal, baseReceived,
+     * baseOutstanding, fxGainLoss, status: 'unpaid' | 'part_paid' | 'paid', payments }.
+     * Each payment comes back with its own fxGainLoss.
+     */
+    function paymentSummary(order) {
+        const currency = orderCurrency(order);
+        const rate = orderRate(order);
+        const total = orderTotals(order).total || 0;
+        let paid = 0;
+        let baseReceived = 0;
+        let fxGainLoss = 0;
+
+        const payments = (order.payments || []).map(payment => {
+            const booked = payment.settles / rate;
+            const gain = round2(payment.baseAmount - booked);
+            paid += payment.settles;
+            baseReceived += payment.baseAmount;
+            fxGainLoss += gain;
+            return { ...payment, fxGainLoss: gain };
+        });
+
+        const outstanding = round2(Math.max(total - paid, 0));
+        return {
+            currency,
+            rate,
+            total: round2(total),
+            paid: round2(paid),
+            outstanding: outstanding < TOLERANCE ? 0 : outstanding,
+            baseTotal: round2(total / rate),
+            baseReceived: round2(baseReceived),
+            baseOutstanding: outstanding < TOLERANCE ? 0 : round2(outstanding / rate),
+            fxGainLoss: round2(fxGainLoss),
+            status: outstanding < TOLERANCE && total > 0 ? 'paid' : (paid > 0 ? 'part_paid' : 'unpaid'),
+            payments
+        };
+    }
+
+    /**
+     * A checked payment for `order` from form input: { type, date, amount,
+     * currency, exchangeRate, settles, reference, note }. settles defaults to
+     * the amount when the payment is in the order's currency. Throws on bad input.
+     * options: { user, now }
+     */
+    function createPayment(order, input, options = {}) {
+        const type = input.type;
+        if (!PAYMENT_TYPES.includes(type)) throw new Error(`Payment type must be one of ${PAYMENT_TYPES.join(', ')}`);
+
+        const amount = toNumber(input.amount);
+        if (!amount || amount <= 0) throw new Error('The amount must be more than 0');
+
+        const currency = String(input.currency || orderCurrency(order)).trim().toUpperCase();
+        if (!/^[A-Z]{3}$/.test(currency)) throw new Error(`Invalid currency: ${currency}`);
+
+        const exchangeRate = currency === 'INR' ? 1 : toNumber(input.exchangeRate);
+        if (!exchangeRate || exchangeRate <= 0) throw new Error(`Enter the exchange rate the ${currency} payment was received at`);
+
+        const sameCurrency = currency === orderCurrency(order);
+        const settles = sameCurrency && (input.settles === undefined || input.settles === '') ? amount : toNumber(input.settles);
+        if (!settles || settles <= 0) {
+            throw new Error(`Enter how much of the order (in ${orderCurrency(order)}) this payment settles`);
+        }
+
+        const summary = paymentSummary(order);
+        if (settles - summary.outstanding > TOLERANCE) {
+            throw new Error(`The payment settles ${round2(settles)} ${summary.currency} but only ${summary.outstanding} ${summary.currency} is outstanding`);
+        }
+
+        const date = String(input.date || '').trim() || (options.now || new Date()).toISOString().slice(0, 10);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error('The payment date must be YYYY-MM-DD');
+
+        const user = options.user;
+        return {
+            id: `pay_${(options.now || new Date()).getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            type,
+            date,
+            amount: round2(amount),
+            currency,
+            exchangeRate,
+            baseAmount: round2(amount / exchangeRate),
+            settles: round2(settles),
+            reference: String(input.reference || '').trim(),
+            note: String(input.note || '').trim(),
+            recordedAt: (options.now || new Date()).toISOString(),
+            recordedBy: user ? user.email || user.uid || null : null
+        };
+    }
+
+    /**
+     * The order with a payment added (see createPayment). Callers stamp updatedAt.
+     */
+    function recordPayment(order, input, options = {}) {
+        const payment = createPayment(order, input, options);
+        return { ...order, payments: [...(order.payments || []), payment] };
+    }
+
+    function clientOf(order) {
+        const client = order.client && typeof order.client === 'object' ? order.client : {};
+        const name = client.clientName || client.name || order.clientName || order.customerName ||
+            (typeof order.client === 'string' ? order.client : '') || '';
+        return {
+            key: client.id || name.trim().toLowerCase() || '(none)',
+            label: [name, client.companyName].filter(Boolean).join(', ') || 'No client'
+        };
+    }
+
+    /**
+     * Outstanding receivables per client, aged by order date, in INR at each
+     * order's booked rate. Cancelled and fully paid orders are left out.
+     * Returns { asOf, currency: 'INR', buckets, clients: [{ key, label, orders,
+     * outstanding, byBucket, byCurrency, oldestDays }], totals: { outstanding, byBucket } },
+     * clients with the most outstanding first.
+     */
+    function receivablesReport(orders, options = {}) {
+        const asOf = options.asOf || new Date();
+        const clients = new Map();
+        const emptyBuckets = () => BUCKETS.reduce((acc, b) => ({ ...acc, [b.key]: 0 }), {});
+        const totals = { outstanding: 0, byBucket: emptyBuckets() };
+
+        (orders || []).forEach(order => {
+            if (!order || lifecycle().statusOf(order) === 'cancelled') return;
+            const summary = paymentSummary(order);
+            if (!summary.outstanding) return;
+
+            const placed = toDate(order.orderDate) || toDate(order.createdAt) || asOf;
+            const days = Math.max(0, Math.floor((asOf - placed) / DAY_MS));
+            const bucket = BUCKETS.find(b => days <= b.maxDays).key;
+            const { key, label } = clientOf(order);
+
+            if (!clients.has(key)) {
+                clients.set(key, { key, label, orders: [], outstanding: 0, byBucket: emptyBuckets(), byCurrency: {}, oldestDays: 0 });
+            }
+            const row = clients.get(key);
+            row.orders.push({
+                id: order.id,
+                orderId: order.orderId || order.id,
+                orderDate: placed.toISOString().slice(0, 10),
+                days,
+                currency: summary.currency,
+                outstanding: summary.outstanding,
+                baseOutstanding: summary.baseOutstanding
+            });
+            row.outstanding += summary.baseOutstanding;
+            row.byBucket[bucket] += summary.baseOutstanding;
+            row.byCurrency[summary.currency] = round2((row.byCurrency[summary.currency] || 0) + summary.outstanding);
+            row.oldestDays = Math.max(row.oldestDays, days);
+            totals.outstanding += summary.baseOutstanding;
+            totals.byBucket[bucket] += summary.baseOutstanding;
+        });
+
+        const roundBuckets = byBucket => Object.keys(byBucket).reduce((acc, k) => ({ ...acc, [k]: round2(byBucket[k]) }), {});
+        return {
+            asOf: asOf.toISOString().slice(0, 10),
+            currency: 'INR',
+            buckets: BUCKETS.map(({ key, label }) => ({ key, label })),
+            clients: [...clients.values()]
+                .map(row => ({ ...row, outstanding: round2(row.outstanding), byBucket: roundBuckets(row.byBucket) }))
+                .sort((a, b) => b.outstanding - a.outstanding),
+            totals: { outstanding: round2(totals.outstanding), byBucket: roundBuckets(totals.byBucket) }
+        };
+    }
+
+    const INHReceivables = {
+        PAYMENT_TYPES,
+        PAYMENT_LABELS,
+        BUCKETS,
+        orderItems,
+        lineAmounts,
+        orderTotals,
+        orderRate,
+        paymentSummary,
+        createPayment,
+        recordPayment,
+        receivablesReport
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHReceivables = INHReceivables;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHReceivables;
+    }
+})();
@@ -0,0 +1,319 @@
+/**
+ * Record Schemas
+ * JSON schemas for the supplier, ratio config (data/clients), price list,
+ * pricing rule and quote template documents, and the validator that enforces
+ * them. Loaded by server.js for the save endpoints and by inh-ratio-mix before
+ * saving, so both report the same field-level errors: [{ path: 'matrix.3.10', message: '...' }].
+ *
+ * The validator supports the subset of JSON Schema used here (type, required,
+ * properties, additionalProperties, propertyNames, items, minItems, enum,
+ * pattern, minLength, minimum, maximum, exclusiveMinimum) plus one extension:
+ *   percentTotal: n - the values of a non-empty object must add up to n (±0.1),
+ *                     the same tolerance calculateColumn uses in the ratio mixer.
+ */
+
+(function () {
+    // Must match RAW_LENGTHS / FINISHED_LENGTHS in inh-ratio-mix/script.js
+    const RAW_LENGTHS = [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34];
+    const FINISHED_LENGTHS = [4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34, 36, 38, 40];
+
+    const RAW_LENGTH_KEYS = RAW_LENGTHS.map(String);
+    const FINISHED_INDEX_KEYS = FINISHED_LENGTHS.map((_, idx) => String(idx));
+
+    // Per raw length price, e.g. { "6": 4000, "8": 5000 }
+    const prices = {
+        type: 'object',
+        propertyNames: { enum: RAW_LENGTH_KEYS },
+        additionalProperties: { type: 'number', minimum: 0 }
+    };
+
+    // matrix[finishedIdx][rawLen] = percentage of that raw length in the finished length
+    const matrix = {
+        type: 'object',
+        propertyNames: { enum: FINISHED_INDEX_KEYS },
+        additionalProperties: {
+            type: 'object',
+            propertyNames: { enum: RAW_LENGTH_KEYS },
+            additionalProperties: { type: 'number', minimum: 0, maximum: 100 },
+            percentTotal: 100
+        }
+    };
+
+    const percent = { type: 'number', minimum: 0, maximum: 100 };
+    const amount = { type: 'number', minimum: 0 };
+    const isoDateOrEmpty = '^(\\d{4}-\\d{2}-\\d{2})?$';
+
+    // Pricing factors shared by ratio configs and price lists
+    const pricingFactors = {
+        supplierId: { type: ['string', 'null'] },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+        exchangeRate: { type: 'number', exclusiveMinimum: 0 },
+        marginPercent: { type: 'number', minimum: -100 },
+        wastagePercent: percent,
+        machineCharge: amount,
+        weftingWastagePercent: percent,
+        weftingCharge: amount,
+        // Exchange rate snapshot the currency conversion was priced with (exchange-rate-store.js)
+        exchangeRateSnapshot: {
+            type: ['object', 'null'],
+            properties: {
+                id: { type: ['string', 'null'] },
+                currency: { type: 'string' },
+                rate: { type: ['number', 'null'], exclusiveMinimum: 0 }
+            }
+        }
+    };
+
+    const SCHEMAS = {
+        supplier: {
+            type: 'object',
+            required: ['id', 'name', 'prices'],
+            properties: {
+                id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                name: { type: 'string', minLength: 1 },
+                prices
+            }
+        },
+        ratio: {
+            type: 'object',
+            required: ['name', 'matrix'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                matrix,
+                ...pricingFactors
+            }
+        },
+        priceList: {
+            type: 'object',
+            required: ['name', 'matrix'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                matrix,
+                prices,
+                ...pricingFactors,
+                customPricesEnabled: { type: 'boolean' },
+                // Price override per finished length index; '' means not overridden
+                customPrices: {
+                    type: 'object',
+                    propertyNames: { enum: FINISHED_INDEX_KEYS },
+                    additionalProperties: { type: ['number', 'string'], minimum: 0, pattern: '^$' }
+                }
+            }
+        },
+        // Quote pricing rule (data/pricing-rules); applied by INHPricing.computeQuoteLine
+        pricingRule: {
+            type: 'object',
+            required: ['id', 'name', 'tiers'],
+            properties: {
+                id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                name: { type: 'string', minLength: 1 },
+                active: { type: 'boolean' },
+                priority: { type: 'number' },
+                match: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        priceList: { type: 'string' },
+                        category: { type: 'string' },
+                        product: { type: 'string' },
+                        length: { type: 'string' },
+                        clientGroup: { type: 'string' }
+                    }
+                },
+                validFrom: { type: 'string', pattern: isoDateOrEmpty },
+                validTo: { type: 'string', pattern: isoDateOrEmpty },
+                adjustment: { enum: ['percentOff', 'unitPrice'] },
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                // Quantity breaks; value is % off or a unit price, per adjustment
+                tiers: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['minQuantity', 'value'],
+                        properties: {
+                            minQuantity: { type: 'number', minimum: 0 },
+                            value: amount
+                        }
+                    }
+                },
+                notes: { type: 'string' }
+            }
+        },
+        // Client reorder basket (data/quote-templates); see js/quote-templates.js
+        quoteTemplate: {
+            type: 'object',
+            required: ['id', 'name', 'clientId', 'items'],
+            properties: {
+                id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+                name: { type: 'string', minLength: 1 },
+                clientId: { type: 'string', minLength: 1 },
+                clientName: { type: 'string' },
+                currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                items: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['priceList', 'category', 'product', 'length', 'quantity'],
+                        properties: {
+                            priceList: { type: 'string', minLength: 1 },
+                            category: { type: 'string', minLength: 1 },
+                            product: { type: 'string', minLength: 1 },
+                            density: { type: 'string' },
+                            length: { type: 'string', minLength: 1 },
+                            colorType: { type: 'string' },
+                            color: { type: 'string' },
+                            style: { type: 'string' },
+                            quantity: { type: 'number', exclusiveMinimum: 0 }
+                        }
+                    }
+                },
+                // Unit prices the last time the template was used, one per line
+                lastUsed: {
+                    type: ['object', 'null'],
+                    properties: {
+                        at: { type: 'string' },
+                        quoteNumber: { type: ['string', 'null'] },
+                        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+                        lines: {
+                            type: 'array',
+                            items: {
+                                type: ['object', 'null'],
+                                properties: { unitPrice: amount }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid number';
+        return typeof value;
+    }
+
+    function validateValue(schema, value, path, errors) {
+        const at = path || '(root)';
+        const type = typeOf(value);
+
+        if (schema.type) {
+            const allowed = [].concat(schema.type);
+            const ok = allowed.some(t => t === type || (t === 'integer' && type === 'number' && Number.isInteger(value)));
+            if (!ok) {
+                errors.push({ path: at, message: `must be ${allowed.join(' or ')}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push({ path: at, message: 'is required' });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path: at, message: `has an invalid format (${value})` });
+            }
+        }
+
+        if (type === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path: at, message: `must be greater than ${schema.exclusiveMinimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+            }
+        }
+
+        if (type === 'object') {
+            validateObject(schema, value, path, errors);
+        }
+
+        if (type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: at, message: `needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            if (schema.items) {
+                value.forEach((item, idx) => validateValue(schema.items, item, path ? `${path}.${idx}` : String(idx), errors));
+            }
+        }
+    }
+
+    function validateObject(schema, value, path, errors) {
+        const childPath = key => (path ? `${path}.${key}` : key);
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: childPath(key), message: 'is required' });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (schema.propertyNames && schema.propertyNames.enum && !schema.propertyNames.enum.includes(key)) {
+                errors.push({ path: childPath(key), message: `is not a valid key (expected one of ${schema.propertyNames.enum.join(', ')})` });
+                return;
+            }
+            if (value[key] === undefined) return;
+            if (properties[key]) {
+                validateValue(properties[key], value[key], childPath(key), errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(key), message: 'is not allowed' });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateValue(schema.additionalProperties, value[key], childPath(key), errors);
+            }
+        });
+
+        if (schema.percentTotal !== undefined) {
+            const values = Object.values(value).filter(v => typeof v === 'number');
+            const total = values.reduce((sum, v) => sum + v, 0);
+            if (values.length && Math.abs(total - schema.percentTotal) >= 0.1) {
+                errors.push({ path: path || '(root)', message: `adds up to ${Math.round(total * 100) / 100}%, must be ${schema.percentTotal}%` });
+            }
+        }
+    }
+
+    /**
+     * Validate a document against one of the SCHEMAS ('supplier', 'ratio', 'priceList', 'pricingRule', 'quoteTemplate').
+     * Returns { valid, errors }.
+     */
+    function validateRecord(type, data) {
+        const schema = SCHEMAS[type];
+        if (!schema) throw new Error(`Unknown record schema: ${type}`);
+        const errors = [];
+        validateValue(schema, data, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * One line per error, for alert() and log messages.
+     */
+    function formatErrors(errors) {
+        return errors.map(e => `${e.path} ${e.message}`).join('\n');
+    }
+
+    const INHRecordSchemas = {
+        RAW_LENGTHS,
+        FINISHED_LENGTHS,
+        SCHEMAS,
+        validateRecord,
+        formatErrors
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHRecordSchemas = INHRecordSchemas;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHRecordSchemas;
+    }
+})();
@@ -0,0 +1,89 @@
+/**
+ * Roles and Permissions
+ * Single role model shared by server.js route guards and browser UI checks.
+ * A user's role comes from the `role` Firebase custom claim (set with
+ * tools/set-user-role.js); the legacy `admin: true` claim maps to admin.
+ * Firestore and Storage rules read the same claim.
+ */
+
+(function () {
+    const ROLES = ['admin', 'salesperson', 'production', 'viewer'];
+
+    // Role given to authenticated users that carry no role claim
+    const DEFAULT_ROLE = 'viewer';
+
+    // Permission -> roles allowed to use it
+    const PERMISSIONS = {
+        // Business records: clients, suppliers, quotes, orders, stored price lists
+        'records:read': ['admin', 'salesperson', 'production', 'viewer'],
+        // Quotes, orders and other Firestore documents created during daily work
+        'records:write': ['admin', 'salesperson', 'production'],
+        // Approving quotes whose discount is above the salesperson's limit (managers)
+        'quotes:approve': ['admin'],
+        // Supplier rate cards, ratio templates and price lists
+        'catalog:write': ['admin'],
+        // Triggering Google Sheets / Firebase syncs
+        'sync:run': ['admin'],
+        // Destructive and configuration endpoints (clear data, scheduler, migrations, HTML embedding)
+        'system:admin': ['admin']
+    };
+
+    function normalizeRole(role) {
+        const value = String(role || '').trim().toLowerCase();
+        return ROLES.includes(value) ? value : null;
+    }
+
+    /**
+     * Resolve a role from decoded token claims ({ role, admin, ... }).
+     * Returns null when there are no claims (not signed in).
+     */
+    function resolveRole(claims) {
+        if (!claims) return null;
+        const role = normalizeRole(claims.role);
+        if (role) return role;
+        if (claims.admin === true) return 'admin';
+        return DEFAULT_ROLE;
+    }
+
+    function hasPermission(role, permission) {
+        const allowed = PERMISSIONS[permission];
+        if (!allowed) return false;
+        return allowed.includes(normalizeRole(role));
+    }
+
+    function isAdminRole(role) {
+        return normalizeRole(role) === 'admin';
+    }
+
+    /**
+     * Browser helper: read the role claim from a signed-in Firebase user.
+     */
+    async function roleForFirebaseUser(user) {
+        if (!user || typeof user.getIdTokenResult !== 'function') return null;
+        try {
+            const result = await user.getIdTokenResult();
+            return resolveRole(result && result.claims ? result.claims : {});
+        } catch (_) {
+            return null;
+        }
+    }
+
+    const INHRoles = {
+        ROLES,
+        DEFAULT_ROLE,
+        PERMISSIONS,
+        normalizeRole,
+        resolveRole,
+        hasPermission,
+        isAdminRole,
+        roleForFirebaseUser
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHRoles = INHRoles;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHRoles;
+    }
+})();
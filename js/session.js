@@ -27,7 +27,8 @@
         if (localStorage.getItem('SESSION_AUTH') === '1') {
           const email = localStorage.getItem('SESSION_EMAIL') || null;
           const uid = localStorage.getItem('SESSION_UID') || null;
-          _lastResult = { uid: uid || null, email: email || null };
+          const role = localStorage.getItem('SESSION_ROLE') || null;
+          _lastResult = { uid: uid || null, email: email || null, role: role || null };
           _lastTime = Date.now();
           return _lastResult;
         }
@@ -36,7 +37,8 @@
       try {
         if (window.firebase && firebase.auth && firebase.auth().currentUser) {
           const cu = firebase.auth().currentUser;
-          _lastResult = { uid: cu && cu.uid ? cu.uid : null, email: cu && cu.email ? cu.email : null };
+          const role = window.INHRoles ? await window.INHRoles.roleForFirebaseUser(cu) : null;
+          _lastResult = { uid: cu && cu.uid ? cu.uid : null, email: cu && cu.email ? cu.email : null, role };
           _lastTime = Date.now();
           return _lastResult;
         }
@@ -70,7 +72,8 @@
               if (res.ok) {
                 const json = await res.json();
                 if (json && json.authenticated) {
-                  _lastResult = { uid: json.uid || null, email: json.email || null };
+                  _lastResult = { uid: json.uid || null, email: json.email || null, role: json.role || null };
+                  try { localStorage.setItem('SESSION_ROLE', json.role || ''); } catch (_) {}
                   _lastTime = Date.now();
                   return _lastResult;
                 }
@@ -114,7 +117,7 @@
           if (res && res.ok) break;
         } catch (_) {}
       }
-      try { localStorage.removeItem('SESSION_AUTH'); localStorage.removeItem('SESSION_EMAIL'); localStorage.removeItem('SESSION_UID'); } catch (_) {}
+      try { localStorage.removeItem('SESSION_AUTH'); localStorage.removeItem('SESSION_EMAIL'); localStorage.removeItem('SESSION_UID'); localStorage.removeItem('SESSION_ROLE'); } catch (_) {}
     }
   };
 })();
@@ -0,0 +1,191 @@
+/**
+ * Shipping Rates
+ * Courier costs from the zone and weight-slab tables in
+ * shipping-calculator/data.js (`shippingData`, in INR). Used by the shipping
+ * calculator and by the quote maker, which estimates the parcel weight from
+ * its lines and offers one option per courier, cheapest first.
+ *
+ * Item weights come from the product configurator (localStorage
+ * 'inhProductListsDB': finalPrices[length][grams]); packaging and defaults are
+ * in data/shipping-config.json over DEFAULT_CONFIG.
+ */
+
+(function () {
+    const { num } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    const DEFAULT_CONFIG = {
+        // Weight of a unit when the configurator has none for the product (grams)
+        defaultItemGrams: 100,
+        packaging: {
+            boxKg: 0.5,
+            perItemGrams: 20
+        },
+        fuelPercent: 32.5,
+        // Quoted goods ship as commercial consignments
+        commercial: true
+    };
+
+    // Charges on top of the slab rate, as in the shipping calculator (INR)
+    const DEMAND_CHARGE = 350;
+    const COMMERCIAL_CHARGE = 3500;
+    const MARGIN_CHARGE = 500;
+
+    // Alternate names for common countries in the zone guides
+    const COUNTRY_ALIASES = {
+        'united states of america': ['usa', 'us', 'united states', 'america'],
+        'united kingdom': ['uk', 'great britain', 'britain', 'england', 'gb'],
+        'united arab emirates': ['uae', 'dubai', 'emirates'],
+        'russia': ['russian federation'],
+        'south korea': ['korea south', 'republic of korea', 'korea'],
+        "china, people's republic": ['china', 'prc'],
+        'vietnam': ['viet nam'],
+        'taiwan': ['chinese taipei'],
+        'iran (islamic republic of)': ['iran']
+    };
+
+    function mergeConfig(overrides) {
+        const config = overrides || {};
+        return {
+            ...DEFAULT_CONFIG,
+            ...config,
+            packaging: { ...DEFAULT_CONFIG.packaging, ...(config.packaging || {}) }
+        };
+    }
+
+    /**
+     * Couriers to offer on quotes. Tables named "... copy" are working copies
+     * kept in data.js by the rate update script and are left out.
+     */
+    function providers(shippingData) {
+        return Object.keys(shippingData || {}).filter(name => !/\bcopy$/i.test(name));
+    }
+
+    /**
+     * Zone of `country` (name, alias or ISO code) in a courier's zone guide; null when it has none.
+     */
+    function zoneFor(shippingData, provider, country) {
+        const wanted = String(country || '').trim().toLowerCase();
+        if (!wanted || !shippingData[provider]) return null;
+        const row = shippingData[provider].zones.find(entry => {
+            const name = String(entry['2025 Zone Guide'] || '').toLowerCase();
+            const code = String(entry['Unnamed: 1'] || '').toLowerCase();
+            return name === wanted || code === wanted || (COUNTRY_ALIASES[name] || []).includes(wanted);
+        });
+        const zone = row ? row['Unnamed: 2'] : null;
+        return zone === null || zone === undefined || zone === 'Zone' ? null : zone;
+    }
+
+    /**
+     * Cost of sending `weight` kg to `zone` with `provider`, all in INR:
+     * { baseRate, demandCharge, fuelSurcharge, commercialCharge, subtotal, gst, gstRate, total, error }.
+     * Weights round up to the next 0.5 kg slab. options: { fuelPercent, isCommercial, taxConfig }
+     * (taxConfig is the js/tax-engine.js config for the courier GST rate).
+     */
+    function calculateShippingCost(shippingData, provider, zone, weight, options = {}) {
+        const roundedWeight = Math.ceil(weight * 2) / 2;
+        const providerRates = shippingData[provider].rates;
+        const slab = providerRates[roundedWeight.toFixed(1)];
+
+        if (!slab) {
+            const weights = Object.keys(providerRates).map(parseFloat).sort((a, b) => a - b);
+            if (roundedWeight > weights[weights.length - 1]) return { error: 'Weight limit exceeded' };
+        }
+        const baseRate = slab ? slab[zone] : undefined;
+        if (baseRate === undefined || baseRate === null) return { error: 'Rate not available' };
+
+        const demandCharge = DEMAND_CHARGE;
+        const fuelSurcharge = (baseRate + demandCharge) * (num(options.fuelPercent) / 100);
+        const commercialCharge = options.isCommercial ? COMMERCIAL_CHARGE : 0;
+        const subtotal = baseRate + demandCharge + fuelSurcharge + commercialCharge;
+
+        const tax = typeof INHTax !== 'undefined' ? INHTax : require('./tax-engine.js');
+        const gstLine = tax.serviceTax('courier', subtotal, options.taxConfig);
+        const total = subtotal + gstLine.amount + MARGIN_CHARGE;
+
+        return {
+            baseRate,
+            demandCharge,
+            fuelSurcharge,
+            commercialCharge,
+            subtotal,
+            gst: gstLine.amount,
+            gstRate: gstLine.rate,
+            total,
+            error: null
+        };
+    }
+
+    /**
+     * Grams per unit of a quote line: its own weight, else the product
+     * configurator's weight for the product and length (100 g when it lists
+     * several, as the order entry page does), else the default.
+     */
+    function itemGrams(item, products, config) {
+        if (num(item.weight) > 0) return num(item.weight);
+        const name = String(item.product || '').trim().toLowerCase();
+        const length = String(item.length || '').replace(/[^0-9]/g, '');
+        const product = (products || []).find(p => String(p.name || '').toLowerCase() === name);
+        const weights = product && product.finalPrices && product.finalPrices[length]
+            ? Object.keys(product.finalPrices[length]).sort((a, b) => parseFloat(a) - parseFloat(b))
+            : [];
+        if (weights.length) return parseFloat(weights.includes('100') ? '100' : weights[0]);
+        return mergeConfig(config).defaultItemGrams;
+    }
+
+    /**
+     * Parcel weight for quote lines: { netKg, packagingKg, totalKg, units }.
+     */
+    function estimateWeight(items, products, config) {
+        const settings = mergeConfig(config);
+        let grams = 0;
+        let units = 0;
+        (items || []).forEach(item => {
+            const quantity = num(item.quantity);
+            grams += itemGrams(item, products, settings) * quantity;
+            units += quantity;
+        });
+        const netKg = grams / 1000;
+        const packagingKg = units > 0 ? settings.packaging.boxKg + units * settings.packaging.perItemGrams / 1000 : 0;
+        return { netKg, packagingKg, totalKg: Math.round((netKg + packagingKg) * 1000) / 1000, units };
+    }
+
+    /**
+     * One option per courier that ships `weight` kg to `country`, cheapest first:
+     * [{ provider, zone, weightKg, ...calculateShippingCost }]. options: { config, taxConfig }
+     */
+    function shippingOptions(shippingData, country, weight, options = {}) {
+        if (!(weight > 0)) return [];
+        const settings = mergeConfig(options.config);
+        return providers(shippingData)
+            .map(provider => {
+                const zone = zoneFor(shippingData, provider, country);
+                if (zone === null) return null;
+                const cost = calculateShippingCost(shippingData, provider, zone, weight, {
+                    fuelPercent: settings.fuelPercent,
+                    isCommercial: settings.commercial,
+                    taxConfig: options.taxConfig
+                });
+                return cost.error ? null : { provider, zone, weightKg: weight, ...cost };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.total - b.total);
+    }
+
+    const INHShipping = {
+        DEFAULT_CONFIG,
+        providers,
+        zoneFor,
+        calculateShippingCost,
+        itemGrams,
+        estimateWeight,
+        shippingOptions
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHShipping = INHShipping;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHShipping;
+    }
+})();
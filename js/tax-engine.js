@@ -0,0 +1,357 @@
+/**
+ * Tax Engine
+ * GST for quotes, orders and the shipping calculator. Works out the kind of
+ * supply from the seller and buyer, looks up the HSN code and rate of each
+ * line's product category and returns the tax lines to show and print:
+ *
+ *   intra   - seller and buyer in the same state: CGST + SGST (UTGST in union
+ *             territories without a legislature), half the rate each
+ *   inter   - different states: IGST at the full rate
+ *   export  - buyer outside India: zero-rated under a Letter of Undertaking
+ *             (LUT), otherwise IGST that the exporter claims back
+ *
+ * States come from a GSTIN (its first two digits), a GST state code or a state
+ * name. When the seller's or a domestic buyer's state is unknown, IGST is
+ * assumed and the result says so.
+ *
+ * HSN codes and rates per category are in data/tax-config.json over
+ * DEFAULT_CONFIG; the seller's state, GSTIN and LUT are in
+ * data/company-profile.json.
+ */
+
+(function () {
+    const { num } = typeof INHValues !== 'undefined' ? INHValues : require('./values.js');
+
+    // GST state codes (the first two digits of a GSTIN)
+    const STATE_CODES = {
+        '01': 'Jammu and Kashmir',
+        '02': 'Himachal Pradesh',
+        '03': 'Punjab',
+        '04': 'Chandigarh',
+        '05': 'Uttarakhand',
+        '06': 'Haryana',
+        '07': 'Delhi',
+        '08': 'Rajasthan',
+        '09': 'Uttar Pradesh',
+        '10': 'Bihar',
+        '11': 'Sikkim',
+        '12': 'Arunachal Pradesh',
+        '13': 'Nagaland',
+        '14': 'Manipur',
+        '15': 'Mizoram',
+        '16': 'Tripura',
+        '17': 'Meghalaya',
+        '18': 'Assam',
+        '19': 'West Bengal',
+        '20': 'Jharkhand',
+        '21': 'Odisha',
+        '22': 'Chhattisgarh',
+        '23': 'Madhya Pradesh',
+        '24': 'Gujarat',
+        '26': 'Dadra and Nagar Haveli and Daman and Diu',
+        '27': 'Maharashtra',
+        '29': 'Karnataka',
+        '30': 'Goa',
+        '31': 'Lakshadweep',
+        '32': 'Kerala',
+        '33': 'Tamil Nadu',
+        '34': 'Puducherry',
+        '35': 'Andaman and Nicobar Islands',
+        '36': 'Telangana',
+        '37': 'Andhra Pradesh',
+        '38': 'Ladakh',
+        '97': 'Other Territory'
+    };
+
+    // Union territories without a legislature charge UTGST instead of SGST
+    const UTGST_STATES = ['04', '26', '31', '35', '38'];
+
+    // Other spellings seen in client records
+    const STATE_ALIASES = {
+        'orissa': '21',
+        'pondicherry': '34',
+        'new delhi': '07',
+        'nct of delhi': '07',
+        'j&k': '01',
+        'daman and diu': '26',
+        'dadra and nagar haveli': '26',
+        'andaman and nicobar': '35'
+    };
+
+    const DEFAULT_CONFIG = {
+        defaultHsn: '6704',
+        defaultRate: 18,
+        // Finished hair goods are 6704 (wigs, switches and the like of human hair);
+        // worked bulk hair is 6703
+        categories: {
+            Bulk: { hsn: '6703', rate: 18 },
+            Weaves: { hsn: '6704', rate: 18 },
+            'Genius Weaves': { hsn: '6704', rate: 18 },
+            Genius: { hsn: '6704', rate: 18 },
+            Tapes: { hsn: '6704', rate: 18 },
+            Tips: { hsn: '6704', rate: 18 },
+            ClipOn: { hsn: '6704', rate: 18 },
+            DIY: { hsn: '6704', rate: 18 },
+            Wigs: { hsn: '6704', rate: 18 },
+            Toppers: { hsn: '6704', rate: 18 },
+            Closures: { hsn: '6704', rate: 18 }
+        },
+        // Services billed to us, e.g. courier charges in the shipping calculator
+        services: {
+            courier: { hsn: '9968', rate: 18 }
+        }
+    };
+
+    // Tax rounds half up to the paisa (1.005 -> 1.01), which plain round2 does not
+    function roundTax(value) {
+        return Math.round((value + Number.EPSILON) * 100) / 100;
+    }
+
+    function mergeConfig(overrides) {
+        const config = overrides || {};
+        return {
+            defaultHsn: config.defaultHsn || DEFAULT_CONFIG.defaultHsn,
+            defaultRate: config.defaultRate !== undefined ? num(config.defaultRate) : DEFAULT_CONFIG.defaultRate,
+            categories: { ...DEFAULT_CONFIG.categories, ...(config.categories || {}) },
+            services: { ...DEFAULT_CONFIG.services, ...(config.services || {}) }
+        };
+    }
+
+    /**
+     * GST state code ('27') from a GSTIN, a state code or a state name; null when unknown.
+     */
+    function stateCode(value) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+        if (/^\d{2}[A-Z0-9]{13}$/i.test(text)) return STATE_CODES[text.slice(0, 2)] ? text.slice(0, 2) : null;
+        if (/^\d{1,2}$/.test(text)) {
+            const code = text.padStart(2, '0');
+            return STATE_CODES[code] ? code : null;
+        }
+        const lower = text.toLowerCase();
+        if (STATE_ALIASES[lower]) return STATE_ALIASES[lower];
+        const match = Object.keys(STATE_CODES).find(code => STATE_CODES[code].toLowerCase() === lower);
+        return match || null;
+    }
+
+    function isIndia(country) {
+        const text = String(country || '').trim().toLowerCase();
+        return !text || ['india', 'in', 'ind', 'bharat'].includes(text);
+    }
+
+    /**
+     * HSN code and rate of a product category: { hsn, rate }. Category names
+     * compare case-insensitively; unknown categories get the default.
+     */
+    function hsnFor(category, config) {
+        const settings = mergeConfig(config);
+        const name = String(category || '').trim().toLowerCase();
+        const key = Object.keys(settings.categories).find(c => c.toLowerCase() === name);
+        const entry = key ? settings.categories[key] : null;
+        return {
+            hsn: (entry && entry.hsn) || settings.defaultHsn,
+            rate: entry && entry.rate !== undefined ? num(entry.rate) : settings.defaultRate
+        };
+    }
+
+    /**
+     * Whether an LUT ({ arn, validFrom, validTo }) covers `date` (YYYY-MM-DD).
+     */
+    function lutValid(lut, date) {
+        if (!lut || !lut.arn) return false;
+        if (lut.validFrom && date < lut.validFrom) return false;
+        if (lut.validTo && date > lut.validTo) return false;
+        return true;
+    }
+
+    /**
+     * Kind of supply between seller { gstin, state, lut } and buyer { gstin, state, country }.
+     * options: { date, exportUnderLut } - exportUnderLut overrides whether the seller's LUT is used.
+     * Returns { type, sellerState, buyerState, placeOfSupply, lut, assumed }.
+     */
+    function supplyType(seller, buyer, options = {}) {
+        const sellerState = stateCode((seller && seller.gstin) || (seller && seller.state));
+        const date = options.date || new Date().toISOString().split('T')[0];
+
+        if (buyer && !isIndia(buyer.country)) {
+            const lut = options.exportUnderLut !== undefined ? !!options.exportUnderLut : lutValid(seller && seller.lut, date);
+            return { type: 'export', sellerState, buyerState: null, placeOfSupply: 'Outside India', lut, assumed: false };
+        }
+
+        const buyerState = stateCode((buyer && buyer.gstin) || (buyer && buyer.state));
+        const assumed = !sellerState || !buyerState;
+        const type = !assumed && sellerState === buyerState ? 'intra' : 'inter';
+        return {
+            type,
+            sellerState,
+            buyerState,
+            placeOfSupply: buyerState ? `${STATE_CODES[buyerState]} (${buyerState})` : null,
+            lut: false,
+            assumed
+        };
+    }
+
+    function supplyNote(supply, seller) {
+        if (supply.type === 'export') {
+            if (supply.lut) {
+                const arn = seller && seller.lut && seller.lut.arn;
+                return `Supply meant for export under LUT${arn ? ` (ARN ${arn})` : ''} without payment of IGST`;
+            }
+            return 'Supply meant for export on payment of IGST';
+        }
+        if (supply.assumed) {
+            return `IGST charged: ${!supply.sellerState ? "seller's" : "buyer's"} state is not known`;
+        }
+        return `Place of supply: ${supply.placeOfSupply}`;
+    }
+
+    /**
+     * Tax on a set of lines.
+     * input: { lines: [{ category, amount, hsn?, rate? }], discountAmount,
+     *          seller: { gstin, state, lut }, buyer: { gstin, state, country },
+     *          date, exportUnderLut, config }
+     * The discount is spread over the lines in proportion to their amounts.
+     * Returns { supply, note, lines, hsnSummary, breakdown: [{ label, rate, amount }],
+     *           taxableAmount, taxAmount }; breakdown is the shape quote-pdf.js prints.
+     */
+    function computeTax(input) {
+        const seller = input.seller || {};
+        const supply = supplyType(seller, input.buyer || {}, { date: input.date, exportUnderLut: input.exportUnderLut });
+        const zeroRated = supply.type === 'export' && supply.lut;
+
+        const gross = (input.lines || []).reduce((sum, line) => sum + num(line.amount), 0);
+        const discount = Math.min(num(input.discountAmount), gross);
+
+        const lines = (input.lines || []).map(line => {
+            const lookup = hsnFor(line.category, input.config);
+            const hsn = line.hsn || lookup.hsn;
+            const rate = zeroRated ? 0 : (line.rate !== undefined ? num(line.rate) : lookup.rate);
+            const amount = num(line.amount);
+            const taxable = gross > 0 ? amount - discount * (amount / gross) : amount;
+            return { category: line.category || null, hsn, rate, amount, taxable };
+        });
+
+        // Tax is worked out per HSN code and rate, then rounded, as on a tax invoice
+        const groups = {};
+        lines.forEach(line => {
+            const key = `${line.hsn}|${line.rate}`;
+            if (!groups[key]) groups[key] = { hsn: line.hsn, rate: line.rate, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+            groups[key].taxable += line.taxable;
+        });
+
+        const stateTaxLabel = UTGST_STATES.includes(supply.sellerState) ? 'UTGST' : 'SGST';
+        const hsnSummary = Object.values(groups).map(group => {
+            const taxable = roundTax(group.taxable);
+            if (supply.type === 'intra') {
+                const half = roundTax(taxable * group.rate / 200);
+                return { ...group, taxable, cgst: half, sgst: half, stateTaxLabel, tax: roundTax(half * 2) };
+            }
+            const igst = roundTax(taxable * group.rate / 100);
+            return { ...group, taxable, igst, tax: igst };
+        });
+
+        const breakdown = [];
+        const addTax = (label, rate, amount) => {
+            if (!amount) return;
+            const existing = breakdown.find(t => t.label === label && t.rate === rate);
+            if (existing) existing.amount = roundTax(existing.amount + amount);
+            else breakdown.push({ label, rate, amount });
+        };
+        hsnSummary.forEach(group => {
+            if (supply.type === 'intra') {
+                addTax('CGST', group.rate / 2, group.cgst);
+                addTax(stateTaxLabel, group.rate / 2, group.sgst);
+            } else {
+                addTax('IGST', group.rate, group.igst);
+            }
+        });
+
+        const taxableAmount = roundTax(hsnSummary.reduce((sum, group) => sum + group.taxable, 0));
+        const taxAmount = roundTax(hsnSummary.reduce((sum, group) => sum + group.tax, 0));
+        return { supply, note: supplyNote(supply, seller), lines, hsnSummary, breakdown, taxableAmount, taxAmount };
+    }
+
+    /**
+     * Buyer for computeTax from a client record (quote maker / Firestore shape:
+     * gstNumber, address.state, address.country).
+     */
+    function buyerFromClient(client) {
+        const address = (client && client.address) || {};
+        return {
+            gstin: (client && client.gstNumber) || '',
+            state: address.state || (client && client.state) || '',
+            country: address.country || (client && client.country) || ''
+        };
+    }
+
+    /**
+     * Fields a quote or order keeps from a computeTax result. `tax` is the
+     * effective percentage, for screens that still show a single rate.
+     */
+    function documentFields(result) {
+        return {
+            tax: result.taxableAmount > 0 ? Math.round(result.taxAmount / result.taxableAmount * 10000) / 100 : 0,
+            taxAmount: result.taxAmount,
+            taxBreakdown: result.breakdown,
+            hsnSummary: result.hsnSummary,
+            taxSupply: { type: result.supply.type, placeOfSupply: result.supply.placeOfSupply, lut: result.supply.lut },
+            taxNote: result.note
+        };
+    }
+
+    /**
+     * GST on a service billed to us (config.services), e.g. courier charges:
+     * { hsn, rate, amount }.
+     */
+    function serviceTax(service, amount, config) {
+        const entry = mergeConfig(config).services[service];
+        if (!entry) throw new Error(`Unknown taxable service: ${service}`);
+        const rate = num(entry.rate);
+        return { hsn: entry.hsn, rate, amount: roundTax(num(amount) * rate / 100) };
+    }
+
+    /**
+     * Browser helper: data/tax-config.json and the seller fields of
+     * data/company-profile.json, relative to `base` (e.g. '../' from a
+     * sub-folder page). Missing files fall back to the defaults.
+     */
+    async function loadSettings(base = '') {
+        const read = async (file) => {
+            try {
+                const response = await fetch(`${base}data/${file}`);
+                return response.ok ? await response.json() : null;
+            } catch (error) {
+                console.warn(`[INHTax] Could not load data/${file}:`, error.message);
+                return null;
+            }
+        };
+        const [config, profile] = await Promise.all([read('tax-config.json'), read('company-profile.json')]);
+        return {
+            config: mergeConfig(config),
+            seller: { gstin: (profile && profile.gstin) || '', state: (profile && profile.state) || '', lut: (profile && profile.lut) || null }
+        };
+    }
+
+    const INHTax = {
+        STATE_CODES,
+        DEFAULT_CONFIG,
+        stateCode,
+        isIndia,
+        hsnFor,
+        lutValid,
+        supplyType,
+        computeTax,
+        buyerFromClient,
+        documentFields,
+        serviceTax,
+        loadSettings
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHTax = INHTax;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHTax;
+    }
+})();
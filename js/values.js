@@ -0,0 +1,82 @@
+/**
+ * Values
+ * Reading numbers, text and dates out of stored documents and form input, for
+ * the tax, shipping, quote and order modules. Works in the browser
+ * (window.INHValues) and in Node (module.exports).
+ */
+
+(function () {
+    /**
+     * A number from a number or numeric text; `fallback` (0) when it is neither.
+     */
+    function num(value, fallback = 0) {
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(n) ? n : fallback;
+    }
+
+    // A number from a number or numeric text; undefined when it is neither
+    function toNumber(value) {
+        const n = typeof value === 'number' ? value : parseFloat(value);
+        return Number.isFinite(n) ? n : undefined;
+    }
+
+    /**
+     * The first value of `list` that reads as a number; undefined when none does.
+     */
+    function firstNumber(list) {
+        for (const value of list) {
+            const n = toNumber(value);
+            if (n !== undefined) return n;
+        }
+        return undefined;
+    }
+
+    function round2(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function round3(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    // '' for undefined and null, else the value as a string
+    function text(value) {
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    function trimmed(value) {
+        return text(value).trim();
+    }
+
+    /**
+     * A Date from a Firestore Timestamp, { seconds } or { _seconds }, ISO text
+     * or milliseconds; null when unreadable.
+     */
+    function toDate(value) {
+        if (!value) return null;
+        if (typeof value.toDate === 'function') return value.toDate();
+        if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+        if (typeof value._seconds === 'number') return new Date(value._seconds * 1000);
+        const date = new Date(value);
+        return isNaN(date) ? null : date;
+    }
+
+    const INHValues = {
+        num,
+        toNumber,
+        firstNumber,
+        round2,
+        round3,
+        text,
+        trimmed,
+        toDate
+    };
+
+    if (typeof window !== 'undefined') {
+        window.INHValues = INHValues;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = INHValues;
+    }
+})();
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./api-router');
+
+/**
+ * JSON Record Store
+ * File-per-record storage for data/clients, data/suppliers and data/pricelists
+ * with an audit trail. The live record stays at <dir>/<file>.json so the bundling
+ * scripts keep working; every save, delete and restore also writes a numbered
+ * revision to <dir>/.revisions/<file>/<n>.json holding who, when and the data.
+ */
+class JsonRecordStore {
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.label = options.label || 'Record';
+    this.revisionsDir = path.join(dir, '.revisions');
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Validate a filename from a request and add the .json extension if missing.
+   * Throws a 400 HttpError on anything that could escape the store directory.
+   */
+  normalizeFilename(filename) {
+    const name = String(filename || '').trim();
+    if (!name || name.includes('..') || name.includes('/') || name.includes('\\') || name.startsWith('.')) {
+      throw new HttpError(400, 'Invalid filename');
+    }
+    return name.endsWith('.json') ? name : `${name}.json`;
+  }
+
+  list() {
+    return fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+  }
+
+  exists(filename) {
+    return fs.existsSync(path.join(this.dir, this.normalizeFilename(filename)));
+  }
+
+  /**
+   * Read the live record, or null when it does not exist.
+   */
+  read(filename) {
+    const filePath = path.join(this.dir, this.normalizeFilename(filename));
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  readAll() {
+    const records = [];
+    for (const file of this.list()) {
+      try {
+        records.push(this.read(file));
+      } catch (e) {
+        console.error(`Failed to read ${this.label.toLowerCase()} ${file}`, e);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Write the live record and append a revision. `user` is { uid, email, role } from the request.
+   */
+  save(filename, data, user, extra = {}) {
+    const file = this.normalizeFilename(filename);
+    this.importLegacy(file);
+    fs.writeFileSync(path.join(this.dir, file), JSON.stringify(data, null, 2), 'utf8');
+    return this.appendRevision(file, { action: extra.action || 'save', data, user, ...extra });
+  }
+
+  /**
+   * Delete the live record. The history is kept, so the record can be restored later.
+   * Returns null when the record does not exist.
+   */
+  remove(filename, user) {
+    const file = this.normalizeFilename(filename);
+    const filePath = path.join(this.dir, file);
+    if (!fs.existsSync(filePath)) return null;
+    this.importLegacy(file);
+    fs.unlinkSync(filePath);
+    return this.appendRevision(file, { action: 'delete', data: null, user });
+  }
+
+  /**
+   * Make an earlier revision the live record again (as a new revision).
+   */
+  restore(filename, revision, user) {
+    const file = this.normalizeFilename(filename);
+    const source = this.getRevision(file, revision);
+    if (!source) return null;
+    if (source.data === null) {
+      throw new HttpError(400, `Revision ${revision} is a deletion and cannot be restored`);
+    }
+    return this.save(file, source.data, user, { action: 'restore', restoredFrom: source.revision });
+  }
+
+  /**
+   * Latest revision number, served as the record's ETag. A record that predates
+   * the store (no history yet) is revision 1, the number importLegacy records it
+   * under before its first change; a record that never existed is revision 0.
+   */
+  currentRevision(filename) {
+    const file = this.normalizeFilename(filename);
+    const numbers = this.revisionNumbers(file);
+    if (numbers.length) return numbers[numbers.length - 1];
+    return this.exists(file) ? 1 : 0;
+  }
+
+  /**
+   * Optimistic concurrency check for a write. `expected` is the If-Match revision
+   * number, '*' (any existing record), 'none' (no record yet, for If-None-Match: *)
+   * or undefined when neither header was sent, which only a create may do.
+   * Throws a 428 HttpError when an existing record is changed without If-Match,
+   * and a 409 carrying the current server copy when it is stale.
+   */
+  assertRevision(filename, expected) {
+    const file = this.normalizeFilename(filename);
+    const revision = this.currentRevision(file);
+    if (expected === undefined) {
+      if (!this.exists(file)) return;
+      throw new HttpError(428, `${this.label} ${file} already exists: send If-Match with the revision it was loaded at (now ${revision})`, {
+        filename: file,
+        revision
+      });
+    }
+    const matches = expected === '*' ? this.exists(file)
+      : expected === 'none' ? !this.exists(file)
+        : expected === revision;
+    if (matches) return;
+    const message = expected === 'none'
+      ? `${this.label} ${file} already exists (revision ${revision})`
+      : `${this.label} ${file} was changed by someone else (now at revision ${revision})`;
+    throw new HttpError(409, message, {
+      filename: file,
+      revision,
+      current: this.read(file)
+    });
+  }
+
+  /**
+   * Revision metadata, oldest first (without the data payloads).
+   */
+  listRevisions(filename) {
+    const file = this.normalizeFilename(filename);
+    return this.revisionNumbers(file).map(n => {
+      const { data, ...meta } = this.readRevisionFile(file, n);
+      return meta;
+    });
+  }
+
+  getRevision(filename, revision) {
+    const file = this.normalizeFilename(filename);
+    const n = parseInt(revision, 10);
+    if (!Number.isInteger(n) || !this.revisionNumbers(file).includes(n)) return null;
+    return this.readRevisionFile(file, n);
+  }
+
+  /**
+   * The revision that was live at a point in time, or null if the record did not exist yet.
+   */
+  getRevisionAt(filename, when) {
+    const file = this.normalizeFilename(filename);
+    const at = new Date(when).getTime();
+    if (Number.isNaN(at)) {
+      throw new HttpError(400, `Invalid date: ${when}`);
+    }
+    let found = null;
+    for (const n of this.revisionNumbers(file)) {
+      const rev = this.readRevisionFile(file, n);
+      if (new Date(rev.savedAt).getTime() > at) break;
+      found = rev;
+    }
+    return found;
+  }
+
+  /**
+   * Field-level differences between two revisions.
+   */
+  diff(filename, fromRevision, toRevision) {
+    const from = this.getRevision(filename, fromRevision);
+    const to = this.getRevision(filename, toRevision);
+    if (!from || !to) return null;
+    return {
+      from: from.revision,
+      to: to.revision,
+      changes: diffJson(from.data, to.data)
+    };
+  }
+
+  // --- internals ---
+
+  revisionDir(file) {
+    return path.join(this.revisionsDir, file.replace(/\.json$/, ''));
+  }
+
+  revisionNumbers(file) {
+    const dir = this.revisionDir(file);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .map(f => /^(\d+)\.json$/.exec(f))
+      .filter(Boolean)
+      .map(m => parseInt(m[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  readRevisionFile(file, n) {
+    return JSON.parse(fs.readFileSync(path.join(this.revisionDir(file), `${n}.json`), 'utf8'));
+  }
+
+  appendRevision(file, { action, data, user, ...extra }) {
+    const dir = this.revisionDir(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const numbers = this.revisionNumbers(file);
+    const revision = numbers.length ? numbers[numbers.length - 1] + 1 : 1;
+    const entry = {
+      revision,
+      action,
+      savedAt: new Date().toISOString(),
+      savedBy: user ? { uid: user.uid || null, email: user.email || null, role: user.role || null } : null,
+      ...extra,
+      data
+    };
+    // 'wx' so two concurrent writers can never produce the same revision number
+    fs.writeFileSync(path.join(dir, `${revision}.json`), JSON.stringify(entry, null, 2), { encoding: 'utf8', flag: 'wx' });
+    return entry;
+  }
+
+  /**
+   * Records that predate the store have no history; capture their current
+   * content as revision 1 before the first change.
+   */
+  importLegacy(file) {
+    const filePath = path.join(this.dir, file);
+    if (!fs.existsSync(filePath) || this.revisionNumbers(file).length) return;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.appendRevision(file, { action: 'import', data, user: null, savedAt: fs.statSync(filePath).mtime.toISOString() });
+  }
+}
+
+/**
+ * Structural diff of two JSON values. Returns [{ path, type, before, after }]
+ * where type is 'added', 'removed' or 'changed' and path is dotted (matrix.1.6).
+ */
+function diffJson(before, after, basePath = '') {
+  const isObject = v => v !== null && typeof v === 'object';
+  if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after)) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    if (before === undefined) return [{ path: basePath, type: 'added', after }];
+    if (after === undefined) return [{ path: basePath, type: 'removed', before }];
+    return [{ path: basePath, type: 'changed', before, after }];
+  }
+
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of keys) {
+    const childPath = basePath ? `${basePath}.${key}` : key;
+    changes.push(...diffJson(before[key], after[key], childPath));
+  }
+  return changes;
+}
+
+module.exports = { JsonRecordStore, diffJson };
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./api-router');
+
+/**
+ * Numbering Service
+ * Sequential numbers for quotes, proforma invoices, orders and manufacturing
+ * orders. Every series has its own format (data/numbering.json) and counter;
+ * counters reset at the start of each financial year unless the series says
+ * reset: 'never'.
+ *
+ * Numbers are issued one at a time (a promise queue), so two requests in the
+ * same millisecond still get consecutive numbers. Counters live in the
+ * Firestore `counters` collection, updated in a transaction, and are mirrored
+ * to data/numbering-counters.json after every issue. When Firestore is not
+ * available the local file is the counter; when it comes back the transaction
+ * continues from the higher of the two, so a number issued offline is never
+ * issued again.
+ *
+ * Format tokens: {SEQ} or {SEQ:4} (zero padded), {FY} (2025-26), {FYSHORT} (2526),
+ * {YYYY}, {YY}, {MM}, {DD}.
+ */
+
+const DEFAULT_CONFIG = {
+  // Month (1-12) the financial year starts in; April for India
+  financialYearStartMonth: 4,
+  series: {
+    quote: { label: 'Quote', format: 'INH-Q-{FY}-{SEQ:4}', reset: 'financialYear' },
+    proforma: { label: 'Proforma invoice', format: 'INH-PI-{FY}-{SEQ:4}', reset: 'financialYear' },
+    order: { label: 'Order', format: 'ORD-{FY}-{SEQ:5}', reset: 'financialYear' },
+    mo: { label: 'Manufacturing order', format: 'MO-{FY}-{SEQ:4}', reset: 'financialYear' }
+  }
+};
+
+const RESETS = ['financialYear', 'never'];
+const TOKEN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const COUNTERS_COLLECTION = 'counters';
+
+class NumberingService {
+  /**
+   * options.getDb: returns the Firestore instance, or null while it is unavailable
+   */
+  constructor(dataDir, options = {}) {
+    this.configFile = path.join(dataDir, 'numbering.json');
+    this.countersFile = path.join(dataDir, 'numbering-counters.json');
+    this.getDb = options.getDb || (() => null);
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Series configuration, data/numbering.json over DEFAULT_CONFIG.
+   */
+  config() {
+    let overrides = {};
+    if (fs.existsSync(this.configFile)) {
+      overrides = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+    }
+    const series = { ...DEFAULT_CONFIG.series };
+    Object.entries(overrides.series || {}).forEach(([name, settings]) => {
+      series[name] = { ...(series[name] || {}), ...settings };
+    });
+    Object.entries(series).forEach(([name, settings]) => validateSeries(name, settings));
+    return {
+      financialYearStartMonth: overrides.financialYearStartMonth || DEFAULT_CONFIG.financialYearStartMonth,
+      series
+    };
+  }
+
+  /**
+   * Every series with its format, current period and last issued sequence
+   * (from the local mirror, so it also works offline).
+   */
+  status(date = new Date()) {
+    const config = this.config();
+    const counters = this.readCounters();
+    const series = {};
+    Object.entries(config.series).forEach(([name, settings]) => {
+      const period = periodFor(settings, date, config.financialYearStartMonth);
+      const counter = counters[counterKey(name, period)];
+      const last = counter ? counter.value : 0;
+      series[name] = {
+        ...settings,
+        period,
+        last,
+        next: formatNumber(settings.format, last + 1, date, config.financialYearStartMonth)
+      };
+    });
+    return { financialYearStartMonth: config.financialYearStartMonth, series };
+  }
+
+  /**
+   * Issue the next number of a series: { series, number, sequence, period, issuedAt, source }.
+   */
+  next(series, user) {
+    const issue = this.queue.then(() => this.issue(series, user));
+    // Keep the queue going after a failed issue
+    this.queue = issue.catch(() => { });
+    return issue;
+  }
+
+  // --- internals ---
+
+  async issue(series, user) {
+    const config = this.config();
+    const settings = config.series[series];
+    if (!settings) {
+      throw new HttpError(400, `Unknown number series: ${series} (expected ${Object.keys(config.series).join(', ')})`);
+    }
+
+    const now = new Date();
+    const period = periodFor(settings, now, config.financialYearStartMonth);
+    const key = counterKey(series, period);
+    const counters = this.readCounters();
+    const local = counters[key] ? counters[key].value : 0;
+
+    let sequence = null;
+    let source = 'local';
+    const db = this.getDb();
+    if (db) {
+      try {
+        sequence = await this.issueFromFirestore(db, key, series, period, local, user);
+        source = 'firestore';
+      } catch (error) {
+        console.warn(`Numbering: Firestore counter ${key} unavailable, using local counter:`, error.message);
+      }
+    }
+    if (sequence === null) sequence = local + 1;
+
+    counters[key] = { series, period, value: sequence, updatedAt: now.toISOString(), source };
+    this.writeCounters(counters);
+
+    return {
+      series,
+      number: formatNumber(settings.format, sequence, now, config.financialYearStartMonth),
+      sequence,
+      period,
+      issuedAt: now.toISOString(),
+      source
+    };
+  }
+
+  async issueFromFirestore(db, key, series, period, local, user) {
+    const ref = db.collection(COUNTERS_COLLECTION).doc(key);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const remote = snap.exists ? Number(snap.data().value) || 0 : 0;
+      const value = Math.max(remote, local) + 1;
+      tx.set(ref, {
+        series,
+        period,
+        value,
+        updatedAt: new Date().toISOString(),
+        updatedBy: user ? user.email || user.uid || null : null
+      });
+      return value;
+    });
+  }
+
+  readCounters() {
+    if (!fs.existsSync(this.countersFile)) return {};
+    return JSON.parse(fs.readFileSync(this.countersFile, 'utf8'));
+  }
+
+  // Write to a temp file and rename, so a crash mid-write cannot lose the counters
+  writeCounters(counters) {
+    const tmp = `${this.countersFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(counters, null, 2), 'utf8');
+    fs.renameSync(tmp, this.countersFile);
+  }
+}
+
+function validateSeries(name, settings) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error(`Invalid number series name: ${name}`);
+  if (typeof settings.format !== 'string' || !/\{SEQ(:\d+)?\}/.test(settings.format)) {
+    throw new Error(`Number series ${name} needs a format containing {SEQ}`);
+  }
+  if (settings.reset && !RESETS.includes(settings.reset)) {
+    throw new Error(`Number series ${name} has an invalid reset: ${settings.reset} (expected ${RESETS.join(' or ')})`);
+  }
+}
+
+function counterKey(series, period) {
+  return `${series}_${period}`;
+}
+
+/**
+ * Financial year of a date, e.g. { start: 2025, label: '2025-26', short: '2526' }.
+ */
+function financialYear(date, startMonth) {
+  const start = date.getMonth() + 1 >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  const end = String((start + 1) % 100).padStart(2, '0');
+  if (startMonth === 1) {
+    return { start, label: String(start), short: String(start % 100).padStart(2, '0') };
+  }
+  return { start, label: `${start}-${end}`, short: `${String(start % 100).padStart(2, '0')}${end}` };
+}
+
+// The counter period a number falls in: the financial year, or 'all' for series that never reset
+function periodFor(settings, date, startMonth) {
+  return settings.reset === 'never' ? 'all' : financialYear(date, startMonth).label;
+}
+
+function formatNumber(format, sequence, date, startMonth) {
+  const fy = financialYear(date, startMonth);
+  const values = {
+    FY: fy.label,
+    FYSHORT: fy.short,
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear() % 100).padStart(2, '0'),
+    MM: String(date.getMonth() + 1).padStart(2, '0'),
+    DD: String(date.getDate()).padStart(2, '0')
+  };
+  return format.replace(TOKEN, (match, token, width) => {
+    if (token === 'SEQ') return String(sequence).padStart(width ? parseInt(width, 10) : 0, '0');
+    return values[token] !== undefined ? values[token] : match;
+  });
+}
+
+module.exports = { NumberingService, DEFAULT_CONFIG, formatNumber, financialYear };
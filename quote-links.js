@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./api-router');
+
+/**
+ * Quote Links
+ * Signed, expiring links that let a client open one quote without an account
+ * (quote-portal.html?token=...). A token is <payload>.<signature>: the payload
+ * is base64url JSON { q: quote id, exp: expiry in ms } and the signature its
+ * HMAC-SHA256 under the server secret. Nothing is stored per link, so a link
+ * stops working when it expires or when the secret changes.
+ *
+ * The secret is QUOTE_LINK_SECRET, or a random one written once to
+ * quote-link-secret in the server's private directory (INH_PRIVATE_DIR, else
+ * data/; never committed or deployed) so links survive restarts.
+ */
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+class QuoteLinkSigner {
+  /**
+   * options.secret: signing secret (default: QUOTE_LINK_SECRET, then the secret file)
+   */
+  constructor(dataDir, options = {}) {
+    this.secretFile = path.join(dataDir, 'quote-link-secret');
+    this.secret = options.secret || process.env.QUOTE_LINK_SECRET || null;
+  }
+
+  /**
+   * Token for `quoteId` that is valid until `expiresAt` (a Date).
+   */
+  sign(quoteId, expiresAt) {
+    const payload = base64url(JSON.stringify({ q: String(quoteId), exp: expiresAt.getTime() }));
+    return `${payload}.${this.signature(payload)}`;
+  }
+
+  /**
+   * { quoteId, expiresAt } of a token. Throws 404 for a token that was not
+   * signed here and 410 once it has expired.
+   */
+  verify(token, now = new Date()) {
+    const [payload, signature] = String(token || '').split('.');
+    const given = Buffer.from(signature || '');
+    const expected = Buffer.from(payload ? this.signature(payload) : '');
+    // timingSafeEqual throws on buffers of different sizes (multibyte characters)
+    if (!given.byteLength || given.byteLength !== expected.byteLength || !crypto.timingSafeEqual(given, expected)) {
+      throw new HttpError(404, 'This quote link is not valid');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fromBase64url(payload).toString('utf8'));
+    } catch (error) {
+      throw new HttpError(404, 'This quote link is not valid');
+    }
+    if (!data || !data.q || !Number.isFinite(data.exp)) throw new HttpError(404, 'This quote link is not valid');
+    if (data.exp < now.getTime()) throw new HttpError(410, 'This quote link has expired; ask us for a new one');
+    return { quoteId: data.q, expiresAt: new Date(data.exp) };
+  }
+
+  // --- internals ---
+
+  signature(payload) {
+    return base64url(crypto.createHmac('sha256', this.key()).update(payload).digest());
+  }
+
+  key() {
+    if (this.secret) return this.secret;
+    if (fs.existsSync(this.secretFile)) {
+      this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+    }
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+      fs.writeFileSync(this.secretFile, this.secret + '\n', { mode: 0o600 });
+    }
+    return this.secret;
+  }
+}
+
+module.exports = { QuoteLinkSigner };
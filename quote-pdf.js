@@ -0,0 +1,421 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./api-router');
+const productImageMapping = require('./js/product-image-mapping');
+
+/**
+ * Quote PDF
+ * Renders a saved quote (the document the quote maker stores in `quotes`) as an
+ * A4 quotation or proforma invoice for GET /api/quotes/:id/pdf. The text is real
+ * PDF text, so the document is searchable and can be copied into accounts.
+ * Product images come from js/product-image-mapping.js, the same mapping the
+ * quote maker preview uses; bank details and the seller block come from
+ * data/company-profile.json. Long item lists break across pages with the table
+ * header repeated, and every page gets the quote number and "Page x of y".
+ */
+
+const ROOT_DIR = __dirname;
+const PROFILE_FILE = path.join(ROOT_DIR, 'data', 'company-profile.json');
+const LOGO_FILE = path.join(ROOT_DIR, 'images', 'logo-optimized.png');
+const FALLBACK_IMAGE = 'images/Products/Genius.png';
+
+const TITLES = {
+  quote: 'QUOTATION',
+  proforma: 'PROFORMA INVOICE'
+};
+
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 30;
+const IMAGE_SIZE = 32;
+const ROW_PADDING = 6;
+const BRAND_COLOR = '#081249';
+const MUTED_COLOR = '#64748b';
+
+// x offset and width of each item table column (A4 is 595pt wide)
+const COLUMNS = {
+  index: { x: 40, width: 22 },
+  image: { x: 62, width: 40 },
+  description: { x: 102, width: 233 },
+  quantity: { x: 335, width: 45 },
+  unitPrice: { x: 380, width: 85 },
+  amount: { x: 465, width: 90 }
+};
+
+function loadPdfKit() {
+  try {
+    return require('pdfkit');
+  } catch (error) {
+    throw new HttpError(503, 'PDF rendering is not available: run npm install to add pdfkit');
+  }
+}
+
+function loadCompanyProfile() {
+  if (!fs.existsSync(PROFILE_FILE)) return { name: 'Indian Natural Hair', bank: {} };
+  return JSON.parse(fs.readFileSync(PROFILE_FILE, 'utf8'));
+}
+
+function num(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Currency code instead of a symbol: the built-in PDF fonts have no ₹ glyph
+function formatMoney(amount, currency) {
+  const code = (currency || 'INR').toUpperCase();
+  const formatted = num(amount).toLocaleString(code === 'INR' ? 'en-IN' : 'en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return `${code} ${formatted}`;
+}
+
+/**
+ * Subtotal, discount, tax and total as saved by the quote maker, which stores
+ * discount and tax as percentages (calculateTotal() in quotemaker.html).
+ */
+function quoteTotals(quote) {
+  const items = Array.isArray(quote.items) ? quote.items : [];
+  const subtotal = quote.subtotal !== undefined
+    ? num(quote.subtotal)
+    : items.reduce((sum, item) => sum + num(item.totalPrice), 0);
+  const discountAmount = quote.discountAmount !== undefined ? num(quote.discountAmount) : subtotal * (num(quote.discount) / 100);
+  const taxableAmount = subtotal - discountAmount;
+  const taxAmount = quote.taxAmount !== undefined ? num(quote.taxAmount) : taxableAmount * (num(quote.tax) / 100);
+  const shipping = num(quote.shipping);
+  const total = quote.total !== undefined ? num(quote.total) : taxableAmount + taxAmount + shipping;
+  return { subtotal, discountAmount, taxableAmount, taxAmount, shipping, total };
+}
+
+/**
+ * Tax lines for the breakdown: the quote's own taxBreakdown when it has one
+ * ([{ label, rate, amount }]), otherwise a single line for the flat tax rate.
+ */
+function taxLines(quote, totals) {
+  if (Array.isArray(quote.taxBreakdown) && quote.taxBreakdown.length) {
+    return quote.taxBreakdown.map(t => ({ label: t.label || 'Tax', rate: t.rate, amount: num(t.amount) }));
+  }
+  if (!num(quote.tax) && !totals.taxAmount) return [];
+  return [{ label: 'Tax', rate: num(quote.tax), amount: totals.taxAmount }];
+}
+
+/**
+ * Local file for an item's product image, following the quote maker preview:
+ * the item's own image, then the product mapping, then the category stamp.
+ * Remote URLs and formats pdfkit cannot embed (SVG) fall back to no image.
+ */
+function itemImageFile(item) {
+  let relative = null;
+  const own = [item.image, item.Image, item.imageUrl, item.ImageURL].find(v => typeof v === 'string' && v.trim());
+  if (own) {
+    const value = own.trim();
+    if (/^(https?:|data:)/i.test(value)) return null;
+    const noLeading = value.replace(/^\/+/, '');
+    relative = noLeading.toLowerCase().startsWith('images/')
+      ? noLeading
+      : `images/Products/${noLeading.replace(/^images\/products\//i, '')}`;
+  } else {
+    const category = item.category || item.Category || '';
+    relative = productImageMapping.getProductImagePath(category, item.product || item.Product || '', item.density || item.Density || '')
+      || productImageMapping.getCategoryImage(category);
+  }
+
+  for (const candidate of [relative, FALLBACK_IMAGE]) {
+    if (!candidate || !/\.(png|jpe?g)$/i.test(candidate)) continue;
+    const file = path.resolve(ROOT_DIR, candidate);
+    if (file.startsWith(ROOT_DIR + path.sep) && fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+function itemDescription(item) {
+  const specs = [item.category, item.density, item.length, item.color, item.style, item.hsn ? `HSN ${item.hsn}` : null]
+    .filter(v => v !== undefined && v !== null && String(v).trim() !== '' && v !== 'N/A');
+  return { title: item.product || 'Item', specs: specs.join(' | ') };
+}
+
+function clientLines(client) {
+  if (!client) return [];
+  const address = client.address || {};
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [
+    client.companyName,
+    client.contactPerson,
+    address.line1,
+    address.line2,
+    cityLine,
+    address.country,
+    [client.email, client.phone1 || client.phone].filter(Boolean).join(' | '),
+    client.gstNumber ? `GSTIN: ${client.gstNumber}` : null
+  ].filter(line => line && String(line).trim());
+}
+
+/**
+ * Render a quote as a PDF. Resolves with a Buffer.
+ * options: { type: 'quote' | 'proforma' }
+ */
+function renderQuotePdf(quote, options = {}) {
+  const type = options.type || 'quote';
+  if (!TITLES[type]) {
+    throw new HttpError(400, `Invalid document type: ${type} (expected ${Object.keys(TITLES).join(' or ')})`);
+  }
+
+  const PDFDocument = loadPdfKit();
+  const profile = loadCompanyProfile();
+  const bank = profile.bank || {};
+  const currency = (quote.currency || 'INR').toUpperCase();
+  const totals = quoteTotals(quote);
+  const items = Array.isArray(quote.items) ? quote.items : [];
+  const title = TITLES[type];
+  const number = (type === 'proforma' && quote.proformaNumber) || quote.number || quote.id || 'N/A';
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: PAGE_MARGIN, bottom: PAGE_MARGIN, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    bufferPages: true,
+    info: {
+      Title: `${title} ${number}`,
+      Author: profile.name,
+      Subject: quote.client && quote.client.clientName ? `${title} for ${quote.client.clientName}` : title
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const pageWidth = doc.page.width;
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const pageBottom = () => doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+
+  // --- Header: logo, seller, document title and number ---
+  const drawHeader = () => {
+    const top = PAGE_MARGIN;
+    let textX = PAGE_MARGIN;
+    if (fs.existsSync(LOGO_FILE)) {
+      doc.image(LOGO_FILE, PAGE_MARGIN, top, { fit: [48, 48] });
+      textX += 58;
+    }
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(16).text(profile.name || 'Indian Natural Hair', textX, top, { width: 260 });
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(8);
+    [profile.address, [profile.phone, profile.email].filter(Boolean).join(' | '), profile.website, profile.gstin ? `GSTIN: ${profile.gstin}` : null]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width: 260 }));
+
+    doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(14).text(title, PAGE_MARGIN, top, { width: contentWidth, align: 'right' });
+    doc.fillColor('#000').font('Helvetica').fontSize(9);
+    doc.text(`No: ${number}`, PAGE_MARGIN, top + 20, { width: contentWidth, align: 'right' });
+    doc.text(`Date: ${quote.date || (quote.createdAt ? String(quote.createdAt).split('T')[0] : '')}`, { width: contentWidth, align: 'right' });
+    doc.text(`Currency: ${currency}`, { width: contentWidth, align: 'right' });
+    if (number !== quote.number && quote.number) {
+      doc.text(`Quote ref: ${quote.number}`, { width: contentWidth, align: 'right' });
+    }
+
+    const ruleY = top + 62;
+    doc.moveTo(PAGE_MARGIN, ruleY).lineTo(pageWidth - PAGE_MARGIN, ruleY).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+    doc.y = ruleY + 10;
+  };
+
+  const drawTableHeader = () => {
+    const y = doc.y;
+    doc.rect(PAGE_MARGIN, y, contentWidth, 18).fill(BRAND_COLOR);
+    doc.fillColor('#fff').font('Helvetica-Bold').fontSize(8);
+    doc.text('#', COLUMNS.index.x + 4, y + 5, { width: COLUMNS.index.width - 4 });
+    doc.text('Item', COLUMNS.description.x, y + 5, { width: COLUMNS.description.width });
+    doc.text('Qty', COLUMNS.quantity.x, y + 5, { width: COLUMNS.quantity.width - 6, align: 'right' });
+    doc.text('Unit price', COLUMNS.unitPrice.x, y + 5, { width: COLUMNS.unitPrice.width - 6, align: 'right' });
+    doc.text('Amount', COLUMNS.amount.x, y + 5, { width: COLUMNS.amount.width - 6, align: 'right' });
+    doc.fillColor('#000');
+    doc.y = y + 18;
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    drawHeader();
+  };
+
+  // Start a new page when the next block of `height` would run into the footer
+  const ensureSpace = (height, onNewPage) => {
+    if (doc.y + height <= pageBottom()) return;
+    newPage();
+    if (onNewPage) onNewPage();
+  };
+
+  drawHeader();
+
+  // --- Bill to / salesperson ---
+  const billTop = doc.y;
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('BILL TO', PAGE_MARGIN, billTop);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#000').text((quote.client && quote.client.clientName) || 'N/A', { width: 300 });
+  doc.font('Helvetica').fontSize(9);
+  clientLines(quote.client).forEach(line => doc.text(line, { width: 300 }));
+  const billBottom = doc.y;
+
+  const salesperson = quote.salesmanName || quote.salesperson;
+  if (salesperson) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('SALESPERSON', PAGE_MARGIN, billTop, { width: contentWidth, align: 'right' });
+    doc.font('Helvetica').fillColor('#000').text(String(salesperson), { width: contentWidth, align: 'right' });
+  }
+  if (quote.client && quote.client.paymentTerms) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('PAYMENT TERMS', { width: contentWidth, align: 'right' });
+    doc.font('Helvetica').fillColor('#000').text(quote.client.paymentTerms, { width: contentWidth, align: 'right' });
+  }
+  doc.y = Math.max(billBottom, doc.y) + 12;
+
+  // --- Items ---
+  drawTableHeader();
+  if (!items.length) {
+    doc.font('Helvetica').fontSize(9).text('No items', PAGE_MARGIN, doc.y + ROW_PADDING, { width: contentWidth, align: 'center' });
+    doc.y += ROW_PADDING;
+  }
+  items.forEach((item, idx) => {
+    const { title: itemTitle, specs } = itemDescription(item);
+    doc.font('Helvetica-Bold').fontSize(9);
+    const titleHeight = doc.heightOfString(itemTitle, { width: COLUMNS.description.width - 6 });
+    doc.font('Helvetica').fontSize(8);
+    const specsHeight = specs ? doc.heightOfString(specs, { width: COLUMNS.description.width - 6 }) : 0;
+    const rowHeight = Math.max(IMAGE_SIZE, titleHeight + specsHeight + 2) + ROW_PADDING * 2;
+
+    ensureSpace(rowHeight, drawTableHeader);
+
+    const y = doc.y;
+    if (idx % 2 === 1) doc.rect(PAGE_MARGIN, y, contentWidth, rowHeight).fill('#f1f5f9');
+    doc.fillColor('#000');
+
+    const imageFile = itemImageFile(item);
+    if (imageFile) {
+      try {
+        doc.image(imageFile, COLUMNS.image.x + 2, y + ROW_PADDING, { fit: [IMAGE_SIZE, IMAGE_SIZE] });
+      } catch (error) {
+        // Unreadable image files are left out rather than failing the document
+      }
+    }
+
+    const textY = y + ROW_PADDING;
+    doc.font('Helvetica').fontSize(9).text(String(idx + 1), COLUMNS.index.x + 4, textY, { width: COLUMNS.index.width - 4 });
+    doc.font('Helvetica-Bold').fontSize(9).text(itemTitle, COLUMNS.description.x, textY, { width: COLUMNS.description.width - 6 });
+    if (specs) {
+      doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(specs, COLUMNS.description.x, textY + titleHeight + 2, { width: COLUMNS.description.width - 6 });
+      doc.fillColor('#000');
+    }
+    doc.font('Helvetica').fontSize(9);
+    doc.text(String(num(item.quantity)), COLUMNS.quantity.x, textY, { width: COLUMNS.quantity.width - 6, align: 'right' });
+    doc.text(formatMoney(item.unitPrice, currency), COLUMNS.unitPrice.x, textY, { width: COLUMNS.unitPrice.width - 6, align: 'right' });
+    doc.text(formatMoney(item.totalPrice, currency), COLUMNS.amount.x, textY, { width: COLUMNS.amount.width - 6, align: 'right' });
+
+    doc.moveTo(PAGE_MARGIN, y + rowHeight).lineTo(pageWidth - PAGE_MARGIN, y + rowHeight).lineWidth(0.5).strokeColor('#cbd5e1').stroke();
+    doc.y = y + rowHeight;
+  });
+
+  // --- Totals and tax breakdown ---
+  const summary = [['Subtotal', totals.subtotal]];
+  if (totals.discountAmount) {
+    summary.push([`Discount${num(quote.discount) ? ` (${num(quote.discount)}%)` : ''}`, -totals.discountAmount]);
+    summary.push(['Taxable amount', totals.taxableAmount]);
+  }
+  taxLines(quote, totals).forEach(t => {
+    summary.push([`${t.label}${t.rate ? ` (${t.rate}%)` : ''}`, t.amount]);
+  });
+  if (totals.shipping) {
+    const courier = quote.shippingOption && quote.shippingOption.provider;
+    summary.push([courier ? `Shipping (${courier}, ${num(quote.shippingOption.weightKg)} kg)` : 'Shipping', totals.shipping]);
+  }
+
+  const summaryHeight = (summary.length + 1) * 15 + 24;
+  doc.y += 10;
+  ensureSpace(summaryHeight);
+
+  const labelX = COLUMNS.quantity.x - 60;
+  const labelWidth = COLUMNS.unitPrice.x + COLUMNS.unitPrice.width - labelX - 6;
+  doc.font('Helvetica').fontSize(9).fillColor('#000');
+  summary.forEach(([label, amount]) => {
+    const y = doc.y;
+    doc.text(label, labelX, y, { width: labelWidth, align: 'right' });
+    doc.text(formatMoney(amount, currency), COLUMNS.amount.x, y, { width: COLUMNS.amount.width - 6, align: 'right' });
+    doc.y = y + 15;
+  });
+  const totalY = doc.y + 2;
+  doc.moveTo(labelX, totalY).lineTo(pageWidth - PAGE_MARGIN, totalY).lineWidth(1).strokeColor(BRAND_COLOR).stroke();
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR);
+  doc.text('TOTAL', labelX, totalY + 6, { width: labelWidth, align: 'right' });
+  doc.text(formatMoney(totals.total, currency), COLUMNS.amount.x - 30, totalY + 6, { width: COLUMNS.amount.width + 24, align: 'right' });
+  doc.fillColor('#000');
+  doc.y = totalY + 28;
+
+  // --- GST summary per HSN code and the place of supply / LUT declaration (js/tax-engine.js) ---
+  const hsnRows = Array.isArray(quote.hsnSummary) ? quote.hsnSummary : [];
+  if (hsnRows.length || quote.taxNote) {
+    ensureSpace(hsnRows.length * 13 + 40);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('TAX SUMMARY', PAGE_MARGIN, doc.y);
+    doc.fillColor('#000');
+    hsnRows.forEach(row => {
+      const y = doc.y + 2;
+      const taxes = num(row.igst)
+        ? `IGST ${formatMoney(row.igst, currency)}`
+        : `CGST ${formatMoney(row.cgst, currency)} + ${row.stateTaxLabel || 'SGST'} ${formatMoney(row.sgst, currency)}`;
+      doc.font('Helvetica').fontSize(9).text(`HSN ${row.hsn}`, PAGE_MARGIN, y, { width: 90 });
+      doc.text(`${formatMoney(row.taxable, currency)} @ ${num(row.rate)}%${num(row.tax) ? `: ${taxes}` : ''}`, PAGE_MARGIN + 90, y, { width: contentWidth - 90 });
+    });
+    if (quote.taxNote) {
+      doc.font('Helvetica-Oblique').fontSize(8).text(String(quote.taxNote), PAGE_MARGIN, doc.y + 4, { width: contentWidth });
+    }
+    doc.font('Helvetica');
+    doc.y += 10;
+  }
+
+  // --- Bank details (only once they are filled in data/company-profile.json) ---
+  const bankRows = [
+    ['Account name', bank.accountName],
+    ['Bank', [bank.bankName, bank.branch].filter(Boolean).join(', ')],
+    ['Account number', bank.accountNumber],
+    ['IFSC', bank.ifsc],
+    ['SWIFT', bank.swift]
+  ].filter(([, value]) => value);
+  if (bank.accountNumber) {
+    ensureSpace(bankRows.length * 13 + 24);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('BANK DETAILS', PAGE_MARGIN, doc.y);
+    doc.fillColor('#000');
+    bankRows.forEach(([label, value]) => {
+      const y = doc.y + 2;
+      doc.font('Helvetica').fontSize(9).text(`${label}:`, PAGE_MARGIN, y, { width: 90 });
+      doc.font('Helvetica-Bold').text(String(value), PAGE_MARGIN + 90, y, { width: 300 });
+    });
+    doc.y += 10;
+  }
+
+  if (quote.notes) {
+    ensureSpace(40);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text('NOTES', PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fillColor('#000').text(String(quote.notes), { width: contentWidth });
+  }
+
+  // --- Footer on every page ---
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const footerY = doc.page.height - PAGE_MARGIN - 12;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    doc.text(`${title} ${number}`, PAGE_MARGIN, footerY, { width: contentWidth / 2, lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, PAGE_MARGIN + contentWidth / 2, footerY, {
+      width: contentWidth / 2,
+      align: 'right',
+      lineBreak: false
+    });
+  }
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Download filename for a quote, e.g. "Proforma-INH-20250101-1200.pdf".
+ */
+function quotePdfFilename(quote, type) {
+  const prefix = type === 'proforma' ? 'Proforma' : 'Quote';
+  const number = String((type === 'proforma' && quote.proformaNumber) || quote.number || quote.id || 'quote').replace(/[^a-z0-9_\-]+/gi, '_');
+  return `${prefix}-${number}.pdf`;
+}
+
+module.exports = { renderQuotePdf, quotePdfFilename, quoteTotals, loadCompanyProfile };
@@ -7,6 +7,19 @@ let FirebaseSyncService = null;
 let GoogleSheetsService = null;
 let BidirectionalSyncService = null;
 const { googleSheetsAutoConfig } = require('./js/google-sheets-auto-config');
+const { ApiRouter, HttpError } = require('./api-router');
+const INHRoles = require('./js/roles');
+const INHRecordSchemas = require('./js/record-schemas');
+const INHPricing = require('./js/pricing-engine');
+const INHTax = require('./js/tax-engine');
+const INHQuoteLifecycle = require('./js/quote-lifecycle');
+const INHOrderLifecycle = require('./js/order-lifecycle');
+const INHQuoteAnalytics = require('./js/quote-analytics');
+const { JsonRecordStore } = require('./json-record-store');
+const { ExchangeRateStore } = require('./exchange-rate-store');
+const { renderQuotePdf, quotePdfFilename, quoteTotals, loadCompanyProfile } = require('./quote-pdf');
+const { NumberingService } = require('./numbering-service');
+const { QuoteLinkSigner } = require('./quote-links');
 let admin = null;
 
 const PORT = 3000;
@@ -17,11 +30,97 @@ const QUOTE_MAKER_FILE_PATH = path.join(__dirname, 'quotemaker', 'index.html');
 const CLIENTS_DIR = path.join(__dirname, 'data', 'clients');
 const SUPPLIERS_DIR = path.join(__dirname, 'data', 'suppliers');
 const PRICELISTS_DIR = path.join(__dirname, 'data', 'pricelists');
+const PRICING_RULES_DIR = path.join(__dirname, 'data', 'pricing-rules');
+const QUOTE_TEMPLATES_DIR = path.join(__dirname, 'data', 'quote-templates');
+// The quote link secret and payment proofs are kept in INH_PRIVATE_DIR when it
+// is set (a directory outside the site root); data/ is only the default.
+const PRIVATE_DIR = process.env.INH_PRIVATE_DIR ? path.resolve(process.env.INH_PRIVATE_DIR) : path.join(__dirname, 'data');
+const PAYMENT_PROOFS_DIR = path.join(PRIVATE_DIR, 'payment-proofs');
+const TAX_CONFIG_FILE = path.join(__dirname, 'data', 'tax-config.json');
+
+// Versioned record stores (each creates its directory if missing)
+const clientStore = new JsonRecordStore(CLIENTS_DIR, { label: 'Client' });
+const supplierStore = new JsonRecordStore(SUPPLIERS_DIR, { label: 'Supplier' });
+const priceListStore = new JsonRecordStore(PRICELISTS_DIR, { label: 'Price list' });
+const pricingRuleStore = new JsonRecordStore(PRICING_RULES_DIR, { label: 'Pricing rule' });
+const quoteTemplateStore = new JsonRecordStore(QUOTE_TEMPLATES_DIR, { label: 'Quote template' });
+const exchangeRateStore = new ExchangeRateStore(path.join(__dirname, 'data'));
+
+// Quote, proforma, order and MO numbers; Firestore counters with a local file while offline
+const numberingService = new NumberingService(path.join(__dirname, 'data'), {
+  getDb: () => (syncService && syncService.db) || null
+});
+
+// Signed links to the client quote portal (quote-portal.html)
+const quoteLinkSigner = new QuoteLinkSigner(PRIVATE_DIR);
+
+// Files under the site root that are never served as static files
+const PRIVATE_PATHS = [quoteLinkSigner.secretFile, PAYMENT_PROOFS_DIR];
+
+// data/ holds the record stores, their .revisions/, counters and rate snapshots,
+// which are read through the permission-checked /api routes. Only the files the
+// pages fetch directly are served as they are.
+const DATA_DIR = path.join(__dirname, 'data');
+const PUBLIC_DATA_FILES = [
+  'clients.json',
+  'suppliers.json',
+  'exchange-rates.json',
+  'shipping-config.json',
+  'tax-config.json',
+  'company-profile.json'
+].map(file => path.join(DATA_DIR, file));
+
+function isPrivateFile(filePath) {
+  if (PRIVATE_PATHS.some(p => filePath === p || filePath.startsWith(p + path.sep))) return true;
+  return (filePath === DATA_DIR || filePath.startsWith(DATA_DIR + path.sep)) && !PUBLIC_DATA_FILES.includes(filePath);
+}
+
+// Serving the latest rates triggers a background provider refresh once they are this old
+const EXCHANGE_RATE_MAX_AGE = 12 * 60 * 60 * 1000;
+
+// Filename-safe form of a record name
+function safeRecordName(name) {
+  return String(name).replace(/[^a-z0-9_\-\. ]/gi, '_');
+}
+
+/**
+ * Record revisions double as ETags ("3"). ifMatchRevision reads the If-Match header
+ * of a save, delete or restore: a revision number, '*', or undefined when none was
+ * sent (refused with 428 when the record exists). If-None-Match: * (create only, the
+ * record must not exist yet) reads as 'none'.
+ */
+function revisionETag(revision) {
+  return `"${revision}"`;
+}
 
-// Ensure directories exist
-if (!fs.existsSync(CLIENTS_DIR)) fs.mkdirSync(CLIENTS_DIR, { recursive: true });
-if (!fs.existsSync(SUPPLIERS_DIR)) fs.mkdirSync(SUPPLIERS_DIR, { recursive: true });
-if (!fs.existsSync(PRICELISTS_DIR)) fs.mkdirSync(PRICELISTS_DIR, { recursive: true });
+function ifMatchRevision(req) {
+  const header = req.headers['if-match'];
+  if (!header) return String(req.headers['if-none-match'] || '').trim() === '*' ? 'none' : undefined;
+  const value = header.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  if (value === '*') return '*';
+  if (!/^\d+$/.test(value)) throw new HttpError(400, `Invalid If-Match header: ${header}`);
+  return parseInt(value, 10);
+}
+
+/**
+ * Reject a document that does not match its schema in js/record-schemas.js.
+ * The 400 response carries the field-level errors in details.errors.
+ */
+function assertValidRecord(type, label, data) {
+  const { valid, errors } = INHRecordSchemas.validateRecord(type, data);
+  if (!valid) throw new HttpError(400, `Invalid ${label}`, { errors });
+}
+
+/**
+ * Map of filename (without .json) -> current revision for a store listing.
+ */
+function storeRevisions(store) {
+  const revisions = {};
+  for (const file of store.list()) {
+    revisions[file.replace(/\.json$/, '')] = store.currentRevision(file);
+  }
+  return revisions;
+}
 
 // In-memory data storage
 let currentProductData = null;
@@ -107,6 +206,9 @@ async function initializeSyncServices() {
     // Start the scheduler automatically
     try { if (syncScheduler && typeof syncScheduler.startScheduler === 'function') syncScheduler.startScheduler(); } catch (_) { }
 
+    // Give orders made offline their order numbers as they arrive
+    try { watchProvisionalOrders(); } catch (_) { }
+
     // Perform initial sync for colors and styles on startup
     try {
       // Performing initial sync for colors and styles
@@ -234,6 +336,8 @@ const SESSION_EXPIRES_MS = 60 * 60 * 24 * 5 * 1000; // 5 days
 // Dev fallback: allow local login when Firebase Admin is not initialized
 const HAS_SERVICE_ACCOUNT = fs.existsSync(path.join(__dirname, 'service-account-key.json'));
 const DEV_AUTH_FALLBACK = !HAS_SERVICE_ACCOUNT;
+// Role of the dev fallback session; set DEV_AUTH_ROLE to try the UI as another role
+const DEV_AUTH_ROLE = INHRoles.normalizeRole(process.env.DEV_AUTH_ROLE) || 'admin';
 
 function parseCookies(req) {
   const header = req.headers['cookie'] || '';
@@ -256,7 +360,7 @@ async function verifySessionCookie(cookie) {
     if (!admin || !admin.apps || !admin.apps.length) {
       // If service account is missing, allow local dev access when a cookie exists
       if (DEV_AUTH_FALLBACK) {
-        return { uid: 'dev', email: null };
+        return { uid: 'dev', email: null, role: DEV_AUTH_ROLE };
       }
       return null;
     }
@@ -280,2320 +384,2771 @@ function buildSetCookie(name, value, options = {}) {
   return parts.join('; ');
 }
 
-const server = http.createServer(async (req, res) => {
-  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  const pathname = parsedUrl.pathname;
-
-  // Enable CORS
-  const origin = req.headers.origin;
-  if (origin && ALLOWED_ORIGINS.has(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Vary', 'Origin');
-  } else {
-    // Fallback for non-credentialed requests
-    res.setHeader('Access-Control-Allow-Origin', '*');
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
-  }
+/**
+ * Resolve the caller from the session cookie, or from an `Authorization: Bearer <idToken>`
+ * header for scripts. Returns { uid, email, role } or null.
+ */
+async function resolveRequestUser(req) {
+  const cookies = parseCookies(req);
+  let decoded = await verifySessionCookie(cookies[SESSION_COOKIE_NAME]);
 
-  // Auth endpoints
-  if (pathname === '/auth/sessionLogin' && req.method === 'POST') {
-    try {
-      if (!admin || !admin.apps || !admin.apps.length) {
-        // Dev fallback: set a simple cookie to allow local access
-        if (DEV_AUTH_FALLBACK) {
-          let body = '';
-          req.on('data', chunk => { body += chunk.toString(); });
-          req.on('end', async () => {
-            try {
-              // Accept the request and set a dev session cookie
-              const secure = (req.headers['x-forwarded-proto'] === 'https');
-              const setCookie = buildSetCookie(SESSION_COOKIE_NAME, 'dev', { maxAge: SESSION_EXPIRES_MS, secure });
-              res.setHeader('Set-Cookie', setCookie);
-              res.writeHead(200, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({ success: true, uid: 'dev', email: null, fallback: true }));
-            } catch (e) {
-              res.writeHead(500, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({ error: e.message || 'Login failed' }));
-            }
-          });
-          return;
-        }
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Auth service not available' }));
-        return;
+  if (!decoded) {
+    const header = req.headers['authorization'] || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match && admin && admin.apps && admin.apps.length) {
+      try {
+        decoded = await admin.auth().verifyIdToken(match[1]);
+      } catch (_) {
+        decoded = null;
       }
-      let body = '';
-      req.on('data', chunk => { body += chunk.toString(); });
-      req.on('end', async () => {
-        try {
-          const { idToken } = JSON.parse(body || '{}');
-          if (!idToken) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'idToken is required' }));
-            return;
-          }
-          let decoded;
-          try {
-            decoded = await admin.auth().verifyIdToken(idToken);
-          } catch (e) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Invalid idToken' }));
-            return;
-          }
-          const sessionCookie = await admin.auth().createSessionCookie(idToken, { expiresIn: SESSION_EXPIRES_MS });
-          const secure = (req.headers['x-forwarded-proto'] === 'https');
-          const setCookie = buildSetCookie(SESSION_COOKIE_NAME, sessionCookie, { maxAge: SESSION_EXPIRES_MS, secure });
-          res.setHeader('Set-Cookie', setCookie);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, uid: decoded.uid, email: decoded.email || null }));
-        } catch (e) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: e.message || 'Login failed' }));
-        }
-      });
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: e.message || 'Login failed' }));
     }
-    return;
   }
 
-  if (pathname === '/auth/sessionLogout' && req.method === 'POST') {
-    try {
-      const setCookie = buildSetCookie(SESSION_COOKIE_NAME, '', { maxAge: 0 });
-      res.setHeader('Set-Cookie', setCookie);
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: e.message || 'Logout failed' }));
-    }
-    return;
-  }
+  if (!decoded) return null;
+  return { uid: decoded.uid, email: decoded.email || null, role: INHRoles.resolveRole(decoded) };
+}
 
-  if (pathname === '/auth/me' && req.method === 'GET') {
-    try {
-      const cookies = parseCookies(req);
-      const session = cookies[SESSION_COOKIE_NAME];
-      // Dev fallback: if admin is not initialized, trust presence of cookie
-      if (!admin || !admin.apps || !admin.apps.length) {
-        if (DEV_AUTH_FALLBACK) {
-          if (session) {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ authenticated: true, uid: 'dev', email: null, fallback: true }));
-            return;
-          } else {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ authenticated: false }));
-            return;
-          }
-        }
-      }
-      const decoded = await verifySessionCookie(session);
-      if (!decoded) {
-        res.writeHead(401, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ authenticated: false }));
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ authenticated: true, uid: decoded.uid, email: decoded.email || null }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: e.message || 'Auth check failed' }));
-    }
-    return;
-  }
+// All API endpoints are registered on this router; duplicate method + path throws at startup
+const router = new ApiRouter();
+
+// Body limit for routes that take whole data files or price lists. They read the body
+// without any limit before the router, so this is set well above what they are sent.
+const BULK_BODY_LIMIT = '50mb';
+
+// Permission required by each route ('public' needs no session). Permissions map to
+// roles in js/roles.js. Every registered route must appear here; see checkRoutePermissions.
+const ROUTE_PERMISSIONS = {
+  'POST /auth/sessionLogin': 'public',
+  'POST /auth/sessionLogout': 'public',
+  'GET /auth/me': 'public',
+  'GET /api/status': 'public',
+
+  // Reference data that Firestore rules already expose publicly
+  'GET /api/products': 'public',
+  'GET /api/colors': 'public',
+  'GET /api/styles': 'public',
+  'GET /api/get-styles': 'public',
+  'GET /api/categories': 'public',
+  'GET /api/priceLists': 'public',
+  'GET /api/salespeople': 'public',
+  'GET /api/salesmen-count': 'public',
+  'GET /api/price-lists-count': 'public',
+  'GET /api/firebase-counts': 'public',
+
+  // Business records
+  'GET /api/clients': 'records:read',
+  'GET /api/clients/:file': 'records:read',
+  'GET /api/pricelists': 'records:read',
+  'GET /api/pricelists/:file': 'records:read',
+  'GET /api/pricing-rules': 'records:read',
+  'GET /api/suppliers': 'records:read',
+  'GET /api/firestore/clients': 'records:read',
+  'GET /api/get-data': 'records:read',
+  'GET /api/quotes': 'records:read',
+  'GET /api/quotes/:id/pdf': 'records:read',
+  'POST /api/quotes/:id/proforma-number': 'records:write',
+  'POST /api/quotes/:id/share-link': 'records:write',
+  'GET /api/quotes/:id/payment-proofs/:file': 'records:read',
+  'GET /api/quote-templates': 'records:read',
+  'POST /api/save-quote-template': 'records:write',
+  'POST /api/delete-quote-template': 'records:write',
+  'GET /api/quote-templates/:file/revisions': 'records:read',
+  'GET /api/quote-templates/:file/revisions/:revision': 'records:read',
+  'GET /api/quote-templates/:file/diff': 'records:read',
+  'POST /api/quote-templates/:file/restore': 'records:write',
+  'GET /api/numbers': 'records:read',
+  'POST /api/numbers/:series': 'records:write',
+  'GET /api/orders': 'records:read',
+  'GET /api/reports/quotes': 'records:read',
+  'POST /api/firestore/save-data': 'records:write',
+  'POST /api/delete-data': 'records:write',
+
+  // Supplier rates, ratio templates and price lists
+  'POST /api/save-client': 'catalog:write',
+  'POST /api/delete-client': 'catalog:write',
+  'POST /api/save-pricelist': 'catalog:write',
+  'POST /api/delete-pricelist': 'catalog:write',
+  'POST /api/save-pricing-rule': 'catalog:write',
+  'POST /api/delete-pricing-rule': 'catalog:write',
+  'POST /api/save-supplier': 'catalog:write',
+  'POST /api/delete-supplier': 'catalog:write',
+  'GET /api/clients/:file/revisions': 'records:read',
+  'GET /api/clients/:file/revisions/:revision': 'records:read',
+  'GET /api/clients/:file/diff': 'records:read',
+  'POST /api/clients/:file/restore': 'catalog:write',
+  'GET /api/pricelists/:file/revisions': 'records:read',
+  'GET /api/pricelists/:file/revisions/:revision': 'records:read',
+  'GET /api/pricelists/:file/diff': 'records:read',
+  'POST /api/pricelists/:file/restore': 'catalog:write',
+  'GET /api/pricing-rules/:file/revisions': 'records:read',
+  'GET /api/pricing-rules/:file/revisions/:revision': 'records:read',
+  'GET /api/pricing-rules/:file/diff': 'records:read',
+  'POST /api/pricing-rules/:file/restore': 'catalog:write',
+  'GET /api/suppliers/:file/revisions': 'records:read',
+  'GET /api/suppliers/:file/revisions/:revision': 'records:read',
+  'GET /api/suppliers/:file/diff': 'records:read',
+  'POST /api/suppliers/:file/restore': 'catalog:write',
+
+  // Pricing
+  'POST /api/price/compute': 'records:read',
+  'GET /api/exchange-rates': 'public',
+
+  // Client quote portal; the signed token in the path is the credential
+  'GET /api/portal/quotes/:token': 'public',
+  'GET /api/portal/quotes/:token/pdf': 'public',
+  'POST /api/portal/quotes/:token/respond': 'public',
+  'POST /api/portal/quotes/:token/payment-proof': 'public',
+  'GET /api/exchange-rates/snapshots': 'records:read',
+  'GET /api/exchange-rates/snapshots/:id': 'records:read',
+  'POST /api/exchange-rates/refresh': 'catalog:write',
+  'POST /api/exchange-rates/overrides': 'catalog:write',
+
+  // Sync status and triggers
+  'GET /api/sync-status': 'records:read',
+  'GET /api/google-sheets-status': 'records:read',
+  'GET /api/client-headers': 'records:read',
+  'GET /api/sync/status': 'records:read',
+  'GET /api/sync/logs': 'records:read',
+  'GET /api/sync/events': 'records:read',
+  'GET /api/sync/bidirectional/status': 'records:read',
+  'GET /api/sync/validation/status': 'records:read',
+  'GET /api/sync/errors/stats': 'records:read',
+  'GET /api/sync/conflicts/stats': 'records:read',
+  'POST /api/sync/manual': 'sync:run',
+  'POST /api/sync/products': 'sync:run',
+  'POST /api/sync/salesmen': 'sync:run',
+  'POST /api/sync/companies': 'sync:run',
+  'POST /api/sync/count-data': 'sync:run',
+  'POST /api/sync/inh_pricelists': 'sync:run',
+  'POST /api/sync/localStorage-to-firebase': 'sync:run',
+  'POST /api/sync/validation/run': 'sync:run',
+
+  // Destructive and configuration endpoints
+  'POST /api/save-data': 'system:admin',
+  'POST /api/embed-data': 'system:admin',
+  'POST /api/clear-data': 'system:admin',
+  'POST /api/sync-price-lists': 'system:admin',
+  'POST /api/init-sync': 'system:admin',
+  'POST /api/sync-metadata': 'system:admin',
+  'POST /save-html': 'system:admin',
+  'POST /api/sync/scheduler/start': 'system:admin',
+  'POST /api/sync/scheduler/stop': 'system:admin',
+  'POST /api/sync/bidirectional/start': 'system:admin',
+  'POST /api/sync/bidirectional/stop': 'system:admin',
+  'POST /api/sync/resolve-inconsistency': 'system:admin',
+  'POST /api/sync/conflict-strategy': 'system:admin',
+  'POST /api/sync/validation/start': 'system:admin',
+  'POST /api/sync/validation/stop': 'system:admin',
+  'GET /api/migrate/pricelist-images': 'system:admin',
+  'POST /api/migrate/pricelist-images': 'system:admin'
+};
 
-  // Handle API endpoints
-  if (pathname === '/api/status' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'running',
-      port: PORT,
-      timestamp: new Date().toISOString()
-    }));
+// Every matched route passes through this guard: 401 without a session, 403 without the permission
+router.use(async (req, res, next) => {
+  const permission = ROUTE_PERMISSIONS[`${req.route.method} ${req.route.pattern}`];
+  if (permission === 'public') {
+    await next();
     return;
   }
 
-  if (pathname === '/api/save-data' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        currentProductData = data;
-
-        // Save to file for persistence
-        fs.writeFileSync(DATA_FILE_PATH, JSON.stringify(data, null, 2), 'utf8');
+  const user = await resolveRequestUser(req);
+  if (!user) {
+    throw new HttpError(401, 'Authentication required');
+  }
+  if (!INHRoles.hasPermission(user.role, permission)) {
+    throw new HttpError(403, `Role '${user.role}' does not have permission '${permission}'`);
+  }
+  req.user = user;
+  await next();
+});
 
+// Auth endpoints
+router.post('/auth/sessionLogin', { body: 'json' }, async (req, res) => {
+  try {
+    if (!admin || !admin.apps || !admin.apps.length) {
+      // Dev fallback: set a simple cookie to allow local access
+      if (DEV_AUTH_FALLBACK) {
+        // Accept the request and set a dev session cookie
+        const secure = (req.headers['x-forwarded-proto'] === 'https');
+        const setCookie = buildSetCookie(SESSION_COOKIE_NAME, 'dev', { maxAge: SESSION_EXPIRES_MS, secure });
+        res.setHeader('Set-Cookie', setCookie);
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Data saved successfully' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save data: ' + error.message }));
+        res.end(JSON.stringify({ success: true, uid: 'dev', email: null, role: DEV_AUTH_ROLE, fallback: true }));
+        return;
       }
-    });
-    return;
-  }
-
-  // --- Client JSON Persistence APIs ---
-  if (pathname === '/api/clients' && req.method === 'GET') {
-    try {
-      const files = fs.readdirSync(CLIENTS_DIR);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, files: jsonFiles }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to list clients: ' + e.message }));
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Auth service not available' }));
+      return;
     }
-    return;
-  }
-
-  if (pathname.startsWith('/api/clients/') && req.method === 'GET') {
-    const filename = decodeURIComponent(pathname.split('/').pop());
-    // Basic security check to prevent directory traversal
-    if (filename.includes('..') || filename.includes('/')) {
+    const { idToken } = req.body;
+    if (!idToken) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid filename' }));
+      res.end(JSON.stringify({ error: 'idToken is required' }));
       return;
     }
-    const filePath = path.join(CLIENTS_DIR, filename);
-    if (fs.existsSync(filePath)) {
-      try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(content);
-      } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to read file' }));
-      }
-    } else {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Client not found' }));
+    let decoded;
+    try {
+      decoded = await admin.auth().verifyIdToken(idToken);
+    } catch (e) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid idToken' }));
+      return;
     }
-    return;
+    const sessionCookie = await admin.auth().createSessionCookie(idToken, { expiresIn: SESSION_EXPIRES_MS });
+    const secure = (req.headers['x-forwarded-proto'] === 'https');
+    const setCookie = buildSetCookie(SESSION_COOKIE_NAME, sessionCookie, { maxAge: SESSION_EXPIRES_MS, secure });
+    res.setHeader('Set-Cookie', setCookie);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, uid: decoded.uid, email: decoded.email || null, role: INHRoles.resolveRole(decoded) }));
+  } catch (e) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: e.message || 'Login failed' }));
   }
+});
 
-  if (pathname === '/api/save-client' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        if (!data.name) throw new Error("Client name required");
-
-        // Key sanitization for filename
-        const safeName = data.name.replace(/[^a-z0-9_\-\. ]/gi, '_');
-        const filename = `${safeName}.json`;
-        const filePath = path.join(CLIENTS_DIR, filename);
-
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, filename: filename }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save client: ' + error.message }));
-      }
-    });
-    return;
+router.post('/auth/sessionLogout', async (req, res) => {
+  try {
+    const setCookie = buildSetCookie(SESSION_COOKIE_NAME, '', { maxAge: 0 });
+    res.setHeader('Set-Cookie', setCookie);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  } catch (e) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: e.message || 'Logout failed' }));
   }
+});
 
-  if (pathname === '/api/delete-client' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { filename } = JSON.parse(body);
-        if (!filename) throw new Error("Filename required");
-
-        // Basic validation
-        if (filename.includes('..') || filename.includes('/')) {
-          throw new Error("Invalid filename");
-        }
-
-        const filePath = path.join(CLIENTS_DIR, filename);
-
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
+router.get('/auth/me', async (req, res) => {
+  try {
+    const cookies = parseCookies(req);
+    const session = cookies[SESSION_COOKIE_NAME];
+    // Dev fallback: if admin is not initialized, trust presence of cookie
+    if (!admin || !admin.apps || !admin.apps.length) {
+      if (DEV_AUTH_FALLBACK) {
+        if (session) {
           res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true }));
+          res.end(JSON.stringify({ authenticated: true, uid: 'dev', email: null, role: DEV_AUTH_ROLE, fallback: true }));
+          return;
         } else {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Client file not found' }));
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ authenticated: false }));
+          return;
         }
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to delete client: ' + error.message }));
       }
-    });
-    return;
-  }
-
-  // --- Price List JSON Persistence APIs ---
-  if (pathname === '/api/pricelists' && req.method === 'GET') {
-    try {
-      const files = fs.readdirSync(PRICELISTS_DIR);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, files: jsonFiles }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to list price lists: ' + e.message }));
     }
-    return;
-  }
-
-  if (pathname.startsWith('/api/pricelists/') && req.method === 'GET') {
-    const filename = decodeURIComponent(pathname.split('/').pop());
-    if (filename.includes('..') || filename.includes('/')) {
-      res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Invalid filename' }));
+    const decoded = await verifySessionCookie(session);
+    if (!decoded) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ authenticated: false }));
       return;
     }
-    const filePath = path.join(PRICELISTS_DIR, filename);
-    if (fs.existsSync(filePath)) {
-      try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(content);
-      } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to read file' }));
-      }
-    } else {
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Price list not found' }));
-    }
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ authenticated: true, uid: decoded.uid, email: decoded.email || null, role: INHRoles.resolveRole(decoded) }));
+  } catch (e) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: e.message || 'Auth check failed' }));
   }
+});
 
-  if (pathname === '/api/save-pricelist' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        if (!data.name) throw new Error("Price list name required");
+// Handle API endpoints
+router.get('/api/status', async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: 'running',
+    port: PORT,
+    timestamp: new Date().toISOString()
+  }));
+});
 
-        const safeName = data.name.replace(/[^a-z0-9_\-\. ]/gi, '_');
-        const filename = `${safeName}.json`;
-        const filePath = path.join(PRICELISTS_DIR, filename);
+router.post('/api/save-data', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const data = req.body;
+    currentProductData = data;
 
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    // Save to file for persistence
+    fs.writeFileSync(DATA_FILE_PATH, JSON.stringify(data, null, 2), 'utf8');
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, filename: filename }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save price list: ' + error.message }));
-      }
-    });
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Data saved successfully' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to save data: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/delete-pricelist' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { filename } = JSON.parse(body);
-        if (!filename) throw new Error("Filename required");
-        if (filename.includes('..') || filename.includes('/')) throw new Error("Invalid filename");
+// --- Client JSON Persistence APIs ---
+// Client files hold the ratio templates used by inh-ratio-mix
+router.get('/api/clients', async () => {
+  return { success: true, files: clientStore.list(), revisions: storeRevisions(clientStore) };
+});
 
-        const filePath = path.join(PRICELISTS_DIR, filename);
+router.get('/api/clients/:file', async (req, res) => {
+  const data = clientStore.read(req.params.file);
+  if (!data) throw new HttpError(404, 'Client not found');
+  res.setHeader('ETag', revisionETag(clientStore.currentRevision(req.params.file)));
+  return data;
+});
 
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true }));
-        } else {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Price list file not found' }));
-        }
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to delete price list: ' + error.message }));
-      }
-    });
-    return;
-  }
+router.post('/api/save-client', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  const data = req.body;
+  assertValidRecord('ratio', 'ratio config', data);
 
-  // --- Supplier JSON Persistence APIs ---
-  if (pathname === '/api/suppliers' && req.method === 'GET') {
-    try {
-      const files = fs.readdirSync(SUPPLIERS_DIR);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      const suppliers = [];
+  // Key sanitization for filename
+  const filename = `${safeRecordName(data.name)}.json`;
+  clientStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = clientStore.save(filename, data, req.user);
+  res.setHeader('ETag', revisionETag(revision.revision));
+  return { success: true, filename, revision: revision.revision };
+});
 
-      for (const file of jsonFiles) {
-        try {
-          const content = fs.readFileSync(path.join(SUPPLIERS_DIR, file), 'utf8');
-          suppliers.push(JSON.parse(content));
-        } catch (e) { console.error(`Failed to read supplier ${file}`, e); }
-      }
+router.post('/api/delete-client', { body: 'json' }, async (req) => {
+  const { filename } = req.body;
+  if (!filename) throw new HttpError(400, 'Filename required');
+  clientStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = clientStore.remove(filename, req.user);
+  if (!revision) throw new HttpError(404, 'Client file not found');
+  return { success: true, revision: revision.revision };
+});
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, suppliers: suppliers }));
-    } catch (e) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to list suppliers: ' + e.message }));
-    }
-    return;
-  }
+// --- Price List JSON Persistence APIs ---
+router.get('/api/pricelists', async () => {
+  return { success: true, files: priceListStore.list(), revisions: storeRevisions(priceListStore) };
+});
 
-  if (pathname === '/api/save-supplier' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        if (!data.id || !data.name) throw new Error("Supplier ID and Name required");
+router.get('/api/pricelists/:file', async (req, res) => {
+  const data = priceListStore.read(req.params.file);
+  if (!data) throw new HttpError(404, 'Price list not found');
+  res.setHeader('ETag', revisionETag(priceListStore.currentRevision(req.params.file)));
+  return data;
+});
 
-        const filename = `${data.id}.json`; // Use ID as filename for stability
-        const filePath = path.join(SUPPLIERS_DIR, filename);
+router.post('/api/save-pricelist', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  const data = req.body;
+  assertValidRecord('priceList', 'price list', data);
 
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  const filename = `${safeRecordName(data.name)}.json`;
+  priceListStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = priceListStore.save(filename, data, req.user);
+  res.setHeader('ETag', revisionETag(revision.revision));
+  return { success: true, filename, revision: revision.revision };
+});
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, filename: filename }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save supplier: ' + error.message }));
-      }
-    });
-    return;
-  }
+router.post('/api/delete-pricelist', { body: 'json' }, async (req) => {
+  const { filename } = req.body;
+  if (!filename) throw new HttpError(400, 'Filename required');
+  priceListStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = priceListStore.remove(filename, req.user);
+  if (!revision) throw new HttpError(404, 'Price list file not found');
+  return { success: true, revision: revision.revision };
+});
 
-  if (pathname === '/api/delete-supplier' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { id } = JSON.parse(body);
-        if (!id) throw new Error("Supplier ID required");
+// --- Pricing Rule JSON Persistence APIs ---
+// Quantity breaks, client-group prices and promotions applied by the quote maker
+// (INHPricing.computeQuoteLine). `revisions` is keyed by rule id (the filename).
+router.get('/api/pricing-rules', async () => {
+  return { success: true, rules: pricingRuleStore.readAll(), revisions: storeRevisions(pricingRuleStore) };
+});
 
-        const filename = `${id}.json`;
-        const filePath = path.join(SUPPLIERS_DIR, filename);
+router.post('/api/save-pricing-rule', { body: 'json' }, async (req, res) => {
+  const data = req.body;
+  assertValidRecord('pricingRule', 'pricing rule', data);
 
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true }));
-        } else {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Supplier not found' }));
-        }
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to delete supplier: ' + error.message }));
-      }
-    });
-    return;
-  }
+  const filename = `${data.id}.json`;
+  pricingRuleStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = pricingRuleStore.save(filename, data, req.user);
+  res.setHeader('ETag', revisionETag(revision.revision));
+  return { success: true, filename, revision: revision.revision };
+});
 
-  // Sync Pricelists tab from Google Sheets into Firestore collection `inh_pricelists`
-  if (pathname === '/api/sync/inh_pricelists' && req.method === 'POST') {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
-        return;
-      }
+router.post('/api/delete-pricing-rule', { body: 'json' }, async (req) => {
+  const { id } = req.body;
+  if (!id) throw new HttpError(400, 'Pricing rule ID required');
+  pricingRuleStore.assertRevision(`${id}.json`, ifMatchRevision(req));
+  const revision = pricingRuleStore.remove(`${id}.json`, req.user);
+  if (!revision) throw new HttpError(404, 'Pricing rule not found');
+  return { success: true, revision: revision.revision };
+});
 
-      // Parse query params
-      const dryRun = parsedUrl.searchParams.get('dryRun') === 'true';
-      const spreadsheetId = googleSheetsAutoConfig.getSheetId();
+// --- Quote Template JSON Persistence APIs ---
+// Client reorder baskets used by the quote maker (js/quote-templates.js);
+// ?client=<id> narrows the list to one client. `revisions` is keyed by template id.
+router.get('/api/quote-templates', async (req) => {
+  const clientId = req.query.get('client');
+  const templates = quoteTemplateStore.readAll().filter(t => t && (!clientId || t.clientId === clientId));
+  return { success: true, templates, revisions: storeRevisions(quoteTemplateStore) };
+});
 
-      // Helper to safely get field from a row with various header variants
-      const getField = (row, keys) => {
-        for (const k of keys) {
-          if (row[k] !== undefined && row[k] !== null && String(row[k]).trim() !== '') {
-            return String(row[k]).trim();
-          }
-        }
-        return '';
-      };
+router.post('/api/save-quote-template', { body: 'json' }, async (req, res) => {
+  const data = req.body;
+  assertValidRecord('quoteTemplate', 'quote template', data);
 
-      const makeName = (category, product, shade, length) => {
-        // Exact requested format with spaces around underscores
-        return `${category} _ ${product} _ ${shade} _ ${length}`;
-      };
+  const filename = `${data.id}.json`;
+  quoteTemplateStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = quoteTemplateStore.save(filename, data, req.user);
+  res.setHeader('ETag', revisionETag(revision.revision));
+  return { success: true, filename, revision: revision.revision };
+});
 
-      const slugify = (s) => {
-        return String(s)
-          .toLowerCase()
-          .trim()
-          .replace(/\s+/g, '-')
-          .replace(/[^a-z0-9\-_.]/g, '');
-      };
+router.post('/api/delete-quote-template', { body: 'json' }, async (req) => {
+  const { id } = req.body;
+  if (!id) throw new HttpError(400, 'Quote template ID required');
+  quoteTemplateStore.assertRevision(`${id}.json`, ifMatchRevision(req));
+  const revision = quoteTemplateStore.remove(`${id}.json`, req.user);
+  if (!revision) throw new HttpError(404, 'Quote template not found');
+  return { success: true, revision: revision.revision };
+});
 
-      const sanitizeProductFilename = (p) => {
-        return String(p)
-          .replace(/\s+/g, '')
-          .replace(/[^A-Za-z0-9_\-]/g, '');
-      };
+// --- Supplier JSON Persistence APIs ---
+// `revisions` is keyed by supplier id (the filename)
+router.get('/api/suppliers', async () => {
+  return { success: true, suppliers: supplierStore.readAll(), revisions: storeRevisions(supplierStore) };
+});
 
-      const resolveImagePath = (row, product) => {
-        // Prefer explicit image fields from the sheet
-        const explicit = getField(row, ['image', 'Image', 'imagePath', 'image_path', 'imageUrl', 'image_url']);
-        if (explicit) return explicit;
-        // Fallback to local product image path convention
-        const filename = sanitizeProductFilename(product);
-        return `/images/Products/${filename}.png`;
-      };
+router.post('/api/save-supplier', { body: 'json' }, async (req, res) => {
+  const data = req.body;
+  assertValidRecord('supplier', 'supplier', data);
 
-      // Fetch rows from Pricelists tab
-      let rows = [];
-      try {
-        rows = await googleSheetsService.fetchProductData(spreadsheetId);
-      } catch (err) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Failed to fetch Pricelists data from Sheets: ' + err.message }));
-        return;
-      }
+  const filename = `${data.id}.json`; // Use ID as filename for stability
+  supplierStore.assertRevision(filename, ifMatchRevision(req));
+  const revision = supplierStore.save(filename, data, req.user);
+  res.setHeader('ETag', revisionETag(revision.revision));
+  return { success: true, filename, revision: revision.revision };
+});
 
-      if (!rows || rows.length === 0) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'No rows found in Pricelists tab', created: 0, updated: 0, skipped: 0 }));
-        return;
-      }
+router.post('/api/delete-supplier', { body: 'json' }, async (req) => {
+  const { id } = req.body;
+  if (!id) throw new HttpError(400, 'Supplier ID required');
+  supplierStore.assertRevision(`${id}.json`, ifMatchRevision(req));
+  const revision = supplierStore.remove(`${id}.json`, req.user);
+  if (!revision) throw new HttpError(404, 'Supplier not found');
+  return { success: true, revision: revision.revision };
+});
 
-      // Group by price list name
-      const groups = new Map();
-      for (const row of rows) {
-        const priceListName = getField(row, ['Price List Name', 'PriceListName', 'PriceList', 'pricelist', 'Price List']);
-        if (!priceListName) continue;
-        if (!groups.has(priceListName)) groups.set(priceListName, []);
-        groups.get(priceListName).push(row);
-      }
+/**
+ * Revision history endpoints for a JsonRecordStore, e.g. /api/clients/Keshav.json/revisions.
+ * `?at=<ISO date>` on the list narrows it to the revision that was live at that time,
+ * which is how a quote's price list is reconstructed.
+ */
+function registerRevisionRoutes(prefix, store) {
+  router.get(`${prefix}/:file/revisions`, async (req) => {
+    const at = req.query.get('at');
+    if (at) {
+      const revision = store.getRevisionAt(req.params.file, at);
+      if (!revision) throw new HttpError(404, `No revision of ${req.params.file} existed at ${at}`);
+      return { success: true, revision };
+    }
+    return { success: true, revisions: store.listRevisions(req.params.file) };
+  });
 
-      const results = { created: 0, updated: 0, skipped: 0, errors: 0, lists: [] };
+  router.get(`${prefix}/:file/revisions/:revision`, async (req) => {
+    const revision = store.getRevision(req.params.file, req.params.revision);
+    if (!revision) throw new HttpError(404, `Revision ${req.params.revision} not found`);
+    return { success: true, revision };
+  });
 
-      for (const [plName, plRows] of groups.entries()) {
-        const parentId = slugify(plName);
-        const parentRef = syncService.db.collection('inh_pricelists').doc(parentId);
-        const parentDoc = { name: plName, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  router.get(`${prefix}/:file/diff`, async (req) => {
+    const from = req.query.get('from');
+    const to = req.query.get('to');
+    if (!from || !to) throw new HttpError(400, 'from and to revisions are required');
+    const diff = store.diff(req.params.file, from, to);
+    if (!diff) throw new HttpError(404, 'Revision not found');
+    return { success: true, ...diff };
+  });
 
-        if (!dryRun) {
-          // Ensure parent document exists
-          const existingParent = await parentRef.get();
-          if (!existingParent.exists) {
-            await parentRef.set({ ...parentDoc, createdAt: admin.firestore.FieldValue.serverTimestamp() });
-          } else {
-            await parentRef.set(parentDoc, { merge: true });
-          }
-        }
+  router.post(`${prefix}/:file/restore`, { body: 'json' }, async (req) => {
+    const { revision } = req.body;
+    if (revision === undefined) throw new HttpError(400, 'revision is required');
+    store.assertRevision(req.params.file, ifMatchRevision(req));
+    const restored = store.restore(req.params.file, revision, req.user);
+    if (!restored) throw new HttpError(404, `Revision ${revision} not found`);
+    return { success: true, filename: store.normalizeFilename(req.params.file), revision: restored.revision, restoredFrom: restored.restoredFrom };
+  });
+}
 
-        const listSummary = { priceList: plName, parentId, created: 0, updated: 0, skipped: 0 };
+registerRevisionRoutes('/api/clients', clientStore);
+registerRevisionRoutes('/api/pricelists', priceListStore);
+registerRevisionRoutes('/api/pricing-rules', pricingRuleStore);
+registerRevisionRoutes('/api/quote-templates', quoteTemplateStore);
+registerRevisionRoutes('/api/suppliers', supplierStore);
+
+// --- Price Computation ---
+// Body: { type: 'ratio' | 'standard' | 'combo' | 'quoteLine', lines: [input, ...] }.
+// A 'ratio' line is a ratio config or price list and yields one breakdown per finished length.
+// Same math as the ratio mixer, configurator and quote maker (js/pricing-engine.js).
+router.post('/api/price/compute', { body: 'json' }, async (req) => {
+  let result;
+  try {
+    result = INHPricing.compute(req.body);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+  return { success: true, ...result };
+});
 
-        for (const row of plRows) {
-          const category = getField(row, ['Category', 'category']);
-          const product = getField(row, ['Product', 'product', 'Item']);
-          const shade = getField(row, ['Shade', 'shade', 'Shades']);
-          const length = getField(row, ['Length', 'length', 'Size']);
+// --- Exchange Rates ---
+// Latest snapshot (rates per INR, manual overrides applied). Price lists and quotes
+// store the snapshot id so they can be re-priced later with the same rates.
+router.get('/api/exchange-rates', async () => {
+  exchangeRateStore.refreshIfStale(EXCHANGE_RATE_MAX_AGE);
+  return { success: true, snapshot: exchangeRateStore.latest() };
+});
 
-          // Skip if any essential field missing
-          if (!category || !product || !shade || !length) {
-            results.skipped++;
-            listSummary.skipped++;
-            continue;
-          }
+router.get('/api/exchange-rates/snapshots', async () => {
+  return { success: true, snapshots: exchangeRateStore.list() };
+});
 
-          const name = makeName(category, product, shade, length);
-          const image = resolveImagePath(row, product);
+router.get('/api/exchange-rates/snapshots/:id', async (req) => {
+  const snapshot = exchangeRateStore.get(req.params.id);
+  if (!snapshot) throw new HttpError(404, `Exchange rate snapshot ${req.params.id} not found`);
+  return { success: true, snapshot };
+});
 
-          const docId = slugify(`${category}-${product}-${shade}-${length}`);
-          const docRef = parentRef.collection('products').doc(docId);
+router.post('/api/exchange-rates/refresh', async (req) => {
+  const snapshot = await exchangeRateStore.refresh(req.user);
+  return { success: true, snapshot };
+});
 
-          const payload = {
-            name,
-            category,
-            product,
-            shade,
-            length,
-            image,
-            source: 'google_sheets',
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
-          };
+// Body: { currency: 'USD', rate: 0.0118 } to pin a rate, { currency: 'USD', rate: null } to clear it
+router.post('/api/exchange-rates/overrides', { body: 'json' }, async (req) => {
+  const { currency, rate } = req.body;
+  const snapshot = exchangeRateStore.setOverride(currency, rate, req.user);
+  return { success: true, snapshot };
+});
 
-          if (dryRun) {
-            // Simulate create/update by checking existence
-            try {
-              const existing = await docRef.get();
-              if (existing.exists) {
-                results.updated++;
-                listSummary.updated++;
-              } else {
-                results.created++;
-                listSummary.created++;
-              }
-            } catch (e) {
-              results.errors++;
-            }
-          } else {
-            const existing = await docRef.get();
-            if (existing.exists) {
-              await docRef.set(payload, { merge: true });
-              results.updated++;
-              listSummary.updated++;
-            } else {
-              await docRef.set({ ...payload, createdAt: admin.firestore.FieldValue.serverTimestamp() });
-              results.created++;
-              listSummary.created++;
-            }
-          }
-        }
+// Sync Pricelists tab from Google Sheets into Firestore collection `inh_pricelists`
+router.post('/api/sync/inh_pricelists', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
+      return;
+    }
+
+    // Parse query params
+    const dryRun = req.query.get('dryRun') === 'true';
+    const spreadsheetId = googleSheetsAutoConfig.getSheetId();
 
-        results.lists.push(listSummary);
+    // Helper to safely get field from a row with various header variants
+    const getField = (row, keys) => {
+      for (const k of keys) {
+        if (row[k] !== undefined && row[k] !== null && String(row[k]).trim() !== '') {
+          return String(row[k]).trim();
+        }
       }
+      return '';
+    };
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, dryRun, ...results }));
-    } catch (error) {
+    const makeName = (category, product, shade, length) => {
+      // Exact requested format with spaces around underscores
+      return `${category} _ ${product} _ ${shade} _ ${length}`;
+    };
+
+    const slugify = (s) => {
+      return String(s)
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/[^a-z0-9\-_.]/g, '');
+    };
+
+    const sanitizeProductFilename = (p) => {
+      return String(p)
+        .replace(/\s+/g, '')
+        .replace(/[^A-Za-z0-9_\-]/g, '');
+    };
+
+    const resolveImagePath = (row, product) => {
+      // Prefer explicit image fields from the sheet
+      const explicit = getField(row, ['image', 'Image', 'imagePath', 'image_path', 'imageUrl', 'image_url']);
+      if (explicit) return explicit;
+      // Fallback to local product image path convention
+      const filename = sanitizeProductFilename(product);
+      return `/images/Products/${filename}.png`;
+    };
+
+    // Fetch rows from Pricelists tab
+    let rows = [];
+    try {
+      rows = await googleSheetsService.fetchProductData(spreadsheetId);
+    } catch (err) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: 'Sync failed: ' + error.message }));
+      res.end(JSON.stringify({ success: false, error: 'Failed to fetch Pricelists data from Sheets: ' + err.message }));
+      return;
     }
-    return;
-  }
 
-  if (pathname === '/api/get-data' && req.method === 'GET') {
-    try {
-      const requestedCollection = parsedUrl.searchParams.get('collection');
-      const docId = parsedUrl.searchParams.get('id');
-      const collection = requestedCollection || 'products';
+    if (!rows || rows.length === 0) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: 'No rows found in Pricelists tab', created: 0, updated: 0, skipped: 0 }));
+      return;
+    }
 
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase service not available' }));
-        return;
-      }
+    // Group by price list name
+    const groups = new Map();
+    for (const row of rows) {
+      const priceListName = getField(row, ['Price List Name', 'PriceListName', 'PriceList', 'pricelist', 'Price List']);
+      if (!priceListName) continue;
+      if (!groups.has(priceListName)) groups.set(priceListName, []);
+      groups.get(priceListName).push(row);
+    }
 
-      if (docId) {
-        // Get specific document from Firestore
-        const docRef = syncService.db.collection(collection).doc(docId);
-        const doc = await docRef.get();
-        if (doc.exists) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ id: doc.id, ...doc.data() }));
+    const results = { created: 0, updated: 0, skipped: 0, errors: 0, lists: [] };
+
+    for (const [plName, plRows] of groups.entries()) {
+      const parentId = slugify(plName);
+      const parentRef = syncService.db.collection('inh_pricelists').doc(parentId);
+      const parentDoc = { name: plName, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+      if (!dryRun) {
+        // Ensure parent document exists
+        const existingParent = await parentRef.get();
+        if (!existingParent.exists) {
+          await parentRef.set({ ...parentDoc, createdAt: admin.firestore.FieldValue.serverTimestamp() });
         } else {
-          res.writeHead(404, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Document not found' }));
+          await parentRef.set(parentDoc, { merge: true });
         }
-        return;
       }
 
-      // Special handling for salespeople collection
-      if (collection === 'salespeople') {
-        try {
-          const snapshot = await syncService.db.collection('salespeople').get();
-          const salespeople = [];
-          snapshot.forEach(doc => {
-            salespeople.push({ id: doc.id, ...doc.data() });
-          });
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(salespeople));
-        } catch (error) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify([]));
+      const listSummary = { priceList: plName, parentId, created: 0, updated: 0, skipped: 0 };
+
+      for (const row of plRows) {
+        const category = getField(row, ['Category', 'category']);
+        const product = getField(row, ['Product', 'product', 'Item']);
+        const shade = getField(row, ['Shade', 'shade', 'Shades']);
+        const length = getField(row, ['Length', 'length', 'Size']);
+
+        // Skip if any essential field missing
+        if (!category || !product || !shade || !length) {
+          results.skipped++;
+          listSummary.skipped++;
+          continue;
+        }
+
+        const name = makeName(category, product, shade, length);
+        const image = resolveImagePath(row, product);
+
+        const docId = slugify(`${category}-${product}-${shade}-${length}`);
+        const docRef = parentRef.collection('products').doc(docId);
+
+        const payload = {
+          name,
+          category,
+          product,
+          shade,
+          length,
+          image,
+          source: 'google_sheets',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        if (dryRun) {
+          // Simulate create/update by checking existence
+          try {
+            const existing = await docRef.get();
+            if (existing.exists) {
+              results.updated++;
+              listSummary.updated++;
+            } else {
+              results.created++;
+              listSummary.created++;
+            }
+          } catch (e) {
+            results.errors++;
+          }
+        } else {
+          const existing = await docRef.get();
+          if (existing.exists) {
+            await docRef.set(payload, { merge: true });
+            results.updated++;
+            listSummary.updated++;
+          } else {
+            await docRef.set({ ...payload, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            results.created++;
+            listSummary.created++;
+          }
         }
-        return;
       }
 
-      // Default: return entire Firestore collection
-      const snapshot = await syncService.db.collection(collection).get();
-      const data = [];
-      snapshot.forEach(doc => {
-        data.push({ id: doc.id, ...doc.data() });
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: 'Failed to get data: ' + error.message }));
+      results.lists.push(listSummary);
     }
-    return;
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, dryRun, ...results }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: 'Sync failed: ' + error.message }));
   }
+});
 
-  // Get styles data from Firebase
-  if (pathname === '/api/get-styles' && req.method === 'GET') {
-    try {
-      if (syncService && syncService.db) {
-        // Fetching styles from Firebase
-        const stylesSnapshot = await syncService.db.collection('styles').get();
-        const styles = [];
+router.get('/api/get-data', async (req, res) => {
+  try {
+    const requestedCollection = req.query.get('collection');
+    const docId = req.query.get('id');
+    const collection = requestedCollection || 'products';
 
-        stylesSnapshot.forEach(doc => {
-          styles.push({ id: doc.id, ...doc.data() });
-        });
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
+    }
 
-        // Found styles in Firebase
+    if (docId) {
+      // Get specific document from Firestore
+      const docRef = syncService.db.collection(collection).doc(docId);
+      const doc = await docRef.get();
+      if (doc.exists) {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: true,
-          data: styles,
-          count: styles.length
-        }));
+        res.end(JSON.stringify({ id: doc.id, ...doc.data() }));
       } else {
-        // Firebase not available
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Firebase service not available'
-        }));
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Document not found' }));
       }
-    } catch (error) {
-      // Error getting styles
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: false,
-        error: 'Failed to get styles: ' + error.message
-      }));
+      return;
     }
-    return;
-  }
 
-  if (pathname === '/api/embed-data' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
+    // Special handling for salespeople collection
+    if (collection === 'salespeople') {
       try {
-        const { target, data } = JSON.parse(body);
-
-        if (target === 'priceList') {
-          embedDataIntoFile(PRICE_LIST_FILE_PATH, data, 'price-list');
-        } else if (target === 'quoteMaker') {
-          embedDataIntoFile(QUOTE_MAKER_FILE_PATH, data, 'quote-maker');
-        } else if (target === 'mainApp') {
-          embedDataIntoFile(HTML_FILE_PATH, data, 'main-app');
-        } else if (target === 'all') {
-          embedDataIntoFile(PRICE_LIST_FILE_PATH, data, 'price-list');
-          embedDataIntoFile(QUOTE_MAKER_FILE_PATH, data, 'quote-maker');
-          embedDataIntoFile(HTML_FILE_PATH, data, 'main-app');
-        } else {
-          throw new Error('Invalid target specified. Use: priceList, quoteMaker, mainApp, or all');
-        }
-
+        const snapshot = await syncService.db.collection('salespeople').get();
+        const salespeople = [];
+        snapshot.forEach(doc => {
+          salespeople.push({ id: doc.id, ...doc.data() });
+        });
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: `Data embedded into ${target}` }));
+        res.end(JSON.stringify(salespeople));
       } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to embed data: ' + error.message }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify([]));
       }
+      return;
+    }
+
+    // Default: return entire Firestore collection
+    const snapshot = await syncService.db.collection(collection).get();
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
     });
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: 'Failed to get data: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/save-data' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', async () => {
-      try {
-        const { collection, id, data, merge } = JSON.parse(body);
+// Get styles data from Firebase
+router.get('/api/get-styles', async (req, res) => {
+  try {
+    if (syncService && syncService.db) {
+      // Fetching styles from Firebase
+      const stylesSnapshot = await syncService.db.collection('styles').get();
+      const styles = [];
 
-        if (!collection || !data) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Collection and data are required' }));
-          return;
-        }
+      stylesSnapshot.forEach(doc => {
+        styles.push({ id: doc.id, ...doc.data() });
+      });
 
-        if (!syncService || !syncService.db) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Firebase service not available' }));
-          return;
-        }
+      // Found styles in Firebase
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        data: styles,
+        count: styles.length
+      }));
+    } else {
+      // Firebase not available
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Firebase service not available'
+      }));
+    }
+  } catch (error) {
+    // Error getting styles
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: false,
+      error: 'Failed to get styles: ' + error.message
+    }));
+  }
+});
 
-        let result;
-        if (id) {
-          // Update or set specific document
-          const docRef = syncService.db.collection(collection).doc(id);
-          if (merge) {
-            await docRef.update(data);
-          } else {
-            await docRef.set(data);
-          }
-          result = { id };
-        } else {
-          // Add new document
-          const docRef = await syncService.db.collection(collection).add(data);
-          result = { id: docRef.id };
-        }
+router.post('/api/embed-data', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { target, data } = req.body;
+
+    if (target === 'priceList') {
+      embedDataIntoFile(PRICE_LIST_FILE_PATH, data, 'price-list');
+    } else if (target === 'quoteMaker') {
+      embedDataIntoFile(QUOTE_MAKER_FILE_PATH, data, 'quote-maker');
+    } else if (target === 'mainApp') {
+      embedDataIntoFile(HTML_FILE_PATH, data, 'main-app');
+    } else if (target === 'all') {
+      embedDataIntoFile(PRICE_LIST_FILE_PATH, data, 'price-list');
+      embedDataIntoFile(QUOTE_MAKER_FILE_PATH, data, 'quote-maker');
+      embedDataIntoFile(HTML_FILE_PATH, data, 'main-app');
+    } else {
+      throw new Error('Invalid target specified. Use: priceList, quoteMaker, mainApp, or all');
+    }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, ...result }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save data: ' + error.message }));
-      }
-    });
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: `Data embedded into ${target}` }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to embed data: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/delete-data' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', async () => {
-      try {
-        const { collection, id } = JSON.parse(body);
-
-        if (!collection || !id) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Collection and id are required' }));
-          return;
-        }
+// Firestore document write (was shadowed by the data.json /api/save-data route)
+router.post('/api/firestore/save-data', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { collection, id, data, merge } = req.body;
 
-        if (!syncService || !syncService.db) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Firebase service not available' }));
-          return;
-        }
+    if (!collection || !data) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Collection and data are required' }));
+      return;
+    }
 
-        await syncService.db.collection(collection).doc(id).delete();
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
+    }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Document deleted' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to delete data: ' + error.message }));
+    let result;
+    if (id) {
+      // Update or set specific document
+      const docRef = syncService.db.collection(collection).doc(id);
+      if (merge) {
+        await docRef.update(data);
+      } else {
+        await docRef.set(data);
       }
-    });
-    return;
+      result = { id };
+    } else {
+      // Add new document
+      const docRef = await syncService.db.collection(collection).add(data);
+      result = { id: docRef.id };
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, ...result }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to save data: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/clear-data' && req.method === 'POST') {
-    try {
-      currentProductData = null;
+router.post('/api/delete-data', { body: 'json' }, async (req, res) => {
+  try {
+    const { collection, id } = req.body;
 
-      if (fs.existsSync(DATA_FILE_PATH)) {
-        fs.unlinkSync(DATA_FILE_PATH);
-      }
+    if (!collection || !id) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Collection and id are required' }));
+      return;
+    }
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'All data cleared' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to clear data: ' + error.message }));
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
     }
-    return;
+
+    await syncService.db.collection(collection).doc(id).delete();
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Document deleted' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to delete data: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/sync-price-lists' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { priceLists, timestamp } = JSON.parse(body);
+router.post('/api/clear-data', async (req, res) => {
+  try {
+    currentProductData = null;
 
-        const mainHtmlPath = path.join(__dirname, 'index.html');
-        if (fs.existsSync(mainHtmlPath)) {
-          let htmlContent = fs.readFileSync(mainHtmlPath, 'utf8');
+    if (fs.existsSync(DATA_FILE_PATH)) {
+      fs.unlinkSync(DATA_FILE_PATH);
+    }
 
-          const backupPath = mainHtmlPath.replace('.html', `_backup_${Date.now()}.html`);
-          fs.writeFileSync(backupPath, htmlContent, 'utf8');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'All data cleared' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to clear data: ' + error.message }));
+  }
+});
 
-          const priceListsJson = JSON.stringify(priceLists);
-          const priceListRegex = /availablePriceLists\s*=\s*new\s+Set\(\[.*?\]\);/s;
+router.post('/api/sync-price-lists', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { priceLists, timestamp } = req.body;
 
-          if (priceListRegex.test(htmlContent)) {
-            htmlContent = htmlContent.replace(
-              priceListRegex,
-              `availablePriceLists = new Set(${priceListsJson});`
-            );
+    const mainHtmlPath = path.join(__dirname, 'index.html');
+    if (fs.existsSync(mainHtmlPath)) {
+      let htmlContent = fs.readFileSync(mainHtmlPath, 'utf8');
 
-            fs.writeFileSync(mainHtmlPath, htmlContent, 'utf8');
-          }
-        }
+      const backupPath = mainHtmlPath.replace('.html', `_backup_${Date.now()}.html`);
+      fs.writeFileSync(backupPath, htmlContent, 'utf8');
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: true,
-          message: 'Price lists synchronized successfully',
-          priceLists: priceLists
-        }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to sync price lists: ' + error.message }));
+      const priceListsJson = JSON.stringify(priceLists);
+      const priceListRegex = /availablePriceLists\s*=\s*new\s+Set\(\[.*?\]\);/s;
+
+      if (priceListRegex.test(htmlContent)) {
+        htmlContent = htmlContent.replace(
+          priceListRegex,
+          `availablePriceLists = new Set(${priceListsJson});`
+        );
+
+        fs.writeFileSync(mainHtmlPath, htmlContent, 'utf8');
       }
-    });
-    return;
-  }
+    }
 
-  if (pathname === '/api/init-sync' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { priceLists, timestamp } = JSON.parse(body);
-
-        const syncData = {
-          priceLists: priceLists || [],
-          lastSync: timestamp || Date.now(),
-          syncEnabled: true,
-          modules: {
-            priceListGenerator: { status: 'synchronized', lastUpdate: timestamp },
-            quoteMaker: { status: 'synchronized', lastUpdate: timestamp }
-          }
-        };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'Price lists synchronized successfully',
+      priceLists: priceLists
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to sync price lists: ' + error.message }));
+  }
+});
 
-        const syncFilePath = path.join(__dirname, 'sync-metadata.json');
-        fs.writeFileSync(syncFilePath, JSON.stringify(syncData, null, 2), 'utf8');
+router.post('/api/init-sync', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { priceLists, timestamp } = req.body;
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: true,
-          message: 'Synchronization initialized successfully',
-          syncData
-        }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to initialize sync: ' + error.message }));
+    const syncData = {
+      priceLists: priceLists || [],
+      lastSync: timestamp || Date.now(),
+      syncEnabled: true,
+      modules: {
+        priceListGenerator: { status: 'synchronized', lastUpdate: timestamp },
+        quoteMaker: { status: 'synchronized', lastUpdate: timestamp }
       }
-    });
-    return;
+    };
+
+    const syncFilePath = path.join(__dirname, 'sync-metadata.json');
+    fs.writeFileSync(syncFilePath, JSON.stringify(syncData, null, 2), 'utf8');
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'Synchronization initialized successfully',
+      syncData
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to initialize sync: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/sync-price-lists' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk.toString(); });
-    req.on('end', () => {
-      try {
-        const { action, priceLists, sourceModule } = JSON.parse(body);
+// Record a module's price list update in sync-metadata.json (was shadowed by /api/sync-price-lists)
+router.post('/api/sync-metadata', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { action, priceLists, sourceModule } = req.body;
 
-        let syncData = {};
-        try {
-          syncData = JSON.parse(fs.readFileSync(path.join(__dirname, 'sync-metadata.json'), 'utf8'));
-        } catch (e) {
-          syncData = { timestamp: Date.now(), priceLists: [], modules: {} };
-        }
+    let syncData = {};
+    try {
+      syncData = JSON.parse(fs.readFileSync(path.join(__dirname, 'sync-metadata.json'), 'utf8'));
+    } catch (e) {
+      syncData = { timestamp: Date.now(), priceLists: [], modules: {} };
+    }
 
-        syncData.timestamp = Date.now();
-        syncData.priceLists = priceLists || [];
-        syncData.modules[sourceModule] = { status: 'updated', lastUpdate: Date.now() };
+    syncData.timestamp = Date.now();
+    syncData.priceLists = priceLists || [];
+    syncData.modules[sourceModule] = { status: 'updated', lastUpdate: Date.now() };
 
-        fs.writeFileSync(path.join(__dirname, 'sync-metadata.json'), JSON.stringify(syncData, null, 2));
+    fs.writeFileSync(path.join(__dirname, 'sync-metadata.json'), JSON.stringify(syncData, null, 2));
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, syncData, action }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to sync price lists', details: error.message }));
-      }
-    });
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, syncData, action }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to sync price lists', details: error.message }));
   }
+});
 
-  if (pathname === '/api/sync-status' && req.method === 'GET') {
-    try {
-      const syncData = JSON.parse(fs.readFileSync(path.join(__dirname, 'sync-metadata.json'), 'utf8'));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, syncData }));
-    } catch (error) {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, syncData: { timestamp: 0, priceLists: [], modules: {} } }));
-    }
-    return;
+router.get('/api/sync-status', async (req, res) => {
+  try {
+    const syncData = JSON.parse(fs.readFileSync(path.join(__dirname, 'sync-metadata.json'), 'utf8'));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, syncData }));
+  } catch (error) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, syncData: { timestamp: 0, priceLists: [], modules: {} } }));
   }
+});
 
-  if (pathname === '/api/google-sheets-status' && req.method === 'GET') {
-    try {
-      if (!googleSheetsService) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          connected: false,
-          error: 'Google Sheets service not initialized'
-        }));
-        return;
-      }
-
-      // Test connection by trying to access the spreadsheet
-      const testResult = await googleSheetsService.testConnection();
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        connected: testResult.success,
-        error: testResult.success ? null : testResult.error,
-        spreadsheetId: googleSheetsService.spreadsheetId,
-        lastChecked: new Date().toISOString(),
-        sheetCount: testResult.sheetCount || 0,
-        spreadsheetTitle: testResult.spreadsheetTitle || 'Unknown'
-      }));
-    } catch (error) {
+router.get('/api/google-sheets-status', async (req, res) => {
+  try {
+    if (!googleSheetsService) {
       res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         connected: false,
-        error: 'Failed to check Google Sheets status: ' + error.message
+        error: 'Google Sheets service not initialized'
       }));
+      return;
     }
-    return;
-  }
-
-  // Fetch client headers from Google Sheets (clients!A1:Z1)
-  if (pathname === '/api/client-headers' && req.method === 'GET') {
-    try {
-      // Ensure service is ready
-      if (!googleSheetsService) {
-        googleSheetsService = new GoogleSheetsService();
-        await googleSheetsService.initialize();
-      }
 
-      const sheetId = googleSheetsAutoConfig.getSheetId();
-      const headers = await googleSheetsService.getClientHeaders(sheetId);
+    // Test connection by trying to access the spreadsheet
+    const testResult = await googleSheetsService.testConnection();
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        headers,
-        count: headers.length,
-        range: 'clients!A1:Z1',
-        source: 'google_sheets',
-        timestamp: new Date().toISOString()
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: false,
-        error: 'Failed to fetch client headers: ' + (error?.message || String(error))
-      }));
-    }
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      connected: testResult.success,
+      error: testResult.success ? null : testResult.error,
+      spreadsheetId: googleSheetsService.spreadsheetId,
+      lastChecked: new Date().toISOString(),
+      sheetCount: testResult.sheetCount || 0,
+      spreadsheetTitle: testResult.spreadsheetTitle || 'Unknown'
+    }));
+  } catch (error) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      connected: false,
+      error: 'Failed to check Google Sheets status: ' + error.message
+    }));
   }
+});
 
-  if (pathname === '/save-html' && req.method === 'POST') {
-    let body = '';
+// Fetch client headers from Google Sheets (clients!A1:Z1)
+router.get('/api/client-headers', async (req, res) => {
+  try {
+    // Ensure service is ready
+    if (!googleSheetsService) {
+      googleSheetsService = new GoogleSheetsService();
+      await googleSheetsService.initialize();
+    }
 
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+    const sheetId = googleSheetsAutoConfig.getSheetId();
+    const headers = await googleSheetsService.getClientHeaders(sheetId);
 
-    req.on('end', () => {
-      try {
-        const data = JSON.parse(body);
-        const { htmlContent, timestamp } = data;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      headers,
+      count: headers.length,
+      range: 'clients!A1:Z1',
+      source: 'google_sheets',
+      timestamp: new Date().toISOString()
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: false,
+      error: 'Failed to fetch client headers: ' + (error?.message || String(error))
+    }));
+  }
+});
 
-        if (!htmlContent) {
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'Missing htmlContent' }));
-          return;
-        }
+router.post('/save-html', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const data = req.body;
+    const { htmlContent, timestamp } = data;
 
-        const backupPath = path.join(__dirname, `index_backup_${Date.now()}.html`);
-        if (fs.existsSync(HTML_FILE_PATH)) {
-          fs.copyFileSync(HTML_FILE_PATH, backupPath);
-        }
+    if (!htmlContent) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Missing htmlContent' }));
+      return;
+    }
 
-        fs.writeFileSync(HTML_FILE_PATH, htmlContent, 'utf8');
+    const backupPath = path.join(__dirname, `index_backup_${Date.now()}.html`);
+    if (fs.existsSync(HTML_FILE_PATH)) {
+      fs.copyFileSync(HTML_FILE_PATH, backupPath);
+    }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: true,
-          message: 'HTML file updated successfully',
-          backup: backupPath
-        }));
+    fs.writeFileSync(HTML_FILE_PATH, htmlContent, 'utf8');
 
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Failed to save HTML file: ' + error.message }));
-      }
-    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'HTML file updated successfully',
+      backup: backupPath
+    }));
 
-    return;
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to save HTML file: ' + error.message }));
   }
+});
 
-  // data.json endpoint removed - only Firebase data is served
+// data.json endpoint removed - only Firebase data is served
 
-  if (pathname === '/api/sync/manual' && req.method === 'POST') {
-    try {
-      if (!syncService) {
-        await initializeSyncServices();
-      }
-      if (!syncScheduler) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Sync service not available. Please configure service account credentials.'
-        }));
-        return;
-      }
+router.post('/api/sync/manual', { body: 'json' }, async (req, res) => {
+  try {
+    if (!syncService) {
+      await initializeSyncServices();
+    }
+    if (!syncScheduler) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Sync service not available. Please configure service account credentials.'
+      }));
+      return;
+    }
 
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
+    try {
+      const result = await syncScheduler.triggerManualSync(req.body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, result }));
+    } catch (syncError) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: syncError.message }));
+    }
+  } catch (error) {
+    const credentialErrorPatterns = [
+      'Failed to parse private key',
+      'Invalid PEM formatted message',
+      'service account key file not found',
+      'placeholder values',
+      'invalid json format',
+      'missing required fields',
+      'invalid credential type',
+      'invalid service account email',
+      'google sheets synchronization is not available'
+    ];
+
+    const isCredentialError = credentialErrorPatterns.some(pattern =>
+      error.message.toLowerCase().includes(pattern.toLowerCase())
+    );
+
+    if (isCredentialError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: error.message,
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+    } else {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  }
+});
 
-      req.on('end', async () => {
-        try {
-          let options = {};
-          if (body) {
-            options = JSON.parse(body);
-          }
+router.post('/api/sync/products', async (req, res) => {
+  try {
+    if (!syncService) {
+      await initializeSyncServices();
+    }
+    if (!syncScheduler) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: 'Sync service not available. Please configure service account credentials.',
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+      return;
+    }
 
-          const result = await syncScheduler.triggerManualSync(options);
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true, result }));
-        } catch (parseError) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: parseError.message }));
-        }
-      });
-    } catch (error) {
-      const credentialErrorPatterns = [
-        'Failed to parse private key',
-        'Invalid PEM formatted message',
-        'service account key file not found',
-        'placeholder values',
-        'invalid json format',
-        'missing required fields',
-        'invalid credential type',
-        'invalid service account email',
-        'google sheets synchronization is not available'
-      ];
+    const result = await syncScheduler.triggerManualSync({
+      syncProducts: true,
+      syncSalesmen: false,
+      syncCompanies: false,
+      syncColors: false,
+      syncStyles: false
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      result,
+      totalProducts: result.productResult ? result.productResult.totalProducts : 0
+    }));
+  } catch (error) {
+    const credentialErrorPatterns = [
+      'Failed to parse private key',
+      'Invalid PEM formatted message',
+      'service account key file not found',
+      'placeholder values',
+      'invalid json format',
+      'missing required fields',
+      'invalid credential type',
+      'invalid service account email',
+      'google sheets synchronization is not available'
+    ];
+
+    const isCredentialError = credentialErrorPatterns.some(pattern =>
+      error.message.toLowerCase().includes(pattern.toLowerCase())
+    );
+
+    if (isCredentialError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: error.message,
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+    } else {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  }
+});
 
-      const isCredentialError = credentialErrorPatterns.some(pattern =>
-        error.message.toLowerCase().includes(pattern.toLowerCase())
-      );
+router.post('/api/sync/salesmen', async (req, res) => {
+  try {
+    if (!syncService) {
+      await initializeSyncServices();
+    }
+    if (!syncScheduler) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: 'Sync service not available. Please configure service account credentials.',
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+      return;
+    }
 
-      if (isCredentialError) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: error.message,
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-      } else {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
-      }
+    const result = await syncScheduler.triggerManualSync({
+      syncProducts: false,
+      syncSalesmen: true,
+      syncCompanies: false,
+      syncColors: false,
+      syncStyles: false
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      result,
+      totalSalesmen: result.salesmanResult ? result.salesmanResult.totalSalesmen : 0
+    }));
+  } catch (error) {
+    const credentialErrorPatterns = [
+      'Failed to parse private key',
+      'Invalid PEM formatted message',
+      'service account key file not found',
+      'placeholder values',
+      'invalid json format',
+      'missing required fields',
+      'invalid credential type',
+      'invalid service account email',
+      'google sheets synchronization is not available'
+    ];
+
+    const isCredentialError = credentialErrorPatterns.some(pattern =>
+      error.message.toLowerCase().includes(pattern.toLowerCase())
+    );
+
+    if (isCredentialError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: error.message,
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+    } else {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
     }
-    return;
   }
+});
 
-  if (pathname === '/api/sync/products' && req.method === 'POST') {
-    try {
-      if (!syncService) {
-        await initializeSyncServices();
-      }
-      if (!syncScheduler) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: 'Sync service not available. Please configure service account credentials.',
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-        return;
-      }
+router.post('/api/sync/companies', async (req, res) => {
+  try {
+    if (!syncService) {
+      await initializeSyncServices();
+    }
+    if (!syncScheduler) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: 'Sync service not available. Please configure service account credentials.',
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
+      }));
+      return;
+    }
 
-      const result = await syncScheduler.triggerManualSync({
-        syncProducts: true,
-        syncSalesmen: false,
-        syncCompanies: false,
-        syncColors: false,
-        syncStyles: false
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
+    const result = await syncScheduler.triggerManualSync({
+      syncProducts: false,
+      syncSalesmen: false,
+      syncCompanies: true,
+      syncColors: false,
+      syncStyles: false
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      result,
+      companiesData: result.companiesResult || { added: 0, updated: 0, deleted: 0, total: 0 }
+    }));
+  } catch (error) {
+    const credentialErrorPatterns = [
+      'Failed to parse private key',
+      'Invalid PEM formatted message',
+      'service account key file not found',
+      'placeholder values',
+      'invalid json format',
+      'missing required fields',
+      'invalid credential type',
+      'invalid service account email',
+      'google sheets synchronization is not available'
+    ];
+
+    const isCredentialError = credentialErrorPatterns.some(pattern =>
+      error.message.toLowerCase().includes(pattern.toLowerCase())
+    );
+
+    if (isCredentialError) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
-        success: true,
-        result,
-        totalProducts: result.productResult ? result.productResult.totalProducts : 0
+        success: false,
+        error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
+        details: error.message,
+        setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
       }));
-    } catch (error) {
-      const credentialErrorPatterns = [
-        'Failed to parse private key',
-        'Invalid PEM formatted message',
-        'service account key file not found',
-        'placeholder values',
-        'invalid json format',
-        'missing required fields',
-        'invalid credential type',
-        'invalid service account email',
-        'google sheets synchronization is not available'
-      ];
+    } else {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  }
+});
 
-      const isCredentialError = credentialErrorPatterns.some(pattern =>
-        error.message.toLowerCase().includes(pattern.toLowerCase())
-      );
+router.get('/api/sync/status', async (req, res) => {
+  try {
+    if (!syncService) {
+      const mockStatus = {
+        isRunning: false,
+        lastSync: null,
+        lastError: 'Service account credentials not configured',
+        totalSynced: 0,
+        schedulerRunning: false,
+        nextSync: null,
+        productsCount: 0,
+        salesmenCount: 0
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, status: mockStatus }));
+      return;
+    }
+    const status = await syncService.getSyncStatus();
 
-      if (isCredentialError) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: error.message,
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-      } else {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
-      }
+    if (syncScheduler) {
+      const schedulerStatus = syncScheduler.getSchedulerStatus();
+      status.schedulerRunning = schedulerStatus.isRunning;
+      status.nextRun = schedulerStatus.nextRun;
     }
-    return;
-  }
 
-  if (pathname === '/api/sync/salesmen' && req.method === 'POST') {
-    try {
-      if (!syncService) {
-        await initializeSyncServices();
-      }
-      if (!syncScheduler) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: 'Sync service not available. Please configure service account credentials.',
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-        return;
-      }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, status }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-      const result = await syncScheduler.triggerManualSync({
-        syncProducts: false,
-        syncSalesmen: true,
-        syncCompanies: false,
-        syncColors: false,
-        syncStyles: false
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        result,
-        totalSalesmen: result.salesmanResult ? result.salesmanResult.totalSalesmen : 0
-      }));
-    } catch (error) {
-      const credentialErrorPatterns = [
-        'Failed to parse private key',
-        'Invalid PEM formatted message',
-        'service account key file not found',
-        'placeholder values',
-        'invalid json format',
-        'missing required fields',
-        'invalid credential type',
-        'invalid service account email',
-        'google sheets synchronization is not available'
+router.get('/api/sync/logs', async (req, res) => {
+  try {
+    if (!syncService) {
+      const mockLogs = [
+        {
+          id: 'mock-1',
+          timestamp: new Date(),
+          level: 'info',
+          message: 'Google Sheets sync system ready for configuration',
+          details: 'Please set up service account credentials to enable synchronization'
+        },
+        {
+          id: 'mock-2',
+          timestamp: new Date(Date.now() - 60000),
+          level: 'warning',
+          message: 'Service account credentials not found',
+          details: 'Create service-account-key.json file to enable Google Sheets integration'
+        }
       ];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, logs: mockLogs }));
+      return;
+    }
+    const logs = await syncService.getSyncLogs();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, logs }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-      const isCredentialError = credentialErrorPatterns.some(pattern =>
-        error.message.toLowerCase().includes(pattern.toLowerCase())
-      );
-
-      if (isCredentialError) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: error.message,
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-      } else {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
-      }
+router.post('/api/sync/scheduler/start', async (req, res) => {
+  try {
+    if (!syncScheduler) {
+      await initializeSyncServices();
     }
-    return;
+    syncScheduler.start();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Scheduler started' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/companies' && req.method === 'POST') {
-    try {
-      if (!syncService) {
-        await initializeSyncServices();
-      }
-      if (!syncScheduler) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: 'Sync service not available. Please configure service account credentials.',
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-        return;
-      }
+router.post('/api/sync/scheduler/stop', async (req, res) => {
+  try {
+    if (syncScheduler) {
+      syncScheduler.stop();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Scheduler stopped' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-      const result = await syncScheduler.triggerManualSync({
-        syncProducts: false,
-        syncSalesmen: false,
-        syncCompanies: true,
-        syncColors: false,
-        syncStyles: false
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
+router.post('/api/sync/count-data', async (req, res) => {
+  try {
+    if (!syncService) {
+      await initializeSyncServices();
+    }
+    if (!syncService) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
-        success: true,
-        result,
-        companiesData: result.companiesResult || { added: 0, updated: 0, deleted: 0, total: 0 }
+        success: false,
+        error: 'Sync service not available. Please configure service account credentials.'
       }));
-    } catch (error) {
-      const credentialErrorPatterns = [
-        'Failed to parse private key',
-        'Invalid PEM formatted message',
-        'service account key file not found',
-        'placeholder values',
-        'invalid json format',
-        'missing required fields',
-        'invalid credential type',
-        'invalid service account email',
-        'google sheets synchronization is not available'
-      ];
-
-      const isCredentialError = credentialErrorPatterns.some(pattern =>
-        error.message.toLowerCase().includes(pattern.toLowerCase())
-      );
-
-      if (isCredentialError) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Google Sheets synchronization is not available. Please configure valid Google Sheets credentials to enable sync functionality.',
-          details: error.message,
-          setupGuide: 'See GOOGLE_SHEETS_CREDENTIALS_SETUP.md for detailed setup instructions.'
-        }));
-      } else {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
-      }
+      return;
     }
-    return;
+
+    const result = await syncService.syncCountData();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      result,
+      message: 'Count data synchronized to Firebase successfully'
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/status' && req.method === 'GET') {
-    try {
-      if (!syncService) {
-        const mockStatus = {
-          isRunning: false,
-          lastSync: null,
-          lastError: 'Service account credentials not configured',
-          totalSynced: 0,
-          schedulerRunning: false,
-          nextSync: null,
-          productsCount: 0,
-          salesmenCount: 0
-        };
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, status: mockStatus }));
-        return;
-      }
-      const status = await syncService.getSyncStatus();
+// Bidirectional Sync API endpoints
+router.get('/api/sync/events', async (req, res) => {
+  // Server-Sent Events endpoint for real-time sync updates
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control'
+  });
 
-      if (syncScheduler) {
-        const schedulerStatus = syncScheduler.getSchedulerStatus();
-        status.schedulerRunning = schedulerStatus.isRunning;
-        status.nextRun = schedulerStatus.nextRun;
-      }
+  // Add client to SSE clients set
+  sseClients.add(res);
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, status }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+  // Send initial connection message
+  res.write('data: {"type": "connection", "message": "Connected to sync events"}\n\n');
+
+  // Handle client disconnect
+  req.on('close', () => {
+    sseClients.delete(res);
+  });
+
+  req.on('aborted', () => {
+    sseClients.delete(res);
+  });
+});
+
+router.post('/api/sync/bidirectional/start', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      await initializeSyncServices();
     }
-    return;
-  }
 
-  if (pathname === '/api/sync/logs' && req.method === 'GET') {
-    try {
-      if (!syncService) {
-        const mockLogs = [
-          {
-            id: 'mock-1',
-            timestamp: new Date(),
-            level: 'info',
-            message: 'Google Sheets sync system ready for configuration',
-            details: 'Please set up service account credentials to enable synchronization'
-          },
-          {
-            id: 'mock-2',
-            timestamp: new Date(Date.now() - 60000),
-            level: 'warning',
-            message: 'Service account credentials not found',
-            details: 'Create service-account-key.json file to enable Google Sheets integration'
-          }
-        ];
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, logs: mockLogs }));
-        return;
-      }
-      const logs = await syncService.getSyncLogs();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, logs }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
     }
-    return;
+
+    await bidirectionalSyncService.start();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Bidirectional sync started' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/scheduler/start' && req.method === 'POST') {
-    try {
-      if (!syncScheduler) {
-        await initializeSyncServices();
-      }
-      syncScheduler.start();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Scheduler started' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+router.post('/api/sync/bidirectional/stop', async (req, res) => {
+  try {
+    if (bidirectionalSyncService) {
+      await bidirectionalSyncService.stop();
     }
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Bidirectional sync stopped' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/scheduler/stop' && req.method === 'POST') {
-    try {
-      if (syncScheduler) {
-        syncScheduler.stop();
-      }
+router.get('/api/sync/bidirectional/status', async (req, res) => {
+  try {
+    const status = bidirectionalSyncService ? bidirectionalSyncService.getSyncStatus() : { isRunning: false };
+    if (!res.headersSent) {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Scheduler stopped' }));
-    } catch (error) {
+    }
+    res.end(JSON.stringify(status));
+  } catch (error) {
+    if (!res.headersSent) {
       res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify({ error: error.message }));
+    } else {
+      // If headers already sent, just end safely
+      try { res.end(); } catch (_) { }
     }
-    return;
   }
+});
 
-  if (pathname === '/api/sync/count-data' && req.method === 'POST') {
-    try {
-      if (!syncService) {
-        await initializeSyncServices();
-      }
-      if (!syncService) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Sync service not available. Please configure service account credentials.'
-        }));
-        return;
-      }
+router.post('/api/sync/localStorage-to-firebase', { body: 'json', limit: BULK_BODY_LIMIT }, async (req, res) => {
+  try {
+    const { collection, data, timestamp } = req.body;
 
-      let body = '';
-      req.on('data', chunk => {
-        body += chunk.toString();
-      });
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
+      return;
+    }
 
-      req.on('end', async () => {
-        try {
-          const result = await syncService.syncCountData();
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            success: true,
-            result,
-            message: 'Count data synchronized to Firebase successfully'
-          }));
-        } catch (parseError) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: parseError.message }));
-        }
+    // Update Firebase with localStorage data
+    if (collection === 'salespeople') {
+      // Update config document with salespeople data
+      await syncService.db.collection('config').doc('salespeople').set({
+        salespeople: data,
+        lastUpdated: timestamp,
+        source: 'localStorage'
+      }, { merge: true });
+    } else if (collection === 'price_lists') {
+      // Update price lists collection
+      const batch = syncService.db.batch();
+      data.forEach((item, index) => {
+        const docRef = syncService.db.collection('price_lists').doc(`item_${index}`);
+        batch.set(docRef, { ...item, lastUpdated: timestamp, source: 'localStorage' });
       });
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      await batch.commit();
     }
-    return;
-  }
 
-  // Bidirectional Sync API endpoints
-  if (pathname === '/api/sync/events' && req.method === 'GET') {
-    // Server-Sent Events endpoint for real-time sync updates
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: `${collection} synced to Firebase` }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-    // Add client to SSE clients set
-    sseClients.add(res);
+router.post('/api/sync/resolve-inconsistency', { body: 'json' }, async (req, res) => {
+  try {
+    const { type, source } = req.body;
 
-    // Send initial connection message
-    res.write('data: {"type": "connection", "message": "Connected to sync events"}\n\n');
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
+    }
 
-    // Handle client disconnect
-    req.on('close', () => {
-      sseClients.delete(res);
-    });
+    // Create a mock inconsistency object for resolution
+    const inconsistency = { type, [source]: 'user_selected_value' };
 
-    req.on('aborted', () => {
-      sseClients.delete(res);
-    });
+    if (source === 'firebase') {
+      await bidirectionalSyncService.resolveWithFirebasePriority(inconsistency);
+    } else {
+      // For Google Sheets priority, we'd need to implement this
+      // TODO: Implement Google Sheets priority resolution
+    }
 
-    return;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Inconsistency resolved' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/bidirectional/start' && req.method === 'POST') {
-    try {
-      if (!bidirectionalSyncService) {
-        await initializeSyncServices();
-      }
+router.post('/api/sync/conflict-strategy', { body: 'json' }, async (req, res) => {
+  try {
+    const { strategy } = req.body;
 
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
+    }
 
-      await bidirectionalSyncService.start();
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Bidirectional sync started' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+    bidirectionalSyncService.setConflictResolutionStrategy(strategy);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: `Conflict resolution strategy set to ${strategy}` }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
+
+// Start periodic data validation
+router.post('/api/sync/validation/start', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
     }
-    return;
+
+    bidirectionalSyncService.startPeriodicValidation();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'Periodic data validation started',
+      interval: bidirectionalSyncService.validationIntervalMs
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/bidirectional/stop' && req.method === 'POST') {
-    try {
-      if (bidirectionalSyncService) {
-        await bidirectionalSyncService.stop();
-      }
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: true, message: 'Bidirectional sync stopped' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+// Stop periodic data validation
+router.post('/api/sync/validation/stop', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
     }
-    return;
+
+    bidirectionalSyncService.stopPeriodicValidation();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'Periodic data validation stopped'
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/bidirectional/status' && req.method === 'GET') {
-    try {
-      const status = bidirectionalSyncService ? bidirectionalSyncService.getSyncStatus() : { isRunning: false };
-      if (!res.headersSent) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-      }
-      res.end(JSON.stringify(status));
-    } catch (error) {
-      if (!res.headersSent) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: error.message }));
-      } else {
-        // If headers already sent, just end safely
-        try { res.end(); } catch (_) { }
-      }
+// Perform manual data validation
+router.post('/api/sync/validation/run', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
     }
-    return;
+
+    const validationResults = await bidirectionalSyncService.performComprehensiveValidation();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      message: 'Data validation completed',
+      results: validationResults
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  if (pathname === '/api/sync/localStorage-to-firebase' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+// Get validation status
+router.get('/api/sync/validation/status', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
+    }
 
-    req.on('end', async () => {
-      try {
-        const { collection, data, timestamp } = JSON.parse(body);
+    const status = {
+      periodicValidationActive: !!bidirectionalSyncService.validationInterval,
+      validationInterval: bidirectionalSyncService.validationIntervalMs,
+      lastValidation: bidirectionalSyncService.lastValidationTime || null
+    };
 
-        if (!syncService || !syncService.db) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
-          return;
-        }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      status
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-        // Update Firebase with localStorage data
-        if (collection === 'salespeople') {
-          // Update config document with salespeople data
-          await syncService.db.collection('config').doc('salespeople').set({
-            salespeople: data,
-            lastUpdated: timestamp,
-            source: 'localStorage'
-          }, { merge: true });
-        } else if (collection === 'price_lists') {
-          // Update price lists collection
-          const batch = syncService.db.batch();
-          data.forEach((item, index) => {
-            const docRef = syncService.db.collection('price_lists').doc(`item_${index}`);
-            batch.set(docRef, { ...item, lastUpdated: timestamp, source: 'localStorage' });
-          });
-          await batch.commit();
-        }
+// Migrate image URLs for inh_pricelists products from Google Sheets
+router.add(['GET', 'POST'], '/api/migrate/pricelist-images', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
+      return;
+    }
+    if (!googleSheetsService) {
+      googleSheetsService = new GoogleSheetsService();
+      await googleSheetsService.initialize();
+    }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: `${collection} synced to Firebase` }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
+    const urlParams = req.query;
+    const dryRun = (urlParams.get('dryRun') || 'false').toLowerCase() === 'true';
+    const targetCollection = urlParams.get('collection') || 'inh_pricelists';
+    const sheetId = urlParams.get('sheetId') || googleSheetsAutoConfig.getSheetId();
+
+    // Build a product key -> imageUrl map from the pricelists tab
+    const rows = await googleSheetsService.fetchProductData(sheetId);
+    const toKey = (pl, cat, prod, dens) => [pl, cat, prod, dens]
+      .map(v => (v || '').toString().trim().toLowerCase())
+      .join('|');
+
+    const extractField = (obj, keys) => {
+      for (const k of keys) {
+        const v = obj[k];
+        if (typeof v === 'string' && v.trim()) return v.trim();
       }
-    });
-    return;
-  }
+      return null;
+    };
 
-  if (pathname === '/api/sync/resolve-inconsistency' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+    const getImageFromRow = (row) => {
+      const candidates = [
+        'image', 'Image', 'imageUrl', 'imageURL', 'ImageURL',
+        'ProductImage', 'productImage', 'ProductImageURL', 'productImageURL',
+        'Image Link', 'ImageLink', 'image_link', 'image_path', 'storagePath'
+      ];
+      // Nested Images array support
+      if (Array.isArray(row.Images) && row.Images.length > 0) {
+        const first = row.Images[0];
+        if (typeof first === 'string' && first.trim()) return first.trim();
+        if (typeof first === 'object') {
+          const u = first.url || first.link || first.path;
+          if (typeof u === 'string' && u.trim()) return u.trim();
+        }
+      }
+      return extractField(row, candidates);
+    };
 
-    req.on('end', async () => {
-      try {
-        const { type, source } = JSON.parse(body);
+    const keyMap = new Map();
+    for (const row of rows) {
+      const priceList = extractField(row, ['Price List Name', 'PriceListName', 'PriceList', 'pricelist']);
+      const category = extractField(row, ['Category', 'category']);
+      const product = extractField(row, ['Product', 'product', 'Name', 'name']);
+      const density = extractField(row, ['Density', 'density']);
+      const imageUrl = getImageFromRow(row);
+      if (priceList && category && product && imageUrl) {
+        const key = toKey(priceList, category, product, density || '');
+        keyMap.set(key, imageUrl);
+      }
+    }
 
-        if (!bidirectionalSyncService) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-          return;
+    // Iterate Firestore inh_pricelists/{priceList}/products subcollections
+    const plSnap = await syncService.db.collection(targetCollection).get();
+    const deleteFields = [
+      'Image', 'image', 'imageURL', 'ImageURL', 'ProductImage', 'productImage',
+      'ProductImageURL', 'productImageURL', 'ImageLink', 'image_link', 'image_path', 'storagePath'
+    ];
+
+    let examined = 0, updated = 0, missing = 0, errors = 0;
+    const mismatches = [];
+
+    for (const plDoc of plSnap.docs) {
+      const priceListName = plDoc.get('PriceListName') || plDoc.id;
+      let subQuery = plDoc.ref.collection('products');
+      const subSnap = await subQuery.get();
+      const batch = syncService.db.batch();
+
+      for (const prodDoc of subSnap.docs) {
+        examined++;
+        const data = prodDoc.data();
+        const category = data.Category || data.category || '';
+        const product = data.Product || data.product || data.Name || data.name || '';
+        const density = data.Density || data.density || '';
+        const key = toKey(priceListName, category, product, density);
+        const sheetUrl = keyMap.get(key);
+        if (!sheetUrl) {
+          missing++;
+          mismatches.push({ priceList: priceListName, category, product, density, id: prodDoc.id });
+          continue;
         }
 
-        // Create a mock inconsistency object for resolution
-        const inconsistency = { type, [source]: 'user_selected_value' };
+        const updatePayload = { imageUrl: sheetUrl };
+        deleteFields.forEach(f => { updatePayload[f] = admin.firestore.FieldValue.delete ? admin.firestore.FieldValue.delete() : undefined; });
 
-        if (source === 'firebase') {
-          await bidirectionalSyncService.resolveWithFirebasePriority(inconsistency);
-        } else {
-          // For Google Sheets priority, we'd need to implement this
-          // TODO: Implement Google Sheets priority resolution
+        try {
+          if (!dryRun) {
+            batch.update(prodDoc.ref, updatePayload);
+          }
+          updated++;
+        } catch (e) {
+          errors++;
         }
+      }
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: 'Inconsistency resolved' }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
+      if (!dryRun) {
+        try { await batch.commit(); } catch (e) { errors++; }
       }
-    });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      dryRun,
+      targetCollection,
+      examined,
+      updated,
+      missing,
+      errors,
+      mismatches: dryRun ? mismatches.slice(0, 100) : []
+    }));
+    return;
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
     return;
   }
+});
 
-  if (pathname === '/api/sync/conflict-strategy' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk.toString();
-    });
+// Get error handling statistics
+router.get('/api/sync/errors/stats', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
+    }
 
-    req.on('end', async () => {
-      try {
-        const { strategy } = JSON.parse(body);
+    const stats = bidirectionalSyncService.errorHandler ?
+      bidirectionalSyncService.errorHandler.getErrorStats() :
+      { message: 'Error handler not available' };
 
-        if (!bidirectionalSyncService) {
-          res.writeHead(503, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-          return;
-        }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      stats
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
+  }
+});
 
-        bidirectionalSyncService.setConflictResolutionStrategy(strategy);
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, message: `Conflict resolution strategy set to ${strategy}` }));
-      } catch (error) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: error.message }));
-      }
-    });
-    return;
+// Get conflict resolution statistics
+router.get('/api/sync/conflicts/stats', async (req, res) => {
+  try {
+    if (!bidirectionalSyncService) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+      return;
+    }
+
+    const stats = bidirectionalSyncService.conflictResolver ?
+      bidirectionalSyncService.conflictResolver.getConflictStats() :
+      { message: 'Conflict resolver not available' };
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      stats
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: false, error: error.message }));
   }
+});
 
-  // Start periodic data validation
-  if (pathname === '/api/sync/validation/start' && req.method === 'POST') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+// Collection-specific API endpoints for admin panel fallback
+// Firestore clients live under /api/firestore/clients; /api/clients lists data/clients files
+router.get('/api/firestore/clients', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      // Temporary fallback data for testing
+      const sampleClients = [
+        { id: 'client_1', name: 'ABC Hair Salon', email: 'contact@abchairsalon.com', phone: '+1-555-0101' },
+        { id: 'client_2', name: 'Beauty World Inc', email: 'orders@beautyworld.com', phone: '+1-555-0102' },
+        { id: 'client_3', name: 'Hair Extensions Plus', email: 'info@hairextensionsplus.com', phone: '+1-555-0103' },
+        { id: 'client_4', name: 'Glamour Studio', email: 'sales@glamourstudio.com', phone: '+1-555-0104' },
+        { id: 'client_5', name: 'Natural Hair Co', email: 'support@naturalhairco.com', phone: '+1-555-0105' }
+      ];
 
-      bidirectionalSyncService.startPeriodicValidation();
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        message: 'Periodic data validation started',
-        interval: bidirectionalSyncService.validationIntervalMs
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify(sampleClients));
+      return;
     }
-    return;
-  }
+    const snapshot = await syncService.db.collection('clients').get();
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
+    });
 
-  // Stop periodic data validation
-  if (pathname === '/api/sync/validation/stop' && req.method === 'POST') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+    // If Firebase collection is empty, fall back to sample data
+    if (data.length === 0) {
+      const sampleClients = [
+        { id: 'client_1', name: 'ABC Hair Salon', email: 'contact@abchairsalon.com', phone: '+1-555-0101' },
+        { id: 'client_2', name: 'Beauty World Inc', email: 'orders@beautyworld.com', phone: '+1-555-0102' },
+        { id: 'client_3', name: 'Hair Extensions Plus', email: 'info@hairextensionsplus.com', phone: '+1-555-0103' },
+        { id: 'client_4', name: 'Glamour Studio', email: 'sales@glamourstudio.com', phone: '+1-555-0104' },
+        { id: 'client_5', name: 'Natural Hair Co', email: 'support@naturalhairco.com', phone: '+1-555-0105' }
+      ];
 
-      bidirectionalSyncService.stopPeriodicValidation();
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        message: 'Periodic data validation stopped'
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify(sampleClients));
+      return;
     }
-    return;
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch clients: ' + error.message }));
   }
+});
 
-  // Perform manual data validation
-  if (pathname === '/api/sync/validation/run' && req.method === 'POST') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+router.get('/api/products', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      // Temporary fallback data for testing
+      const sampleProducts = [
+        { id: 'product_1', name: 'Bulk Hair', category: 'Hair Extensions', basePrice: 150, PriceList: 'Retail' },
+        { id: 'product_2', name: 'ClipOn Extensions', category: 'Hair Extensions', basePrice: 120, PriceList: 'Wholesale' },
+        { id: 'product_3', name: 'Tape Extensions', category: 'Hair Extensions', basePrice: 180, PriceList: 'Retail' },
+        { id: 'product_4', name: 'Weft Hair', category: 'Hair Extensions', basePrice: 200, PriceList: 'VIP' },
+        { id: 'product_5', name: 'Closure', category: 'Hair Closures', basePrice: 250, PriceList: 'Wholesale' }
+      ];
 
-      const validationResults = await bidirectionalSyncService.performComprehensiveValidation();
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        message: 'Data validation completed',
-        results: validationResults
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify(sampleProducts));
+      return;
     }
-    return;
-  }
+    const snapshot = await syncService.db.collection('products').get();
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
+    });
 
-  // Get validation status
-  if (pathname === '/api/sync/validation/status' && req.method === 'GET') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+    // If Firebase collection is empty, fall back to sample data
+    if (data.length === 0) {
+      const sampleProducts = [
+        { id: 'product_1', name: 'Bulk Hair', category: 'Hair Extensions', basePrice: 150, PriceList: 'Retail' },
+        { id: 'product_2', name: 'ClipOn Extensions', category: 'Hair Extensions', basePrice: 120, PriceList: 'Wholesale' },
+        { id: 'product_3', name: 'Tape Extensions', category: 'Hair Extensions', basePrice: 180, PriceList: 'Retail' },
+        { id: 'product_4', name: 'Weft Hair', category: 'Hair Extensions', basePrice: 200, PriceList: 'VIP' },
+        { id: 'product_5', name: 'Closure', category: 'Hair Closures', basePrice: 250, PriceList: 'Wholesale' }
+      ];
 
-      const status = {
-        periodicValidationActive: !!bidirectionalSyncService.validationInterval,
-        validationInterval: bidirectionalSyncService.validationIntervalMs,
-        lastValidation: bidirectionalSyncService.lastValidationTime || null
-      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(sampleProducts));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch products: ' + error.message }));
+  }
+});
+
+router.get('/api/salespeople', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      // Temporary fallback data for testing
+      const sampleSalespeople = [
+        { id: 'salesman_0', name: 'Praveen', email: 'praveen@inh.com', territory: 'North' },
+        { id: 'salesman_1', name: 'Rupa', email: 'rupa@inh.com', territory: 'South' },
+        { id: 'salesman_2', name: 'INH', email: 'inh@inh.com', territory: 'Central' },
+        { id: 'salesman_3', name: 'HW', email: 'hw@inh.com', territory: 'West' },
+        { id: 'salesman_4', name: 'Vijay', email: 'vijay@inh.com', territory: 'East' },
+        { id: 'salesman_5', name: 'Pankaj', email: 'pankaj@inh.com', territory: 'Northeast' },
+        { id: 'salesman_6', name: 'Sunil', email: 'sunil@inh.com', territory: 'Southwest' }
+      ];
 
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        status
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+      res.end(JSON.stringify(sampleSalespeople));
+      return;
     }
-    return;
+    // Salespeople are stored in salespeople collection
+    const snapshot = await syncService.db.collection('salespeople').get();
+    const salespeople = [];
+    snapshot.forEach(doc => {
+      salespeople.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(salespeople));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch salespeople: ' + error.message }));
   }
+});
 
-  // Migrate image URLs for inh_pricelists products from Google Sheets
-  if (pathname === '/api/migrate/pricelist-images' && (req.method === 'POST' || req.method === 'GET')) {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Firebase service not available' }));
-        return;
-      }
-      if (!googleSheetsService) {
-        googleSheetsService = new GoogleSheetsService();
-        await googleSheetsService.initialize();
-      }
+router.get('/api/colors', async (req, res) => {
+  try {
+    // Try Firebase first
+    if (syncService && syncService.db) {
+      try {
+        const snapshot = await syncService.db.collection('colors').get();
+        const data = [];
+        snapshot.forEach(doc => {
+          data.push({ id: doc.id, ...doc.data() });
+        });
 
-      const urlParams = new URL(req.url, 'http://localhost').searchParams;
-      const dryRun = (urlParams.get('dryRun') || 'false').toLowerCase() === 'true';
-      const targetCollection = urlParams.get('collection') || 'inh_pricelists';
-      const sheetId = urlParams.get('sheetId') || googleSheetsAutoConfig.getSheetId();
-
-      // Build a product key -> imageUrl map from the pricelists tab
-      const rows = await googleSheetsService.fetchProductData(sheetId);
-      const toKey = (pl, cat, prod, dens) => [pl, cat, prod, dens]
-        .map(v => (v || '').toString().trim().toLowerCase())
-        .join('|');
-
-      const extractField = (obj, keys) => {
-        for (const k of keys) {
-          const v = obj[k];
-          if (typeof v === 'string' && v.trim()) return v.trim();
+        // If Firebase collection is empty, fall back to sample data
+        if (data.length === 0) {
+          const sampleColors = [
+            { id: 'color_1', name: 'Natural Black', code: '#1B1B1B' },
+            { id: 'color_2', name: 'Dark Brown', code: '#3C2415' },
+            { id: 'color_3', name: 'Medium Brown', code: '#8B4513' },
+            { id: 'color_4', name: 'Light Brown', code: '#D2691E' },
+            { id: 'color_5', name: 'Blonde', code: '#F5DEB3' },
+            { id: 'color_6', name: 'Ash Blonde', code: '#C4A484' },
+            { id: 'color_7', name: 'Platinum Blonde', code: '#E5E4E2' }
+          ];
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(sampleColors));
+          return;
         }
-        return null;
-      };
 
-      const getImageFromRow = (row) => {
-        const candidates = [
-          'image', 'Image', 'imageUrl', 'imageURL', 'ImageURL',
-          'ProductImage', 'productImage', 'ProductImageURL', 'productImageURL',
-          'Image Link', 'ImageLink', 'image_link', 'image_path', 'storagePath'
-        ];
-        // Nested Images array support
-        if (Array.isArray(row.Images) && row.Images.length > 0) {
-          const first = row.Images[0];
-          if (typeof first === 'string' && first.trim()) return first.trim();
-          if (typeof first === 'object') {
-            const u = first.url || first.link || first.path;
-            if (typeof u === 'string' && u.trim()) return u.trim();
-          }
-        }
-        return extractField(row, candidates);
-      };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+        return;
+      } catch (firebaseError) {
+        // Firebase failed, fall back to Google Sheets
+      }
+    }
 
-      const keyMap = new Map();
-      for (const row of rows) {
-        const priceList = extractField(row, ['Price List Name', 'PriceListName', 'PriceList', 'pricelist']);
-        const category = extractField(row, ['Category', 'category']);
-        const product = extractField(row, ['Product', 'product', 'Name', 'name']);
-        const density = extractField(row, ['Density', 'density']);
-        const imageUrl = getImageFromRow(row);
-        if (priceList && category && product && imageUrl) {
-          const key = toKey(priceList, category, product, density || '');
-          keyMap.set(key, imageUrl);
-        }
+    // Fallback to Google Sheets
+    if (googleSheetsService) {
+      const sheetId = googleSheetsAutoConfig.getSheetId();
+      const data = await googleSheetsService.fetchColorsData(sheetId);
+      if (data && data.length > 0) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+        return;
       }
+    }
 
-      // Iterate Firestore inh_pricelists/{priceList}/products subcollections
-      const plSnap = await syncService.db.collection(targetCollection).get();
-      const deleteFields = [
-        'Image', 'image', 'imageURL', 'ImageURL', 'ProductImage', 'productImage',
-        'ProductImageURL', 'productImageURL', 'ImageLink', 'image_link', 'image_path', 'storagePath'
-      ];
+    // Final fallback data for testing
+    const sampleColors = [
+      { id: 'color_1', name: 'Natural Black', code: '#1B1B1B' },
+      { id: 'color_2', name: 'Dark Brown', code: '#3C2415' },
+      { id: 'color_3', name: 'Medium Brown', code: '#8B4513' },
+      { id: 'color_4', name: 'Light Brown', code: '#D2691E' },
+      { id: 'color_5', name: 'Blonde', code: '#F5DEB3' },
+      { id: 'color_6', name: 'Ash Blonde', code: '#C4A484' },
+      { id: 'color_7', name: 'Platinum Blonde', code: '#E5E4E2' }
+    ];
 
-      let examined = 0, updated = 0, missing = 0, errors = 0;
-      const mismatches = [];
-
-      for (const plDoc of plSnap.docs) {
-        const priceListName = plDoc.get('PriceListName') || plDoc.id;
-        let subQuery = plDoc.ref.collection('products');
-        const subSnap = await subQuery.get();
-        const batch = syncService.db.batch();
-
-        for (const prodDoc of subSnap.docs) {
-          examined++;
-          const data = prodDoc.data();
-          const category = data.Category || data.category || '';
-          const product = data.Product || data.product || data.Name || data.name || '';
-          const density = data.Density || data.density || '';
-          const key = toKey(priceListName, category, product, density);
-          const sheetUrl = keyMap.get(key);
-          if (!sheetUrl) {
-            missing++;
-            mismatches.push({ priceList: priceListName, category, product, density, id: prodDoc.id });
-            continue;
-          }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(sampleColors));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch colors: ' + error.message }));
+  }
+});
 
-          const updatePayload = { imageUrl: sheetUrl };
-          deleteFields.forEach(f => { updatePayload[f] = admin.firestore.FieldValue.delete ? admin.firestore.FieldValue.delete() : undefined; });
+router.get('/api/styles', async (req, res) => {
+  try {
+    // Try Firebase first
+    if (syncService && syncService.db) {
+      try {
+        const snapshot = await syncService.db.collection('styles').get();
+        const data = [];
+        snapshot.forEach(doc => {
+          data.push({ id: doc.id, ...doc.data() });
+        });
 
-          try {
-            if (!dryRun) {
-              batch.update(prodDoc.ref, updatePayload);
-            }
-            updated++;
-          } catch (e) {
-            errors++;
-          }
+        // If Firebase collection is empty, fall back to sample data
+        if (data.length === 0) {
+          const sampleStyles = [
+            { id: 'style_1', name: 'Straight', description: 'Natural straight hair' },
+            { id: 'style_2', name: 'Wavy', description: 'Natural wavy texture' },
+            { id: 'style_3', name: 'Curly', description: 'Natural curly texture' },
+            { id: 'style_4', name: 'Deep Wave', description: 'Deep wave pattern' },
+            { id: 'style_5', name: 'Body Wave', description: 'Loose body wave' }
+          ];
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(sampleStyles));
+          return;
         }
 
-        if (!dryRun) {
-          try { await batch.commit(); } catch (e) { errors++; }
-        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+        return;
+      } catch (firebaseError) {
+        // Firebase failed, fall back to Google Sheets
       }
-
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        dryRun,
-        targetCollection,
-        examined,
-        updated,
-        missing,
-        errors,
-        mismatches: dryRun ? mismatches.slice(0, 100) : []
-      }));
-      return;
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
-      return;
     }
-  }
 
-  // Get error handling statistics
-  if (pathname === '/api/sync/errors/stats' && req.method === 'GET') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
+    // Fallback to Google Sheets
+    if (googleSheetsService) {
+      const sheetId = googleSheetsAutoConfig.getSheetId();
+      const data = await googleSheetsService.fetchStylesData(sheetId);
+      if (data && data.length > 0) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
         return;
       }
+    }
 
-      const stats = bidirectionalSyncService.errorHandler ?
-        bidirectionalSyncService.errorHandler.getErrorStats() :
-        { message: 'Error handler not available' };
+    // Temporary fallback data for testing
+    const sampleStyles = [
+      { id: 'style_1', name: 'Straight', description: 'Natural straight hair' },
+      { id: 'style_2', name: 'Wavy', description: 'Natural wavy texture' },
+      { id: 'style_3', name: 'Curly', description: 'Natural curly texture' },
+      { id: 'style_4', name: 'Deep Wave', description: 'Deep wave pattern' },
+      { id: 'style_5', name: 'Body Wave', description: 'Loose body wave' }
+    ];
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        stats
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(sampleStyles));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch styles: ' + error.message }));
+  }
+});
+
+router.get('/api/quotes', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
     }
-    return;
+    const snapshot = await syncService.db.collection('quotes').get();
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch quotes: ' + error.message }));
   }
+});
 
-  // Get conflict resolution statistics
-  if (pathname === '/api/sync/conflicts/stats' && req.method === 'GET') {
-    try {
-      if (!bidirectionalSyncService) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: false, error: 'Bidirectional sync service not available' }));
-        return;
-      }
+/**
+ * A quote from the Firestore `quotes` collection by document id, or by its quote
+ * number (the quote maker's local ids are not always the Firestore ids).
+ */
+async function findQuote(idOrNumber) {
+  if (!syncService || !syncService.db) throw new HttpError(503, 'Firebase service not available');
+  const quotes = syncService.db.collection('quotes');
+  const doc = await quotes.doc(idOrNumber).get();
+  if (doc.exists) return { id: doc.id, ...doc.data() };
+  const byNumber = await quotes.where('number', '==', idOrNumber).limit(1).get();
+  if (byNumber.empty) return null;
+  return { id: byNumber.docs[0].id, ...byNumber.docs[0].data() };
+}
 
-      const stats = bidirectionalSyncService.conflictResolver ?
-        bidirectionalSyncService.conflictResolver.getConflictStats() :
-        { message: 'Conflict resolver not available' };
+// A proforma invoice's own number from the proforma series, issued once per quote.
+// Asking again returns the number the quote already has.
+router.post('/api/quotes/:id/proforma-number', async (req) => {
+  const quote = await findQuote(req.params.id);
+  if (!quote) throw new HttpError(404, `Quote ${req.params.id} not found`);
+  if (quote.proformaNumber) return { success: true, proformaNumber: quote.proformaNumber, issued: false };
+
+  const issued = await numberingService.next('proforma', req.user);
+  const ref = syncService.db.collection('quotes').doc(quote.id);
+  // Set only if a concurrent request has not numbered the quote meanwhile
+  const proformaNumber = await syncService.db.runTransaction(async (tx) => {
+    const current = await tx.get(ref);
+    const existing = current.exists && current.data().proformaNumber;
+    if (existing) return existing;
+    tx.set(ref, { proformaNumber: issued.number }, { merge: true });
+    return issued.number;
+  });
+  return { success: true, proformaNumber, issued: proformaNumber === issued.number };
+});
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        success: true,
-        stats
-      }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ success: false, error: error.message }));
-    }
-    return;
-  }
+// Quote or proforma invoice as a PDF (quote-pdf.js), from the quote as stored.
+// Query: type=quote|proforma (default quote), download=1 to save instead of opening inline.
+// A proforma needs its number first (POST /api/quotes/:id/proforma-number).
+router.get('/api/quotes/:id/pdf', async (req, res) => {
+  const quote = await findQuote(req.params.id);
+  if (!quote) throw new HttpError(404, `Quote ${req.params.id} not found`);
+
+  const type = req.query.get('type') || 'quote';
+  if (type === 'proforma' && !quote.proformaNumber) {
+    throw new HttpError(409, 'This quote has no proforma number yet; issue one first');
+  }
+
+  const pdf = await renderQuotePdf(quote, { type });
+  const disposition = req.query.get('download') === '1' ? 'attachment' : 'inline';
+  res.writeHead(200, {
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${quotePdfFilename(quote, type)}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.end(pdf);
+});
 
-  // Collection-specific API endpoints for admin panel fallback
-  if (pathname === '/api/clients' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        // Temporary fallback data for testing
-        const sampleClients = [
-          { id: 'client_1', name: 'ABC Hair Salon', email: 'contact@abchairsalon.com', phone: '+1-555-0101' },
-          { id: 'client_2', name: 'Beauty World Inc', email: 'orders@beautyworld.com', phone: '+1-555-0102' },
-          { id: 'client_3', name: 'Hair Extensions Plus', email: 'info@hairextensionsplus.com', phone: '+1-555-0103' },
-          { id: 'client_4', name: 'Glamour Studio', email: 'sales@glamourstudio.com', phone: '+1-555-0104' },
-          { id: 'client_5', name: 'Natural Hair Co', email: 'support@naturalhairco.com', phone: '+1-555-0105' }
-        ];
+// --- Client Quote Portal ---
+// A signed, expiring link (quote-links.js) opens quote-portal.html, where the client
+// can read the quote, accept or reject it with a comment and upload a payment proof
+// without an account. Accepting converts every open line into an order.
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(sampleClients));
-        return;
-      }
-      const snapshot = await syncService.db.collection('clients').get();
-      const data = [];
-      snapshot.forEach(doc => {
-        data.push({ id: doc.id, ...doc.data() });
-      });
+// Links to quotes that are already accepted stay valid this long
+const QUOTE_LINK_DAYS = 30;
 
-      // If Firebase collection is empty, fall back to sample data
-      if (data.length === 0) {
-        const sampleClients = [
-          { id: 'client_1', name: 'ABC Hair Salon', email: 'contact@abchairsalon.com', phone: '+1-555-0101' },
-          { id: 'client_2', name: 'Beauty World Inc', email: 'orders@beautyworld.com', phone: '+1-555-0102' },
-          { id: 'client_3', name: 'Hair Extensions Plus', email: 'info@hairextensionsplus.com', phone: '+1-555-0103' },
-          { id: 'client_4', name: 'Glamour Studio', email: 'sales@glamourstudio.com', phone: '+1-555-0104' },
-          { id: 'client_5', name: 'Natural Hair Co', email: 'support@naturalhairco.com', phone: '+1-555-0105' }
-        ];
+// Payment proofs clients may upload, by Content-Type
+const PAYMENT_PROOF_TYPES = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png'
+};
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(sampleClients));
-        return;
-      }
+// Limits per quote on what the public portal may upload
+const MAX_PAYMENT_PROOFS = 10;
+const MAX_PAYMENT_PROOF_BYTES = 25 * 1024 * 1024;
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch clients: ' + error.message }));
-    }
-    return;
-  }
+// Statuses whose quotes can still be opened by link
+const SHAREABLE_STATUSES = ['sent', 'accepted', 'partially_converted', 'converted'];
 
-  if (pathname === '/api/products' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        // Temporary fallback data for testing
-        const sampleProducts = [
-          { id: 'product_1', name: 'Bulk Hair', category: 'Hair Extensions', basePrice: 150, PriceList: 'Retail' },
-          { id: 'product_2', name: 'ClipOn Extensions', category: 'Hair Extensions', basePrice: 120, PriceList: 'Wholesale' },
-          { id: 'product_3', name: 'Tape Extensions', category: 'Hair Extensions', basePrice: 180, PriceList: 'Retail' },
-          { id: 'product_4', name: 'Weft Hair', category: 'Hair Extensions', basePrice: 200, PriceList: 'VIP' },
-          { id: 'product_5', name: 'Closure', category: 'Hair Closures', basePrice: 250, PriceList: 'Wholesale' }
-        ];
+// Quote changes made through the portal are attributed to the client
+function portalActor(name) {
+  return { uid: 'client-portal', email: name ? `${name} (client)` : 'client' };
+}
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(sampleProducts));
-        return;
-      }
-      const snapshot = await syncService.db.collection('products').get();
-      const data = [];
-      snapshot.forEach(doc => {
-        data.push({ id: doc.id, ...doc.data() });
-      });
+/**
+ * The salesperson a quote belongs to (inh_salesmen), matched as the quote maker
+ * does: by document id, then name, then Name. Null when there is none.
+ */
+async function findQuoteSalesperson(quote) {
+  const key = quote && (quote.salesperson || quote.salesman);
+  if (!key || typeof key !== 'string') return null;
+  const salesmen = syncService.db.collection('inh_salesmen');
+  const doc = await salesmen.doc(key).get();
+  if (doc.exists) return { id: doc.id, ...doc.data() };
+  for (const field of ['name', 'Name']) {
+    const match = await salesmen.where(field, '==', key).limit(1).get();
+    if (!match.empty) return { id: match.docs[0].id, ...match.docs[0].data() };
+  }
+  return null;
+}
 
-      // If Firebase collection is empty, fall back to sample data
-      if (data.length === 0) {
-        const sampleProducts = [
-          { id: 'product_1', name: 'Bulk Hair', category: 'Hair Extensions', basePrice: 150, PriceList: 'Retail' },
-          { id: 'product_2', name: 'ClipOn Extensions', category: 'Hair Extensions', basePrice: 120, PriceList: 'Wholesale' },
-          { id: 'product_3', name: 'Tape Extensions', category: 'Hair Extensions', basePrice: 180, PriceList: 'Retail' },
-          { id: 'product_4', name: 'Weft Hair', category: 'Hair Extensions', basePrice: 200, PriceList: 'VIP' },
-          { id: 'product_5', name: 'Closure', category: 'Hair Closures', basePrice: 250, PriceList: 'Wholesale' }
-        ];
+function saveQuoteDoc(quote) {
+  const { id, ...data } = quote;
+  return syncService.db.collection('quotes').doc(id).set(data, { merge: true });
+}
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(sampleProducts));
-        return;
-      }
+async function findPortalQuote(token) {
+  const { quoteId, expiresAt } = quoteLinkSigner.verify(token);
+  const quote = await findQuote(quoteId);
+  if (!quote) throw new HttpError(404, 'This quote is no longer available');
+  return { quote, expiresAt };
+}
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch products: ' + error.message }));
-    }
-    return;
-  }
+/**
+ * Tax fields for an order converted on the server: GST again for the ordered lines,
+ * as the quote maker does (null for quotes saved before GST, which keep their rate).
+ */
+function orderTaxFor(quote) {
+  if (!quote.taxSupply) return () => null;
+  const profile = loadCompanyProfile();
+  const config = fs.existsSync(TAX_CONFIG_FILE) ? JSON.parse(fs.readFileSync(TAX_CONFIG_FILE, 'utf8')) : null;
+  return (items, discountAmount) => INHTax.documentFields(INHTax.computeTax({
+    lines: items.map(item => ({ category: item.category, amount: item.totalPrice })),
+    discountAmount,
+    seller: { gstin: profile.gstin, state: profile.state, lut: profile.lut },
+    buyer: INHTax.buyerFromClient(quote.client),
+    date: quote.date,
+    exportUnderLut: quote.taxSupply.lut,
+    config
+  }));
+}
+
+// What the client sees: the quote without internal pricing, approvals or history
+function portalQuoteView(quote, expiresAt) {
+  const profile = loadCompanyProfile();
+  const client = quote.client || {};
+  const status = INHQuoteLifecycle.effectiveStatus(quote);
+  return {
+    number: quote.number,
+    date: quote.date,
+    validUntil: quote.validUntil || null,
+    status,
+    statusLabel: INHQuoteLifecycle.LABELS[status],
+    canRespond: status === 'sent',
+    currency: quote.currency || 'INR',
+    seller: { name: profile.name, address: profile.address, phone: profile.phone, email: profile.email, website: profile.website, gstin: profile.gstin },
+    client: { clientName: client.clientName || null, companyName: client.companyName || null },
+    salesperson: quote.salesmanName || null,
+    items: (quote.items || []).map(item => ({
+      product: item.product,
+      category: item.category,
+      length: item.length,
+      density: item.density,
+      color: item.color,
+      style: item.style,
+      hsn: item.hsn || null,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice
+    })),
+    totals: quoteTotals(quote),
+    taxBreakdown: quote.taxBreakdown || [],
+    taxNote: quote.taxNote || null,
+    shippingProvider: (quote.shippingOption && quote.shippingOption.provider) || null,
+    notes: quote.notes || null,
+    clientResponse: quote.clientResponse || null,
+    paymentProofs: (quote.paymentProofs || []).map(proof => ({ name: proof.name, uploadedAt: proof.uploadedAt })),
+    linkExpiresAt: expiresAt.toISOString()
+  };
+}
+
+// Signed link for the client. Sharing a draft marks it sent (with the usual discount
+// approval check); the link expires with the quote's validity.
+router.post('/api/quotes/:id/share-link', async (req) => {
+  let quote = await findQuote(req.params.id);
+  if (!quote) throw new HttpError(404, `Quote ${req.params.id} not found`);
 
-  if (pathname === '/api/salespeople' && req.method === 'GET') {
+  const status = INHQuoteLifecycle.effectiveStatus(quote);
+  if (status === 'draft') {
+    const discountLimit = INHQuoteLifecycle.discountLimit(await findQuoteSalesperson(quote));
     try {
-      if (!syncService || !syncService.db) {
-        // Temporary fallback data for testing
-        const sampleSalespeople = [
-          { id: 'salesman_0', name: 'Praveen', email: 'praveen@inh.com', territory: 'North' },
-          { id: 'salesman_1', name: 'Rupa', email: 'rupa@inh.com', territory: 'South' },
-          { id: 'salesman_2', name: 'INH', email: 'inh@inh.com', territory: 'Central' },
-          { id: 'salesman_3', name: 'HW', email: 'hw@inh.com', territory: 'West' },
-          { id: 'salesman_4', name: 'Vijay', email: 'vijay@inh.com', territory: 'East' },
-          { id: 'salesman_5', name: 'Pankaj', email: 'pankaj@inh.com', territory: 'Northeast' },
-          { id: 'salesman_6', name: 'Sunil', email: 'sunil@inh.com', territory: 'Southwest' }
-        ];
-
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(sampleSalespeople));
-        return;
-      }
-      // Salespeople are stored in salespeople collection
-      const snapshot = await syncService.db.collection('salespeople').get();
-      const salespeople = [];
-      snapshot.forEach(doc => {
-        salespeople.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(salespeople));
+      quote = INHQuoteLifecycle.transition(quote, 'sent', { user: req.user, note: 'Shared with the client by link', discountLimit });
     } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch salespeople: ' + error.message }));
+      throw new HttpError(409, error.message);
     }
-    return;
+  } else if (!SHAREABLE_STATUSES.includes(status)) {
+    throw new HttpError(409, `A ${INHQuoteLifecycle.LABELS[status].toLowerCase()} quote cannot be shared`);
   }
 
-  if (pathname === '/api/colors' && req.method === 'GET') {
-    try {
-      // Try Firebase first
-      if (syncService && syncService.db) {
-        try {
-          const snapshot = await syncService.db.collection('colors').get();
-          const data = [];
-          snapshot.forEach(doc => {
-            data.push({ id: doc.id, ...doc.data() });
-          });
+  const validUntil = quote.validUntil || INHQuoteLifecycle.validUntilFor(quote.date);
+  const expiresAt = quote.status === 'sent'
+    ? new Date(`${validUntil}T23:59:59.999Z`)
+    : new Date(Date.now() + QUOTE_LINK_DAYS * 24 * 60 * 60 * 1000);
+  const token = quoteLinkSigner.sign(quote.id, expiresAt);
 
-          // If Firebase collection is empty, fall back to sample data
-          if (data.length === 0) {
-            const sampleColors = [
-              { id: 'color_1', name: 'Natural Black', code: '#1B1B1B' },
-              { id: 'color_2', name: 'Dark Brown', code: '#3C2415' },
-              { id: 'color_3', name: 'Medium Brown', code: '#8B4513' },
-              { id: 'color_4', name: 'Light Brown', code: '#D2691E' },
-              { id: 'color_5', name: 'Blonde', code: '#F5DEB3' },
-              { id: 'color_6', name: 'Ash Blonde', code: '#C4A484' },
-              { id: 'color_7', name: 'Platinum Blonde', code: '#E5E4E2' }
-            ];
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(sampleColors));
-            return;
-          }
+  quote.portalLink = { sharedAt: new Date().toISOString(), sharedBy: req.user.email || req.user.uid, expiresAt: expiresAt.toISOString() };
+  await saveQuoteDoc(quote);
 
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(data));
-          return;
-        } catch (firebaseError) {
-          // Firebase failed, fall back to Google Sheets
-        }
-      }
+  return {
+    success: true,
+    url: `/quote-portal.html?token=${encodeURIComponent(token)}`,
+    expiresAt: expiresAt.toISOString(),
+    status: quote.status
+  };
+});
 
-      // Fallback to Google Sheets
-      if (googleSheetsService) {
-        const sheetId = googleSheetsAutoConfig.getSheetId();
-        const data = await googleSheetsService.fetchColorsData(sheetId);
-        if (data && data.length > 0) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(data));
-          return;
-        }
-      }
+router.get('/api/portal/quotes/:token', async (req) => {
+  const { quote, expiresAt } = await findPortalQuote(req.params.token);
+  return { success: true, quote: portalQuoteView(quote, expiresAt) };
+});
 
-      // Final fallback data for testing
-      const sampleColors = [
-        { id: 'color_1', name: 'Natural Black', code: '#1B1B1B' },
-        { id: 'color_2', name: 'Dark Brown', code: '#3C2415' },
-        { id: 'color_3', name: 'Medium Brown', code: '#8B4513' },
-        { id: 'color_4', name: 'Light Brown', code: '#D2691E' },
-        { id: 'color_5', name: 'Blonde', code: '#F5DEB3' },
-        { id: 'color_6', name: 'Ash Blonde', code: '#C4A484' },
-        { id: 'color_7', name: 'Platinum Blonde', code: '#E5E4E2' }
-      ];
+router.get('/api/portal/quotes/:token/pdf', async (req, res) => {
+  const { quote } = await findPortalQuote(req.params.token);
+  const pdf = await renderQuotePdf(quote, { type: 'quote' });
+  res.writeHead(200, {
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `inline; filename="${quotePdfFilename(quote, 'quote')}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.end(pdf);
+});
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(sampleColors));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch colors: ' + error.message }));
-    }
-    return;
-  }
+// Portal changes to one quote (responses, payment proofs) are made one at a time, so a
+// second click waits for the first and then sees its result: an answered quote instead
+// of taking another order number, or the proofs the first upload added
+const portalChanges = new Map();
+
+function onePortalChangeAtATime(quoteId, task) {
+  const run = (portalChanges.get(quoteId) || Promise.resolve()).then(task);
+  const settled = run.catch(() => { });
+  portalChanges.set(quoteId, settled);
+  settled.then(() => {
+    if (portalChanges.get(quoteId) === settled) portalChanges.delete(quoteId);
+  });
+  return run;
+}
 
-  if (pathname === '/api/styles' && req.method === 'GET') {
+// Body: { decision: 'accept' | 'reject', name, comment }. Accepting converts every
+// open line into one order, like "Convert to order" in the quote maker. The quote's
+// status is read again, and the order and quote written, in one transaction; the
+// order's id comes from the quote's, so a quote can never get two portal orders.
+router.post('/api/portal/quotes/:token/respond', { body: 'json', limit: '16kb' }, async (req) => {
+  const body = req.body;
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'The body must be a JSON object');
+  }
+  const { quote: linked } = await findPortalQuote(req.params.token);
+  const decision = body.decision;
+  if (!['accept', 'reject'].includes(decision)) {
+    throw new HttpError(400, "decision must be 'accept' or 'reject'");
+  }
+  const name = String(body.name || '').trim().slice(0, 200);
+  const comment = String(body.comment || '').trim().slice(0, 2000);
+  const actor = portalActor(name);
+
+  return onePortalChangeAtATime(linked.id, async () => {
+    const quote = await findQuote(linked.id);
+    if (!quote) throw new HttpError(404, 'This quote is no longer available');
+    const status = INHQuoteLifecycle.effectiveStatus(quote);
+    const at = new Date().toISOString();
+
+    let updated;
     try {
-      // Try Firebase first
-      if (syncService && syncService.db) {
-        try {
-          const snapshot = await syncService.db.collection('styles').get();
-          const data = [];
-          snapshot.forEach(doc => {
-            data.push({ id: doc.id, ...doc.data() });
-          });
-
-          // If Firebase collection is empty, fall back to sample data
-          if (data.length === 0) {
-            const sampleStyles = [
-              { id: 'style_1', name: 'Straight', description: 'Natural straight hair' },
-              { id: 'style_2', name: 'Wavy', description: 'Natural wavy texture' },
-              { id: 'style_3', name: 'Curly', description: 'Natural curly texture' },
-              { id: 'style_4', name: 'Deep Wave', description: 'Deep wave pattern' },
-              { id: 'style_5', name: 'Body Wave', description: 'Loose body wave' }
-            ];
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(sampleStyles));
-            return;
-          }
+      updated = INHQuoteLifecycle.transition(quote, decision === 'accept' ? 'accepted' : 'rejected', {
+        user: actor,
+        note: comment ? `Client: ${comment}` : `${decision === 'accept' ? 'Accepted' : 'Rejected'} by the client online`
+      });
+    } catch (error) {
+      throw new HttpError(409, error.message);
+    }
+    updated.clientResponse = { decision, name: name || null, comment: comment || null, at };
+
+    const db = syncService.db;
+    const quoteRef = db.collection('quotes').doc(quote.id);
+    let orderId = null;
+    let orderRef = null;
+    let order = null;
+    if (decision === 'accept') {
+      const lines = INHQuoteLifecycle.openLines(updated);
+      orderId = (await numberingService.next('order', actor)).number;
+      order = INHOrderLifecycle.start(
+        INHQuoteLifecycle.buildOrder(updated, lines, orderId, { tax: orderTaxFor(updated) }),
+        { user: actor, note: 'Quote accepted by the client online' }
+      );
+      updated = INHQuoteLifecycle.recordConversion(updated, orderId, lines, { user: actor });
+      orderRef = db.collection('orders').doc(`portal-${quote.id}`);
+    }
 
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(data));
-          return;
-        } catch (firebaseError) {
-          // Firebase failed, fall back to Google Sheets
-        }
+    await db.runTransaction(async (tx) => {
+      const current = await tx.get(quoteRef);
+      const currentStatus = current.exists ? INHQuoteLifecycle.effectiveStatus({ id: current.id, ...current.data() }) : null;
+      if (currentStatus !== status) throw new HttpError(409, 'This quote has changed since it was opened; reload it');
+      if (orderRef && (await tx.get(orderRef)).exists) throw new HttpError(409, 'This quote has already been accepted');
+      if (orderRef) {
+        tx.set(orderRef, {
+          ...order,
+          quoteId: quote.id,
+          source: 'client-portal',
+          createdByUid: actor.uid,
+          createdByEmail: actor.email,
+          createdAt: at,
+          updatedAt: at
+        });
       }
+      const { id, ...data } = updated;
+      tx.set(quoteRef, data, { merge: true });
+    });
 
-      // Fallback to Google Sheets
-      if (googleSheetsService) {
-        const sheetId = googleSheetsAutoConfig.getSheetId();
-        const data = await googleSheetsService.fetchStylesData(sheetId);
-        if (data && data.length > 0) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(data));
-          return;
-        }
-      }
+    return { success: true, status: updated.status, statusLabel: INHQuoteLifecycle.LABELS[updated.status], orderId };
+  });
+});
 
-      // Temporary fallback data for testing
-      const sampleStyles = [
-        { id: 'style_1', name: 'Straight', description: 'Natural straight hair' },
-        { id: 'style_2', name: 'Wavy', description: 'Natural wavy texture' },
-        { id: 'style_3', name: 'Curly', description: 'Natural curly texture' },
-        { id: 'style_4', name: 'Deep Wave', description: 'Deep wave pattern' },
-        { id: 'style_5', name: 'Body Wave', description: 'Loose body wave' }
-      ];
+// Raw file body with its Content-Type; X-Filename carries the client's file name (URI-encoded)
+// Proofs are taken while the quote is live (sent or accepted), up to a number and size per quote.
+router.post('/api/portal/quotes/:token/payment-proof', { body: 'raw', limit: '10mb' }, async (req) => {
+  const { quote: linked } = await findPortalQuote(req.params.token);
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const extension = PAYMENT_PROOF_TYPES[type];
+  if (!extension) throw new HttpError(415, 'Upload a PDF, JPEG or PNG file');
+  if (!req.body.length) throw new HttpError(400, 'The file is empty');
 
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(sampleStyles));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch styles: ' + error.message }));
-    }
-    return;
+  return onePortalChangeAtATime(linked.id, () => savePaymentProof(linked.id, req, type, extension));
+});
+
+async function savePaymentProof(quoteId, req, type, extension) {
+  const quote = await findQuote(quoteId);
+  if (!quote) throw new HttpError(404, 'This quote is no longer available');
+  const status = INHQuoteLifecycle.effectiveStatus(quote);
+  if (!SHAREABLE_STATUSES.includes(status)) {
+    throw new HttpError(409, `Payment proofs cannot be added to a ${INHQuoteLifecycle.LABELS[status].toLowerCase()} quote`);
+  }
+  const proofs = quote.paymentProofs || [];
+  if (proofs.length >= MAX_PAYMENT_PROOFS) {
+    throw new HttpError(409, `This quote already has ${proofs.length} payment proofs; contact us to send more`);
+  }
+  const stored = proofs.reduce((sum, proof) => sum + (Number(proof.size) || 0), 0);
+  if (stored + req.body.length > MAX_PAYMENT_PROOF_BYTES) {
+    throw new HttpError(413, 'The payment proofs of this quote would be over 25 MB; contact us to send more');
   }
 
-  if (pathname === '/api/quotes' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase service not available' }));
-        return;
-      }
-      const snapshot = await syncService.db.collection('quotes').get();
-      const data = [];
-      snapshot.forEach(doc => {
-        data.push({ id: doc.id, ...doc.data() });
+  let original = `payment-proof${extension}`;
+  try {
+    if (req.headers['x-filename']) original = decodeURIComponent(req.headers['x-filename']).slice(0, 120);
+  } catch (_) {
+    // Keep the generic name for a header that is not URI-encoded
+  }
+  const file = `${Date.now()}-${safeRecordName(path.basename(original, path.extname(original))).replace(/ /g, '_')}${extension}`;
+  const dir = path.join(PAYMENT_PROOFS_DIR, safeRecordName(quote.id));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), req.body);
+
+  // arrayUnion, so two uploads at once both stay on the quote
+  const proof = { file, name: original, type, size: req.body.length, uploadedAt: new Date().toISOString() };
+  await saveQuoteDoc({ id: quote.id, paymentProofs: admin.firestore.FieldValue.arrayUnion(proof), updatedAt: proof.uploadedAt });
+  return { success: true, proof: { name: proof.name, uploadedAt: proof.uploadedAt } };
+}
+
+router.get('/api/quotes/:id/payment-proofs/:file', async (req, res) => {
+  const quote = await findQuote(req.params.id);
+  if (!quote) throw new HttpError(404, `Quote ${req.params.id} not found`);
+  const proof = (quote.paymentProofs || []).find(p => p.file === req.params.file);
+  const filePath = proof && path.join(PAYMENT_PROOFS_DIR, safeRecordName(quote.id), proof.file);
+  if (!filePath || !fs.existsSync(filePath)) throw new HttpError(404, 'Payment proof not found');
+
+  res.writeHead(200, {
+    'Content-Type': proof.type,
+    'Content-Disposition': `inline; filename="${proof.file}"`,
+    'Cache-Control': 'no-store'
+  });
+  fs.createReadStream(filePath).pipe(res);
+});
+
+// --- Document Numbering ---
+// Formats, current financial year period and last issued number of every series
+router.get('/api/numbers', async () => {
+  return { success: true, ...numberingService.status() };
+});
+
+// Issue the next number of a series (quote, proforma, order, mo). Numbers are
+// only issued here, so callers should ask at save time rather than on form load.
+router.post('/api/numbers/:series', async (req) => {
+  const issued = await numberingService.next(req.params.series, req.user);
+  return { success: true, ...issued };
+});
+
+// Orders converted while the quote maker was offline carry a number made on the
+// device (provisionalNumber: true). When one reaches Firestore it is given the
+// next order number, keeping the device number as provisionalOrderId, and its
+// quote's conversions are pointed at the new number.
+const RENUMBER_ACTOR = { uid: 'server', email: 'order renumbering' };
+const renumberingOrders = new Set();
+let unwatchProvisionalOrders = null;
+
+async function renumberProvisionalOrder(ref) {
+  if (renumberingOrders.has(ref.id)) return;
+  renumberingOrders.add(ref.id);
+  try {
+    const db = syncService.db;
+    const snap = await ref.get();
+    if (!snap.exists || !snap.data().provisionalNumber) return;
+
+    const { number } = await numberingService.next('order', RENUMBER_ACTOR);
+    const at = new Date().toISOString();
+    const order = await db.runTransaction(async (tx) => {
+      const current = await tx.get(ref);
+      if (!current.exists || !current.data().provisionalNumber) return null;
+      tx.update(ref, {
+        orderId: number,
+        provisionalOrderId: current.data().orderId,
+        provisionalNumber: admin.firestore.FieldValue.delete(),
+        updatedAt: at
+      });
+      return current.data();
+    });
+    if (!order) return;
+
+    const provisional = order.orderId;
+    const quote = order.quoteId ? await findQuote(order.quoteId) : null;
+    if (quote && (quote.orderIds || []).includes(provisional)) {
+      await saveQuoteDoc({
+        id: quote.id,
+        conversions: (quote.conversions || []).map(c => (c.orderId === provisional ? { ...c, orderId: number } : c)),
+        orderIds: quote.orderIds.map(id => (id === provisional ? number : id)),
+        updatedAt: at
       });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch quotes: ' + error.message }));
     }
-    return;
+  } catch (error) {
+    console.error(`Renumbering order ${ref.id} failed:`, error.message);
+  } finally {
+    renumberingOrders.delete(ref.id);
   }
+}
 
-  if (pathname === '/api/orders' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase service not available' }));
-        return;
-      }
-      const snapshot = await syncService.db.collection('orders').get();
-      const data = [];
-      snapshot.forEach(doc => {
-        data.push({ id: doc.id, ...doc.data() });
-      });
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch orders: ' + error.message }));
+// Sync services can be initialised again; the watch follows the current one
+function watchProvisionalOrders() {
+  if (unwatchProvisionalOrders) unwatchProvisionalOrders();
+  unwatchProvisionalOrders = null;
+  if (!syncService || !syncService.db) return;
+  unwatchProvisionalOrders = syncService.db.collection('orders').where('provisionalNumber', '==', true).onSnapshot(
+    snapshot => snapshot.docs.forEach(doc => renumberProvisionalOrder(doc.ref)),
+    error => console.error('Watching provisional orders failed:', error.message)
+  );
+}
+
+router.get('/api/orders', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
     }
-    return;
+    const snapshot = await syncService.db.collection('orders').get();
+    const data = [];
+    snapshot.forEach(doc => {
+      data.push({ id: doc.id, ...doc.data() });
+    });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch orders: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/categories' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase service not available' }));
-        return;
-      }
-      // Get products and extract categories
-      const snapshot = await syncService.db.collection('products').get();
-      const categories = new Set();
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        const category = data.category || data.Category || data.ProductCategory;
-        if (category) categories.add(category);
-      });
-      const data = Array.from(categories).map(cat => ({ id: cat, name: cat }));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch categories: ' + error.message }));
+// --- Reports ---
+// Quote analytics for quote-analytics.html (js/quote-analytics.js), in INR.
+// Query: from, to (YYYY-MM-DD, inclusive; default the 90 days up to today).
+router.get('/api/reports/quotes', async (req) => {
+  if (!syncService || !syncService.db) throw new HttpError(503, 'Firebase service not available');
+
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  const to = req.query.get('to') || new Date().toISOString().slice(0, 10);
+  const from = req.query.get('from') || new Date(Date.parse(to) - 89 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  if (!day.test(from) || !day.test(to) || isNaN(Date.parse(from)) || isNaN(Date.parse(to))) {
+    throw new HttpError(400, 'from and to must be dates (YYYY-MM-DD)');
+  }
+  if (from > to) throw new HttpError(400, 'from must not be after to');
+
+  const [quotesSnapshot, ordersSnapshot] = await Promise.all([
+    syncService.db.collection('quotes').get(),
+    syncService.db.collection('orders').get()
+  ]);
+  const quotes = quotesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  const orders = ordersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+  // Margin per price list name, from the price list generator's records
+  const margins = {};
+  priceListStore.readAll().forEach(list => {
+    if (list && list.name && typeof list.marginPercent === 'number') margins[list.name.toLowerCase()] = list.marginPercent;
+  });
+  const marginFor = (priceList) => {
+    const margin = margins[String(priceList || '').toLowerCase()];
+    return margin === undefined ? null : margin;
+  };
+
+  const latest = exchangeRateStore.latest();
+  const report = INHQuoteAnalytics.buildQuoteReport(quotes, orders, {
+    from,
+    to,
+    rates: latest && latest.rates,
+    marginFor
+  });
+  return { success: true, report };
+});
+
+router.get('/api/categories', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
     }
-    return;
+    // Get products and extract categories
+    const snapshot = await syncService.db.collection('products').get();
+    const categories = new Set();
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const category = data.category || data.Category || data.ProductCategory;
+      if (category) categories.add(category);
+    });
+    const data = Array.from(categories).map(cat => ({ id: cat, name: cat }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch categories: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/priceLists' && req.method === 'GET') {
-    try {
-      if (!syncService || !syncService.db) {
-        res.writeHead(503, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Firebase service not available' }));
-        return;
-      }
-      // Get products and extract price lists
-      const snapshot = await syncService.db.collection('products').get();
-      const priceLists = new Set();
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        const priceList = data.priceList || data.PriceList || data.PriceListName || data['Price List Name'];
-        if (priceList) priceLists.add(priceList);
-      });
-      const data = Array.from(priceLists).map(pl => ({ id: pl, name: pl }));
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(data));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch price lists: ' + error.message }));
+router.get('/api/priceLists', async (req, res) => {
+  try {
+    if (!syncService || !syncService.db) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Firebase service not available' }));
+      return;
     }
-    return;
+    // Get products and extract price lists
+    const snapshot = await syncService.db.collection('products').get();
+    const priceLists = new Set();
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      const priceList = data.priceList || data.PriceList || data.PriceListName || data['Price List Name'];
+      if (priceList) priceLists.add(priceList);
+    });
+    const data = Array.from(priceLists).map(pl => ({ id: pl, name: pl }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch price lists: ' + error.message }));
   }
+});
 
-  if (pathname === '/api/salesmen-count' && req.method === 'GET') {
-    try {
-      let salesmenCount = 0;
+router.get('/api/salesmen-count', async (req, res) => {
+  try {
+    let salesmenCount = 0;
 
-      // Try Google Sheets first for most accurate count
-      if (googleSheetsService) {
-        try {
-          const salesmenData = await googleSheetsService.fetchSalesmanData(googleSheetsAutoConfig.getSheetId());
-          salesmenCount = salesmenData ? salesmenData.length : 0;
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            count: salesmenCount,
-            source: 'google_sheets',
-            timestamp: new Date().toISOString()
-          }));
-          return;
-        } catch (sheetsError) {
-        }
+    // Try Google Sheets first for most accurate count
+    if (googleSheetsService) {
+      try {
+        const salesmenData = await googleSheetsService.fetchSalesmanData(googleSheetsAutoConfig.getSheetId());
+        salesmenCount = salesmenData ? salesmenData.length : 0;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          count: salesmenCount,
+          source: 'google_sheets',
+          timestamp: new Date().toISOString()
+        }));
+        return;
+      } catch (sheetsError) {
       }
+    }
 
-      // Fallback to Firebase
-      if (syncService && syncService.db) {
-        try {
-          const snapshot = await syncService.db.collection('salespeople').get();
-          salesmenCount = snapshot.size;
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            count: salesmenCount,
-            source: 'firebase',
-            timestamp: new Date().toISOString()
-          }));
-          return;
-        } catch (firebaseError) {
-        }
+    // Fallback to Firebase
+    if (syncService && syncService.db) {
+      try {
+        const snapshot = await syncService.db.collection('salespeople').get();
+        salesmenCount = snapshot.size;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          count: salesmenCount,
+          source: 'firebase',
+          timestamp: new Date().toISOString()
+        }));
+        return;
+      } catch (firebaseError) {
       }
-
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'No data service available for salesmen count' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch salesmen count: ' + error.message }));
     }
-    return;
-  }
 
-  if (pathname === '/api/price-lists-count' && req.method === 'GET') {
-    try {
-      let priceListsCount = 0;
-      let priceLists = new Set();
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'No data service available for salesmen count' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch salesmen count: ' + error.message }));
+  }
+});
 
-      // Try Google Sheets first for most accurate count
-      if (googleSheetsService) {
-        try {
-          const productsData = await googleSheetsService.fetchProductData(googleSheetsAutoConfig.getSheetId());
-          if (productsData && productsData.length > 0) {
-            productsData.forEach(product => {
-              const priceList = product.priceList || product.PriceList || product.PriceListName || product['Price List Name'];
-              if (priceList) priceLists.add(priceList);
-            });
-            priceListsCount = priceLists.size;
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-              count: priceListsCount,
-              priceLists: Array.from(priceLists),
-              source: 'google_sheets',
-              timestamp: new Date().toISOString()
-            }));
-            return;
-          }
-        } catch (sheetsError) {
-        }
-      }
+router.get('/api/price-lists-count', async (req, res) => {
+  try {
+    let priceListsCount = 0;
+    let priceLists = new Set();
 
-      // Fallback to Firebase
-      if (syncService && syncService.db) {
-        try {
-          const snapshot = await syncService.db.collection('products').get();
-          snapshot.forEach(doc => {
-            const data = doc.data();
-            const priceList = data.priceList || data.PriceList || data.PriceListName || data['Price List Name'];
+    // Try Google Sheets first for most accurate count
+    if (googleSheetsService) {
+      try {
+        const productsData = await googleSheetsService.fetchProductData(googleSheetsAutoConfig.getSheetId());
+        if (productsData && productsData.length > 0) {
+          productsData.forEach(product => {
+            const priceList = product.priceList || product.PriceList || product.PriceListName || product['Price List Name'];
             if (priceList) priceLists.add(priceList);
           });
           priceListsCount = priceLists.size;
@@ -2601,73 +3156,140 @@ const server = http.createServer(async (req, res) => {
           res.end(JSON.stringify({
             count: priceListsCount,
             priceLists: Array.from(priceLists),
-            source: 'firebase',
+            source: 'google_sheets',
             timestamp: new Date().toISOString()
           }));
           return;
-        } catch (firebaseError) {
         }
+      } catch (sheetsError) {
       }
-
-      res.writeHead(503, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'No data service available for price lists count' }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch price lists count: ' + error.message }));
     }
-    return;
-  }
-
-  if (pathname === '/api/firebase-counts' && req.method === 'GET') {
-    try {
-      if (syncService && syncService.db && syncService.isInitialized) {
-        const counts = {};
-        const collections = ['products', 'colors', 'styles', 'quotes', 'clients', 'price_lists', 'salesmen'];
-
-        for (const collection of collections) {
-          try {
-            // Use the Firebase db directly to get collection counts
-            const snapshot = await syncService.db.collection(collection).get();
-            const count = snapshot.size;
-            counts[collection] = count;
-          } catch (error) {
-            counts[collection] = 0;
-          }
-        }
-
-        // Map price_lists back to pricelists for frontend compatibility
-        if (counts.price_lists !== undefined) {
-          counts.pricelists = counts.price_lists;
-          delete counts.price_lists;
-        }
 
+    // Fallback to Firebase
+    if (syncService && syncService.db) {
+      try {
+        const snapshot = await syncService.db.collection('products').get();
+        snapshot.forEach(doc => {
+          const data = doc.data();
+          const priceList = data.priceList || data.PriceList || data.PriceListName || data['Price List Name'];
+          if (priceList) priceLists.add(priceList);
+        });
+        priceListsCount = priceLists.size;
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
-          counts,
+          count: priceListsCount,
+          priceLists: Array.from(priceLists),
           source: 'firebase',
           timestamp: new Date().toISOString()
         }));
         return;
+      } catch (firebaseError) {
       }
+    }
 
-      const errorDetails = {
-        syncService: !!syncService,
-        firebaseDb: !!(syncService && syncService.db),
-        isInitialized: !!(syncService && syncService.isInitialized),
-        message: 'Firebase service not available - services may still be initializing'
-      };
-      res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'No data service available for price lists count' }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch price lists count: ' + error.message }));
+  }
+});
+
+router.get('/api/firebase-counts', async (req, res) => {
+  try {
+    if (syncService && syncService.db && syncService.isInitialized) {
+      const counts = {};
+      const collections = ['products', 'colors', 'styles', 'quotes', 'clients', 'price_lists', 'salesmen'];
+
+      for (const collection of collections) {
+        try {
+          // Use the Firebase db directly to get collection counts
+          const snapshot = await syncService.db.collection(collection).get();
+          const count = snapshot.size;
+          counts[collection] = count;
+        } catch (error) {
+          counts[collection] = 0;
+        }
+      }
+
+      // Map price_lists back to pricelists for frontend compatibility
+      if (counts.price_lists !== undefined) {
+        counts.pricelists = counts.price_lists;
+        delete counts.price_lists;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
-        error: 'Firebase service not available',
-        details: errorDetails
+        counts,
+        source: 'firebase',
+        timestamp: new Date().toISOString()
       }));
-    } catch (error) {
-      res.writeHead(500, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Failed to fetch Firebase counts: ' + error.message }));
+      return;
     }
+
+    const errorDetails = {
+      syncService: !!syncService,
+      firebaseDb: !!(syncService && syncService.db),
+      isInitialized: !!(syncService && syncService.isInitialized),
+      message: 'Firebase service not available - services may still be initializing'
+    };
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      error: 'Firebase service not available',
+      details: errorDetails
+    }));
+  } catch (error) {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Failed to fetch Firebase counts: ' + error.message }));
+  }
+});
+
+// Fail at startup when a route has no permission entry or the table names a route that doesn't exist
+function checkRoutePermissions() {
+  const registered = new Set(router.routes.map(r => `${r.method} ${r.pattern}`));
+  const missing = [...registered].filter(key => !ROUTE_PERMISSIONS[key]);
+  const stale = Object.keys(ROUTE_PERMISSIONS).filter(key => !registered.has(key));
+  const unknown = Object.entries(ROUTE_PERMISSIONS)
+    .filter(([, permission]) => permission !== 'public' && !INHRoles.PERMISSIONS[permission])
+    .map(([key, permission]) => `${key} (${permission})`);
+  if (missing.length || stale.length || unknown.length) {
+    throw new Error(
+      'Route permission table is out of date.' +
+      (missing.length ? ` Missing: ${missing.join(', ')}.` : '') +
+      (stale.length ? ` Unknown routes: ${stale.join(', ')}.` : '') +
+      (unknown.length ? ` Unknown permissions: ${unknown.join(', ')}.` : '')
+    );
+  }
+}
+
+checkRoutePermissions();
+
+const server = http.createServer(async (req, res) => {
+  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
+  const pathname = parsedUrl.pathname;
+
+  // Enable CORS
+  const origin = req.headers.origin;
+  if (origin && ALLOWED_ORIGINS.has(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Vary', 'Origin');
+  } else {
+    // Fallback for non-credentialed requests
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match, If-None-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
     return;
   }
 
+  if (await router.handle(req, res)) return;
+
   let filePath;
   // Gate quotemaker behind session cookie
   const cookies = parseCookies(req);
@@ -2692,7 +3314,7 @@ const server = http.createServer(async (req, res) => {
     filePath = path.join(__dirname, pathname === '/' ? 'quotemaker.html' : pathname);
   }
 
-  if (!filePath.startsWith(__dirname)) {
+  if (!filePath.startsWith(__dirname) || isPrivateFile(filePath)) {
     res.writeHead(403, { 'Content-Type': 'text/plain' });
     res.end('Forbidden');
     return;
@@ -19,6 +19,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const commercialChargeDisplay = document.getElementById('commercial-charge');
     const subtotalDisplay = document.getElementById('subtotal');
     const gstDisplay = document.getElementById('gst-amount');
+    const gstLabel = document.getElementById('gst-label');
     const totalPayableDisplay = document.getElementById('total-payable');
 
     // Basic shipping providers setup
@@ -303,59 +304,16 @@ document.addEventListener('DOMContentLoaded', () => {
         return '';
     }
 
-    // Pure function for calculation
-    function calculateShippingCost(provider, zone, weight, fuelPercent, isCommercial) {
-        // Round weight up to nearest 0.5
-        const roundedWeight = Math.ceil(weight * 2) / 2;
-        let weightKey = roundedWeight.toFixed(1);
-
-        let baseRate = 0;
-        let rateFound = false;
-        let error = null;
-
-        const providerRates = shippingData[provider].rates;
-
-        if (providerRates[weightKey]) {
-            const rate = providerRates[weightKey][zone];
-            if (rate !== undefined && rate !== null) {
-                baseRate = rate;
-                rateFound = true;
-            }
-        } else {
-            // Handle weights higher than max in table
-            const weights = Object.keys(providerRates).map(parseFloat).sort((a, b) => a - b);
-            const maxWeight = weights[weights.length - 1];
-
-            if (roundedWeight > maxWeight) {
-                error = 'Weight limit exceeded';
-                return { error };
-            }
-        }
-
-        if (!rateFound) {
-            error = 'Rate not available';
-            return { error };
-        }
+    // Courier GST rate from data/tax-config.json (js/tax-engine.js); defaults until it loads
+    let taxConfig = null;
+    INHTax.loadSettings('../').then(settings => {
+        taxConfig = settings.config;
+        calculateRate();
+    });
 
-        // Calculations
-        const demandCharge = 350; // Changed from flat 150 * weight based on DHL quote
-        const fuelSurcharge = (baseRate + demandCharge) * (fuelPercent / 100);
-        const commercialCharge = isCommercial ? 3500 : 0;
-
-        const subtotal = baseRate + demandCharge + fuelSurcharge + commercialCharge;
-        const gst = subtotal * 0.18;
-        const total = subtotal + gst + 500; // Added Rs 500 for any error/margin
-
-        return {
-            baseRate,
-            demandCharge,
-            fuelSurcharge,
-            commercialCharge,
-            subtotal,
-            gst,
-            total,
-            error: null
-        };
+    // Slab rate plus demand, fuel, commercial and GST charges (js/shipping-rates.js)
+    function calculateShippingCost(provider, zone, weight, fuelPercent, isCommercial) {
+        return INHShipping.calculateShippingCost(shippingData, provider, zone, weight, { fuelPercent, isCommercial, taxConfig });
     }
 
     function calculateRate() {
@@ -395,6 +353,7 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         subtotalDisplay.textContent = formatCurrency(result.subtotal, currentCurrency);
+        gstLabel.textContent = `GST (${result.gstRate}%)`;
         gstDisplay.textContent = formatCurrency(result.gst, currentCurrency);
         totalPayableDisplay.textContent = formatCurrency(result.total, currentCurrency);
     }
@@ -0,0 +1,133 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { ApiRouter, HttpError } = require('../api-router');
+
+// A request stream with the fields the router reads
+function request(method, url, body, headers = {}) {
+  const req = Readable.from(body === undefined ? [] : [Buffer.from(body)]);
+  req.method = method;
+  req.url = url;
+  req.headers = { host: 'localhost', ...headers };
+  return req;
+}
+
+// Records what the router sends
+function response() {
+  return {
+    status: null,
+    headers: {},
+    body: null,
+    headersSent: false,
+    writableEnded: false,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+      this.headersSent = true;
+    },
+    end(text) {
+      this.body = text ? JSON.parse(text) : null;
+      this.writableEnded = true;
+    }
+  };
+}
+
+async function send(router, req) {
+  const res = response();
+  const handled = await router.handle(req, res);
+  return { handled, ...res };
+}
+
+module.exports = {
+  async 'path params are decoded and handed to the handler'() {
+    const router = new ApiRouter().get('/api/clients/:file/revisions/:rev', async (req) => ({ params: req.params, page: req.query.get('page') }));
+    const res = await send(router, request('GET', '/api/clients/Caf%C3%A9%20Paris/revisions/3?page=2'));
+
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { params: { file: 'Café Paris', rev: '3' }, page: '2' });
+  },
+
+  async 'static routes win over param routes registered before them'() {
+    const router = new ApiRouter()
+      .get('/api/quotes/:id', async (req) => ({ route: 'id', id: req.params.id }))
+      .get('/api/quotes/export', async () => ({ route: 'export' }));
+
+    assert.deepStrictEqual((await send(router, request('GET', '/api/quotes/export'))).body, { route: 'export' });
+    assert.deepStrictEqual((await send(router, request('GET', '/api/quotes/q1/'))).body, { route: 'id', id: 'q1' });
+  },
+
+  async 'unknown paths fall through and known paths with another method get 405'() {
+    const router = new ApiRouter().add(['GET', 'post'], '/api/data', async () => ({ ok: true }));
+
+    assert.strictEqual((await send(router, request('GET', '/index.html'))).handled, false);
+    const res = await send(router, request('DELETE', '/api/data'));
+    assert.strictEqual(res.status, 405);
+    assert.strictEqual(res.headers.Allow, 'GET, POST');
+  },
+
+  'routes that differ only in param names collide'() {
+    const router = new ApiRouter().get('/api/clients/:id', async () => ({}));
+
+    assert.throws(() => router.get('/api/clients/:name', async () => ({})), /Route collision: GET \/api\/clients\/:name is already registered as GET \/api\/clients\/:id/);
+    assert.doesNotThrow(() => router.post('/api/clients/:name', async () => ({})));
+    assert.throws(() => router.get('api/clients', async () => ({})), /must start with '\/'/);
+    assert.throws(() => router.get('/api/other', {}), /has no handler/);
+  },
+
+  async 'JSON bodies are parsed, and bad JSON is a 400'() {
+    const router = new ApiRouter().post('/api/echo', { body: 'json' }, async (req) => ({ body: req.body }));
+
+    assert.deepStrictEqual((await send(router, request('POST', '/api/echo', '{"a":1}'))).body, { body: { a: 1 } });
+    assert.deepStrictEqual((await send(router, request('POST', '/api/echo', '  '))).body, { body: {} });
+    const bad = await send(router, request('POST', '/api/echo', '{"a":'));
+    assert.strictEqual(bad.status, 400);
+    assert.ok(/^Invalid JSON body/.test(bad.body.error));
+  },
+
+  async 'bodies over the route limit are refused with 413'() {
+    const router = new ApiRouter({ bodyLimit: '1kb' })
+      .post('/api/small', { body: 'text' }, async (req) => ({ length: req.body.length }))
+      .post('/api/bulk', { body: 'raw', limit: '2kb' }, async (req) => ({ length: req.body.length }));
+    const body = 'x'.repeat(1500);
+
+    const declared = await send(router, request('POST', '/api/small', body, { 'content-length': '1500' }));
+    assert.strictEqual(declared.status, 413);
+    const streamed = await send(router, request('POST', '/api/small', body));
+    assert.strictEqual(streamed.status, 413);
+    assert.strictEqual(streamed.body.error, 'Request body exceeds 1024 bytes');
+    assert.deepStrictEqual((await send(router, request('POST', '/api/bulk', body))).body, { length: 1500 });
+  },
+
+  async 'guards and handlers report errors as JSON with their status'() {
+    const guard = async (req) => {
+      if (!req.headers.authorization) throw new HttpError(401, 'Sign in first', { reason: 'no session' });
+    };
+    const router = new ApiRouter()
+      .get('/api/private', { auth: guard }, async () => ({ ok: true }))
+      .get('/api/broken', async () => { throw new Error('boom'); });
+
+    const denied = await send(router, request('GET', '/api/private'));
+    assert.strictEqual(denied.status, 401);
+    assert.deepStrictEqual(denied.body, { success: false, error: 'Sign in first', details: { reason: 'no session' } });
+    assert.strictEqual((await send(router, request('GET', '/api/private', undefined, { authorization: 'Bearer t' }))).status, 200);
+
+    const broken = await send(router, request('GET', '/api/broken'));
+    assert.strictEqual(broken.status, 500);
+    assert.strictEqual(broken.body.error, 'boom');
+  },
+
+  async 'middleware runs before the route and can answer for it'() {
+    const seen = [];
+    const router = new ApiRouter()
+      .use(async (req, res, next) => { seen.push(req.route.pattern); await next(); })
+      .use(async (req, res, next) => {
+        if (!req.query.get('stop')) return next();
+        res.writeHead(204, {});
+        res.end();
+      })
+      .get('/api/ping', async () => ({ pong: true }));
+
+    assert.deepStrictEqual((await send(router, request('GET', '/api/ping'))).body, { pong: true });
+    assert.strictEqual((await send(router, request('GET', '/api/ping?stop=1'))).status, 204);
+    assert.deepStrictEqual(seen, ['/api/ping', '/api/ping']);
+  }
+};
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExchangeRateStore } = require('../exchange-rate-store');
+
+function withStore(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inh-rates-'));
+  try {
+    return fn(new ExchangeRateStore(dir), dir);
+  } finally {
+    fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+// Runs fn with new Date() fixed at `iso`
+function atTime(iso, fn) {
+  const RealDate = Date;
+  global.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [iso]));
+    }
+  };
+  try {
+    return fn();
+  } finally {
+    global.Date = RealDate;
+  }
+}
+
+module.exports = {
+  'two snapshots in the same millisecond both get recorded, in order'() {
+    withStore(store => {
+      const [first, second] = atTime('2026-10-01T09:00:00.000Z', () => [
+        store.createSnapshot('manual', { INR: 1, USD: 0.012 }, null, null),
+        store.createSnapshot('manual', { INR: 1, USD: 0.013 }, null, null)
+      ]);
+      assert.strictEqual(first.id, '2026-10-01T09-00-00-000Z');
+      assert.strictEqual(second.id, '2026-10-01T09-00-00-000Z-1');
+      assert.strictEqual(store.latest().id, second.id);
+      assert.strictEqual(store.get(first.id).rates.USD, 0.012);
+      assert.deepStrictEqual(store.list().map(s => s.id), [second.id, first.id]);
+    });
+  },
+
+  'overrides replace provider rates in new snapshots only'() {
+    withStore(store => {
+      const before = store.createSnapshot('exchangerate-api', { INR: 1, USD: 0.012 }, null, null);
+      const after = store.setOverride('usd', 0.0125, { email: 'admin@example.com' });
+      assert.strictEqual(after.rates.USD, 0.0125);
+      assert.strictEqual(after.providerRates.USD, 0.012);
+      assert.strictEqual(store.get(before.id).rates.USD, 0.012);
+      assert.throws(() => store.setOverride('INR', 2), error => error.status === 400);
+      assert.throws(() => store.setOverride('EUR', -1), error => error.status === 400);
+    });
+  },
+
+  'the latest rates fall back to the built-in table before any snapshot'() {
+    withStore(store => {
+      const latest = store.latest();
+      assert.strictEqual(latest.source, 'fallback');
+      assert.strictEqual(latest.rates.INR, 1);
+    });
+  }
+};
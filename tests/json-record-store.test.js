@@ -0,0 +1,122 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonRecordStore, diffJson } = require('../json-record-store');
+
+const USER = { uid: 'u1', email: 'admin@example.com', role: 'admin' };
+
+function withStore(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inh-records-'));
+  try {
+    return fn(new JsonRecordStore(dir, { label: 'Supplier' }), dir);
+  } finally {
+    fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+function statusOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+}
+
+module.exports = {
+  'each save is a new revision, and the live file is the latest'() {
+    withStore((store, dir) => {
+      store.assertRevision('sup-1', 'none');
+      assert.strictEqual(store.save('sup-1', { id: 'sup-1', name: 'Chennai' }, USER).revision, 1);
+      store.assertRevision('sup-1.json', 1);
+      assert.strictEqual(store.save('sup-1', { id: 'sup-1', name: 'Chennai Hair' }, USER).revision, 2);
+
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'sup-1.json'), 'utf8')).name, 'Chennai Hair');
+      assert.strictEqual(store.currentRevision('sup-1'), 2);
+      assert.deepStrictEqual(store.listRevisions('sup-1').map(r => [r.revision, r.action, r.savedBy.email]), [[1, 'save', 'admin@example.com'], [2, 'save', 'admin@example.com']]);
+      assert.deepStrictEqual(store.diff('sup-1', 1, 2).changes, [{ path: 'name', type: 'changed', before: 'Chennai', after: 'Chennai Hair' }]);
+    });
+  },
+
+  'a stale If-Match is a 409 with the current server copy'() {
+    withStore(store => {
+      store.save('sup-1', { id: 'sup-1', name: 'A' }, USER);
+      store.save('sup-1', { id: 'sup-1', name: 'B' }, USER);
+
+      let conflict;
+      try {
+        store.assertRevision('sup-1', 1);
+      } catch (error) {
+        conflict = error;
+      }
+      assert.strictEqual(conflict.status, 409);
+      assert.deepStrictEqual(conflict.details, { filename: 'sup-1.json', revision: 2, current: { id: 'sup-1', name: 'B' } });
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-1', 'none')), 409);
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-2', '*')), 409);
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-1', '*')), null);
+    });
+  },
+
+  'changing an existing record without If-Match is a 428, creating one is not'() {
+    withStore(store => {
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-1', undefined)), null);
+      store.save('sup-1', { id: 'sup-1', name: 'A' }, USER);
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-1', undefined)), 428);
+
+      store.remove('sup-1', USER);
+      assert.strictEqual(statusOf(() => store.assertRevision('sup-1', undefined)), null);
+      assert.strictEqual(store.currentRevision('sup-1'), 2);
+    });
+  },
+
+  'a record from before the store is revision 1 both before and after its first change'() {
+    withStore((store, dir) => {
+      fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ id: 'old', name: 'Legacy' }));
+      assert.strictEqual(store.currentRevision('old'), 1);
+      assert.deepStrictEqual(store.listRevisions('old'), []);
+
+      // The ETag the client was given is accepted
+      store.assertRevision('old', 1);
+      const saved = store.save('old', { id: 'old', name: 'Renamed' }, USER);
+      assert.strictEqual(saved.revision, 2);
+      assert.deepStrictEqual(store.listRevisions('old').map(r => [r.revision, r.action]), [[1, 'import'], [2, 'save']]);
+      assert.strictEqual(store.getRevision('old', 1).data.name, 'Legacy');
+      assert.strictEqual(statusOf(() => store.assertRevision('old', 1)), 409);
+    });
+  },
+
+  'deleted records keep their history and can be restored'() {
+    withStore(store => {
+      store.save('sup-1', { id: 'sup-1', name: 'A' }, USER);
+      const deleted = store.remove('sup-1', USER);
+      assert.strictEqual(deleted.action, 'delete');
+      assert.strictEqual(store.read('sup-1'), null);
+      assert.strictEqual(store.remove('sup-1', USER), null);
+
+      assert.strictEqual(statusOf(() => store.restore('sup-1', 2, USER)), 400);
+      const restored = store.restore('sup-1', 1, USER);
+      assert.strictEqual(restored.revision, 3);
+      assert.strictEqual(restored.restoredFrom, 1);
+      assert.deepStrictEqual(store.read('sup-1'), { id: 'sup-1', name: 'A' });
+      assert.strictEqual(store.restore('sup-1', 9, USER), null);
+    });
+  },
+
+  'filenames that could leave the store directory are refused'() {
+    withStore(store => {
+      ['../secrets', 'a/b', 'a\\b', '.revisions', ''].forEach(name => {
+        assert.strictEqual(statusOf(() => store.normalizeFilename(name)), 400, name);
+      });
+      assert.strictEqual(store.normalizeFilename('Keshav'), 'Keshav.json');
+    });
+  },
+
+  'diffs list added, removed and changed paths'() {
+    assert.deepStrictEqual(diffJson({ a: 1, m: { 1: { 6: 50 } }, gone: true }, { a: 2, m: { 1: { 6: 50, 8: 50 } } }), [
+      { path: 'a', type: 'changed', before: 1, after: 2 },
+      { path: 'm.1.8', type: 'added', after: 50 },
+      { path: 'gone', type: 'removed', before: true }
+    ]);
+  }
+};
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { NumberingService, formatNumber, financialYear } = require('../numbering-service');
+
+async function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inh-numbers-'));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true });
+  }
+}
+
+// Enough of admin.firestore() for the counters: documents in a Map, and a
+// transaction that yields between its read and its write like the real one does
+function fakeFirestore() {
+  const docs = new Map();
+  return {
+    docs,
+    down: false,
+    collection: (name) => ({ doc: (id) => ({ path: `${name}/${id}` }) }),
+    async runTransaction(fn) {
+      if (this.down) throw new Error('UNAVAILABLE');
+      const writes = [];
+      const result = await fn({
+        get: async (ref) => {
+          await new Promise(resolve => setTimeout(resolve, 5));
+          const data = docs.get(ref.path);
+          return { exists: !!data, data: () => data };
+        },
+        set: (ref, data) => writes.push([ref.path, data])
+      });
+      writes.forEach(([key, data]) => docs.set(key, data));
+      return result;
+    }
+  };
+}
+
+async function quietly(fn) {
+  const warn = console.warn;
+  console.warn = () => { };
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+const FY = financialYear(new Date(), 4).label;
+
+module.exports = {
+  'numbers follow the series format and count up'() {
+    return withDir(async dir => {
+      const service = new NumberingService(dir);
+      const first = await service.next('quote', null);
+      const second = await service.next('quote', null);
+
+      assert.strictEqual(first.number, `INH-Q-${FY}-0001`);
+      assert.strictEqual(second.number, `INH-Q-${FY}-0002`);
+      assert.strictEqual(second.source, 'local');
+      assert.strictEqual(service.status().series.quote.next, `INH-Q-${FY}-0003`);
+      assert.strictEqual(service.status().series.order.last, 0);
+    });
+  },
+
+  'numbers asked for at the same time are all different and consecutive'() {
+    return withDir(async dir => {
+      const db = fakeFirestore();
+      const service = new NumberingService(dir, { getDb: () => db });
+      const issued = await Promise.all([1, 2, 3, 4, 5].map(() => service.next('order', { email: 'sales@example.com' })));
+
+      assert.deepStrictEqual(issued.map(i => i.sequence), [1, 2, 3, 4, 5]);
+      assert.ok(issued.every(i => i.source === 'firestore'));
+      assert.strictEqual(db.docs.get(`counters/order_${FY}`).value, 5);
+      assert.strictEqual(db.docs.get(`counters/order_${FY}`).updatedBy, 'sales@example.com');
+    });
+  },
+
+  'the local counter takes over while Firestore is down and is not reissued after'() {
+    return withDir(async dir => {
+      const db = fakeFirestore();
+      const service = new NumberingService(dir, { getDb: () => db });
+      await service.next('mo', null);
+
+      db.down = true;
+      const offline = await quietly(() => service.next('mo', null));
+      assert.strictEqual(offline.source, 'local');
+      assert.strictEqual(offline.sequence, 2);
+
+      db.down = false;
+      const back = await service.next('mo', null);
+      assert.strictEqual(back.source, 'firestore');
+      assert.strictEqual(back.sequence, 3);
+    });
+  },
+
+  'a failed issue does not stop the ones queued after it'() {
+    return withDir(async dir => {
+      const service = new NumberingService(dir);
+      const [bad, good] = await Promise.all([
+        service.next('invoice', null).catch(error => error),
+        service.next('quote', null)
+      ]);
+
+      assert.strictEqual(bad.status, 400);
+      assert.ok(/Unknown number series: invoice/.test(bad.message));
+      assert.strictEqual(good.sequence, 1);
+    });
+  },
+
+  'series settings from data/numbering.json are checked'() {
+    return withDir(async dir => {
+      fs.writeFileSync(path.join(dir, 'numbering.json'), JSON.stringify({ series: { quote: { format: 'Q-{YYYY}', reset: 'never' } } }));
+      const service = new NumberingService(dir);
+      assert.throws(() => service.config(), /needs a format containing \{SEQ\}/);
+
+      fs.writeFileSync(path.join(dir, 'numbering.json'), JSON.stringify({ series: { quote: { format: 'Q-{YY}{MM}-{SEQ:3}', reset: 'never' } } }));
+      assert.strictEqual(service.status().series.quote.period, 'all');
+    });
+  },
+
+  'formats fill in the financial year and date tokens'() {
+    const date = new Date(2026, 0, 15);
+    assert.strictEqual(formatNumber('INH-{FY}-{SEQ:4}', 7, date, 4), 'INH-2025-26-0007');
+    assert.strictEqual(formatNumber('{FYSHORT}/{YY}{MM}{DD}/{SEQ}', 12, date, 4), '2526/260115/12');
+    assert.strictEqual(formatNumber('{FY}-{SEQ:2}-{NOPE}', 3, date, 1), '2026-03-{NOPE}');
+    assert.deepStrictEqual(financialYear(new Date(2026, 3, 1), 4), { start: 2026, label: '2026-27', short: '2627' });
+  }
+};
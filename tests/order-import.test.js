@@ -0,0 +1,53 @@
+const assert = require('assert');
+const INHOrderImport = require('../js/order-import');
+
+module.exports = {
+  'parseCsv reads quoted cells with commas, doubled quotes and line breaks'() {
+    const rows = INHOrderImport.parseCsv('﻿Order,Note\r\n"ORD-1","Bulk, 12"""\r\n"ORD-2","two\nlines"\n\n');
+    assert.deepStrictEqual(rows, [
+      ['Order', 'Note'],
+      ['ORD-1', 'Bulk, 12"'],
+      ['ORD-2', 'two\nlines']
+    ]);
+  },
+
+  'parseCsv reads tab separated files'() {
+    assert.deepStrictEqual(INHOrderImport.parseCsv('Order\tAmount\nORD-1\t1,250.50'), [
+      ['Order', 'Amount'],
+      ['ORD-1', '1,250.50']
+    ]);
+  },
+
+  'normaliseDate reads ISO, Indian day-first and Excel dates'() {
+    assert.strictEqual(INHOrderImport.normaliseDate('2026-03-05'), '2026-03-05');
+    assert.strictEqual(INHOrderImport.normaliseDate('5/3/2026'), '2026-03-05');
+    assert.strictEqual(INHOrderImport.normaliseDate('05-03-2026'), '2026-03-05');
+    assert.strictEqual(INHOrderImport.normaliseDate('05.03.2026'), '2026-03-05');
+    assert.strictEqual(INHOrderImport.normaliseDate('45000'), '2023-03-15');
+    assert.strictEqual(INHOrderImport.normaliseDate(new Date(2026, 2, 5)), '2026-03-05');
+  },
+
+  'normaliseDate refuses dates that do not exist and leaves empty cells empty'() {
+    assert.strictEqual(INHOrderImport.normaliseDate('31/02/2026'), null);
+    assert.strictEqual(INHOrderImport.normaliseDate('2026-13-01'), null);
+    assert.strictEqual(INHOrderImport.normaliseDate('next week'), null);
+    assert.strictEqual(INHOrderImport.normaliseDate(''), '');
+    assert.strictEqual(INHOrderImport.normaliseDate(null), '');
+  },
+
+  'lastImport finds the latest import from the orders it left'() {
+    const orders = [
+      { id: '1', importId: 'imp_a', importFile: 'march.csv', createdAt: '2026-03-01T10:00:00.000Z' },
+      { id: '2', importId: 'imp_b', importFile: 'april.xlsx', createdAt: '2026-04-01T10:00:00.000Z' },
+      { id: '3', importId: 'imp_b', importFile: 'april.xlsx', createdAt: '2026-04-01T10:00:00.000Z' },
+      { id: '4' }
+    ];
+    const last = INHOrderImport.lastImport(orders);
+    assert.strictEqual(last.id, 'imp_b');
+    assert.strictEqual(last.fileName, 'april.xlsx');
+    assert.deepStrictEqual(last.orders.map(o => o.id), ['2', '3']);
+
+    assert.strictEqual(INHOrderImport.lastImport(orders.slice(0, 1)).id, 'imp_a');
+    assert.strictEqual(INHOrderImport.lastImport([{ id: '4' }]), null);
+  }
+};
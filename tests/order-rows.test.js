@@ -0,0 +1,87 @@
+const assert = require('assert');
+const INHOrderRows = require('../js/order-rows');
+
+const COLUMNS = ['Order Number', 'Client Name', 'Product', 'Quantity', 'Rate', 'Amount'];
+
+function order(id, number, products) {
+  return {
+    id,
+    orderId: number,
+    client: { clientName: `Client ${id}` },
+    items: products.map(product => ({ product, quantity: 1, unitPrice: 10, totalPrice: 10 }))
+  };
+}
+
+module.exports = {
+  'rows of two orders with the same number stay with their own order'() {
+    const a = order('a', 'ORD-1', ['Bulk']);
+    const b = order('b', 'ORD-1', ['Weft', 'Closure']);
+    const rows = [...INHOrderRows.rowsFromOrder(a, COLUMNS), ...INHOrderRows.rowsFromOrder(b, COLUMNS)];
+
+    const { orders, duplicates } = INHOrderRows.groupRows(rows);
+    assert.deepStrictEqual(orders.map(group => [group.orderId, group.number, group.rows.length]), [
+      ['a', 'ORD-1', 1],
+      ['b', 'ORD-1', 2]
+    ]);
+    assert.deepStrictEqual(duplicates, ['ORD-1']);
+  },
+
+  'a new row does not join an order when its number is shared'() {
+    const rows = [
+      ...INHOrderRows.rowsFromOrder(order('a', 'ORD-1', ['Bulk']), COLUMNS),
+      ...INHOrderRows.rowsFromOrder(order('b', 'ORD-1', ['Weft']), COLUMNS),
+      { 'Order Number': 'ORD-1', 'Product': 'Wig' }
+    ];
+
+    const { orders, duplicates } = INHOrderRows.groupRows(rows);
+    assert.deepStrictEqual(orders.map(group => [group.orderId, group.rows.length]), [['a', 1], ['b', 1], [null, 1]]);
+    assert.deepStrictEqual(duplicates, ['ORD-1']);
+  },
+
+  'a new row joins the one order shown with its number'() {
+    const rows = [
+      ...INHOrderRows.rowsFromOrder(order('a', 'ORD-1', ['Bulk']), COLUMNS),
+      { 'Order Number': 'ORD-1', 'Product': 'Wig' },
+      { 'Order Number': 'ORD-2', 'Product': 'Weft' },
+      { 'Product': 'Closure' }
+    ];
+
+    const { orders, drafts, duplicates } = INHOrderRows.groupRows(rows);
+    assert.deepStrictEqual(orders.map(group => [group.orderId, group.number, group.rows.length]), [
+      ['a', 'ORD-1', 2],
+      [null, 'ORD-2', 1]
+    ]);
+    assert.strictEqual(drafts.length, 1);
+    assert.deepStrictEqual(duplicates, []);
+  },
+
+  'an order is renumbered by its rows, not merged into the order it now shares a number with'() {
+    const b = order('b', 'ORD-2', ['Weft']);
+    const rows = [
+      ...INHOrderRows.rowsFromOrder(order('a', 'ORD-1', ['Bulk']), COLUMNS),
+      ...INHOrderRows.rowsFromOrder(b, COLUMNS).map(row => ({ ...row, 'Order Number': 'ORD-1' }))
+    ];
+
+    const { orders, duplicates } = INHOrderRows.groupRows(rows);
+    assert.deepStrictEqual(duplicates, ['ORD-1']);
+    const group = orders.find(g => g.orderId === 'b');
+    const saved = INHOrderRows.orderFromRows(group.rows, COLUMNS, b);
+    assert.strictEqual(saved.id, 'b');
+    assert.strictEqual(saved.orderId, 'ORD-1');
+    assert.deepStrictEqual(saved.items.map(item => item.product), ['Weft']);
+  },
+
+  'orderFromRows keeps the fields of the lines it was read from'() {
+    const a = order('a', 'ORD-1', ['Bulk', 'Weft']);
+    a.items[1].hsn = '6703';
+    const rows = INHOrderRows.rowsFromOrder(a, COLUMNS);
+    rows[1]['Quantity'] = '3';
+    rows[1]['Amount'] = '';
+
+    const saved = INHOrderRows.orderFromRows(rows, COLUMNS, a);
+    assert.strictEqual(saved.items.length, 2);
+    assert.strictEqual(saved.items[1].hsn, '6703');
+    assert.strictEqual(Number(saved.items[1].quantity), 3);
+    assert.strictEqual(saved.items[0].product, 'Bulk');
+  }
+};
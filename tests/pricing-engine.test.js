@@ -0,0 +1,141 @@
+const assert = require('assert');
+const INHPricing = require('../js/pricing-engine');
+
+function close(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+}
+
+// 12" hair from 60% 12" raw at 10000 and 40% 14" raw at 12000
+const COLUMN = { 12: 60, 14: 40 };
+const PRICES = { 12: 10000, 14: 12000 };
+
+module.exports = {
+  'a ratio column prices as the mixer always has'() {
+    const result = INHPricing.computeRatioColumn({
+      column: COLUMN,
+      prices: PRICES,
+      wastagePercent: 10,
+      machineCharge: 2500,
+      weftingWastagePercent: 5,
+      weftingCharge: 300,
+      marginPercent: 20,
+      exchangeRate: 0.012
+    });
+
+    assert.strictEqual(result.valid, true);
+    close(result.weightedRawCost, 10800);
+    close(result.wastageCost, 1080);
+    close(result.weftingWastageCost, 719);
+    close(result.marginValue, 3079.8);
+    close(result.price, 18478.8);
+    assert.strictEqual(result.roundedPrice, 18500);
+    assert.strictEqual(result.convertedPrice, 222);
+    assert.strictEqual(result.finalPrice, 222);
+  },
+
+  'a ratio column without a machine charge adds none'() {
+    const result = INHPricing.computeRatioColumn({ column: COLUMN, prices: PRICES });
+
+    assert.strictEqual(result.machineCharge, 0);
+    assert.strictEqual(result.roundedPrice, 10800);
+    // Callers fill in the default for configs saved without one
+    assert.strictEqual(INHPricing.DEFAULT_MACHINE_CHARGE, 2500);
+  },
+
+  'wefting charge only applies with wefting wastage, and a custom price wins'() {
+    const result = INHPricing.computeRatioColumn({ column: COLUMN, prices: PRICES, machineCharge: '200', weftingCharge: 300, customPrice: '15000' });
+
+    assert.strictEqual(result.weftingCharge, 0);
+    assert.strictEqual(result.roundedPrice, 11000);
+    assert.strictEqual(result.finalPrice, 15000);
+  },
+
+  'columns that do not add up to 100% price at 0'() {
+    const strict = INHPricing.computeRatioColumn({ column: { 12: 60, 14: 39.6 }, prices: PRICES, machineCharge: 2500 });
+    assert.strictEqual(strict.valid, false);
+    assert.strictEqual(strict.finalPrice, 0);
+
+    // The saved-ratio price lists accept a total that rounds to 100
+    const rounded = INHPricing.computeRatioColumn({ column: { 12: 60, 14: 39.6 }, prices: PRICES, machineCharge: 2500, roundedPercent: true });
+    assert.strictEqual(rounded.valid, true);
+    assert.strictEqual(rounded.roundedPrice, 13250);
+  },
+
+  'a ratio matrix prices every finished length and applies enabled custom prices'() {
+    const idx = INHPricing.FINISHED_LENGTHS.indexOf(12);
+    const lines = INHPricing.computeRatioMatrix({
+      matrix: { [idx]: COLUMN },
+      prices: PRICES,
+      machineCharge: 0,
+      customPricesEnabled: true,
+      customPrices: { [idx]: 9999 }
+    });
+
+    assert.strictEqual(lines.length, INHPricing.FINISHED_LENGTHS.length);
+    assert.strictEqual(lines[idx].length, 12);
+    assert.strictEqual(lines[idx].convertedPrice, 10800);
+    assert.strictEqual(lines[idx].finalPrice, 9999);
+    assert.strictEqual(lines[0].valid, false);
+  },
+
+  'a standard product scales the base cost to its weight and rounds to 100'() {
+    const result = INHPricing.computeStandard({
+      baseCost: 20000,
+      weight: 100,
+      specifications: [{ type: 'fixed', value: 200 }, { type: 'percent', value: 10 }],
+      wastagePercent: 5,
+      marginPercent: 25
+    });
+
+    close(result.scaledBaseCost, 2000);
+    close(result.specCost, 400);
+    close(result.price, 3150);
+    assert.strictEqual(result.finalPrice, 3200);
+  },
+
+  'a combo adds up its components, quantity 1 when not given'() {
+    const result = INHPricing.computeCombo({
+      components: [{ name: 'Weft', cost: 1500, quantity: 2 }, { name: 'Closure', cost: 800 }],
+      specifications: [{ type: 'percent', value: 5 }],
+      marginPercent: 10
+    });
+
+    assert.deepStrictEqual(result.components.map(c => c.total), [3000, 800]);
+    close(result.totalCost, 3990);
+    assert.strictEqual(result.finalPrice, 4400);
+  },
+
+  'a quote line takes the best rule of the highest priority, then its own discount'() {
+    const rules = [
+      { id: 'breaks', name: 'Breaks', priority: 1, tiers: [{ minQuantity: 10, value: 5 }, { minQuantity: 50, value: 10 }] },
+      { id: 'fixed', name: 'Fixed', priority: 1, adjustment: 'unitPrice', currency: 'USD', tiers: [{ minQuantity: 20, value: 10 }] },
+      { id: 'later', name: 'Later', priority: 5, validFrom: '2027-01-01', tiers: [{ minQuantity: 1, value: 50 }] }
+    ];
+    const line = INHPricing.computeQuoteLine({
+      rate: 1000,
+      fromCurrency: 'INR',
+      toCurrency: 'USD',
+      rates: { INR: 1, USD: 0.012 },
+      quantity: 50,
+      rules,
+      match: { product: 'Bulk' },
+      date: '2026-10-01',
+      lineDiscountPercent: 10
+    });
+
+    close(line.listPrice, 12);
+    assert.strictEqual(line.rule.id, 'fixed');
+    close(line.unitPrice, 9);
+    close(line.totalPrice, 450);
+    close(line.lineDiscountAmount, 50);
+  },
+
+  'an override price skips the rules and a missing rate is an error'() {
+    const line = INHPricing.computeQuoteLine({ rate: 1000, quantity: 2, overridePrice: 900, rules: [{ tiers: [{ minQuantity: 1, value: 50 }] }] });
+    assert.strictEqual(line.rule, null);
+    assert.strictEqual(line.totalPrice, 1800);
+
+    assert.throws(() => INHPricing.convertCurrency(10, 'INR', 'EUR', { INR: 1 }), /No exchange rate for EUR/);
+    assert.throws(() => INHPricing.compute({ type: 'bogus' }), /Unknown pricing type/);
+  }
+};
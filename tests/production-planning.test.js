@@ -0,0 +1,128 @@
+const assert = require('assert');
+const INHProductionPlan = require('../js/production-planning');
+
+const IDX_12 = INHProductionPlan.FINISHED_LENGTHS.indexOf(12);
+const IDX_36 = INHProductionPlan.FINISHED_LENGTHS.indexOf(36);
+
+// 12" hair from 60% 12" raw and 40% 14" raw; 36" hair from 36" raw and 34"+ raw
+const MATRIX = {
+  [IDX_12]: { 12: 60, 14: 40 },
+  [IDX_36]: { 36: 50, '34+': 50 }
+};
+
+function context(extra = {}) {
+  return {
+    ratios: [{ name: 'Standard', matrix: MATRIX }],
+    priceLists: [
+      { name: 'Retail', matrix: MATRIX, source: { ratioTemplate: 'Standard' }, wastagePercent: 10, weftingWastagePercent: 0 },
+      { name: 'Wholesale', matrix: MATRIX, source: { ratioTemplate: 'Standard' }, wastagePercent: 20, weftingWastagePercent: 0 }
+    ],
+    ...extra
+  };
+}
+
+function order(id, priceList, items) {
+  return { id, orderId: `ORD-${id}`, status: 'confirmed', client: { clientName: 'Client' }, items: items.map(item => ({ priceList, ...item })) };
+}
+
+function lot(id, details) {
+  const gross = details.reduce((sum, d) => sum + d.weight, 0);
+  return { id, status: 'AVAILABLE', grossWeightKg: gross, availableWeightKg: gross, details };
+}
+
+module.exports = {
+  'lines on one template and wastage make one group with their raw kilos'() {
+    const plan = INHProductionPlan.planProduction([
+      order('a', 'Retail', [{ length: '12', quantity: 10 }]),
+      order('b', 'Retail', [{ length: '12"', quantity: 5 }])
+    ], context());
+
+    assert.strictEqual(plan.groups.length, 1);
+    const group = plan.groups[0];
+    assert.strictEqual(group.template, 'Standard');
+    assert.deepStrictEqual(group.activeOrders, [{ finishedLength: 12, matrixIdx: IDX_12, targetKilos: 15 }]);
+    assert.deepStrictEqual(group.rawRequirements, { 12: 9, 14: 6 });
+    assert.deepStrictEqual(group.rawWithWastage, { 12: 9.9, 14: 6.6 });
+    assert.strictEqual(group.totalRawKilos, 16.5);
+    assert.deepStrictEqual(group.fulfils.map(f => f.orderNumber), ['ORD-a', 'ORD-b']);
+  },
+
+  'price lists on one template with different wastage are planned apart'() {
+    const plan = INHProductionPlan.planProduction([
+      order('a', 'Retail', [{ length: '12', quantity: 10 }]),
+      order('b', 'Wholesale', [{ length: '12', quantity: 10 }])
+    ], context());
+
+    assert.strictEqual(plan.groups.length, 2);
+    const byWastage = plan.groups.reduce((acc, g) => ({ ...acc, [g.wastagePercent]: g }), {});
+    assert.deepStrictEqual(byWastage[10].rawWithWastage, { 12: 6.6, 14: 4.4 });
+    assert.deepStrictEqual(byWastage[20].rawWithWastage, { 12: 7.2, 14: 4.8 });
+    assert.deepStrictEqual(byWastage[20].fulfils.map(f => f.orderNumber), ['ORD-b']);
+    // The stock check still adds both groups up
+    assert.deepStrictEqual(plan.stock.map(row => [row.rawLength, row.required]), [['12', 13.8], ['14', 9.2]]);
+  },
+
+  'lines that cannot be planned are skipped with the reason'() {
+    const plan = INHProductionPlan.planProduction([
+      order('a', 'Unknown', [{ length: '12', quantity: 1 }]),
+      order('b', 'Retail', [{ length: '20', quantity: 1 }, { length: '12', quantity: 0 }]),
+      { ...order('c', 'Retail', [{ length: '12', quantity: 1 }]), status: 'pending' },
+      { ...order('d', 'Retail', [{ length: '12', quantity: 1 }]), plannedMOs: ['MO-1001'] }
+    ], context());
+
+    assert.strictEqual(plan.groups.length, 0);
+    assert.deepStrictEqual(plan.skipped.map(s => s.orderNumber), ['ORD-a', 'ORD-b', 'ORD-b', 'ORD-c', 'ORD-d']);
+    assert.ok(/not found/.test(plan.skipped[0].reason));
+    assert.ok(/no ratio for 20/.test(plan.skipped[1].reason));
+    assert.strictEqual(plan.skipped[2].reason, 'No quantity');
+    assert.ok(/MO-1001/.test(plan.skipped[4].reason));
+  },
+
+  'exact long lengths take their own lots before 34+ takes what is left'() {
+    const stock = INHProductionPlan.checkStock({ '34+': 8, 36: 5 }, [
+      lot('L1', [{ length: '34"', weight: 4 }, { length: '36"', weight: 6 }]),
+      lot('L2', [{ length: '38"', weight: 3 }])
+    ]);
+
+    assert.deepStrictEqual(stock.map(row => row.rawLength), ['36', '34+']);
+    assert.strictEqual(stock[0].available, 6);
+    assert.strictEqual(stock[0].shortfall, 0);
+    // 34" 4 kg + 38" 3 kg + the 1 kg of 36" the 36 row did not need
+    assert.strictEqual(stock[1].available, 8);
+    assert.strictEqual(stock[1].shortfall, 0);
+  },
+
+  'long stock is not counted twice when exact rows use it up'() {
+    const stock = INHProductionPlan.checkStock({ 34: 4, '34+': 5 }, [
+      lot('L1', [{ length: '34', weight: 4 }, { length: '36', weight: 2 }])
+    ]);
+
+    assert.deepStrictEqual(stock.map(row => [row.rawLength, row.available, row.shortfall]), [['34', 4, 0], ['34+', 2, 3]]);
+    assert.deepStrictEqual(stock[1].lots, [{ id: 'L1', kilos: 2 }]);
+  },
+
+  'a 36 inch line needs 36 and 34+ raw hair'() {
+    const plan = INHProductionPlan.planProduction([order('a', 'Retail', [{ length: '36', quantity: 2 }])], context({
+      rawLots: [lot('L1', [{ length: '36', weight: 1 }, { length: '40', weight: 2 }])]
+    }));
+
+    assert.deepStrictEqual(plan.stock.map(row => [row.rawLength, row.required, row.available, row.shortfall]), [
+      ['36', 1.1, 1, 0.1],
+      ['34+', 1.1, 2, 0]
+    ]);
+  },
+
+  'draft MOs are numbered after they are built'() {
+    const [group] = INHProductionPlan.planProduction([order('a', 'Retail', [{ length: '12', quantity: 10 }])], context()).groups;
+    const draft = INHProductionPlan.draftMO(group, { user: { email: 'planner@example.com' }, now: new Date('2026-10-01T09:00:00Z') });
+
+    assert.strictEqual(draft.moNumber, undefined);
+    assert.strictEqual(draft.orderRef, 'ORD-a');
+    assert.strictEqual(draft.wastagePercent, 10);
+    const numbered = INHProductionPlan.numberMO(draft, 'MO-1001');
+    assert.strictEqual(numbered.orderNumber, 'MO-1001');
+    assert.strictEqual(numbered.moNumber, 'MO-1001');
+    assert.strictEqual(draft.moNumber, undefined);
+    assert.throws(() => INHProductionPlan.draftMO({ ...group, activeOrders: [] }), /Nothing to make/);
+  }
+};
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const INHQuoteLifecycle = require('../js/quote-lifecycle');
+
+const NOW = new Date('2026-10-01T09:00:00Z');
+const USER = { email: 'sales@example.com' };
+
+function sentQuote() {
+  return {
+    id: 'q1',
+    number: 'INH-Q-2026-27-0001',
+    status: 'sent',
+    date: '2026-09-20',
+    validUntil: '2026-10-20',
+    discount: 5,
+    items: [{ product: 'Bulk', quantity: 2, unitPrice: 100, totalPrice: 200 }],
+    approval: { approvedBy: 'manager@example.com', discount: 15 },
+    sentAt: '2026-09-20T10:00:00.000Z',
+    rejectedAt: '2026-09-25T10:00:00.000Z',
+    clientResponse: { decision: 'reject', name: 'Asha', comment: 'Too dear', at: '2026-09-25T10:00:00.000Z' },
+    portalLink: { sharedAt: '2026-09-20T10:00:00.000Z', expiresAt: '2026-10-20T23:59:59.999Z' },
+    paymentProofs: [{ file: '1-proof.pdf', name: 'proof.pdf' }],
+    proformaNumber: 'INH-PI-2026-27-0003',
+    statusHistory: [{ from: null, to: 'draft' }, { from: 'draft', to: 'sent' }]
+  };
+}
+
+module.exports = {
+  'revise marks the quote revised and starts a numbered draft from it'() {
+    const { previous, next } = INHQuoteLifecycle.revise(sentQuote(), { user: USER, now: NOW });
+
+    assert.strictEqual(previous.status, 'revised');
+    assert.strictEqual(previous.revisedTo, 'INH-Q-2026-27-0001-R2');
+    assert.strictEqual(next.number, 'INH-Q-2026-27-0001-R2');
+    assert.strictEqual(next.status, 'draft');
+    assert.strictEqual(next.previousQuoteId, 'q1');
+    assert.strictEqual(next.date, '2026-10-01');
+    assert.deepStrictEqual(next.items, sentQuote().items);
+    assert.strictEqual(next.statusHistory.length, 1);
+    assert.strictEqual(next.id, undefined);
+  },
+
+  'the revised draft drops the previous answer, link, payments and proforma number'() {
+    const { next } = INHQuoteLifecycle.revise(sentQuote(), { user: USER, now: NOW });
+    ['approval', 'sentAt', 'rejectedAt', 'clientResponse', 'portalLink', 'paymentProofs', 'proformaNumber', 'conversions', 'orderIds']
+      .forEach(field => assert.strictEqual(next[field], undefined, field));
+  },
+
+  'a second revision counts on from the first'() {
+    const { next: first } = INHQuoteLifecycle.revise(sentQuote(), { now: NOW });
+    const { next: second } = INHQuoteLifecycle.revise({ ...first, id: 'q2', status: 'sent' }, { now: NOW });
+    assert.strictEqual(second.number, 'INH-Q-2026-27-0001-R3');
+    assert.strictEqual(second.previousNumber, 'INH-Q-2026-27-0001-R2');
+  },
+
+  'drafts and accepted quotes cannot be revised'() {
+    assert.throws(() => INHQuoteLifecycle.revise({ ...sentQuote(), status: 'draft' }, { now: NOW }), /draft quote cannot be revised/);
+    assert.throws(() => INHQuoteLifecycle.revise({ ...sentQuote(), status: 'accepted' }, { now: NOW }), /accepted quote cannot be revised/);
+  }
+};
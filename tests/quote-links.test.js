@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { QuoteLinkSigner } = require('../quote-links');
+
+const NOW = new Date('2026-10-01T00:00:00Z');
+const LATER = new Date('2026-10-31T00:00:00Z');
+
+function signer() {
+  return new QuoteLinkSigner('/nonexistent', { secret: 'test-secret' });
+}
+
+function rejects(token, status) {
+  assert.throws(() => signer().verify(token, NOW), error => error.status === status);
+}
+
+module.exports = {
+  'a signed token gives back its quote until it expires'() {
+    const token = signer().sign('quote-1', LATER);
+    assert.deepStrictEqual(signer().verify(token, NOW), { quoteId: 'quote-1', expiresAt: LATER });
+    rejects(signer().sign('quote-1', new Date('2026-09-01T00:00:00Z')), 410);
+  },
+
+  'a token signed with another secret or with a changed payload is not valid'() {
+    const other = new QuoteLinkSigner('/nonexistent', { secret: 'other' }).sign('quote-1', LATER);
+    rejects(other, 404);
+    const [, signature] = signer().sign('quote-1', LATER).split('.');
+    const [payload] = signer().sign('quote-2', LATER).split('.');
+    rejects(`${payload}.${signature}`, 404);
+  },
+
+  'a signature with multibyte characters is refused, not a server error'() {
+    const [payload, signature] = signer().sign('quote-1', LATER).split('.');
+    rejects(`${payload}.${'é'.repeat(signature.length)}`, 404);
+    rejects(`${payload}.${signature.slice(0, -1)}€`, 404);
+  },
+
+  'malformed tokens are refused'() {
+    rejects('', 404);
+    rejects('no-dot', 404);
+    const payload = Buffer.from('null').toString('base64').replace(/=+$/, '');
+    rejects(`${payload}.${signer().signature(payload)}`, 404);
+  }
+};
@@ -0,0 +1,58 @@
+const assert = require('assert');
+const INHReceivables = require('../js/receivables');
+
+const NOW = new Date('2026-10-01T00:00:00Z');
+
+// A USD order of 1000, booked at 0.012 USD to the rupee
+function usdOrder() {
+  return { currency: 'USD', exchangeRate: 0.012, total: 1000, payments: [] };
+}
+
+module.exports = {
+  'payments in other currencies settle the order in its own currency'() {
+    let order = usdOrder();
+    order = INHReceivables.recordPayment(order, { type: 'advance', amount: 42000, currency: 'INR', settles: 500 }, { now: NOW });
+    order = INHReceivables.recordPayment(order, { type: 'final', amount: 450, currency: 'EUR', exchangeRate: 0.0108, settles: 500 }, { now: NOW });
+
+    const summary = INHReceivables.paymentSummary(order);
+    assert.strictEqual(summary.currency, 'USD');
+    assert.strictEqual(summary.paid, 1000);
+    assert.strictEqual(summary.outstanding, 0);
+    assert.strictEqual(summary.status, 'paid');
+    assert.strictEqual(summary.baseTotal, 83333.33);
+    assert.strictEqual(summary.baseReceived, 83666.67);
+  },
+
+  'each payment carries its exchange gain or loss against the booked rate'() {
+    let order = usdOrder();
+    order = INHReceivables.recordPayment(order, { type: 'advance', amount: 42000, currency: 'INR', settles: 500 }, { now: NOW });
+    order = INHReceivables.recordPayment(order, { type: 'partial', amount: 400, currency: 'EUR', exchangeRate: 0.0108, settles: 400 }, { now: NOW });
+
+    const summary = INHReceivables.paymentSummary(order);
+    assert.deepStrictEqual(summary.payments.map(p => p.fxGainLoss), [333.33, 3703.71]);
+    assert.strictEqual(summary.fxGainLoss, 4037.04);
+    assert.strictEqual(summary.outstanding, 100);
+    assert.strictEqual(summary.baseOutstanding, 8333.33);
+    assert.strictEqual(summary.status, 'part_paid');
+  },
+
+  'a payment in another currency must say what it settles and at what rate'() {
+    const order = usdOrder();
+    assert.throws(() => INHReceivables.createPayment(order, { type: 'final', amount: 10, currency: 'EUR' }, { now: NOW }),
+      /exchange rate the EUR payment/);
+    assert.throws(() => INHReceivables.createPayment(order, { type: 'final', amount: 10, currency: 'EUR', exchangeRate: 0.0108 }, { now: NOW }),
+      /how much of the order \(in USD\)/);
+  },
+
+  'a payment cannot settle more than is outstanding'() {
+    const order = INHReceivables.recordPayment(usdOrder(), { type: 'advance', amount: 84000, currency: 'INR', settles: 990 }, { now: NOW });
+    assert.throws(() => INHReceivables.createPayment(order, { type: 'final', amount: 20, currency: 'USD', exchangeRate: 0.012 }, { now: NOW }),
+      /only 10 USD is outstanding/);
+  },
+
+  'orders without stored totals are totalled from their lines'() {
+    const totals = INHReceivables.orderTotals({ subtotal: null, items: [{ qty: 2, price: '5' }, { total: 3 }], shipping: 4 });
+    assert.strictEqual(totals.subtotal, 13);
+    assert.strictEqual(totals.total, 17);
+  }
+};
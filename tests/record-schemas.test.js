@@ -0,0 +1,89 @@
+const assert = require('assert');
+const INHRecordSchemas = require('../js/record-schemas');
+
+function errorsOf(type, data) {
+  return INHRecordSchemas.validateRecord(type, data).errors;
+}
+
+function ratio(extra = {}) {
+  return {
+    name: 'Standard',
+    matrix: { 4: { 12: 60, 14: 40 }, 5: { 14: 33.3, 16: 33.3, 18: 33.4 } },
+    supplierId: null,
+    currency: 'USD',
+    exchangeRate: 0.012,
+    marginPercent: 20,
+    wastagePercent: 10,
+    machineCharge: 2500,
+    ...extra
+  };
+}
+
+module.exports = {
+  'a ratio config whose columns add up to 100% is valid'() {
+    assert.deepStrictEqual(INHRecordSchemas.validateRecord('ratio', ratio()), { valid: true, errors: [] });
+  },
+
+  'a matrix column that does not add up to 100% is rejected with its path'() {
+    const errors = errorsOf('ratio', ratio({ matrix: { 4: { 12: 60, 14: 39.8 }, 6: {} } }));
+
+    assert.deepStrictEqual(errors, [{ path: 'matrix.4', message: 'adds up to 99.8%, must be 100%' }]);
+  },
+
+  'matrix keys must be finished length indexes and raw lengths'() {
+    const errors = errorsOf('ratio', ratio({ matrix: { 19: { 12: 100 }, 4: { 13: 100 } } }));
+
+    assert.deepStrictEqual(errors.map(e => e.path), ['matrix.4.13', 'matrix.19']);
+    assert.ok(errors.every(e => /not a valid key/.test(e.message)));
+  },
+
+  'pricing factors are type and range checked'() {
+    const errors = errorsOf('ratio', ratio({ currency: 'usd', exchangeRate: 0, wastagePercent: 120, machineCharge: '2500', marginPercent: NaN }));
+
+    assert.deepStrictEqual(errors, [
+      { path: 'currency', message: 'has an invalid format (usd)' },
+      { path: 'exchangeRate', message: 'must be greater than 0' },
+      { path: 'marginPercent', message: 'must be number' },
+      { path: 'wastagePercent', message: 'must be at most 100' },
+      { path: 'machineCharge', message: 'must be number' }
+    ]);
+  },
+
+  'suppliers need an id, a name and non-negative prices per raw length'() {
+    assert.strictEqual(INHRecordSchemas.validateRecord('supplier', { id: 'sup-1', name: 'Chennai', prices: { 6: 4000, 34: 21000 } }).valid, true);
+
+    const errors = errorsOf('supplier', { id: 'bad id', name: ' ', prices: { 6: -1, 5: 100 } });
+    assert.deepStrictEqual(errors, [
+      { path: 'id', message: 'has an invalid format (bad id)' },
+      { path: 'name', message: 'is required' },
+      { path: 'prices.5', message: 'is not a valid key (expected one of 4, 6, 8, 10, 12, 14, 16, 18, 20, 22, 24, 26, 28, 30, 32, 34)' },
+      { path: 'prices.6', message: 'must be at least 0' }
+    ]);
+  },
+
+  'price list custom prices are numbers or blank'() {
+    const list = { name: 'Retail', matrix: {}, customPricesEnabled: true, customPrices: { 0: 1500, 1: '' } };
+    assert.strictEqual(INHRecordSchemas.validateRecord('priceList', list).valid, true);
+
+    const errors = errorsOf('priceList', { ...list, customPrices: { 0: 'abc', 2: -5 } });
+    assert.deepStrictEqual(errors.map(e => e.path), ['customPrices.0', 'customPrices.2']);
+  },
+
+  'pricing rules need tiers and only known match fields'() {
+    const errors = errorsOf('pricingRule', { id: 'r1', name: 'Promo', tiers: [], match: { colour: 'Black' }, validFrom: '01/10/2026', adjustment: 'free' });
+
+    assert.deepStrictEqual(errors.map(e => e.path), ['tiers', 'match.colour', 'validFrom', 'adjustment']);
+    assert.strictEqual(errors[0].message, 'needs at least 1 item');
+  },
+
+  'quote templates need lines with a positive quantity'() {
+    const errors = errorsOf('quoteTemplate', { id: 't1', name: 'Reorder', clientId: 'c1', items: [{ priceList: 'Retail', category: 'Bulk', product: 'Bulk', length: '12', quantity: 0 }, null] });
+
+    assert.deepStrictEqual(errors, [
+      { path: 'items.0.quantity', message: 'must be greater than 0' },
+      { path: 'items.1', message: 'must be object' }
+    ]);
+    assert.strictEqual(INHRecordSchemas.formatErrors(errors), 'items.0.quantity must be greater than 0\nitems.1 must be object');
+    assert.throws(() => INHRecordSchemas.validateRecord('invoice', {}), /Unknown record schema: invoice/);
+  }
+};
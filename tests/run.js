@@ -0,0 +1,35 @@
+/**
+ * Test runner: `npm test`.
+ * Each tests/*.test.js file exports { 'what it checks': fn }; a test passes
+ * when its function returns (or resolves) without throwing. Plain assert and
+ * no test framework, so the shared js/ modules are checked the way they load
+ * in Node.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+async function run() {
+  const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+  let passed = 0;
+  const failed = [];
+
+  for (const file of files) {
+    const tests = require(path.join(__dirname, file));
+    for (const [name, fn] of Object.entries(tests)) {
+      try {
+        await fn();
+        passed++;
+        console.log(`  ok  ${file}: ${name}`);
+      } catch (error) {
+        failed.push(`${file}: ${name}`);
+        console.log(`  FAIL  ${file}: ${name}\n${error.stack}`);
+      }
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed.length} failed`);
+  if (failed.length) process.exitCode = 1;
+}
+
+run();
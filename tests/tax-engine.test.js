@@ -0,0 +1,88 @@
+const assert = require('assert');
+const INHTax = require('../js/tax-engine');
+
+// Seller in Maharashtra
+const SELLER = { gstin: '27AAACI1234A1Z5', lut: { arn: 'AD2704260001234', validFrom: '2026-04-01', validTo: '2027-03-31' } };
+const LINES = [{ category: 'Bulk', amount: 1000 }, { category: 'Weaves', amount: 500 }];
+
+module.exports = {
+  'within one state the tax is CGST and SGST at half the rate each, per HSN code'() {
+    const result = INHTax.computeTax({ lines: LINES, discountAmount: 150, seller: SELLER, buyer: { state: 'maharashtra' }, date: '2026-10-01' });
+
+    assert.strictEqual(result.supply.type, 'intra');
+    assert.strictEqual(result.note, 'Place of supply: Maharashtra (27)');
+    // The discount is spread 100 / 50 over the two lines
+    assert.deepStrictEqual(result.hsnSummary.map(g => [g.hsn, g.taxable, g.cgst, g.sgst]), [['6703', 900, 81, 81], ['6704', 450, 40.5, 40.5]]);
+    assert.deepStrictEqual(result.breakdown, [{ label: 'CGST', rate: 9, amount: 121.5 }, { label: 'SGST', rate: 9, amount: 121.5 }]);
+    assert.strictEqual(result.taxableAmount, 1350);
+    assert.strictEqual(result.taxAmount, 243);
+  },
+
+  'between states the tax is IGST at the full rate'() {
+    const result = INHTax.computeTax({ lines: LINES, seller: SELLER, buyer: { gstin: '29ABCDE1234F1Z5' }, date: '2026-10-01' });
+
+    assert.strictEqual(result.supply.type, 'inter');
+    assert.strictEqual(result.supply.placeOfSupply, 'Karnataka (29)');
+    assert.deepStrictEqual(result.breakdown, [{ label: 'IGST', rate: 18, amount: 270 }]);
+  },
+
+  'union territories without a legislature charge UTGST'() {
+    const result = INHTax.computeTax({ lines: [{ category: 'Wigs', amount: 200 }], seller: { state: 'Chandigarh' }, buyer: { state: '4' } });
+
+    assert.deepStrictEqual(result.breakdown.map(t => t.label), ['CGST', 'UTGST']);
+    assert.strictEqual(result.taxAmount, 36);
+  },
+
+  'exports are zero-rated while the LUT is valid and pay IGST otherwise'() {
+    const buyer = { country: 'United States' };
+    const underLut = INHTax.computeTax({ lines: LINES, seller: SELLER, buyer, date: '2026-10-01' });
+    assert.strictEqual(underLut.supply.lut, true);
+    assert.strictEqual(underLut.taxAmount, 0);
+    assert.deepStrictEqual(underLut.breakdown, []);
+    assert.strictEqual(underLut.note, 'Supply meant for export under LUT (ARN AD2704260001234) without payment of IGST');
+
+    const expired = INHTax.computeTax({ lines: LINES, seller: SELLER, buyer, date: '2027-04-01' });
+    assert.strictEqual(expired.supply.lut, false);
+    assert.strictEqual(expired.taxAmount, 270);
+    assert.strictEqual(expired.note, 'Supply meant for export on payment of IGST');
+
+    const chosen = INHTax.computeTax({ lines: LINES, seller: SELLER, buyer, date: '2026-10-01', exportUnderLut: false });
+    assert.strictEqual(chosen.taxAmount, 270);
+  },
+
+  'an unknown state is charged IGST and says why'() {
+    const result = INHTax.computeTax({ lines: LINES, seller: SELLER, buyer: { state: 'Atlantis' } });
+
+    assert.strictEqual(result.supply.type, 'inter');
+    assert.strictEqual(result.supply.assumed, true);
+    assert.strictEqual(result.note, "IGST charged: buyer's state is not known");
+  },
+
+  'line and configured rates override the category defaults'() {
+    const result = INHTax.computeTax({
+      lines: [{ category: 'bulk', amount: 100 }, { category: 'Extensions', amount: 100, hsn: '6704', rate: 12 }, { category: 'Unknown', amount: 100 }],
+      seller: SELLER,
+      buyer: { state: 'Karnataka' },
+      config: { defaultRate: 5, categories: { Bulk: { hsn: '6703', rate: 28 } } }
+    });
+
+    assert.deepStrictEqual(result.lines.map(l => [l.hsn, l.rate]), [['6703', 28], ['6704', 12], ['6704', 5]]);
+    assert.strictEqual(result.taxAmount, 45);
+    assert.strictEqual(INHTax.documentFields(result).tax, 15);
+  },
+
+  'states are read from GSTINs, codes, names and old spellings'() {
+    assert.strictEqual(INHTax.stateCode('07AAACI1234A1Z5'), '07');
+    assert.strictEqual(INHTax.stateCode('7'), '07');
+    assert.strictEqual(INHTax.stateCode('Orissa'), '21');
+    assert.strictEqual(INHTax.stateCode('tamil nadu'), '33');
+    assert.strictEqual(INHTax.stateCode('99AAACI1234A1Z5'), null);
+    assert.strictEqual(INHTax.stateCode(''), null);
+    assert.deepStrictEqual(INHTax.buyerFromClient({ gstNumber: '29ABCDE1234F1Z5', address: { country: 'India' } }), { gstin: '29ABCDE1234F1Z5', state: '', country: 'India' });
+  },
+
+  'services billed to us are taxed at their own rate'() {
+    assert.deepStrictEqual(INHTax.serviceTax('courier', 250), { hsn: '9968', rate: 18, amount: 45 });
+    assert.throws(() => INHTax.serviceTax('catering', 100), /Unknown taxable service/);
+  }
+};
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * Bulk delete all clients via server API.
- * Note: If Firebase service is unavailable, /api/clients may return sample data
+ * Note: If Firebase service is unavailable, /api/firestore/clients may return sample data
  * which will not be deletable. Ensure Firebase Admin is configured.
  */
 
@@ -42,7 +42,7 @@ function fetchJSON(url, options = {}) {
 async function main() {
   const base = 'http://localhost:3000';
   try {
-    const clients = await fetchJSON(`${base}/api/clients`);
+    const clients = await fetchJSON(`${base}/api/firestore/clients`);
     if (!Array.isArray(clients) || clients.length === 0) {
       console.log('No clients found to delete.');
       return;
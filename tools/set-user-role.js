@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Set a user's role custom claim (admin, salesperson, production, viewer).
+ * The role is read by server.js route guards, js/roles.js and the Firestore/Storage rules.
+ * Requires service-account-key.json in the project root. The user must sign in
+ * again (or refresh their ID token) before the new role takes effect.
+ *
+ * Usage: node tools/set-user-role.js <email> <role>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const INHRoles = require('../js/roles');
+
+async function main() {
+  const [email, roleArg] = process.argv.slice(2);
+  const role = INHRoles.normalizeRole(roleArg);
+  if (!email || !role) {
+    console.error(`Usage: node tools/set-user-role.js <email> <${INHRoles.ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const serviceAccountPath = path.join(__dirname, '..', 'service-account-key.json');
+  if (!fs.existsSync(serviceAccountPath)) {
+    console.error('service-account-key.json not found in project root.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const admin = require('firebase-admin');
+  const serviceAccount = require(serviceAccountPath);
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    projectId: serviceAccount.project_id
+  });
+
+  try {
+    const user = await admin.auth().getUserByEmail(email);
+    const claims = { ...(user.customClaims || {}), role };
+    // The legacy boolean claim is superseded by the role claim
+    delete claims.admin;
+    await admin.auth().setCustomUserClaims(user.uid, claims);
+    console.log(`Role for ${email} set to ${role}.`);
+  } catch (e) {
+    console.error(`Failed to set role for ${email}:`, e.message);
+    process.exitCode = 1;
+  }
+}
+
+main();